@@ -0,0 +1,457 @@
+(function() {
+  "use strict";
+
+  // Globals
+  var NAME = 'articleExport';
+
+  var Event = {
+    RENDER: NAME + ':render',
+    ERROR:  NAME + ':error'
+  };
+
+  // The class name added to the document while printing the export
+  var ACTIVE_CLASS = 'article-export-active';
+
+  /**
+   * Article Export extension.
+   *
+   * Builds a print (and PDF) layout of the current article, or of every article in its section.
+   * Collapsed and tabbed content is expanded, the table of contents is inlined, links are listed as
+   * footnotes and videos are replaced with links.
+   *
+   * @type {component}
+   */
+  window.ArticleExport = Util.createPlugin({
+
+    defaults: {
+
+      // The ID of the article (identified from the URL otherwise)
+      articleId: null,
+
+      // The ID of the section containing the article, required to print the section
+      sectionId: null,
+
+      // The title of the article (the first heading otherwise)
+      title: null,
+
+      // The selector for the article content
+      contentSelector: '.article-content',
+
+      // The selector for the headings to include in the table of contents
+      headingSelector: 'h2[id], h3[id], h4[id]',
+
+      // The URL of a QR code image for videos, where `{url}` is replaced with the video URL
+      // (a placeholder is shown otherwise)
+      qrCodeUrl: null,
+
+      // Build the print layout of the article when the browser's print command is used
+      printArticle: true,
+
+      // The list of properties of the articles in the section
+      properties: ['id', 'title', 'body', 'html_url', 'position', 'promoted', 'draft', 'section_id', 'created_at'],
+
+      // The ID of the custom template to use when generating HTML
+      template: 'article-export',
+
+      // The ID of the custom template to use when the articles can't be retrieved
+      errorTemplate: 'article-export-error',
+
+      // Additional data to expose to the template
+      templateData: {}
+    },
+
+    optionTypes: {
+      articleId: '(string|number|null)',
+      sectionId: '(string|number|null)',
+      title: '(string|null)',
+      contentSelector: 'string',
+      headingSelector: 'string',
+      qrCodeUrl: '(string|null)',
+      printArticle: 'boolean',
+      properties: '(string|array)',
+      template: '(string|null)',
+      errorTemplate: '(string|null)',
+      templateData: '(string|object)'
+    },
+
+    /**
+     * Initializes the extension.
+     *
+     * @param options
+     */
+    initialize: function(options) {
+      if (!options.articleId && Util.isArticlePage()) {
+        options.articleId = Util.getPageId();
+      }
+
+      this.container = document.createElement('DIV');
+      this.container.className = 'article-export';
+      document.body.appendChild(this.container);
+
+      this.addEventListeners();
+    },
+
+    /**
+     * Adds the required event listeners.
+     */
+    addEventListeners: function() {
+      var _this = this;
+
+      this.el.addEventListener('click', function(e) {
+        var button = Util.closest(e.target, '[data-export]');
+        if (!button) return;
+
+        e.preventDefault();
+        if (button.getAttribute('data-export') === 'section') {
+          _this.printSection();
+        } else {
+          _this.printArticle();
+        }
+      });
+
+      window.addEventListener('beforeprint', function() {
+        if (_this.options.printArticle && !document.documentElement.classList.contains(ACTIVE_CLASS)) {
+          _this.render(_this.getArticleData());
+          document.documentElement.classList.add(ACTIVE_CLASS);
+        }
+      });
+
+      window.addEventListener('afterprint', function() {
+        document.documentElement.classList.remove(ACTIVE_CLASS);
+        _this.container.innerHTML = '';
+      });
+    },
+
+    /**
+     * Prints the current article.
+     */
+    printArticle: function() {
+      this.print(this.getArticleData());
+    },
+
+    /**
+     * Prints every article in the section.
+     *
+     * @returns {Promise}
+     */
+    printSection: function() {
+      var options = this.options;
+      if (!options.sectionId) {
+        console.error('A section ID must be specified');
+        return Promise.resolve();
+      }
+
+      var url = '/api/v2/help_center/' + Util.locale + '/sections/' + options.sectionId;
+
+      this.el.setAttribute('aria-busy', 'true');
+      return Promise
+        .all([
+          Util.request(url + '.json', [], { paginate: false }),
+          Util.request(url + '/articles.json', options.properties)
+        ])
+        .then(function(responses) {
+          return {
+            sections: responses[0].section ? [responses[0].section] : [],
+            articles: responses[1].articles || []
+          };
+        })
+        .then(this.getSectionData.bind(this))
+        .then(this.print.bind(this))
+        .catch(this._handleError.bind(this, Event.ERROR))
+        .then(function() {
+          this.el.removeAttribute('aria-busy');
+        }.bind(this));
+    },
+
+    /**
+     * Renders the print layout and opens the print dialog.
+     *
+     * @param data
+     */
+    print: function(data) {
+      this.render(data);
+      document.documentElement.classList.add(ACTIVE_CLASS);
+      window.print();
+    },
+
+    /**
+     * Returns the print layout data for the current article.
+     *
+     * @returns {{}}
+     */
+    getArticleData: function() {
+      var options = this.options;
+      var content = document.querySelector(options.contentSelector);
+      var heading = document.querySelector('h1');
+      var url = window.location.href.split(/[?#]/)[0];
+
+      this.footnoteCount = 0;
+      var article = this.getArticle({
+        id: options.articleId,
+        title: options.title || (heading ? heading.textContent.trim() : document.title),
+        html_url: url
+      }, content ? content.cloneNode(true) : document.createElement('DIV'));
+
+      return {
+        title: article.title,
+        url: url,
+        articles: [article],
+        items: article.items,
+        footnotes: article.footnotes
+      };
+    },
+
+    /**
+     * Returns the print layout data for the articles in the section.
+     *
+     * @param collection
+     * @returns {{}}
+     */
+    getSectionData: function(collection) {
+      var sectionId = String(this.options.sectionId);
+      this.footnoteCount = 0;
+
+      var section = (collection.sections || []).filter(function(section) {
+        return String(section.id) === sectionId;
+      })[0];
+
+      var articles = (collection.articles || [])
+        .filter(function(article) {
+          return String(article['section_id']) === sectionId && article.draft !== true;
+        })
+        .sort(function(a, b) {
+          return (b.promoted - a.promoted) || (a.position - b.position) || String(a.title).localeCompare(b.title);
+        })
+        .map(function(article) {
+
+          // Parse the body in an inert document, so its scripts and images aren't loaded
+          var content = new DOMParser().parseFromString(article.body || '', 'text/html').body;
+          return this.getArticle(article, content);
+        }, this);
+
+      // The footnotes are numbered across all articles
+      var footnotes = [];
+      articles.forEach(function(article) {
+        article.footnotes.forEach(function(footnote) {
+          footnotes.push(footnote);
+        });
+      });
+
+      return {
+        title: section ? section.name : document.title,
+        url: section ? section['html_url'] : window.location.href,
+        articles: articles,
+        items: articles.map(function(article) {
+          return { level: 1, name: article.title, html_url: '#article-export-' + article.id };
+        }),
+        footnotes: footnotes
+      };
+    },
+
+    /**
+     * Prepares the content of an article for printing.
+     *
+     * @param article
+     * @param content - A detached element (or the body of an inert document) containing the article body
+     * @returns {{}}
+     */
+    getArticle: function(article, content) {
+      this._removeElements(content);
+      this._expandContent(content);
+      this._replaceVideos(content);
+
+      return {
+        id: article.id,
+        title: article.title,
+        html_url: article['html_url'],
+        items: this._getItems(content),
+        footnotes: this._addFootnotes(content),
+        content: content.innerHTML
+      };
+    },
+
+    /**
+     * Removes interactive elements and the table of contents (which is inlined by the template).
+     *
+     * @param content
+     * @private
+     */
+    _removeElements: function(content) {
+      var selectors = [
+        '[data-element="table-of-contents"]',
+        '.link-anchor',
+        '.link-anchor-copy',
+        '.nav-tabs',
+        'script',
+        'button'
+      ];
+      Array.prototype.forEach.call(content.querySelectorAll(selectors.join(',')), function(el) {
+        el.parentNode.removeChild(el);
+      });
+    },
+
+    /**
+     * Expands collapsed content (e.g. `Toggles` and `Collapse`) and shows every tab of `Tabs`.
+     *
+     * @param content
+     * @private
+     */
+    _expandContent: function(content) {
+      Array.prototype.forEach.call(content.querySelectorAll('.collapse'), function(el) {
+        el.classList.add(Util.classNames.VISIBLE);
+        el.style.height = '';
+      });
+
+      Array.prototype.forEach.call(content.querySelectorAll('[hidden]'), function(el) {
+        el.hidden = false;
+      });
+
+      Array.prototype.forEach.call(content.querySelectorAll('details'), function(el) {
+        el.open = true;
+      });
+
+      // Tab titles are shown above their content, since the tabs are removed
+      Array.prototype.forEach.call(document.querySelectorAll('.nav-tabs a[href^="#"]'), function(link) {
+        var id = link.getAttribute('href').substring(1);
+        var panel = id ? content.querySelector('[id="' + id + '"]') : null;
+        if (panel) {
+          var heading = document.createElement('H4');
+          heading.textContent = link.textContent.trim();
+          panel.parentNode.insertBefore(heading, panel);
+          panel.classList.add(Util.classNames.ACTIVE);
+        }
+      });
+    },
+
+    /**
+     * Replaces embedded videos with a link and a QR code.
+     *
+     * @param content
+     * @private
+     */
+    _replaceVideos: function(content) {
+      var qrCodeUrl = this.options.qrCodeUrl;
+
+      Array.prototype.forEach.call(content.querySelectorAll('iframe, video'), function(el) {
+        var source = el.getAttribute('src') || (el.querySelector('source') || { getAttribute: function() {} }).getAttribute('src');
+        if (!source) {
+          el.parentNode.removeChild(el);
+          return;
+        }
+
+        var url = new URL(source, window.location.href).href
+          .replace(/^https?:\/\/(www\.)?youtube(-nocookie)?\.com\/embed\/([^?&#]+).*$/, 'https://www.youtube.com/watch?v=$3')
+          .replace(/^https?:\/\/player\.vimeo\.com\/video\/([^?&#]+).*$/, 'https://vimeo.com/$1');
+
+        var video = document.createElement('DIV');
+        video.className = 'article-export-video';
+
+        var qrCode = document.createElement('SPAN');
+        qrCode.className = 'article-export-qr';
+        qrCode.setAttribute('data-url', url);
+        if (qrCodeUrl) {
+          var img = document.createElement('IMG');
+          img.src = qrCodeUrl.replace('{url}', encodeURIComponent(url));
+          img.alt = '';
+          qrCode.appendChild(img);
+        } else {
+          qrCode.textContent = 'QR';
+        }
+
+        var link = document.createElement('A');
+        link.href = url;
+        link.textContent = url;
+
+        video.appendChild(qrCode);
+        video.appendChild(link);
+
+        // Replace the video player wrapper if there is one
+        var wrapper = Util.closest(el, '.plyr') || el;
+        wrapper.parentNode.replaceChild(video, wrapper);
+      });
+    },
+
+    /**
+     * Returns the table of contents items.
+     *
+     * @param content
+     * @returns {Array}
+     * @private
+     */
+    _getItems: function(content) {
+      return Array.prototype.map.call(content.querySelectorAll(this.options.headingSelector), function(heading) {
+        return {
+          level: parseInt(heading.tagName.substring(1), 10),
+          name: heading.textContent.trim(),
+          html_url: '#' + heading.id
+        };
+      });
+    },
+
+    /**
+     * Adds a footnote number after each link, and returns the footnotes.
+     *
+     * Links to the same URL share a footnote.
+     *
+     * @param content
+     * @returns {Array}
+     * @private
+     */
+    _addFootnotes: function(content) {
+      var _this = this;
+      var footnotes = [];
+
+      Array.prototype.forEach.call(content.querySelectorAll('a[href]'), function(link) {
+        var href = link.getAttribute('href');
+        if (!href || href.charAt(0) === '#' || /^(javascript|mailto|tel):/i.test(href) || Util.closest(link, '.article-export-video')) {
+          return;
+        }
+
+        var url = new URL(href, window.location.href).href;
+        var footnote = footnotes.filter(function(footnote) {
+          return footnote.url === url;
+        })[0];
+
+        if (!footnote) {
+          footnote = { number: ++_this.footnoteCount, url: url };
+          footnotes.push(footnote);
+        }
+
+        var sup = document.createElement('SUP');
+        sup.className = 'article-export-footnote';
+        sup.textContent = '[' + footnote.number + ']';
+        link.parentNode.insertBefore(sup, link.nextSibling);
+      });
+
+      return footnotes;
+    },
+
+    /**
+     * Renders the print layout.
+     *
+     * @param data
+     */
+    render: function(data) {
+      var options = this.options;
+
+      data.date = new Date().toLocaleDateString(document.documentElement.lang || undefined);
+      if (options.templateData) {
+        data = Util.extend(data, options.templateData);
+      }
+
+      Util.renderTemplate(this.container, options.template, data, { replaceContent: true });
+
+      Util.triggerEvent(this.el, Event.RENDER, {
+        relatedTarget: this.el,
+        data: data,
+        options: options
+      });
+    }
+  });
+
+  window.addEventListener('load', function() {
+    each('[data-element="article-export"]', function(el) {
+      new ArticleExport(el);
+    });
+  });
+})();
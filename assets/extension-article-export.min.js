@@ -0,0 +1 @@
+(function(){"use strict";var t="articleExport",e={RENDER:t+":render",ERROR:t+":error"},r="article-export-active";window.ArticleExport=Util.createPlugin({defaults:{articleId:null,sectionId:null,title:null,contentSelector:".article-content",headingSelector:"h2[id], h3[id], h4[id]",qrCodeUrl:null,printArticle:!0,properties:["id","title","body","html_url","position","promoted","draft","section_id","created_at"],template:"article-export",errorTemplate:"article-export-error",templateData:{}},optionTypes:{articleId:"(string|number|null)",sectionId:"(string|number|null)",title:"(string|null)",contentSelector:"string",headingSelector:"string",qrCodeUrl:"(string|null)",printArticle:"boolean",properties:"(string|array)",template:"(string|null)",errorTemplate:"(string|null)",templateData:"(string|object)"},initialize:function(t){!t.articleId&&Util.isArticlePage()&&(t.articleId=Util.getPageId()),this.container=document.createElement("DIV"),this.container.className="article-export",document.body.appendChild(this.container),this.addEventListeners()},addEventListeners:function(){var t=this;this.el.addEventListener("click",function(e){var r=Util.closest(e.target,"[data-export]");r&&(e.preventDefault(),"section"===r.getAttribute("data-export")?t.printSection():t.printArticle())}),window.addEventListener("beforeprint",function(){t.options.printArticle&&!document.documentElement.classList.contains(r)&&(t.render(t.getArticleData()),document.documentElement.classList.add(r))}),window.addEventListener("afterprint",function(){document.documentElement.classList.remove(r),t.container.innerHTML=""})},printArticle:function(){this.print(this.getArticleData())},printSection:function(){var t=this.options;if(!t.sectionId)return console.error("A section ID must be specified"),Promise.resolve();var r="/api/v2/help_center/"+Util.locale+"/sections/"+t.sectionId;return this.el.setAttribute("aria-busy","true"),Promise.all([Util.request(r+".json",[],{paginate:!1}),Util.request(r+"/articles.json",t.properties)]).then(function(t){return{sections:t[0].section?[t[0].section]:[],articles:t[1].articles||[]}}).then(this.getSectionData.bind(this)).then(this.print.bind(this)).catch(this._handleError.bind(this,e.ERROR)).then(function(){this.el.removeAttribute("aria-busy")}.bind(this))},print:function(t){this.render(t),document.documentElement.classList.add(r),window.print()},getArticleData:function(){var t=this.options,e=document.querySelector(t.contentSelector),r=document.querySelector("h1"),n=window.location.href.split(/[?#]/)[0];this.footnoteCount=0;var i=this.getArticle({id:t.articleId,title:t.title||(r?r.textContent.trim():document.title),html_url:n},e?e.cloneNode(!0):document.createElement("DIV"));return{title:i.title,url:n,articles:[i],items:i.items,footnotes:i.footnotes}},getSectionData:function(t){var e=String(this.options.sectionId);this.footnoteCount=0;var r=(t.sections||[]).filter(function(t){return String(t.id)===e})[0],n=(t.articles||[]).filter(function(t){return String(t.section_id)===e&&!0!==t.draft}).sort(function(t,e){return e.promoted-t.promoted||t.position-e.position||String(t.title).localeCompare(e.title)}).map(function(t){var e=(new DOMParser).parseFromString(t.body||"","text/html").body;return this.getArticle(t,e)},this),i=[];return n.forEach(function(t){t.footnotes.forEach(function(t){i.push(t)})}),{title:r?r.name:document.title,url:r?r.html_url:window.location.href,articles:n,items:n.map(function(t){return{level:1,name:t.title,html_url:"#article-export-"+t.id}}),footnotes:i}},getArticle:function(t,e){return this._removeElements(e),this._expandContent(e),this._replaceVideos(e),{id:t.id,title:t.title,html_url:t.html_url,items:this._getItems(e),footnotes:this._addFootnotes(e),content:e.innerHTML}},_removeElements:function(t){Array.prototype.forEach.call(t.querySelectorAll(['[data-element="table-of-contents"]',".link-anchor",".link-anchor-copy",".nav-tabs","script","button"].join(",")),function(t){t.parentNode.removeChild(t)})},_expandContent:function(t){Array.prototype.forEach.call(t.querySelectorAll(".collapse"),function(t){t.classList.add(Util.classNames.VISIBLE),t.style.height=""}),Array.prototype.forEach.call(t.querySelectorAll("[hidden]"),function(t){t.hidden=!1}),Array.prototype.forEach.call(t.querySelectorAll("details"),function(t){t.open=!0}),Array.prototype.forEach.call(document.querySelectorAll('.nav-tabs a[href^="#"]'),function(e){var r=e.getAttribute("href").substring(1),n=r?t.querySelector('[id="'+r+'"]'):null;if(n){var i=document.createElement("H4");i.textContent=e.textContent.trim(),n.parentNode.insertBefore(i,n),n.classList.add(Util.classNames.ACTIVE)}})},_replaceVideos:function(t){var e=this.options.qrCodeUrl;Array.prototype.forEach.call(t.querySelectorAll("iframe, video"),function(t){var r=t.getAttribute("src")||(t.querySelector("source")||{getAttribute:function(){}}).getAttribute("src");if(r){var n=new URL(r,window.location.href).href.replace(/^https?:\/\/(www\.)?youtube(-nocookie)?\.com\/embed\/([^?&#]+).*$/,"https://www.youtube.com/watch?v=$3").replace(/^https?:\/\/player\.vimeo\.com\/video\/([^?&#]+).*$/,"https://vimeo.com/$1"),i=document.createElement("DIV");i.className="article-export-video";var o=document.createElement("SPAN");if(o.className="article-export-qr",o.setAttribute("data-url",n),e){var l=document.createElement("IMG");l.src=e.replace("{url}",encodeURIComponent(n)),l.alt="",o.appendChild(l)}else o.textContent="QR";var a=document.createElement("A");a.href=n,a.textContent=n,i.appendChild(o),i.appendChild(a);var c=Util.closest(t,".plyr")||t;c.parentNode.replaceChild(i,c)}else t.parentNode.removeChild(t)})},_getItems:function(t){return Array.prototype.map.call(t.querySelectorAll(this.options.headingSelector),function(t){return{level:parseInt(t.tagName.substring(1),10),name:t.textContent.trim(),html_url:"#"+t.id}})},_addFootnotes:function(t){var e=this,r=[];return Array.prototype.forEach.call(t.querySelectorAll("a[href]"),function(t){var n=t.getAttribute("href");if(n&&"#"!==n.charAt(0)&&!/^(javascript|mailto|tel):/i.test(n)&&!Util.closest(t,".article-export-video")){var i=new URL(n,window.location.href).href,o=r.filter(function(t){return t.url===i})[0];o||(o={number:++e.footnoteCount,url:i},r.push(o));var l=document.createElement("SUP");l.className="article-export-footnote",l.textContent="["+o.number+"]",t.parentNode.insertBefore(l,t.nextSibling)}}),r},render:function(t){var r=this.options;t.date=(new Date).toLocaleDateString(document.documentElement.lang||void 0),r.templateData&&(t=Util.extend(t,r.templateData)),Util.renderTemplate(this.container,r.template,t,{replaceContent:!0}),Util.triggerEvent(this.el,e.RENDER,{relatedTarget:this.el,data:t,options:r})}}),window.addEventListener("load",function(){each('[data-element="article-export"]',function(t){new ArticleExport(t)})})})();
\ No newline at end of file
@@ -5,9 +5,14 @@
   var NAME = 'articleNavigation';
 
   var Event = {
-    RENDER: NAME + ':render'
+    RENDER:   NAME + ':render',
+    COMPLETE: NAME + ':complete',
+    ERROR:    NAME + ':error'
   };
 
+  // The prefix of labels which define a learning path
+  var PATH_LABEL_PREFIX = 'path:';
+
   /**
    * Articles Navigation extension.
    *
@@ -32,6 +37,22 @@
       // Only include articles with one or more labels
       labels: [],
 
+      // An ordered list of article IDs which form a learning path
+      path: [],
+
+      // A label (e.g. `path:onboarding`) whose articles form a learning path, or `auto` to use
+      // the current article's path label
+      pathLabel: null,
+
+      // The name of the learning path (defaults to the label without its prefix)
+      pathTitle: null,
+
+      // The position of the current article in the learning path
+      stepText: 'Step {step} of {total}',
+
+      // The progress along the learning path, announced by screen readers
+      progressText: '{completed} of {total} articles completed',
+
       // The list of REST API properties passed to the rendering function
       properties: [
         "id",
@@ -64,6 +85,9 @@
       // The ID of the custom template to use when generating HTML
       template: null,
 
+      // The ID of the custom template to use when the articles can't be retrieved
+      errorTemplate: 'article-navigation-error',
+
       // Additional data to expose to the template
       templateData: {}
     },
@@ -74,11 +98,17 @@
       nextTitle: 'string',
       previousTitle: 'string',
       labels: '(string|array)',
+      path: '(string|array)',
+      pathLabel: '(string|null)',
+      pathTitle: '(string|null)',
+      stepText: 'string',
+      progressText: 'string',
       properties: '(string|array)',
       sort: '(string|object)',
       sortOrder: 'string',
       filter: '(string|object|null)',
       template: '(string|null)',
+      errorTemplate: '(string|null)',
       templateData: '(string|object)'
     },
 
@@ -103,6 +133,9 @@
         }
       }
 
+      // The label of the learning path, once identified
+      this.pathLabel = null;
+
       if (options.collection && options.collection.hasOwnProperty('articles')) {
         this.render(options.collection);
       } else {
@@ -113,18 +146,31 @@
           }
           options.articleId = Util.getPageId();
         }
-        this.getArticles(options.properties).then(this.render.bind(this));
+        this.getPathLabel()
+          .then(function(label) {
+            this.pathLabel = label;
+            if (label) {
+              this.options.labels = [label];
+            }
+            return this.getArticles(options.properties, { onUpdate: this.render.bind(this) });
+          }.bind(this))
+          .then(this.render.bind(this))
+          .catch(this._handleError.bind(this, Event.ERROR));
       }
     },
 
     /**
      * Returns articles from the Zendesk REST API.
      *
-     * Categories and sections may also be included, depending on the plugin settings.
+     * Categories and sections may also be included, depending on the plugin settings.  If
+     * `requestOptions.onUpdate` is provided, it receives the refreshed collection whenever a
+     * stale cached response is revalidated.
      *
+     * @param properties
+     * @param requestOptions
      * @returns {Promise}
      */
-    getArticles: function(properties) {
+    getArticles: function(properties, requestOptions) {
       var options = this.options;
       var params = [];
 
@@ -136,9 +182,172 @@
       }
 
       if (params.length) {
-        url += '?' + params.join('&');
+        url += '&' + params.join('&');
+      }
+      return Util.request(url, properties, requestOptions);
+    },
+
+    /**
+     * Returns the label of the learning path, if any.
+     *
+     * If `pathLabel` is `auto`, the first of the current article's labels starting with `path:`
+     * is used.
+     *
+     * @returns {Promise<string|null>}
+     */
+    getPathLabel: function() {
+      var options = this.options;
+      if (options.pathLabel !== 'auto') {
+        return Promise.resolve(options.pathLabel || null);
+      }
+
+      var url = '/api/v2/help_center/' + Util.locale + '/articles/' + options.articleId + '.json';
+      return Util.request(url, ['id', 'label_names'], { paginate: false })
+        .then(function(json) {
+          var labels = json.article ? json.article['label_names'] || [] : [];
+          return labels.filter(function(label) {
+            return label.indexOf(PATH_LABEL_PREFIX) === 0;
+          })[0] || null;
+        })
+        .catch(function(error) {
+          Util.log('Unable to retrieve the labels of article ' + options.articleId, error);
+          return null;
+        });
+    },
+
+    /**
+     * Returns the articles in the learning path, in order.
+     *
+     * Paths defined by article IDs may span sections and categories.  Paths defined by a label
+     * are ordered in the same way as the help center.
+     *
+     * @param collection
+     * @returns {Array|null}
+     * @private
+     */
+    _getPathArticles: function(collection) {
+      var path = this.options.path;
+      if (path.length) {
+        var articles = this._filterObjects(collection.articles, 'articles');
+        return path
+          .map(function(id) {
+            return articles.filter(function(article) {
+              return String(article.id) === String(id);
+            })[0];
+          })
+          .filter(Boolean);
+      } else if (this.pathLabel) {
+        return this._sortArticles(collection);
+      }
+      return null;
+    },
+
+    /**
+     * Returns the storage for the current user's learning path progress.
+     *
+     * @returns {Storage}
+     * @private
+     */
+    _getProgressStorage: function() {
+      return ArticleNavigation.getProgressStorage();
+    },
+
+    /**
+     * Returns the ID used to store progress along the learning path.
+     *
+     * @returns {string}
+     * @private
+     */
+    _getPathId: function() {
+      return this.options.path.length ? 'articles:' + this.options.path.join(',') : this.pathLabel;
+    },
+
+    /**
+     * Returns the name of the learning path.
+     *
+     * @returns {string}
+     * @private
+     */
+    _getPathTitle: function() {
+      if (this.options.pathTitle) {
+        return this.options.pathTitle;
+      }
+      if (!this.pathLabel) {
+        return '';
+      }
+      var name = this.pathLabel.substring(PATH_LABEL_PREFIX.length).replace(/[-_]+/g, ' ');
+      return name.charAt(0).toUpperCase() + name.slice(1);
+    },
+
+    /**
+     * Records the progress along the learning path.
+     *
+     * @param articles
+     * @param article - The article to mark as completed [optional]
+     * @returns {{}}
+     * @private
+     */
+    _saveProgress: function(articles, article) {
+      var storage = this._getProgressStorage();
+      var paths = storage.get({});
+      var id = this._getPathId();
+      var progress = paths[id] || { completed: [] };
+
+      progress.title = this._getPathTitle();
+      progress.articles = articles.map(function(article) {
+        return { id: article.id, title: article.title, html_url: article['html_url'] };
+      });
+      progress.completed = progress.completed.filter(function(completedId) {
+        return articles.some(function(article) {
+          return article.id === completedId;
+        });
+      });
+      if (article && progress.completed.indexOf(article.id) === -1) {
+        progress.completed.push(article.id);
+      }
+      progress.lastArticleId = this.options.articleId;
+      progress.updatedAt = new Date().getTime();
+
+      paths[id] = progress;
+      storage.set(paths);
+      return progress;
+    },
+
+    /**
+     * Marks the current article as completed once the reader reaches the navigation.
+     *
+     * @param articles
+     * @param article
+     * @private
+     */
+    _observeCompletion: function(articles, article) {
+      var _this = this;
+
+      var complete = function() {
+        var progress = _this._saveProgress(articles, article);
+        Util.triggerEvent(_this.el, Event.COMPLETE, {
+          relatedTarget: _this.el,
+          article: article,
+          progress: progress
+        });
+      };
+
+      if (this.observer) {
+        this.observer.disconnect();
       }
-      return Util.request(url, properties);
+
+      if (!window.IntersectionObserver) {
+        complete();
+        return;
+      }
+
+      this.observer = new IntersectionObserver(function(entries) {
+        if (entries.some(function(entry) { return entry.isIntersecting; })) {
+          _this.observer.disconnect();
+          complete();
+        }
+      });
+      this.observer.observe(this.el);
     },
 
     /**
@@ -228,7 +437,25 @@
      */
     render: function(collection) {
       var options = this.options;
-      var articles = this._sortArticles(collection);
+      var articles = this._getPathArticles(collection);
+      var path = null;
+
+      if (articles && articles.some(function(article) { return article.id === options.articleId; })) {
+        var progress = this._saveProgress(articles);
+        var step = articles.map(function(article) { return article.id; }).indexOf(options.articleId) + 1;
+
+        path = {
+          id: this._getPathId(),
+          title: this._getPathTitle(),
+          articles: articles,
+          step: step,
+          total: articles.length,
+          completed: progress.completed,
+          isComplete: progress.completed.length === articles.length
+        };
+      } else {
+        articles = this._sortArticles(collection);
+      }
 
       // Get the index of the current article
       var index;
@@ -245,6 +472,9 @@
         previousTitle: this.options.previousTitle,
         previousArticle: (index - 1 >= 0) ? articles[index - 1] : null,
         nextArticle: (index + 1 < articles.length) ? articles[index + 1] : null,
+        path: path,
+        stepText: this.options.stepText,
+        progressText: this.options.progressText
       };
       if (options.templateData) {
         data = Util.extend(data, options.templateData);
@@ -256,9 +486,25 @@
         relatedTarget: this.el,
         articles: articles,
       });
+
+      if (path) {
+        this._observeCompletion(articles, articles[index]);
+      }
     }
   });
 
+  /**
+   * Returns the storage for the current user's progress along learning paths.
+   *
+   * Progress is stored by path ID, with the articles in the path and the IDs of those completed.
+   *
+   * @returns {Storage}
+   */
+  ArticleNavigation.getProgressStorage = function() {
+    var user = window.HelpCenter && HelpCenter.user ? HelpCenter.user.identifier || HelpCenter.user.email : null;
+    return Util.storage('paths-' + (user || 'anonymous'), false, NAME);
+  };
+
   window.addEventListener('load', function() {
     each('[data-element="article-navigation"]', function(el) {
       new ArticleNavigation(el);
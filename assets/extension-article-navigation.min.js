@@ -1 +1 @@
-(function(){"use strict";var a={RENDER:"articleNavigation:render"};window.ArticleNavigation=Util.createPlugin({defaults:{collection:{},articleId:null,nextTitle:"Next article",previousTitle:"Next article",labels:[],properties:["id","name","title","html_url","position","promoted","draft","section_id","category_id","created_at"],filter:{categories:function(a){return!0!==a.draft},sections:function(a){return!0!==a.draft},articles:function(a){return!0!==a.draft}},sort:{categories:"sortByPosition",sections:"sortByPosition",articles:"sortByPosition"},sortOrder:"asc",template:null,templateData:{}},optionTypes:{collection:"object",articleId:"(string|number|null)",nextTitle:"string",previousTitle:"string",labels:"(string|array)",properties:"(string|array)",sort:"(string|object)",sortOrder:"string",filter:"(string|object|null)",template:"(string|null)",templateData:"(string|object)"},initialize:function(a){for(var b in a)if(a.hasOwnProperty(b)){var c=a[b];if("string"==typeof c&&/object|array/g.test(this.optionTypes[b]))try{this.options[b]=a[b]=JSON.parse(c)}catch(c){this.options[b]=a[b]=this.defaults[b],console.error("Option value ("+b+") is not a valid JSON string.")}}if(a.collection&&a.collection.hasOwnProperty("articles"))this.render(a.collection);else{if(!a.articleId){if(!Util.isArticlePage())return void console.error("An article ID must be specified");a.articleId=Util.getPageId()}this.getArticles(a.properties).then(this.render.bind(this))}},getArticles:function(a){var b=this.options,c=[],d="/api/v2/help_center/"+Util.locale+"/articles.json?include=categories,sections";return b.labels.length&&c.push("label_names="+b.labels.join(",")),c.length&&(d+="?"+c.join("&")),Util.request(d,a)},_sortArticles:function(a){var b=this._filterObjects(a.categories,"categories").reverse(),c=this._filterObjects(a.sections,"sections").reverse(),d=this._filterObjects(a.articles,"articles"),e=this._sortObjects.bind(this),f=[];return d=e(d,"articles"),e(b,"categories").forEach(function(a){e(c,"sections").forEach(function(b){if(b.category_id===a.id)for(var c,e=d.length;e--;)c=d[e],c.section_id===b.id&&(f.push(c),d.splice(e,1))})}),"desc"===this.options.sortOrder?f:f.reverse()},_filterObjects:function(a,b){var c=this.options;if(c.filter.hasOwnProperty(b)&&null!==c.sort[b]){if("function"==typeof c.filter[b])return a.filter(c.filter[b]);var d=c.filter[b];if("string"==typeof d&&"function"==typeof Util[d])return a.filter(Util[d])}return a},_sortObjects:function(a,b){var c=this.options,d={categories:this.sortByPosition,sections:this.sortByPosition,articles:this.sortByName};if(c.sort.hasOwnProperty(b)&&null!==c.sort[b]){if("function"==typeof c.sort[b])return a.sort(c.sort[b]);var e=c.sort[b];if("string"==typeof e&&"function"==typeof Util[e])return a.sort(Util[e])}return a.sort(d[b])},render:function(b){for(var c,d=this.options,e=this._sortArticles(b),f=0;f<e.length;f++)if(e[f].id===d.articleId){c=f;break}var g={nextTitle:this.options.nextTitle,currentArticle:e[c],previousTitle:this.options.previousTitle,previousArticle:0<=c-1?e[c-1]:null,nextArticle:c+1<e.length?e[c+1]:null};d.templateData&&(g=Util.extend(g,d.templateData)),Util.renderTemplate(this.el,d.template,g,{replaceContent:!0}),Util.triggerEvent(this.el,a.RENDER,{relatedTarget:this.el,articles:e})}}),window.addEventListener("load",function(){each("[data-element=\"article-navigation\"]",function(a){new ArticleNavigation(a)})})})();
\ No newline at end of file
+(function(){"use strict";var t="articleNavigation",e={RENDER:t+":render",COMPLETE:t+":complete",ERROR:t+":error"},i="path:";window.ArticleNavigation=Util.createPlugin({defaults:{collection:{},articleId:null,nextTitle:"Next article",previousTitle:"Next article",labels:[],path:[],pathLabel:null,pathTitle:null,stepText:"Step {step} of {total}",progressText:"{completed} of {total} articles completed",properties:["id","name","title","html_url","position","promoted","draft","section_id","category_id","created_at"],filter:{categories:function(t){return!0!==t.draft},sections:function(t){return!0!==t.draft},articles:function(t){return!0!==t.draft}},sort:{categories:"sortByPosition",sections:"sortByPosition",articles:"sortByPosition"},sortOrder:"asc",template:null,errorTemplate:"article-navigation-error",templateData:{}},optionTypes:{collection:"object",articleId:"(string|number|null)",nextTitle:"string",previousTitle:"string",labels:"(string|array)",path:"(string|array)",pathLabel:"(string|null)",pathTitle:"(string|null)",stepText:"string",progressText:"string",properties:"(string|array)",sort:"(string|object)",sortOrder:"string",filter:"(string|object|null)",template:"(string|null)",errorTemplate:"(string|null)",templateData:"(string|object)"},initialize:function(t){for(var i in t)if(t.hasOwnProperty(i)){var r=t[i];if("string"==typeof r&&/object|array/g.test(this.optionTypes[i]))try{this.options[i]=t[i]=JSON.parse(r)}catch(e){this.options[i]=t[i]=this.defaults[i],console.error("Option value ("+i+") is not a valid JSON string.")}}if(this.pathLabel=null,t.collection&&t.collection.hasOwnProperty("articles"))this.render(t.collection);else{if(!t.articleId){if(!Util.isArticlePage())return void console.error("An article ID must be specified");t.articleId=Util.getPageId()}this.getPathLabel().then(function(e){return this.pathLabel=e,e&&(this.options.labels=[e]),this.getArticles(t.properties,{onUpdate:this.render.bind(this)})}.bind(this)).then(this.render.bind(this)).catch(this._handleError.bind(this,e.ERROR))}},getArticles:function(t,e){var i=this.options,r=[],n="/api/v2/help_center/"+Util.locale+"/articles.json?include=categories,sections";return i.labels.length&&r.push("label_names="+i.labels.join(",")),r.length&&(n+="&"+r.join("&")),Util.request(n,t,e)},getPathLabel:function(){var t=this.options;if("auto"!==t.pathLabel)return Promise.resolve(t.pathLabel||null);var e="/api/v2/help_center/"+Util.locale+"/articles/"+t.articleId+".json";return Util.request(e,["id","label_names"],{paginate:!1}).then(function(t){return(t.article&&t.article.label_names||[]).filter(function(t){return 0===t.indexOf(i)})[0]||null}).catch(function(e){return Util.log("Unable to retrieve the labels of article "+t.articleId,e),null})},_getPathArticles:function(t){var e=this.options.path;if(e.length){var i=this._filterObjects(t.articles,"articles");return e.map(function(t){return i.filter(function(e){return String(e.id)===String(t)})[0]}).filter(Boolean)}return this.pathLabel?this._sortArticles(t):null},_getProgressStorage:function(){return ArticleNavigation.getProgressStorage()},_getPathId:function(){return this.options.path.length?"articles:"+this.options.path.join(","):this.pathLabel},_getPathTitle:function(){if(this.options.pathTitle)return this.options.pathTitle;if(!this.pathLabel)return"";var t=this.pathLabel.substring(5).replace(/[-_]+/g," ");return t.charAt(0).toUpperCase()+t.slice(1)},_saveProgress:function(t,e){var i=this._getProgressStorage(),r=i.get({}),n=this._getPathId(),s=r[n]||{completed:[]};return s.title=this._getPathTitle(),s.articles=t.map(function(t){return{id:t.id,title:t.title,html_url:t.html_url}}),s.completed=s.completed.filter(function(e){return t.some(function(t){return t.id===e})}),e&&-1===s.completed.indexOf(e.id)&&s.completed.push(e.id),s.lastArticleId=this.options.articleId,s.updatedAt=(new Date).getTime(),r[n]=s,i.set(r),s},_observeCompletion:function(t,i){var r=this,n=function(){var n=r._saveProgress(t,i);Util.triggerEvent(r.el,e.COMPLETE,{relatedTarget:r.el,article:i,progress:n})};this.observer&&this.observer.disconnect(),window.IntersectionObserver?(this.observer=new IntersectionObserver(function(t){t.some(function(t){return t.isIntersecting})&&(r.observer.disconnect(),n())}),this.observer.observe(this.el)):n()},_sortArticles:function(t){var e=this._filterObjects(t.categories,"categories").reverse(),i=this._filterObjects(t.sections,"sections").reverse(),r=this._filterObjects(t.articles,"articles"),n=this._sortObjects.bind(this),s=[];return r=n(r,"articles"),n(e,"categories").forEach(function(t){n(i,"sections").forEach(function(e){if(e.category_id===t.id)for(var i=r.length;i--;){var n=r[i];n.section_id===e.id&&(s.push(n),r.splice(i,1))}})}),"desc"===this.options.sortOrder?s:s.reverse()},_filterObjects:function(t,e){var i=this.options;if(i.filter.hasOwnProperty(e)&&null!==i.sort[e]){if("function"==typeof i.filter[e])return t.filter(i.filter[e]);var r=i.filter[e];if("string"==typeof r&&"function"==typeof Util[r])return t.filter(Util[r])}return t},_sortObjects:function(t,e){var i=this.options,r={categories:this.sortByPosition,sections:this.sortByPosition,articles:this.sortByName};if(i.sort.hasOwnProperty(e)&&null!==i.sort[e]){if("function"==typeof i.sort[e])return t.sort(i.sort[e]);var n=i.sort[e];if("string"==typeof n&&"function"==typeof Util[n])return t.sort(Util[n])}return t.sort(r[e])},render:function(t){var i,r=this.options,n=this._getPathArticles(t),s=null;if(n&&n.some(function(t){return t.id===r.articleId})){var o=this._saveProgress(n),l=n.map(function(t){return t.id}).indexOf(r.articleId)+1;s={id:this._getPathId(),title:this._getPathTitle(),articles:n,step:l,total:n.length,completed:o.completed,isComplete:o.completed.length===n.length}}else n=this._sortArticles(t);for(var a=0;a<n.length;a++)if(n[a].id===r.articleId){i=a;break}var c={nextTitle:this.options.nextTitle,currentArticle:n[i],previousTitle:this.options.previousTitle,previousArticle:i-1>=0?n[i-1]:null,nextArticle:i+1<n.length?n[i+1]:null,path:s,stepText:this.options.stepText,progressText:this.options.progressText};r.templateData&&(c=Util.extend(c,r.templateData)),Util.renderTemplate(this.el,r.template,c,{replaceContent:!0}),Util.triggerEvent(this.el,e.RENDER,{relatedTarget:this.el,articles:n}),s&&this._observeCompletion(n,n[i])}}),ArticleNavigation.getProgressStorage=function(){var e=window.HelpCenter&&HelpCenter.user?HelpCenter.user.identifier||HelpCenter.user.email:null;return Util.storage("paths-"+(e||"anonymous"),!1,t)},window.addEventListener("load",function(){each('[data-element="article-navigation"]',function(t){new ArticleNavigation(t)})})})();
\ No newline at end of file
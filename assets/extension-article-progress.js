@@ -0,0 +1,248 @@
+(function() {
+  "use strict";
+
+  // Globals
+  var NAME = 'articleProgress';
+
+  var Event = {
+    CHANGE: NAME + ':change',
+    READ:   NAME + ':read'
+  };
+
+  /**
+   * Article Progress extension.
+   *
+   * Records how far the visitor has read the article (the furthest heading of the table of contents
+   * reached, the proportion scrolled and the time spent reading), so lists of articles can show
+   * which have been read and the visitor can continue reading where they left off.
+   *
+   * @type {component}
+   */
+  window.ArticleProgress = Util.createPlugin({
+
+    defaults: {
+
+      // The ID of the article (identified from the URL otherwise)
+      articleId: null,
+
+      // The title of the article (the first heading otherwise)
+      title: null,
+
+      // The selector for the headings included in the table of contents
+      selector: '.content h2',
+
+      // The interval in milliseconds at which the time spent reading is saved
+      saveInterval: 15000,
+
+      // The time in milliseconds after which the visitor is considered inactive
+      idleTimeout: 60000,
+
+      // The maximum number of articles to record (the least recently read are removed)
+      limit: 50
+    },
+
+    optionTypes: {
+      articleId: '(string|number|null)',
+      title: '(string|null)',
+      selector: 'string',
+      saveInterval: 'number',
+      idleTimeout: 'number',
+      limit: 'number'
+    },
+
+    /**
+     * Initializes the extension.
+     *
+     * @param options
+     */
+    initialize: function(options) {
+      if (!options.articleId) {
+        if (!Util.isArticlePage()) {
+          console.error('An article ID must be specified');
+          return;
+        }
+        options.articleId = Util.getPageId();
+      }
+
+      var heading = document.querySelector('h1');
+
+      this.storage = Util.storage('articles', false, NAME);
+
+      // Progress is only recorded once the visitor scrolls, unless the article was read before
+      this.isStarted = !!this.getProgress();
+      this.progress = this.getProgress() || {
+        id: options.articleId,
+        progress: 0,
+        heading: null,
+        headingTitle: null,
+        timeSpent: 0,
+        isRead: false
+      };
+      this.progress.title = options.title || (heading ? heading.textContent.trim() : document.title);
+      this.progress['html_url'] = window.location.href.split(/[?#]/)[0];
+
+      // The table of contents headings (the IDs are generated by the TableOfContents extension)
+      this.headings = Array.prototype.filter.call(document.querySelectorAll(options.selector), function(heading) {
+        return heading.id;
+      });
+
+      this.startedAt = this.lastActiveAt = new Date().getTime();
+      this.addEventListeners();
+    },
+
+    /**
+     * Returns the stored progress of the article.
+     *
+     * @returns {{}|null}
+     */
+    getProgress: function() {
+      return this.storage.get({})[this.options.articleId] || null;
+    },
+
+    /**
+     * Adds the time spent reading since the last update.
+     *
+     * Time is only counted while the page is visible and the visitor has interacted recently.
+     */
+    updateTimeSpent: function() {
+      var now = new Date().getTime();
+      if (this.startedAt !== null) {
+        this.progress.timeSpent += Math.max(Math.min(now, this.lastActiveAt + this.options.idleTimeout) - this.startedAt, 0);
+      }
+      this.startedAt = document.visibilityState === 'hidden' ? null : now;
+    },
+
+    /**
+     * Saves the progress of the article.
+     *
+     * Only the most recently read articles are kept, up to the `limit` option.
+     */
+    save: function() {
+      var articles = this.storage.get({});
+      var limit = this.options.limit;
+
+      this.updateTimeSpent();
+      if (!this.isStarted) {
+        return;
+      }
+
+      this.progress.updatedAt = new Date().getTime();
+      articles[this.options.articleId] = this.progress;
+
+      Object.keys(articles)
+        .sort(function(a, b) {
+          return (articles[b].updatedAt || 0) - (articles[a].updatedAt || 0);
+        })
+        .slice(Math.max(limit, 1))
+        .forEach(function(id) {
+          delete articles[id];
+        });
+      this.storage.set(articles);
+    },
+
+    /**
+     * Sets the furthest heading reached.
+     *
+     * @param heading
+     */
+    setHeading: function(heading) {
+      var progress = this.progress;
+      var index = this.headings.indexOf(heading);
+      if (index === -1 || index <= this.headings.indexOf(document.getElementById(progress.heading))) {
+        return;
+      }
+
+      progress.heading = heading.id;
+      progress.headingTitle = Array.prototype.slice.call(heading.childNodes)
+        .map(function(child) { return child.textContent.trim(); })
+        .filter(function(text) { return text && text !== '#'; })
+        .join(' ');
+
+      this.save();
+      Util.triggerEvent(this.el, Event.CHANGE, {
+        relatedTarget: this.el,
+        progress: progress
+      });
+    },
+
+    /**
+     * Updates the proportion of the article read and the furthest heading reached.
+     */
+    onScroll: function() {
+      var progress = this.progress;
+      var rect = this.el.getBoundingClientRect();
+      var viewportHeight = window.innerHeight;
+      var percentage = rect.height ? Math.round(Math.min(Math.max((viewportHeight - rect.top) / rect.height, 0), 1) * 100) : 100;
+
+      this.lastActiveAt = new Date().getTime();
+
+      // The last heading scrolled into the top half of the viewport
+      var heading = this.headings.filter(function(heading) {
+        return heading.getBoundingClientRect().top < viewportHeight / 2;
+      }).pop();
+      if (heading) {
+        this.setHeading(heading);
+      }
+
+      if (percentage <= progress.progress) {
+        return;
+      }
+
+      progress.progress = percentage;
+      if (percentage === 100 && !progress.isRead) {
+        progress.isRead = true;
+        this.save();
+        Util.triggerEvent(this.el, Event.READ, {
+          relatedTarget: this.el,
+          progress: progress
+        });
+      }
+    },
+
+    /**
+     * Adds the required event listeners.
+     */
+    addEventListeners: function() {
+      var _this = this;
+      var isTicking = false;
+
+      window.addEventListener('scroll', function() {
+        if (isTicking) return;
+        isTicking = true;
+        window.requestAnimationFrame(function() {
+          _this.isStarted = true;
+          _this.onScroll();
+          isTicking = false;
+        });
+      });
+
+      // Headings activated by Scrollspy (e.g. when a table of contents link is clicked)
+      document.addEventListener('scrollspy:active', function(e) {
+        var link = e.detail.relatedTargets;
+        if (_this.isStarted && link && link.hash) {
+          _this.setHeading(document.getElementById(decodeURIComponent(link.hash.substring(1))));
+        }
+      });
+
+      ['keydown', 'mousemove', 'touchstart'].forEach(function(type) {
+        document.addEventListener(type, function() {
+          _this.lastActiveAt = new Date().getTime();
+        }, { passive: true });
+      });
+
+      document.addEventListener('visibilitychange', this.save.bind(this));
+      window.addEventListener('pagehide', this.save.bind(this));
+      window.setInterval(function() {
+        if (document.visibilityState !== 'hidden') {
+          _this.save();
+        }
+      }, this.options.saveInterval);
+    }
+  });
+
+  window.addEventListener('load', function() {
+    each('[data-element="article-progress"]', function(el) {
+      new ArticleProgress(el);
+    });
+  });
+})();
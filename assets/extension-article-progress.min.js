@@ -0,0 +1 @@
+(function(){"use strict";var t="articleProgress",e={CHANGE:t+":change",READ:t+":read"};window.ArticleProgress=Util.createPlugin({defaults:{articleId:null,title:null,selector:".content h2",saveInterval:15e3,idleTimeout:6e4,limit:50},optionTypes:{articleId:"(string|number|null)",title:"(string|null)",selector:"string",saveInterval:"number",idleTimeout:"number",limit:"number"},initialize:function(e){if(!e.articleId){if(!Util.isArticlePage())return void console.error("An article ID must be specified");e.articleId=Util.getPageId()}var i=document.querySelector("h1");this.storage=Util.storage("articles",!1,t),this.isStarted=!!this.getProgress(),this.progress=this.getProgress()||{id:e.articleId,progress:0,heading:null,headingTitle:null,timeSpent:0,isRead:!1},this.progress.title=e.title||(i?i.textContent.trim():document.title),this.progress.html_url=window.location.href.split(/[?#]/)[0],this.headings=Array.prototype.filter.call(document.querySelectorAll(e.selector),function(t){return t.id}),this.startedAt=this.lastActiveAt=(new Date).getTime(),this.addEventListeners()},getProgress:function(){return this.storage.get({})[this.options.articleId]||null},updateTimeSpent:function(){var t=(new Date).getTime();null!==this.startedAt&&(this.progress.timeSpent+=Math.max(Math.min(t,this.lastActiveAt+this.options.idleTimeout)-this.startedAt,0)),this.startedAt="hidden"===document.visibilityState?null:t},save:function(){var t=this.storage.get({}),e=this.options.limit;this.updateTimeSpent(),this.isStarted&&(this.progress.updatedAt=(new Date).getTime(),t[this.options.articleId]=this.progress,Object.keys(t).sort(function(e,i){return(t[i].updatedAt||0)-(t[e].updatedAt||0)}).slice(Math.max(e,1)).forEach(function(e){delete t[e]}),this.storage.set(t))},setHeading:function(t){var i=this.progress,n=this.headings.indexOf(t);-1===n||n<=this.headings.indexOf(document.getElementById(i.heading))||(i.heading=t.id,i.headingTitle=Array.prototype.slice.call(t.childNodes).map(function(t){return t.textContent.trim()}).filter(function(t){return t&&"#"!==t}).join(" "),this.save(),Util.triggerEvent(this.el,e.CHANGE,{relatedTarget:this.el,progress:i}))},onScroll:function(){var t=this.progress,i=this.el.getBoundingClientRect(),n=window.innerHeight,s=i.height?Math.round(100*Math.min(Math.max((n-i.top)/i.height,0),1)):100;this.lastActiveAt=(new Date).getTime();var r=this.headings.filter(function(t){return t.getBoundingClientRect().top<n/2}).pop();r&&this.setHeading(r),s<=t.progress||(t.progress=s,100!==s||t.isRead||(t.isRead=!0,this.save(),Util.triggerEvent(this.el,e.READ,{relatedTarget:this.el,progress:t})))},addEventListeners:function(){var t=this,e=!1;window.addEventListener("scroll",function(){e||(e=!0,window.requestAnimationFrame(function(){t.isStarted=!0,t.onScroll(),e=!1}))}),document.addEventListener("scrollspy:active",function(e){var i=e.detail.relatedTargets;t.isStarted&&i&&i.hash&&t.setHeading(document.getElementById(decodeURIComponent(i.hash.substring(1))))}),["keydown","mousemove","touchstart"].forEach(function(e){document.addEventListener(e,function(){t.lastActiveAt=(new Date).getTime()},{passive:!0})}),document.addEventListener("visibilitychange",this.save.bind(this)),window.addEventListener("pagehide",this.save.bind(this)),window.setInterval(function(){"hidden"!==document.visibilityState&&t.save()},this.options.saveInterval)}}),window.addEventListener("load",function(){each('[data-element="article-progress"]',function(t){new ArticleProgress(t)})})})();
\ No newline at end of file
@@ -0,0 +1,227 @@
+(function() {
+  "use strict";
+
+  // Globals
+  var NAME = 'breadcrumbs';
+
+  var Event = {
+    RENDER: NAME + ':render',
+    ERROR:  NAME + ':error'
+  };
+
+  /**
+   * Breadcrumbs extension.
+   *
+   * Replaces the native breadcrumbs with the full path to the current article, section, category,
+   * post or topic (including nested sections), and adds it to the page as schema.org
+   * `BreadcrumbList` structured data.
+   *
+   * @type {component}
+   */
+  window.Breadcrumbs = Util.createPlugin({
+
+    defaults: {
+
+      // The section containing the current article (identified from the native breadcrumbs otherwise)
+      sectionId: null,
+
+      // The topic containing the current post (identified from the native breadcrumbs otherwise)
+      topicId: null,
+
+      // The title of the current article or post
+      title: null,
+
+      // Add `BreadcrumbList` structured data to the page
+      jsonLd: true,
+
+      // The list of properties passed to the rendering function
+      properties: ['id', 'name', 'html_url', 'position', 'category_id', 'parent_section_id'],
+
+      // The ID of the custom template to use when generating HTML
+      template: 'breadcrumbs',
+
+      // The ID of the custom template to use when the objects can't be retrieved
+      errorTemplate: 'breadcrumbs-error',
+
+      // Additional data to expose to the template
+      templateData: {}
+    },
+
+    optionTypes: {
+      sectionId: '(string|number|null)',
+      topicId: '(string|number|null)',
+      title: '(string|null)',
+      jsonLd: 'boolean',
+      properties: '(string|array)',
+      template: '(string|null)',
+      errorTemplate: '(string|null)',
+      templateData: '(string|object)'
+    },
+
+    /**
+     * Initializes the extension.
+     *
+     * @param options
+     */
+    initialize: function(options) {
+      var objects;
+
+      // The native breadcrumbs, which are kept if the path can't be identified
+      this.links = Array.prototype.map.call(this.el.querySelectorAll('a[href]'), function(link) {
+        return { name: link.textContent.trim(), url: link.href };
+      });
+
+      if (Util.isArticlePage() || Util.isSectionPage() || Util.isCategoryPage()) {
+        objects = ['categories', 'sections'];
+      } else if (Util.isPostPage() || Util.isTopicPage()) {
+        objects = ['topics'];
+      } else {
+        return;
+      }
+
+      Util.get(objects, options.properties)
+        .then(this.getItems.bind(this))
+        .then(this.render.bind(this))
+        .catch(this._handleError.bind(this, Event.ERROR));
+    },
+
+    /**
+     * Returns the path to the current page.
+     *
+     * @param collection
+     * @returns {Array|null}
+     */
+    getItems: function(collection) {
+      var options = this.options;
+      var pageId = Util.getPageId(window.location.pathname);
+      var path = [];
+      var current = null;
+
+      var find = function(objects, id) {
+        return (objects || []).filter(function(object) {
+          return String(object.id) === String(id);
+        })[0] || null;
+      };
+
+      // Returns the ID of the last native breadcrumb linking to a type of page
+      var findLinkedId = function(isPageType) {
+        var links = this.links.filter(function(link) {
+          return isPageType(link.url);
+        });
+        return links.length ? Util.getPageId(links[links.length - 1].url.split(/[?#]/)[0]) : null;
+      }.bind(this);
+
+      var getTitle = function() {
+        var heading = document.querySelector('h1');
+        return options.title || (heading ? heading.textContent.trim() : document.title);
+      };
+
+      if (Util.isArticlePage() || Util.isSectionPage()) {
+        var section = find(collection.sections, Util.isSectionPage() ? pageId : options.sectionId || findLinkedId(Util.isSectionPage));
+        while (section && path.indexOf(section) === -1) {
+          path.unshift(section);
+          section = find(collection.sections, section['parent_section_id']);
+        }
+        if (path.length) {
+          path.unshift(find(collection.categories, path[0]['category_id']));
+        }
+        if (Util.isArticlePage()) {
+          current = { name: getTitle(), url: window.location.href.split(/[?#]/)[0] };
+        }
+      } else if (Util.isCategoryPage()) {
+        path.push(find(collection.categories, pageId));
+      } else if (Util.isPostPage()) {
+        path.push(find(collection.topics, options.topicId || findLinkedId(Util.isTopicPage)));
+        current = { name: getTitle(), url: window.location.href.split(/[?#]/)[0] };
+      } else if (Util.isTopicPage()) {
+        path.push(find(collection.topics, pageId));
+      }
+
+      path = path.filter(Boolean);
+      if (!path.length) {
+        return null;
+      }
+
+      // Keep the native breadcrumbs which precede the path (e.g. the help center and community)
+      var items = [];
+      this.links.some(function(link) {
+        if (Util.isCategoryPage(link.url) || Util.isSectionPage(link.url) || Util.isTopicPage(link.url)) {
+          return true;
+        }
+        items.push({ name: link.name, url: link.url });
+      });
+
+      items = items.concat(path.map(function(object) {
+        return { id: object.id, name: object.name, url: object['html_url'] };
+      }));
+      if (current) {
+        items.push(current);
+      }
+
+      items[items.length - 1].isCurrent = true;
+      return items;
+    },
+
+    /**
+     * Returns the `BreadcrumbList` structured data for a set of breadcrumbs.
+     *
+     * @see https://schema.org/BreadcrumbList
+     * @param items
+     * @returns {{}}
+     */
+    getJSONLD: function(items) {
+      return {
+        '@context': 'https://schema.org',
+        '@type': 'BreadcrumbList',
+        'itemListElement': items.map(function(item, index) {
+          return {
+            '@type': 'ListItem',
+            'position': index + 1,
+            'name': item.name,
+            'item': new URL(item.url, window.location.href).href
+          };
+        })
+      };
+    },
+
+    /**
+     * Renders the extension.
+     *
+     * @param items
+     */
+    render: function(items) {
+      var options = this.options;
+      if (!items) return;
+
+      var data = { items: items };
+      if (options.templateData) {
+        data = Util.extend(data, options.templateData);
+      }
+
+      Util.renderTemplate(this.el, options.template, data, { replaceContent: true });
+
+      if (options.jsonLd) {
+        var script = document.getElementById(this.id + '-json-ld');
+        if (!script) {
+          script = document.createElement('script');
+          script.type = 'application/ld+json';
+          script.id = this.id + '-json-ld';
+          document.head.appendChild(script);
+        }
+        script.textContent = JSON.stringify(this.getJSONLD(items));
+      }
+
+      Util.triggerEvent(this.el, Event.RENDER, {
+        relatedTarget: this.el,
+        data: data,
+        options: options
+      });
+    }
+  });
+
+  ready(function() {
+    each('[data-element="breadcrumbs"]', function(el) {
+      new Breadcrumbs(el);
+    });
+  });
+})();
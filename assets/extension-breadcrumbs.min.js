@@ -0,0 +1 @@
+(function(){"use strict";var t="breadcrumbs",e={RENDER:t+":render",ERROR:t+":error"};window.Breadcrumbs=Util.createPlugin({defaults:{sectionId:null,topicId:null,title:null,jsonLd:!0,properties:["id","name","html_url","position","category_id","parent_section_id"],template:"breadcrumbs",errorTemplate:"breadcrumbs-error",templateData:{}},optionTypes:{sectionId:"(string|number|null)",topicId:"(string|number|null)",title:"(string|null)",jsonLd:"boolean",properties:"(string|array)",template:"(string|null)",errorTemplate:"(string|null)",templateData:"(string|object)"},initialize:function(t){var i;if(this.links=Array.prototype.map.call(this.el.querySelectorAll("a[href]"),function(t){return{name:t.textContent.trim(),url:t.href}}),Util.isArticlePage()||Util.isSectionPage()||Util.isCategoryPage())i=["categories","sections"];else{if(!Util.isPostPage()&&!Util.isTopicPage())return;i=["topics"]}Util.get(i,t.properties).then(this.getItems.bind(this)).then(this.render.bind(this)).catch(this._handleError.bind(this,e.ERROR))},getItems:function(t){var e=this.options,i=Util.getPageId(window.location.pathname),n=[],r=null,l=function(t,e){return(t||[]).filter(function(t){return String(t.id)===String(e)})[0]||null},s=function(t){var e=this.links.filter(function(e){return t(e.url)});return e.length?Util.getPageId(e[e.length-1].url.split(/[?#]/)[0]):null}.bind(this),o=function(){var t=document.querySelector("h1");return e.title||(t?t.textContent.trim():document.title)};if(Util.isArticlePage()||Util.isSectionPage()){for(var a=l(t.sections,Util.isSectionPage()?i:e.sectionId||s(Util.isSectionPage));a&&-1===n.indexOf(a);)n.unshift(a),a=l(t.sections,a.parent_section_id);n.length&&n.unshift(l(t.categories,n[0].category_id)),Util.isArticlePage()&&(r={name:o(),url:window.location.href.split(/[?#]/)[0]})}else Util.isCategoryPage()?n.push(l(t.categories,i)):Util.isPostPage()?(n.push(l(t.topics,e.topicId||s(Util.isTopicPage))),r={name:o(),url:window.location.href.split(/[?#]/)[0]}):Util.isTopicPage()&&n.push(l(t.topics,i));if(!(n=n.filter(Boolean)).length)return null;var u=[];return this.links.some(function(t){if(Util.isCategoryPage(t.url)||Util.isSectionPage(t.url)||Util.isTopicPage(t.url))return!0;u.push({name:t.name,url:t.url})}),u=u.concat(n.map(function(t){return{id:t.id,name:t.name,url:t.html_url}})),r&&u.push(r),u[u.length-1].isCurrent=!0,u},getJSONLD:function(t){return{"@context":"https://schema.org","@type":"BreadcrumbList",itemListElement:t.map(function(t,e){return{"@type":"ListItem",position:e+1,name:t.name,item:new URL(t.url,window.location.href).href}})}},render:function(t){var i=this.options;if(t){var n={items:t};if(i.templateData&&(n=Util.extend(n,i.templateData)),Util.renderTemplate(this.el,i.template,n,{replaceContent:!0}),i.jsonLd){var r=document.getElementById(this.id+"-json-ld");r||((r=document.createElement("script")).type="application/ld+json",r.id=this.id+"-json-ld",document.head.appendChild(r)),r.textContent=JSON.stringify(this.getJSONLD(t))}Util.triggerEvent(this.el,e.RENDER,{relatedTarget:this.el,data:n,options:i})}}}),ready(function(){each('[data-element="breadcrumbs"]',function(t){new Breadcrumbs(t)})})})();
\ No newline at end of file
@@ -5,9 +5,14 @@
   var NAME = 'navigation';
 
   var Event = {
-    RENDER: NAME + ':render'
+    RENDER: NAME + ':render',
+    EXPAND: NAME + ':expand',
+    ERROR:  NAME + ':error'
   };
 
+  // Matches the collapse targets of category and section toggles (e.g. `#section-123`)
+  var NODE_REGEX = /^#?(category|section)-(\d+)$/;
+
   /**
    * Navigation extension.
    *
@@ -33,6 +38,15 @@
       // Only include posts from a specific topic
       topicId: null,
 
+      // Fetch the sections of a category and the articles of a section when it's expanded
+      lazy: false,
+
+      // Make the rendered lists keyboard-accessible as a WAI-ARIA tree view
+      treeView: false,
+
+      // Add the visitor's reading progress (recorded by the ArticleProgress extension) to articles
+      readingProgress: false,
+
       // The list of properties passed to the rendering function
       properties: [
         "id",
@@ -74,6 +88,9 @@
       // The ID of the custom template to use when generating HTML
       template: null,
 
+      // The ID of the custom template to use when the objects can't be retrieved
+      errorTemplate: 'navigation-error',
+
       // Additional data to expose to the template
       templateData: {}
     },
@@ -85,11 +102,15 @@
       categoryId: '(string|number|null)',
       sectionId: '(string|number|null)',
       topicId: '(string|number|null)',
+      lazy: 'boolean',
+      treeView: 'boolean',
+      readingProgress: 'boolean',
       properties: '(string|array)',
       sort: '(string|object)',
       sortOrder: 'string',
       filter: '(string|object|null)',
       template: '(string|null)',
+      errorTemplate: '(string|null)',
       templateData: '(string|object)'
     },
 
@@ -229,33 +250,292 @@
         collection = sortAndFilterObjects(collection);
         collection = _this.structureObjects(collection);
         this.render(collection);
+      } else if (options.lazy && options.objects.indexOf('categories') !== -1 && options.sectionId === null) {
+
+        // Rebuild the tree from the objects loaded so far
+        this._build = function() {
+          var setState = function(type, object) {
+            object.isLoaded = _this.loaded[type + '-' + object.id] === true;
+            object.isExpanded = _this.expanded[type + '-' + object.id] === true;
+          };
+          _this.collection.categories.forEach(setState.bind(null, 'category'));
+          _this.collection.sections.forEach(setState.bind(null, 'section'));
+          return _this.structureObjects(sortAndFilterObjects(extendObjects(Util.extend(_this.collection))));
+        };
+
+        this.initLazyLoading(options)
+          .then(function() {
+            _this.render(_this._build());
+          })
+          .catch(_this._handleError.bind(_this, Event.ERROR));
       } else {
-        _this.getObjects(options)
+
+        // Re-render when a stale cached collection is refreshed
+        var onUpdate = function(collection) {
+          _this.render(_this.structureObjects(sortAndFilterObjects(extendObjects(collection))));
+        };
+
+        _this.getObjects(options, { onUpdate: onUpdate })
           .then(extendObjects)
           .then(sortAndFilterObjects)
           .then(_this.structureObjects)
-          .then(_this.render.bind(_this));
+          .then(_this.render.bind(_this))
+          .catch(_this._handleError.bind(_this, Event.ERROR));
       }
     },
 
+    /**
+     * Retrieves the categories and the branch of the tree containing the current page.
+     *
+     * Sections and articles are retrieved when their category or section is expanded.
+     *
+     * @param options
+     * @returns {Promise}
+     */
+    initLazyLoading: function(options) {
+      var _this = this;
+
+      this.collection = { categories: [], sections: [], articles: [] };
+      this.loaded = {};
+      this.expanded = {};
+      this.pending = {};
+
+      this.addLazyEventListeners();
+
+      return Promise
+        .all([
+          this.getCategories(Util.extend(options, { categoryId: null })),
+          this.getActiveBranch().catch(function(error) {
+            Util.log('Unable to identify the active category', error);
+            return {};
+          })
+        ])
+        .then(function(responses) {
+          _this.collection.categories = (responses[0].categories || []).filter(function(category) {
+            return options.categoryId === null || String(category.id) === String(options.categoryId);
+          });
+
+          var branch = responses[1];
+          if (!branch.categoryId) return;
+
+          // Load the active section and its parent sections
+          return _this.load('category', branch.categoryId).then(function() {
+            var sectionIds = [];
+            var sectionId = branch.sectionId;
+            while (sectionId && sectionIds.indexOf(sectionId) === -1) {
+              var section = _this._findObject('section', sectionId);
+              sectionIds.push(sectionId);
+              sectionId = section ? section['parent_section_id'] : null;
+            }
+            return Promise.all(sectionIds.map(function(id) {
+              return _this.load('section', id);
+            }));
+          });
+        });
+    },
+
+    /**
+     * Returns the IDs of the category and section containing the current page.
+     *
+     * @returns {Promise<{categoryId: number|null, sectionId: number|null}>}
+     */
+    getActiveBranch: function() {
+      var pageId = Util.getPageId();
+      var url = '/api/v2/help_center/' + Util.locale + '/';
+
+      var getSection = function(sectionId) {
+        return Util.request(url + 'sections/' + sectionId + '.json', ['id', 'category_id'], { paginate: false }).then(function(json) {
+          return { categoryId: json.section ? json.section['category_id'] : null, sectionId: sectionId };
+        });
+      };
+
+      if (Util.isCategoryPage()) {
+        return Promise.resolve({ categoryId: pageId, sectionId: null });
+      } else if (Util.isSectionPage()) {
+        return getSection(pageId);
+      } else if (Util.isArticlePage()) {
+        return Util.request(url + 'articles/' + pageId + '.json', ['id', 'section_id'], { paginate: false }).then(function(json) {
+          return json.article ? getSection(json.article['section_id']) : { categoryId: null, sectionId: null };
+        });
+      }
+      return Promise.resolve({ categoryId: null, sectionId: null });
+    },
+
+    /**
+     * Retrieves the sections of a category, or the articles of a section.
+     *
+     * Subsections are retrieved with the other sections of their category.
+     *
+     * @param type - `category` or `section`
+     * @param id
+     * @returns {Promise}
+     */
+    load: function(type, id) {
+      var _this = this;
+      var options = this.options;
+      var key = type + '-' + id;
+      var request;
+
+      if (this.loaded[key]) {
+        return Promise.resolve();
+      }
+      if (this.pending.hasOwnProperty(key)) {
+        return this.pending[key];
+      }
+
+      if (type === 'category' && options.objects.indexOf('sections') !== -1) {
+        request = this.getSections(Util.extend(options, { categoryId: id, objects: ['sections'] }));
+      } else if (type === 'section' && options.objects.indexOf('articles') !== -1) {
+        request = this.getArticles(Util.extend(options, { categoryId: null, sectionId: id, objects: ['articles'] }));
+      } else {
+        request = Promise.resolve({});
+      }
+
+      this.pending[key] = request
+        .then(function(json) {
+          ['sections', 'articles'].forEach(function(objectType) {
+            if (Array.isArray(json[objectType])) {
+              _this.collection[objectType] = Util.unique(_this.collection[objectType].concat(json[objectType]), 'id');
+            }
+          });
+          _this.loaded[key] = true;
+          delete _this.pending[key];
+        }, function(error) {
+          delete _this.pending[key];
+          return Promise.reject(error);
+        });
+
+      return this.pending[key];
+    },
+
+    /**
+     * Loads and expands a category or section.
+     *
+     * @param type - `category` or `section`
+     * @param id
+     * @returns {Promise}
+     */
+    expand: function(type, id) {
+      var _this = this;
+      var key = type + '-' + id;
+
+      return this.load(type, id)
+        .then(function() {
+          _this.expanded[key] = true;
+          _this.render(_this._build());
+
+          Util.triggerEvent(_this.el, Event.EXPAND, {
+            relatedTarget: _this.el,
+            type: type,
+            id: id,
+            object: _this._findObject(type, id)
+          });
+        })
+        .catch(_this._handleError.bind(_this, Event.ERROR));
+    },
+
+    /**
+     * Loads categories and sections when their toggles are clicked, and keeps track of which are
+     * expanded, so they remain expanded when the tree is re-rendered.
+     */
+    addLazyEventListeners: function() {
+      var _this = this;
+
+      this.el.addEventListener('click', function(e) {
+        var trigger = e.target.matches('[data-toggle="collapse"]') ? e.target : Util.closest(e.target, '[data-toggle="collapse"]');
+        var match = trigger ? NODE_REGEX.exec(Util.getSelectorFromElement(trigger) || '') : null;
+        if (!match || _this.loaded[match[0].replace('#', '')]) return;
+
+        e.preventDefault();
+        _this.expand(match[1], parseInt(match[2], 10));
+      });
+
+      var onToggle = function(isExpanded, e) {
+        var match = NODE_REGEX.exec(e.target.id || '');
+        if (match) _this.expanded[match[0]] = isExpanded;
+      };
+
+      this.el.addEventListener('collapse:shown', onToggle.bind(this, true), true);
+      this.el.addEventListener('collapse:hidden', onToggle.bind(this, false), true);
+    },
+
+    /**
+     * Returns a loaded category or section.
+     *
+     * @param type
+     * @param id
+     * @returns {*}
+     * @private
+     */
+    _findObject: function(type, id) {
+      var objects = type === 'category' ? this.collection.categories : this.collection.sections;
+      return objects.filter(function(object) {
+        return String(object.id) === String(id);
+      })[0] || null;
+    },
+
     /**
      * Retrieves all objects from the Zendesk REST API.
+     *
+     * If `requestOptions.onUpdate` is provided, it receives the merged collection whenever a stale
+     * cached response is refreshed.
+     *
      * @see https://developer.zendesk.com/api-reference/help_center/help-center-api/help-center-api/
      * @param options
+     * @param requestOptions
      * @returns {Promise<{}>}
      */
-    getObjects: function(options) {
+    getObjects: function(options, requestOptions) {
+      requestOptions = requestOptions || {};
+
       var objects = options.objects;
       var requests = [];
+      var responses = [];
+      var onUpdate = requestOptions.onUpdate;
+
+      /**
+       * Merges the responses into a single collection.
+       * @param response
+       * @returns {*}
+       */
+      var merge = function(response) {
+        if (response.length === 1) return response[0];
+        var merged = Object.assign.apply(Object, [{}].concat(response));
+        for (var key in merged) {
+          if (merged.hasOwnProperty(key)) {
+            if (options.objects.indexOf(key) === -1) {
+              delete merged[key];
+            }
+          }
+        }
+        return merged;
+      };
+
+      /**
+       * Returns the request options for the request at a given index.
+       * @param index
+       * @returns {{}}
+       */
+      var getRequestOptions = function(index) {
+        if (typeof onUpdate !== 'function') return requestOptions;
+        return Util.extend(requestOptions, {
+          onUpdate: function(json) {
+            responses[index] = json;
+            if (responses.filter(Boolean).length === requests.length) {
+              onUpdate(merge(responses));
+            }
+          }
+        });
+      };
 
       if (options.categoryId !== null || options.sectionId !== null || options.labels.length > 0) {
         if (Util.intersection(['categories', 'sections', 'articles'], options.objects).length > 0) {
           if (options.objects.indexOf('articles') !== -1 || options.labels.length > 0) {
-            requests.push(this.getArticles(options));
+            requests.push(this.getArticles(options, getRequestOptions(requests.length)));
           } else if (options.objects.indexOf('sections') !== -1) {
-            requests.push(this.getSections(options));
+            requests.push(this.getSections(options, getRequestOptions(requests.length)));
           } else {
-            requests.push(this.getCategories(options));
+            requests.push(this.getCategories(options, getRequestOptions(requests.length)));
           }
           objects = objects.filter(function(object) {
             return ['categories', 'sections', 'articles'].indexOf(object) === -1;
@@ -265,9 +545,9 @@
 
       if (options.topicId !== null && Util.intersection(['topics', 'posts'], options.objects).length > 0) {
         if (options.objects.indexOf('posts') !== -1) {
-          requests.push(this.getPosts(options));
+          requests.push(this.getPosts(options, getRequestOptions(requests.length)));
         } else {
-          requests.push(this.getTopics(options));
+          requests.push(this.getTopics(options, getRequestOptions(requests.length)));
         }
         objects = objects.filter(function(object) {
           return ['topics', 'posts'].indexOf(object) === -1;
@@ -276,21 +556,17 @@
 
       if (objects.length) {
         Util.log('Fetching objects (' + objects.join(', ') + ') using Util.get()');
-        requests.push(Util.get(objects, options.properties));
+        requests.push(Util.get(objects, options.properties, getRequestOptions(requests.length)));
       }
 
       return Promise.all(requests)
         .then(function(response) {
-          if (response.length === 1) return response[0];
-          var merged = Object.assign.apply(Object, response);
-          for (var key in merged) {
-            if (merged.hasOwnProperty(key)) {
-              if (options.objects.indexOf(key) === -1) {
-                delete merged[key];
-              }
-            }
-          }
-          return merged;
+
+          // Keep any responses that were refreshed before all requests completed
+          response.forEach(function(json, index) {
+            if (!responses[index]) responses[index] = json;
+          });
+          return merge(responses);
         })
     },
 
@@ -298,10 +574,11 @@
      * Retrieves categories from the Zendesk REST API.
      * @see https://developer.zendesk.com/api-reference/help_center/help-center-api/categories/
      * @param options
+     * @param requestOptions
      * @returns {Promise<{}>}
      */
-    getCategories: function(options) {
-      var url = '/api/v2/help_center/' + Util.locale + 'categories';
+    getCategories: function(options, requestOptions) {
+      var url = '/api/v2/help_center/' + Util.locale + '/categories';
       if (options.categoryId !== null) {
         Util.log('Fetching category ' + options.categoryId);
         url += '/' + options.categoryId ;
@@ -309,16 +586,17 @@
         Util.log('Fetching categories');
       }
       url += '.json';
-      return Util.request(url, options.properties)
+      return Util.request(url, options.properties, requestOptions)
     },
 
     /**
      * Retrieves sections from the Zendesk REST API.
      * @see https://developer.zendesk.com/api-reference/help_center/help-center-api/sections/
      * @param options
+     * @param requestOptions
      * @returns {Promise<{}>}
      */
-    getSections: function(options) {
+    getSections: function(options, requestOptions) {
       var url = '/api/v2/help_center/' + Util.locale;
       if (options.categoryId !== null) {
         Util.log('Fetching sections from category ' + options.categoryId);
@@ -330,16 +608,17 @@
       if (options.objects.indexOf('categories') !== -1) {
         url += '?include=categories';
       }
-      return Util.request(url, options.properties)
+      return Util.request(url, options.properties, requestOptions)
     },
 
     /**
      * Retrieves articles from the Zendesk REST API.
      * @see https://developer.zendesk.com/api-reference/help_center/help-center-api/articles/
      * @param options
+     * @param requestOptions
      * @returns {Promise<{}>}
      */
-    getArticles: function(options) {
+    getArticles: function(options, requestOptions) {
       var includes = Util.intersection(['categories', 'sections'], options.objects);
       var params = [];
 
@@ -363,16 +642,17 @@
       }
       if (params.length) url += '?' + params.join('&');
 
-      return Util.request(url, options.properties);
+      return Util.request(url, options.properties, requestOptions);
     },
 
     /**
      * Retrieves topics from the Zendesk REST API.
      * @see https://developer.zendesk.com/api-reference/help_center/help-center-api/topics/
      * @param options
+     * @param requestOptions
      * @returns {Promise<{}>}
      */
-    getTopics: function(options) {
+    getTopics: function(options, requestOptions) {
       var url = '/api/v2/community/topics';
       if (options.topicId !== null) {
         Util.log('Fetching topic ' + options.topicId);
@@ -381,16 +661,17 @@
         Util.log('Fetching topics');
       }
       url += '.json';
-      return Util.request(url, options.properties);
+      return Util.request(url, options.properties, requestOptions);
     },
 
     /**
      * Retrieves posts from the Zendesk REST API.
      * @see https://developer.zendesk.com/api-reference/help_center/help-center-api/posts/
      * @param options
+     * @param requestOptions
      * @returns {Promise<{}>}
      */
-    getPosts: function(options) {
+    getPosts: function(options, requestOptions) {
       var url = '/api/v2/community/';
       if (options.topicId !== null) {
         Util.log('Fetching posts from topic ' + options.topicId);
@@ -403,7 +684,7 @@
       if (options.objects.indexOf('topics') !== -1) {
         url += '?include=topics';
       }
-      return Util.request(url, options.properties);
+      return Util.request(url, options.properties, requestOptions);
     },
 
     /**
@@ -532,12 +813,27 @@
         }
       }
 
+      if (options.readingProgress && data.articles) {
+        var progress = Util.storage('articles', false, 'articleProgress').get({});
+        data.articles.forEach(function(article) {
+          article.readingProgress = progress[article.id] || null;
+        });
+      }
+
       if (options.templateData) {
         data = Util.extend(data, options.templateData);
       }
 
       Util.renderTemplate(this.el, options.template, data, { replaceContent: true });
 
+      if (options.treeView && window.TreeView) {
+        if (this.treeView) {
+          this.treeView.update();
+        } else {
+          this.treeView = new TreeView(this.el);
+        }
+      }
+
       Util.triggerEvent(this.el, Event.RENDER, {
         relatedTarget: this.el,
         data: data,
@@ -1 +1 @@
-(function(){"use strict";var a={RENDER:"navigation:render"};window.Navigation=Util.createPlugin({defaults:{collection:{},objects:["categories","sections","articles"],labels:[],categoryId:null,sectionId:null,topicId:null,properties:["id","title","description","name","html_url","position","promoted","pinned","draft","section_id","sorting","category_id","parent_section_id","topic_id","created_at"],filter:{categories:function(a){return!0!==a.draft},sections:function(a){return!0!==a.draft},articles:function(a){return!0!==a.draft},topics:null,posts:null},sort:{categories:"sortByPosition",sections:"sortByPosition",articles:"sortByPosition",topics:"sortByPosition",posts:"sortByPosition"},sortOrder:"asc",template:null,templateData:{}},optionTypes:{collection:"(string|object)",objects:"(string|array)",labels:"(string|array)",categoryId:"(string|number|null)",sectionId:"(string|number|null)",topicId:"(string|number|null)",properties:"(string|array)",sort:"(string|object)",sortOrder:"string",filter:"(string|object|null)",template:"(string|null)",templateData:"(string|object)"},initialize:function(a){var b=a.objects,c=this;for(var d in a)if(a.hasOwnProperty(d)){var e=a[d];if("string"==typeof e&&/object|array/g.test(this.optionTypes[d]))try{this.options[d]=a[d]=JSON.parse(e)}catch(b){this.options[d]=a[d]=this.defaults[d],console.error("Option value ("+d+") is not a valid JSON string.")}}-1!==b.indexOf("articles")&&-1!==b.indexOf("categories")&&-1===b.indexOf("sections")&&a.objects.push("sections"),c.pageIds={activeCategoryId:null,activeSectionId:null,activeArticleId:null,activeTopicId:null,activePostId:null};var f=function(b){return a.objects.forEach(function(d){b.hasOwnProperty(d)&&(b[d]=c._filterObjects(b[d],d),c._sortObjects(b[d],d),"desc"===a.sortOrder&&(b[d]=b[d].reverse()))}),b};f.bind(this);var g=function(a){var b=Util.getPageId(),d=function(b){var d=null;return(a.categories||[]).forEach(function(a){a.isActive=a.id===b,!0===a.isActive&&(d=a)}),d&&(c.pageIds.activeCategoryId=d.id),d},e=function(b){var d=null;return(a.sections||[]).forEach(function(a){a.isActive||(a.isActive=a.id===b,!0===a.isActive&&(d=a,null!==a.parent_section_id&&e(a.parent_section_id)))}),d&&(c.pageIds.activeSectionId=d.id),d},f=function(b){var d=null;return(a.articles||[]).forEach(function(a){a.isActive=a.id===b,!0===a.isActive&&(d=a)}),d&&(c.pageIds.activeArticleId=d.id),d};if(Util.isCategoryPage())d(b);else if(Util.isSectionPage()){var g=e(b);c.pageIds.activeSectionId=b,g&&d(g.category_id)}else if(Util.isArticlePage()){var h=f(b);if(h){var g=e(h.section_id);g&&d(g.category_id)}}return a};if(Object.keys(a.collection).length){var h=g(a.collection);h=f(h),h=c.structureObjects(h),this.render(h)}else c.getObjects(a).then(g).then(f).then(c.structureObjects).then(c.render.bind(c))},getObjects:function(a){var b=a.objects,c=[];return(null!==a.categoryId||null!==a.sectionId||0<a.labels.length)&&0<Util.intersection(["categories","sections","articles"],a.objects).length&&(-1!==a.objects.indexOf("articles")||0<a.labels.length?c.push(this.getArticles(a)):-1===a.objects.indexOf("sections")?c.push(this.getCategories(a)):c.push(this.getSections(a)),b=b.filter(function(a){return-1===["categories","sections","articles"].indexOf(a)})),null!==a.topicId&&0<Util.intersection(["topics","posts"],a.objects).length&&(-1===a.objects.indexOf("posts")?c.push(this.getTopics(a)):c.push(this.getPosts(a)),b=b.filter(function(a){return-1===["topics","posts"].indexOf(a)})),b.length&&(Util.log("Fetching objects ("+b.join(", ")+") using Util.get()"),c.push(Util.get(b,a.properties))),Promise.all(c).then(function(b){if(1===b.length)return b[0];var c=Object.assign.apply(Object,b);for(var d in c)c.hasOwnProperty(d)&&-1===a.objects.indexOf(d)&&delete c[d];return c})},getCategories:function(a){var b="/api/v2/help_center/"+Util.locale+"categories";return null===a.categoryId?Util.log("Fetching categories"):(Util.log("Fetching category "+a.categoryId),b+="/"+a.categoryId),b+=".json",Util.request(b,a.properties)},getSections:function(a){var b="/api/v2/help_center/"+Util.locale;return null===a.categoryId?Util.log("Fetching sections"):(Util.log("Fetching sections from category "+a.categoryId),b+="/categories/"+a.categoryId),b+="/sections.json",-1!==a.objects.indexOf("categories")&&(b+="?include=categories"),Util.request(b,a.properties)},getArticles:function(a){var b=Util.intersection(["categories","sections"],a.objects),c=[],d="/api/v2/help_center/"+Util.locale;return null===a.categoryId?null===a.sectionId?Util.log("Fetching articles"):(Util.log("Fetching articles from section "+a.sectionId),d+="/sections/"+a.sectionId):(Util.log("Fetching articles from category "+a.categoryId),d+="/categories/"+a.categoryId),d+="/articles.json",b.length&&c.push("include="+b.join(",")),a.labels&&(Util.log("Fetching articles with labels ("+a.labels.join(",")+")"),c.push("label_names="+a.labels.join(","))),c.length&&(d+="?"+c.join("&")),Util.request(d,a.properties)},getTopics:function(a){var b="/api/v2/community/topics";return null===a.topicId?Util.log("Fetching topics"):(Util.log("Fetching topic "+a.topicId),b+="/"+a.topicId),b+=".json",Util.request(b,a.properties)},getPosts:function(a){var b="/api/v2/community/";return null===a.topicId?(Util.log("Fetching posts"),b+="posts"):(Util.log("Fetching posts from topic "+a.topicId),b+="topics/"+a.topicId+"/posts"),b+=".json",-1!==a.objects.indexOf("topics")&&(b+="?include=topics"),Util.request(b,a.properties)},_filterObjects:function(a,b){var c=this.options;if(c.filter.hasOwnProperty(b)&&null!==c.sort[b]){if("function"==typeof c.filter[b])return a.filter(c.filter[b]);var d=c.filter[b];if("string"==typeof d&&"function"==typeof Util[d])return a.filter(Util[d])}return a},_sortObjects:function(a,b){var c=this.options,d={categories:Util.sortByPosition,sections:Util.sortByPosition,articles:Util.sortByName,topics:Util.sortByDate,posts:Util.sortByDate};if(c.sort.hasOwnProperty(b)&&null!==c.sort[b]){if("function"==typeof c.sort[b])return a.sort(c.sort[b]);var e=c.sort[b];if("string"==typeof e&&"function"==typeof Util[e])return a.sort(Util[e])}return a.sort(d[b])},structureObjects:function(a){var b=a.categories||[],c=a.sections||[],d=a.articles||[],e=a.topics||[],f=a.posts||[],g=function(a){a.articles=d.filter(function(b){return b.section_id===a.id}),a.hasOwnProperty("sorting")&&("manual"===a.sorting&&a.articles.sort(Util.sortByPosition),"title"===a.sorting&&a.articles.sort(Util.sortByName),"creation_asc"===a.sorting&&a.articles.sort(Util.sortByDate),"creation_desc"===a.sorting&&a.articles.sort(Util.sortByDate).reverse()),a.sections=c.filter(function(b){return b.parent_section_id&&b.parent_section_id===a.id}),a.sections.forEach(g)};return c.forEach(g),b.forEach(function(a){a.sections=c.filter(function(b){return b.category_id===a.id&&null===b.parent_section_id})}),e.forEach(function(a){a.posts=f.filter(function(b){return b.topic_id===a.id})}),{categories:b,sections:c,articles:d,topics:e,posts:f}},render:function(b){var c=this.options,d=Util.extend(b);for(var e in this.pageIds)this.pageIds.hasOwnProperty(e)&&(d.hasOwnProperty(e)?!!this.pageIds[e]&&(d[e]=this.pageIds[e]):d[e]=this.pageIds[e]);c.templateData&&(d=Util.extend(d,c.templateData)),Util.renderTemplate(this.el,c.template,d,{replaceContent:!0}),Util.triggerEvent(this.el,a.RENDER,{relatedTarget:this.el,data:d,options:c})}}),ready(function(){each("[data-element=\"navigation\"]",function(a){new Navigation(a)})})})();
\ No newline at end of file
+(function(){"use strict";var t="navigation",e={RENDER:t+":render",EXPAND:t+":expand",ERROR:t+":error"},i=/^#?(category|section)-(\d+)$/;window.Navigation=Util.createPlugin({defaults:{collection:{},objects:["categories","sections","articles"],labels:[],categoryId:null,sectionId:null,topicId:null,lazy:!1,treeView:!1,readingProgress:!1,properties:["id","title","description","name","html_url","position","promoted","pinned","draft","section_id","sorting","category_id","parent_section_id","topic_id","created_at"],filter:{categories:function(t){return!0!==t.draft},sections:function(t){return!0!==t.draft},articles:function(t){return!0!==t.draft},topics:null,posts:null},sort:{categories:"sortByPosition",sections:"sortByPosition",articles:"sortByPosition",topics:"sortByPosition",posts:"sortByPosition"},sortOrder:"asc",template:null,errorTemplate:"navigation-error",templateData:{}},optionTypes:{collection:"(string|object)",objects:"(string|array)",labels:"(string|array)",categoryId:"(string|number|null)",sectionId:"(string|number|null)",topicId:"(string|number|null)",lazy:"boolean",treeView:"boolean",readingProgress:"boolean",properties:"(string|array)",sort:"(string|object)",sortOrder:"string",filter:"(string|object|null)",template:"(string|null)",errorTemplate:"(string|null)",templateData:"(string|object)"},initialize:function(t){var i=t.objects,n=this;for(var r in t)if(t.hasOwnProperty(r)){var o=t[r];if("string"==typeof o&&/object|array/g.test(this.optionTypes[r]))try{this.options[r]=t[r]=JSON.parse(o)}catch(e){this.options[r]=t[r]=this.defaults[r],console.error("Option value ("+r+") is not a valid JSON string.")}}-1!==i.indexOf("articles")&&-1!==i.indexOf("categories")&&-1===i.indexOf("sections")&&t.objects.push("sections"),n.pageIds={activeCategoryId:null,activeSectionId:null,activeArticleId:null,activeTopicId:null,activePostId:null};var s=function(e){return t.objects.forEach(function(i){e.hasOwnProperty(i)&&(e[i]=n._filterObjects(e[i],i),n._sortObjects(e[i],i),"desc"===t.sortOrder&&(e[i]=e[i].reverse()))}),e};s.bind(this);var c=function(t){var e=Util.getPageId(),i=function(e){var i=null;return(t.categories||[]).forEach(function(t){t.isActive=t.id===e,!0===t.isActive&&(i=t)}),i&&(n.pageIds.activeCategoryId=i.id),i},r=function(e){var i=null;return(t.sections||[]).forEach(function(t){t.isActive||(t.isActive=t.id===e,!0===t.isActive&&(i=t,null!==t.parent_section_id&&r(t.parent_section_id)))}),i&&(n.pageIds.activeSectionId=i.id),i};if(Util.isCategoryPage())i(e);else if(Util.isSectionPage()){var o=r(e);n.pageIds.activeSectionId=e,o&&i(o.category_id)}else if(Util.isArticlePage()){var s=function(e){var i=null;return(t.articles||[]).forEach(function(t){t.isActive=t.id===e,!0===t.isActive&&(i=t)}),i&&(n.pageIds.activeArticleId=i.id),i}(e);if(s)(o=r(s.section_id))&&i(o.category_id)}return t};if(Object.keys(t.collection).length){var l=c(t.collection);l=s(l),l=n.structureObjects(l),this.render(l)}else if(t.lazy&&-1!==t.objects.indexOf("categories")&&null===t.sectionId)this._build=function(){var t=function(t,e){e.isLoaded=!0===n.loaded[t+"-"+e.id],e.isExpanded=!0===n.expanded[t+"-"+e.id]};return n.collection.categories.forEach(t.bind(null,"category")),n.collection.sections.forEach(t.bind(null,"section")),n.structureObjects(s(c(Util.extend(n.collection))))},this.initLazyLoading(t).then(function(){n.render(n._build())}).catch(n._handleError.bind(n,e.ERROR));else{n.getObjects(t,{onUpdate:function(t){n.render(n.structureObjects(s(c(t))))}}).then(c).then(s).then(n.structureObjects).then(n.render.bind(n)).catch(n._handleError.bind(n,e.ERROR))}},initLazyLoading:function(t){var e=this;return this.collection={categories:[],sections:[],articles:[]},this.loaded={},this.expanded={},this.pending={},this.addLazyEventListeners(),Promise.all([this.getCategories(Util.extend(t,{categoryId:null})),this.getActiveBranch().catch(function(t){return Util.log("Unable to identify the active category",t),{}})]).then(function(i){e.collection.categories=(i[0].categories||[]).filter(function(e){return null===t.categoryId||String(e.id)===String(t.categoryId)});var n=i[1];if(n.categoryId)return e.load("category",n.categoryId).then(function(){for(var t=[],i=n.sectionId;i&&-1===t.indexOf(i);){var r=e._findObject("section",i);t.push(i),i=r?r.parent_section_id:null}return Promise.all(t.map(function(t){return e.load("section",t)}))})})},getActiveBranch:function(){var t=Util.getPageId(),e="/api/v2/help_center/"+Util.locale+"/",i=function(t){return Util.request(e+"sections/"+t+".json",["id","category_id"],{paginate:!1}).then(function(e){return{categoryId:e.section?e.section.category_id:null,sectionId:t}})};return Util.isCategoryPage()?Promise.resolve({categoryId:t,sectionId:null}):Util.isSectionPage()?i(t):Util.isArticlePage()?Util.request(e+"articles/"+t+".json",["id","section_id"],{paginate:!1}).then(function(t){return t.article?i(t.article.section_id):{categoryId:null,sectionId:null}}):Promise.resolve({categoryId:null,sectionId:null})},load:function(t,e){var i,n=this,r=this.options,o=t+"-"+e;return this.loaded[o]?Promise.resolve():(this.pending.hasOwnProperty(o)||(i="category"===t&&-1!==r.objects.indexOf("sections")?this.getSections(Util.extend(r,{categoryId:e,objects:["sections"]})):"section"===t&&-1!==r.objects.indexOf("articles")?this.getArticles(Util.extend(r,{categoryId:null,sectionId:e,objects:["articles"]})):Promise.resolve({}),this.pending[o]=i.then(function(t){["sections","articles"].forEach(function(e){Array.isArray(t[e])&&(n.collection[e]=Util.unique(n.collection[e].concat(t[e]),"id"))}),n.loaded[o]=!0,delete n.pending[o]},function(t){return delete n.pending[o],Promise.reject(t)})),this.pending[o])},expand:function(t,i){var n=this,r=t+"-"+i;return this.load(t,i).then(function(){n.expanded[r]=!0,n.render(n._build()),Util.triggerEvent(n.el,e.EXPAND,{relatedTarget:n.el,type:t,id:i,object:n._findObject(t,i)})}).catch(n._handleError.bind(n,e.ERROR))},addLazyEventListeners:function(){var t=this;this.el.addEventListener("click",function(e){var n=e.target.matches('[data-toggle="collapse"]')?e.target:Util.closest(e.target,'[data-toggle="collapse"]'),r=n?i.exec(Util.getSelectorFromElement(n)||""):null;r&&!t.loaded[r[0].replace("#","")]&&(e.preventDefault(),t.expand(r[1],parseInt(r[2],10)))});var e=function(e,n){var r=i.exec(n.target.id||"");r&&(t.expanded[r[0]]=e)};this.el.addEventListener("collapse:shown",e.bind(this,!0),!0),this.el.addEventListener("collapse:hidden",e.bind(this,!1),!0)},_findObject:function(t,e){return("category"===t?this.collection.categories:this.collection.sections).filter(function(t){return String(t.id)===String(e)})[0]||null},getObjects:function(t,e){e=e||{};var i=t.objects,n=[],r=[],o=e.onUpdate,s=function(e){if(1===e.length)return e[0];var i=Object.assign.apply(Object,[{}].concat(e));for(var n in i)i.hasOwnProperty(n)&&-1===t.objects.indexOf(n)&&delete i[n];return i},c=function(t){return"function"!=typeof o?e:Util.extend(e,{onUpdate:function(e){r[t]=e,r.filter(Boolean).length===n.length&&o(s(r))}})};return(null!==t.categoryId||null!==t.sectionId||t.labels.length>0)&&Util.intersection(["categories","sections","articles"],t.objects).length>0&&(-1!==t.objects.indexOf("articles")||t.labels.length>0?n.push(this.getArticles(t,c(n.length))):-1!==t.objects.indexOf("sections")?n.push(this.getSections(t,c(n.length))):n.push(this.getCategories(t,c(n.length))),i=i.filter(function(t){return-1===["categories","sections","articles"].indexOf(t)})),null!==t.topicId&&Util.intersection(["topics","posts"],t.objects).length>0&&(-1!==t.objects.indexOf("posts")?n.push(this.getPosts(t,c(n.length))):n.push(this.getTopics(t,c(n.length))),i=i.filter(function(t){return-1===["topics","posts"].indexOf(t)})),i.length&&(Util.log("Fetching objects ("+i.join(", ")+") using Util.get()"),n.push(Util.get(i,t.properties,c(n.length)))),Promise.all(n).then(function(t){return t.forEach(function(t,e){r[e]||(r[e]=t)}),s(r)})},getCategories:function(t,e){var i="/api/v2/help_center/"+Util.locale+"/categories";return null!==t.categoryId?(Util.log("Fetching category "+t.categoryId),i+="/"+t.categoryId):Util.log("Fetching categories"),i+=".json",Util.request(i,t.properties,e)},getSections:function(t,e){var i="/api/v2/help_center/"+Util.locale;return null!==t.categoryId?(Util.log("Fetching sections from category "+t.categoryId),i+="/categories/"+t.categoryId):Util.log("Fetching sections"),i+="/sections.json",-1!==t.objects.indexOf("categories")&&(i+="?include=categories"),Util.request(i,t.properties,e)},getArticles:function(t,e){var i=Util.intersection(["categories","sections"],t.objects),n=[],r="/api/v2/help_center/"+Util.locale;return null!==t.categoryId?(Util.log("Fetching articles from category "+t.categoryId),r+="/categories/"+t.categoryId):null!==t.sectionId?(Util.log("Fetching articles from section "+t.sectionId),r+="/sections/"+t.sectionId):Util.log("Fetching articles"),r+="/articles.json",i.length&&n.push("include="+i.join(",")),t.labels&&(Util.log("Fetching articles with labels ("+t.labels.join(",")+")"),n.push("label_names="+t.labels.join(","))),n.length&&(r+="?"+n.join("&")),Util.request(r,t.properties,e)},getTopics:function(t,e){var i="/api/v2/community/topics";return null!==t.topicId?(Util.log("Fetching topic "+t.topicId),i+="/"+t.topicId):Util.log("Fetching topics"),i+=".json",Util.request(i,t.properties,e)},getPosts:function(t,e){var i="/api/v2/community/";return null!==t.topicId?(Util.log("Fetching posts from topic "+t.topicId),i+="topics/"+t.topicId+"/posts"):(Util.log("Fetching posts"),i+="posts"),i+=".json",-1!==t.objects.indexOf("topics")&&(i+="?include=topics"),Util.request(i,t.properties,e)},_filterObjects:function(t,e){var i=this.options;if(i.filter.hasOwnProperty(e)&&null!==i.sort[e]){if("function"==typeof i.filter[e])return t.filter(i.filter[e]);var n=i.filter[e];if("string"==typeof n&&"function"==typeof Util[n])return t.filter(Util[n])}return t},_sortObjects:function(t,e){var i=this.options,n={categories:Util.sortByPosition,sections:Util.sortByPosition,articles:Util.sortByName,topics:Util.sortByDate,posts:Util.sortByDate};if(i.sort.hasOwnProperty(e)&&null!==i.sort[e]){if("function"==typeof i.sort[e])return t.sort(i.sort[e]);var r=i.sort[e];if("string"==typeof r&&"function"==typeof Util[r])return t.sort(Util[r])}return t.sort(n[e])},structureObjects:function(t){var e=t.categories||[],i=t.sections||[],n=t.articles||[],r=t.topics||[],o=t.posts||[],s=function(t){t.articles=n.filter(function(e){return e.section_id===t.id}),t.hasOwnProperty("sorting")&&("manual"===t.sorting&&t.articles.sort(Util.sortByPosition),"title"===t.sorting&&t.articles.sort(Util.sortByName),"creation_asc"===t.sorting&&t.articles.sort(Util.sortByDate),"creation_desc"===t.sorting&&t.articles.sort(Util.sortByDate).reverse()),t.sections=i.filter(function(e){return e.parent_section_id&&e.parent_section_id===t.id}),t.sections.forEach(s)};return i.forEach(s),e.forEach(function(t){t.sections=i.filter(function(e){return e.category_id===t.id&&null===e.parent_section_id})}),r.forEach(function(t){t.posts=o.filter(function(e){return e.topic_id===t.id})}),{categories:e,sections:i,articles:n,topics:r,posts:o}},render:function(t){var i=this.options,n=Util.extend(t);for(var r in this.pageIds)this.pageIds.hasOwnProperty(r)&&(n.hasOwnProperty(r)?this.pageIds[r]&&(n[r]=this.pageIds[r]):n[r]=this.pageIds[r]);if(i.readingProgress&&n.articles){var o=Util.storage("articles",!1,"articleProgress").get({});n.articles.forEach(function(t){t.readingProgress=o[t.id]||null})}i.templateData&&(n=Util.extend(n,i.templateData)),Util.renderTemplate(this.el,i.template,n,{replaceContent:!0}),i.treeView&&window.TreeView&&(this.treeView?this.treeView.update():this.treeView=new TreeView(this.el)),Util.triggerEvent(this.el,e.RENDER,{relatedTarget:this.el,data:n,options:i})}}),ready(function(){each('[data-element="navigation"]',function(t){new Navigation(t)})})})();
\ No newline at end of file
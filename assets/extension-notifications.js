@@ -1,4 +1,3 @@
-
 (function() {
 
   "use strict";
@@ -6,15 +5,415 @@
   var NAME = 'notification';
 
   var Event = {
-    RENDER: NAME + ':render'
+    RENDER:  NAME + ':render',
+    DISMISS:     NAME + ':dismiss',
+    ACKNOWLEDGE: NAME + ':acknowledge',
+    ERROR:       NAME + ':error'
+  };
+
+  // The ways in which a notification can be presented
+  var Display = {
+    INLINE: 'inline',
+    TOAST:  'toast',
+    MODAL:  'modal'
+  };
+
+  // The background color of toasts and modals for each notification type
+  var TypeClassName = {
+    error:   'bg-red-500',
+    warning: 'bg-orange-500',
+    success: 'bg-green-500',
+    tip:     'bg-primary'
+  };
+
+  var FOCUSABLE_SELECTOR = 'a[href], area[href], button:not([disabled]), input:not([disabled]), select:not([disabled]), ' +
+    'textarea:not([disabled]), iframe, [contenteditable], [tabindex]:not([tabindex="-1"])';
+
+  var CLOSE_ICON = '<svg class="svg-icon fill-current" xmlns="http://www.w3.org/2000/svg" viewBox="0 0 1080 1080" aria-hidden="true" focusable="false">' +
+    '<polygon points="980.528,205.539 874.462,99.473 540,433.935 205.539,99.473 99.473,205.539 433.935,540 99.473,874.462 205.539,980.527 540,646.066 874.462,980.527 980.527,874.462 646.066,540 "/>' +
+    '</svg>';
+
+  // The scopes in which a notification can be dismissed
+  var DismissScope = {
+    SESSION:    'session',
+    PERSISTENT: 'persistent',
+    VERSION:    'version'
+  };
+
+  /**
+   * Returns true if the value is a valid way of presenting notifications.
+   *
+   * @param value
+   * @returns {boolean}
+   */
+  function isDisplay(value) {
+    return Object.keys(Display).some(function(key) {
+      return Display[key] === value;
+    });
+  }
+
+  // The number of milliseconds in a day
+  var DAY = 86400000;
+
+  // The prefixes of article labels which schedule, prioritize and target notifications
+  var LabelPrefix = {
+    STARTS:       'starts:',
+    ENDS:         'ends:',
+    PRIORITY:     'priority:',
+    ROLE:         'role:',
+    ORGANIZATION: 'organization:',
+    SIGNED_IN:    'signed-in:',
+    LOCALE:       'locale:',
+    CATEGORY:     'category:',
+    SECTION:      'section:',
+    DISPLAY:      'display:'
   };
 
+  // The longest delay supported by `setTimeout`
+  var MAX_DELAY = 2147483647;
+
+  /**
+   * Returns a list of values from an array or a comma-separated string.
+   *
+   * @param value
+   * @returns {Array}
+   */
+  function toList(value) {
+    if (Array.isArray(value)) return value.map(String);
+    return value ? String(value).split(',').map(function(item) { return item.trim(); }).filter(Boolean) : [];
+  }
+
+  /**
+   * Returns the timestamp of a date string, or null if it's missing or invalid.
+   *
+   * @param value
+   * @returns {number|null}
+   */
+  function toTime(value) {
+    var time = value ? new Date(value).getTime() : NaN;
+    if (value && isNaN(time)) {
+      console.error('An invalid notification date was provided: ' + value);
+    }
+    return isNaN(time) ? null : time;
+  }
+
+  /**
+   * Returns the storage for dismissed notifications.
+   *
+   * Session dismissals are stored in sessionStorage, and persistent and versioned dismissals in
+   * localStorage, as a single record keyed by notification ID.
+   *
+   * @param session
+   * @returns {Storage}
+   */
+  function getDismissals(session) {
+    return Util.storage('dismissed', session, NAME);
+  }
+
+  // The session storage key of notifications dismissed with the notification widget, before
+  // dismissals were stored in a single record
+  var LEGACY_WIDGET_KEY = 'alpine:notification:dismissed';
+
+  /**
+   * Moves the dismissals stored by previous versions of the theme (`<id>_dismissed` and the
+   * notification widget's key in sessionStorage) to the session dismissals record.
+   */
+  function migrateDismissals() {
+    var keys = [];
+    try {
+      for (var i = 0; i < window.sessionStorage.length; i++) {
+        var key = window.sessionStorage.key(i);
+        if (key === LEGACY_WIDGET_KEY || /^[\w-]+_dismissed$/.test(key)) {
+          keys.push(key);
+        }
+      }
+    } catch (e) {
+      return;
+    }
+
+    if (!keys.length) {
+      return;
+    }
+
+    var storage = getDismissals(true);
+    var dismissals = storage.get({});
+    var now = new Date().getTime();
+
+    keys.forEach(function(key) {
+      var id = key === LEGACY_WIDGET_KEY ? 'alpine' : key.slice(0, -'_dismissed'.length);
+      if (window.sessionStorage.getItem(key) === 'true' && !dismissals[id]) {
+        dismissals[id] = { version: null, dismissedAt: now, expiresAt: null };
+      }
+      window.sessionStorage.removeItem(key);
+    });
+    storage.set(dismissals);
+  }
+
+  /**
+   * Returns the storage for acknowledged notifications.
+   *
+   * @returns {Storage}
+   */
+  function getAcknowledgements() {
+    return Util.storage('acknowledged', false, NAME);
+  }
+
+  // The toast stack, the modal being shown and the modals waiting to be shown
+  var toasts = null;
+  var modal = null;
+  var modalQueue = [];
+  var modalCount = 0;
+
+  /**
+   * Returns the toast stack, which is created when the first toast is shown.
+   *
+   * The stack is a polite live region, so toasts are announced without interrupting the visitor.
+   * Error toasts are alerts, which are announced immediately.
+   *
+   * @param label
+   * @returns {HTMLElement}
+   */
+  function getToasts(label) {
+    if (!toasts) {
+      toasts = document.createElement('DIV');
+      toasts.className = 'notification-toasts';
+      toasts.setAttribute('role', 'region');
+      toasts.setAttribute('aria-live', 'polite');
+      toasts.setAttribute('aria-label', label);
+      document.body.appendChild(toasts);
+    }
+    return toasts;
+  }
+
+  /**
+   * Returns the content of a toast or modal.
+   *
+   * @param notification
+   * @param titleId - The ID of the title element [optional]
+   * @returns {DocumentFragment}
+   */
+  function getContent(notification, titleId) {
+    var fragment = document.createDocumentFragment();
+
+    if (notification.title) {
+      var title = document.createElement(titleId ? 'H2' : 'P');
+      title.className = 'notification-title font-semibold m-0';
+      title.textContent = notification.title;
+      if (titleId) title.id = titleId;
+      fragment.appendChild(title);
+    }
+
+    var body = document.createElement('DIV');
+    body.className = 'notification-body';
+    body.innerHTML = notification.content;
+    fragment.appendChild(body);
+
+    return fragment;
+  }
+
+  /**
+   * Shows a toast, which is removed after a timeout unless the visitor hovers over or focuses it.
+   *
+   * @param notification
+   * @returns {Promise<{id: *, isDismissed: boolean}>} - Resolves when the toast is removed
+   */
+  function showToast(notification) {
+    return new Promise(function(resolve) {
+      var toast = document.createElement('DIV');
+      toast.className = 'notification-toast flex align-items-start p-4 text-white transition opacity-100 ' + (TypeClassName[notification.type] || '');
+      toast.setAttribute('aria-atomic', 'true');
+      if (notification.type === 'error') {
+        toast.setAttribute('role', 'alert');
+      }
+
+      var content = document.createElement('DIV');
+      content.className = 'notification-content mr-auto';
+      content.appendChild(getContent(notification));
+      toast.appendChild(content);
+
+      var remaining = notification.timeout;
+      var startedAt = null;
+      var timer = null;
+      var isHovered = false;
+      var isFocused = false;
+
+      var close = function(isDismissed) {
+        window.clearTimeout(timer);
+        Util.onTransitionEnd(toast, function() {
+          toast.remove();
+          resolve({ id: notification.id, isDismissed: isDismissed });
+        });
+        toast.classList.remove('opacity-100');
+        Util.reflow(toast);
+        toast.classList.add('opacity-0');
+      };
+
+      var start = function() {
+        if (!remaining || isHovered || isFocused) return;
+        startedAt = new Date().getTime();
+        timer = window.setTimeout(close.bind(null, false), remaining);
+      };
+
+      var pause = function() {
+        if (!remaining || startedAt === null) return;
+        window.clearTimeout(timer);
+        remaining = Math.max(remaining - (new Date().getTime() - startedAt), 1);
+        startedAt = null;
+      };
+
+      if (notification.dismissible) {
+        var button = document.createElement('BUTTON');
+        button.className = 'notification-close not-a-button p-1 ml-3 cursor-pointer';
+        button.setAttribute('aria-label', notification.dismissLabel);
+        button.innerHTML = CLOSE_ICON;
+        button.addEventListener('click', close.bind(null, true));
+        toast.appendChild(button);
+      }
+
+      toast.addEventListener('mouseenter', function() {
+        isHovered = true;
+        pause();
+      });
+      toast.addEventListener('mouseleave', function() {
+        isHovered = false;
+        start();
+      });
+      toast.addEventListener('focusin', function() {
+        isFocused = true;
+        pause();
+      });
+      toast.addEventListener('focusout', function(e) {
+        if (!toast.contains(e.relatedTarget)) {
+          isFocused = false;
+          start();
+        }
+      });
+
+      getToasts(notification.regionLabel).appendChild(toast);
+      start();
+    });
+  }
+
+  /**
+   * Shows the next modal in the queue.
+   *
+   * The modal is an alert dialog which traps focus and hides the rest of the page from assistive
+   * technologies until the notification is acknowledged.
+   */
+  function showNextModal() {
+    if (modal || !modalQueue.length) return;
+
+    var item = modalQueue.shift();
+    var notification = item.notification;
+    var id = 'notification-modal-' + (++modalCount);
+    var previousFocus = document.activeElement;
+
+    modal = document.createElement('DIV');
+    modal.className = 'notification-modal';
+
+    var dialog = document.createElement('DIV');
+    dialog.className = 'notification-modal-dialog p-6 text-white border-radius ' + (TypeClassName[notification.type] || '');
+    dialog.setAttribute('role', 'alertdialog');
+    dialog.setAttribute('aria-modal', 'true');
+    dialog.setAttribute('aria-describedby', id + '-body');
+    dialog.setAttribute('tabindex', '-1');
+    if (notification.title) {
+      dialog.setAttribute('aria-labelledby', id + '-title');
+    } else {
+      dialog.setAttribute('aria-label', notification.regionLabel);
+    }
+
+    dialog.appendChild(getContent(notification, id + '-title'));
+    dialog.querySelector('.notification-body').id = id + '-body';
+
+    var button = document.createElement('BUTTON');
+    button.className = 'button button-primary mt-4';
+    button.textContent = notification.acknowledgeLabel;
+    dialog.appendChild(button);
+    modal.appendChild(dialog);
+
+    // Hide the rest of the page from assistive technologies
+    var hidden = Array.prototype.filter.call(document.body.children, function(el) {
+      return el !== modal && !el.hasAttribute('aria-hidden');
+    });
+    hidden.forEach(function(el) {
+      el.setAttribute('aria-hidden', 'true');
+    });
+
+    var onKeyDown = function(e) {
+      if (e.key !== 'Tab') return;
+
+      var focusable = Array.prototype.filter.call(dialog.querySelectorAll(FOCUSABLE_SELECTOR), function(el) {
+        return el.offsetWidth || el.offsetHeight || el.getClientRects().length;
+      });
+      var first = focusable[0];
+      var last = focusable[focusable.length - 1];
+
+      if (!dialog.contains(document.activeElement)) {
+        e.preventDefault();
+        first.focus();
+      } else if (e.shiftKey && (document.activeElement === first || document.activeElement === dialog)) {
+        e.preventDefault();
+        last.focus();
+      } else if (!e.shiftKey && document.activeElement === last) {
+        e.preventDefault();
+        first.focus();
+      }
+    };
+
+    // Return focus to the dialog if it moves elsewhere (e.g. when the page is clicked)
+    var onFocusIn = function(e) {
+      if (!dialog.contains(e.target)) {
+        dialog.focus();
+      }
+    };
+
+    button.addEventListener('click', function() {
+      document.removeEventListener('keydown', onKeyDown);
+      document.removeEventListener('focusin', onFocusIn);
+      hidden.forEach(function(el) {
+        el.removeAttribute('aria-hidden');
+      });
+      document.documentElement.classList.remove('notification-modal-open');
+      modal.remove();
+      modal = null;
+
+      if (previousFocus && previousFocus.focus) {
+        previousFocus.focus();
+      }
+
+      item.resolve(Notifications.acknowledge(notification.id, notification.version));
+      showNextModal();
+    });
+
+    document.addEventListener('keydown', onKeyDown);
+    document.addEventListener('focusin', onFocusIn);
+    document.documentElement.classList.add('notification-modal-open');
+    document.body.appendChild(modal);
+    button.focus();
+  }
+
   /**
    * Notifications extension.
    *
+   * Notifications can be scheduled, ordered by priority and targeted at visitors (by role,
+   * organization, signed-in state and locale) and pages (by category or section).  Article
+   * notifications are configured with labels, e.g. `ends:2024-05-01T18:00Z`, `priority:10`,
+   * `role:agent` or `section:360001234567`.  Labels with the same prefix match any of their
+   * values, and labels with different prefixes must all match.
+   *
+   * Notifications are shown inline, as toasts or as modals which must be acknowledged (e.g. with
+   * the `display:modal` label).
+   *
+   * The extension is exposed as `Notifications`, so the browser's Notification API remains available.
+   * `Notification` remains supported for existing code (see below).
+   *
+   * The accessible labels are translated with the theme settings (see `Theme.notifications`), and
+   * can be set for each notification with data attributes (e.g. `data-dismiss-label`).
+   *
    * @type {component}
    */
-  window.Notification = Util.createPlugin({
+  window.Notifications = Util.createPlugin({
 
     defaults: {
       id: null,
@@ -22,7 +421,56 @@
       type: 'error',
       labels: '',
       dismissible: false,
+
+      // How the notifications are shown (`inline`, `toast` or `modal`)
+      display: Display.INLINE,
+
+      // The number of milliseconds after which toasts are removed (never if 0)
+      timeout: 8000,
+
+      // The accessible labels of the toast stack and the buttons of notifications
+      regionLabel: 'Notifications',
+      dismissLabel: 'Dismiss',
+      acknowledgeLabel: 'Acknowledge',
+
+      // Whether a dismissal lasts for the session, is persistent, or lasts until the notification
+      // is updated (`session`, `persistent` or `version`)
+      dismissScope: DismissScope.SESSION,
+
+      // The number of days after which persistent and versioned dismissals expire (never if null)
+      dismissExpiry: null,
+
+      // The version of the content (a hash of the content otherwise, or the date an article
+      // was last updated)
+      version: null,
+
+      // The date and time at which the notification is shown and hidden
+      startsAt: null,
+      endsAt: null,
+
+      // Notifications with a higher priority are shown first
+      priority: 0,
+
+      // The maximum number of notifications shown at once
+      limit: null,
+
+      // The user roles (`anonymous`, `end_user`, `agent` or `manager`), organization IDs or names,
+      // signed-in state and locales the notification is shown to
+      roles: [],
+      organizations: [],
+      signedIn: null,
+      locales: [],
+
+      // The categories and sections in which the notification is shown
+      categories: [],
+      sections: [],
+
+      // The category and section of the current page (identified from the URL otherwise)
+      categoryId: null,
+      sectionId: null,
+
       template: null,
+      errorTemplate: 'notification-error',
       templateData: {}
     },
 
@@ -32,7 +480,28 @@
       type: 'string',
       labels: 'string',
       dismissible: 'boolean',
+      display: 'string',
+      timeout: 'number',
+      regionLabel: 'string',
+      dismissLabel: 'string',
+      acknowledgeLabel: 'string',
+      dismissScope: 'string',
+      dismissExpiry: '(number|null)',
+      version: '(string|number|null)',
+      startsAt: '(string|null)',
+      endsAt: '(string|null)',
+      priority: 'number',
+      limit: '(number|null)',
+      roles: '(string|array)',
+      organizations: '(string|array)',
+      signedIn: '(boolean|null)',
+      locales: '(string|array)',
+      categories: '(string|array)',
+      sections: '(string|array)',
+      categoryId: '(string|number|null)',
+      sectionId: '(string|number|null)',
       template: '(string|null)',
+      errorTemplate: '(string|null)',
       templateData: 'object'
     },
 
@@ -57,43 +526,71 @@
         this.options.dismissible = options.dismissible = false;
       }
 
+      if (!isDisplay(options.display)) {
+        console.error('An invalid notification display was provided');
+        this.options.display = options.display = Display.INLINE;
+      }
+
+      if (Object.keys(DismissScope).map(function(key) { return DismissScope[key]; }).indexOf(options.dismissScope) === -1) {
+        console.error('An invalid dismissal scope was provided');
+        this.options.dismissScope = options.dismissScope = DismissScope.SESSION;
+      }
+
+      if (!options.categoryId && Util.isCategoryPage()) {
+        options.categoryId = Util.getPageId();
+      }
+
+      if (!options.sectionId && Util.isSectionPage()) {
+        options.sectionId = Util.getPageId();
+      }
+
+      this.notifications = [];
+      this.shown = [];
+      this.timeout = null;
+
       if (options.labels) {
         this.getArticles(options.labels)
           .then(function(json) {
-            return json.results
-              .map(function(article) {
-                if (options.dismissible && window.sessionStorage.getItem(article.id + '_dismissed') === 'true') {
-                  return false;
-                }
-                return {
-                  id: article.id,
-                  title: article.title,
-                  body: article.body,
-                  body_plain: article.body.replace(/(<([^>]+)>)/gi, ""),
-                  type: options.type,
-                  url: article['html_url']
-                }
-              })
-              .filter(function(notification) {
-                return notification;
-              })
-          })
-          .then(this.render.bind(this));
+            return json.results.map(function(article) {
+              return Util.extend({
+                id: article.id,
+                title: article.title,
+                body: article.body,
+                body_plain: article.body.replace(/(<([^>]+)>)/gi, ""),
+                type: options.type,
+                url: article['html_url'],
+                version: article['updated_at']
+              }, this.getRules(article['label_names'] || []));
+            }, this);
+          }.bind(this))
+          .then(this.filter.bind(this))
+          .then(this.update.bind(this))
+          .catch(this._handleError.bind(this, Event.ERROR));
       } else {
         var notifications = [];
         var bodyPlain = options.content.replace(/(<([^>]+)>)/gi, "");
-        if (options.dismissible && options.id && window.sessionStorage.getItem(options.id + '_dismissed') === 'true') {
-          return;
-        }
         notifications.push({
           id: options.id,
           title: null,
           body: options.content,
           body_plain: bodyPlain,
           type: options.type,
-          url: null
+          url: null,
+          display: options.display,
+          version: options.version !== null ? options.version : Util.getHashString(options.content),
+          startsAt: toTime(options.startsAt),
+          endsAt: toTime(options.endsAt),
+          priority: options.priority,
+          roles: toList(options.roles),
+          organizations: toList(options.organizations),
+          signedIn: options.signedIn,
+          locales: toList(options.locales),
+          categories: toList(options.categories),
+          sections: toList(options.sections)
         });
-        this.render(notifications);
+        this.filter(notifications)
+          .then(this.update.bind(this))
+          .catch(this._handleError.bind(this, Event.ERROR));
       }
     },
 
@@ -104,10 +601,233 @@
      */
     getArticles: function(labels) {
       var url = '/api/v2/help_center/articles/search.json?label_names=' + labels;
-      return fetch(url)
+      return Util.fetch(url)
         .then(function(response) {
-          return response.json()
+          return Util.getJSON(response, 'search');
+        });
+    },
+
+    /**
+     * Returns the schedule, priority and targeting rules defined by an article's labels.
+     *
+     * @param labels
+     * @returns {{}}
+     */
+    getRules: function(labels) {
+      var values = function(prefix) {
+        return labels
+          .filter(function(label) {
+            return label.toLowerCase().indexOf(prefix) === 0;
+          })
+          .map(function(label) {
+            return label.substring(prefix.length).trim();
+          });
+      };
+
+      // Dates are uppercased, since labels may be stored in lower case (e.g. `2024-05-01t18:00z`)
+      var date = function(prefix) {
+        var value = values(prefix)[0];
+        return toTime(value ? value.toUpperCase() : null);
+      };
+
+      var signedIn = values(LabelPrefix.SIGNED_IN)[0];
+      var display = values(LabelPrefix.DISPLAY)[0];
+      return {
+        startsAt: date(LabelPrefix.STARTS),
+        endsAt: date(LabelPrefix.ENDS),
+        priority: parseInt(values(LabelPrefix.PRIORITY)[0], 10) || 0,
+        roles: values(LabelPrefix.ROLE),
+        organizations: values(LabelPrefix.ORGANIZATION),
+        signedIn: signedIn ? ['true', 'yes'].indexOf(signedIn.toLowerCase()) !== -1 : null,
+        locales: values(LabelPrefix.LOCALE),
+        categories: values(LabelPrefix.CATEGORY),
+        sections: values(LabelPrefix.SECTION),
+        display: isDisplay(display) ? display : this.options.display
+      };
+    },
+
+    /**
+     * Returns the current user's role, organizations and locale.
+     *
+     * @returns {{role: string, organizations: Array, locale: string}}
+     */
+    getUser: function() {
+      var user = window.HelpCenter && HelpCenter.user ? HelpCenter.user : {};
+      return {
+        role: user.role || 'anonymous',
+        organizations: (user.organizations || []).reduce(function(organizations, organization) {
+          return organizations.concat([String(organization.id), String(organization.name).toLowerCase()]);
+        }, []),
+        locale: String(user.locale || (window.Theme && Theme.locale) || Util.locale).toLowerCase()
+      };
+    },
+
+    /**
+     * Returns the ID of the current page's category.
+     *
+     * On article and section pages, the category is retrieved from the section if it isn't specified.
+     *
+     * @returns {Promise<string|number|null>}
+     */
+    getCategoryId: function() {
+      var options = this.options;
+      if (options.categoryId || !options.sectionId) {
+        return Promise.resolve(options.categoryId || null);
+      }
+
+      var url = '/api/v2/help_center/' + Util.locale + '/sections/' + options.sectionId + '.json';
+      return Util.request(url, ['id', 'category_id'], { paginate: false })
+        .then(function(json) {
+          options.categoryId = json.section ? json.section['category_id'] : null;
+          return options.categoryId;
+        })
+        .catch(function(error) {
+          Util.log('Unable to retrieve the category of section ' + options.sectionId, error);
+          return null;
+        });
+    },
+
+    /**
+     * Returns the notifications targeted at the current user and page.
+     *
+     * @param notifications
+     * @returns {Promise<Array>}
+     */
+    filter: function(notifications) {
+      var options = this.options;
+      var user = this.getUser();
+      var matches = function(values, value) {
+        return !values.length || values.some(function(item) {
+          return String(item).toLowerCase() === String(value).toLowerCase();
+        });
+      };
+
+      notifications = notifications.filter(function(notification) {
+        return matches(notification.roles, user.role) &&
+          (!notification.organizations.length || notification.organizations.some(function(organization) {
+            return user.organizations.indexOf(String(organization).toLowerCase()) !== -1;
+          })) &&
+          (notification.signedIn === null || notification.signedIn === (user.role !== 'anonymous')) &&
+          (!notification.locales.length || matches(notification.locales, user.locale) || matches(notification.locales, user.locale.split('-')[0])) &&
+          (!notification.sections.length || (!!options.sectionId && matches(notification.sections, options.sectionId)));
+      });
+
+      var needsCategory = notifications.some(function(notification) {
+        return notification.categories.length;
+      });
+
+      return (needsCategory ? this.getCategoryId() : Promise.resolve(options.categoryId))
+        .then(function(categoryId) {
+          return notifications.filter(function(notification) {
+            return !notification.categories.length || (!!categoryId && matches(notification.categories, categoryId));
+          });
+        });
+    },
+
+    /**
+     * Shows the notifications which are currently scheduled and haven't been dismissed (or
+     * acknowledged), in order of priority.  Toasts and modals are only shown once per page.
+     *
+     * The notifications are updated again when the next one is scheduled to start or end.
+     *
+     * @param notifications
+     */
+    update: function(notifications) {
+      var now = new Date().getTime();
+      var limit = this.options.limit;
+      var dismissible = this.options.dismissible;
+
+      if (notifications) {
+        this.notifications = notifications;
+      }
+
+      var scheduled = this.notifications
+        .filter(function(notification) {
+          return (!notification.startsAt || notification.startsAt <= now) && (!notification.endsAt || notification.endsAt > now) &&
+            !(dismissible && notification.id && Notifications.isDismissed(notification.id, notification.version)) &&
+            !(notification.display === Display.MODAL && notification.id && Notifications.isAcknowledged(notification.id, notification.version));
+        })
+        .map(function(notification, index) {
+          return { notification: notification, index: index };
+        })
+        .sort(function(a, b) {
+          return (b.notification.priority - a.notification.priority) || (a.index - b.index);
+        })
+        .map(function(item) {
+          return item.notification;
         });
+
+      if (limit !== null && limit >= 0) {
+        scheduled = scheduled.slice(0, limit);
+      }
+
+      this.render(scheduled.filter(function(notification) {
+        return notification.display === Display.INLINE;
+      }));
+
+      scheduled.forEach(function(notification) {
+        if (notification.display !== Display.INLINE && this.shown.indexOf(notification) === -1) {
+          this.shown.push(notification);
+          this.show(notification);
+        }
+      }, this);
+
+      var next = this.notifications
+        .reduce(function(times, notification) {
+          return times.concat([notification.startsAt, notification.endsAt]);
+        }, [])
+        .filter(function(time) {
+          return time && time > now;
+        })
+        .sort(function(a, b) {
+          return a - b;
+        })[0];
+
+      window.clearTimeout(this.timeout);
+      if (next && next - now <= MAX_DELAY) {
+        this.timeout = window.setTimeout(this.update.bind(this, null), next - now);
+      }
+    },
+
+    /**
+     * Shows a notification as a toast or modal.
+     *
+     * @param notification
+     * @returns {Promise}
+     */
+    show: function(notification) {
+      var options = this.options;
+      var _this = this;
+
+      return Notifications.show({
+        id: notification.id,
+        title: notification.title,
+        content: notification.body,
+        type: notification.type,
+        display: notification.display,
+        timeout: options.timeout,
+        dismissible: true,
+        version: notification.version,
+        regionLabel: options.regionLabel,
+        dismissLabel: options.dismissLabel,
+        acknowledgeLabel: options.acknowledgeLabel
+      }).then(function(result) {
+        if (notification.display === Display.MODAL) {
+          Util.triggerEvent(_this.el, Event.ACKNOWLEDGE, {
+            relatedTarget: _this.el,
+            notification: notification,
+            acknowledgement: result
+          });
+        } else if (result.isDismissed) {
+          if (options.dismissible && notification.id) {
+            Notifications.setDismissed(notification.id, options.dismissScope, notification.version, options.dismissExpiry);
+          }
+          Util.triggerEvent(_this.el, Event.DISMISS, {
+            relatedTarget: _this.el,
+            notification: notification
+          });
+        }
+      });
     },
 
     /**
@@ -136,7 +856,7 @@
                     '</svg>' +
                     '<p class="m-1 font-medium mr-auto"><%= notification.body_plain %></p>' +
                     '<% if (dismissible && notification.id) { %>' +
-                      '<button class="not-a-button js-close">' +
+                      '<button class="not-a-button js-close" type="button" aria-label="<%- dismissLabel %>">' +
                         '<svg class="svg-icon font-size-2xl fill-current cursor-pointer" xmlns="http://www.w3.org/2000/svg" xmlns:xlink="http://www.w3.org/1999/xlink" viewBox="0 0 32 32">' +
                           '<path d="M17.414,16l9.293-9.293c0.391-0.391,0.391-1.023,0-1.414s-1.023-0.391-1.414,0L16,14.586L6.707,5.293  c-0.391-0.391-1.023-0.391-1.414,0s-0.391,1.023,0,1.414L14.586,16l-9.293,9.293c-0.391,0.391-0.391,1.023,0,1.414  C5.488,26.902,5.744,27,6,27s0.512-0.098,0.707-0.293L16,17.414l9.293,9.293C25.488,26.902,25.744,27,26,27s0.512-0.098,0.707-0.293  c0.391-0.391,0.391-1.023,0-1.414L17.414,16z"/>' +
                         '</svg>' +
@@ -158,7 +878,7 @@
                     '</svg>' +
                     '<p class="m-1 font-medium mr-auto"><%= notification.body_plain %></p>' +
                     '<% if (dismissible && notification.id) { %>' +
-                      '<button class="not-a-button js-close">' +
+                      '<button class="not-a-button js-close" type="button" aria-label="<%- dismissLabel %>">' +
                         '<svg class="svg-icon font-size-2xl fill-current cursor-pointer" xmlns="http://www.w3.org/2000/svg" xmlns:xlink="http://www.w3.org/1999/xlink" viewBox="0 0 32 32">' +
                           '<path d="M17.414,16l9.293-9.293c0.391-0.391,0.391-1.023,0-1.414s-1.023-0.391-1.414,0L16,14.586L6.707,5.293  c-0.391-0.391-1.023-0.391-1.414,0s-0.391,1.023,0,1.414L14.586,16l-9.293,9.293c-0.391,0.391-0.391,1.023,0,1.414  C5.488,26.902,5.744,27,6,27s0.512-0.098,0.707-0.293L16,17.414l9.293,9.293C25.488,26.902,25.744,27,26,27s0.512-0.098,0.707-0.293  c0.391-0.391,0.391-1.023,0-1.414L17.414,16z"/>' +
                         '</svg>' +
@@ -179,7 +899,7 @@
                     '</svg>' +
                     '<p class="m-1 font-medium mr-auto"><%= notification.body_plain %></p>' +
                     '<% if (dismissible && notification.id) { %>' +
-                      '<button class="not-a-button js-close">' +
+                      '<button class="not-a-button js-close" type="button" aria-label="<%- dismissLabel %>">' +
                         '<svg class="svg-icon font-size-2xl fill-current cursor-pointer" xmlns="http://www.w3.org/2000/svg" xmlns:xlink="http://www.w3.org/1999/xlink" viewBox="0 0 32 32">' +
                           '<path d="M17.414,16l9.293-9.293c0.391-0.391,0.391-1.023,0-1.414s-1.023-0.391-1.414,0L16,14.586L6.707,5.293  c-0.391-0.391-1.023-0.391-1.414,0s-0.391,1.023,0,1.414L14.586,16l-9.293,9.293c-0.391,0.391-0.391,1.023,0,1.414  C5.488,26.902,5.744,27,6,27s0.512-0.098,0.707-0.293L16,17.414l9.293,9.293C25.488,26.902,25.744,27,26,27s0.512-0.098,0.707-0.293  c0.391-0.391,0.391-1.023,0-1.414L17.414,16z"/>' +
                         '</svg>' +
@@ -200,7 +920,7 @@
                     '</svg>' +
                     '<p class="m-1 font-medium mr-auto"><%= notification.body_plain %></p>' +
                     '<% if (dismissible && notification.id) { %>' +
-                      '<button class="not-a-button js-close">' +
+                      '<button class="not-a-button js-close" type="button" aria-label="<%- dismissLabel %>">' +
                         '<svg class="svg-icon font-size-2xl fill-current cursor-pointer" xmlns="http://www.w3.org/2000/svg" xmlns:xlink="http://www.w3.org/1999/xlink" viewBox="0 0 32 32">' +
                           '<path d="M17.414,16l9.293-9.293c0.391-0.391,0.391-1.023,0-1.414s-1.023-0.391-1.414,0L16,14.586L6.707,5.293  c-0.391-0.391-1.023-0.391-1.414,0s-0.391,1.023,0,1.414L14.586,16l-9.293,9.293c-0.391,0.391-0.391,1.023,0,1.414  C5.488,26.902,5.744,27,6,27s0.512-0.098,0.707-0.293L16,17.414l9.293,9.293C25.488,26.902,25.744,27,26,27s0.512-0.098,0.707-0.293  c0.391-0.391,0.391-1.023,0-1.414L17.414,16z"/>' +
                         '</svg>' +
@@ -216,7 +936,8 @@
       var compiled = Util.template(templateString);
       var data = {
         notifications: notifications,
-        dismissible: this.options.dismissible
+        dismissible: this.options.dismissible,
+        dismissLabel: Util.decodeHTML(this.options.dismissLabel)
       };
 
       if (this.options.templateData) {
@@ -224,8 +945,9 @@
       }
 
       html = compiled(data).replace(/(^\s+|\s+$)/g, '');
-      if (html) {
+      if (html || this.isRendered) {
         this.el.innerHTML = html;
+        this.isRendered = !!html;
       }
 
       if (this.options.dismissible) {
@@ -257,9 +979,19 @@
       if (!el) return;
 
       var id = el.getAttribute('data-notification-id');
+      var notification = this.notifications.filter(function(notification) {
+        return String(notification.id) === id;
+      })[0];
+      var options = this.options;
+      var _this = this;
+
       Util.onTransitionEnd(el, function() {
         el.remove();
-        window.sessionStorage.setItem(id + '_dismissed', 'true');
+        Notifications.setDismissed(id, options.dismissScope, notification ? notification.version : null, options.dismissExpiry);
+        Util.triggerEvent(_this.el, Event.DISMISS, {
+          relatedTarget: _this.el,
+          notification: notification
+        });
       });
       el.classList.remove('opacity-100');
       Util.reflow(el);
@@ -267,9 +999,186 @@
     }
   });
 
+  /**
+   * Shows a toast or a modal.
+   *
+   * Toasts are removed after `timeout` milliseconds (never if 0), which is paused while the
+   * visitor hovers over or focuses the toast.  Modals are shown one at a time, and must be
+   * acknowledged.  Modals with an ID that have already been acknowledged (with the same version)
+   * aren't shown again.
+   *
+   * @example
+   * Notifications.show({ title: 'Saved', content: 'Your changes have been saved', type: 'success' });
+   *
+   * The labels default to those of the theme settings (see `Theme.notifications`).
+   *
+   * @param notification - `id`, `title`, `content` (HTML), `type`, `display` (`toast` or `modal`),
+   *   `timeout`, `dismissible`, `version` and the accessible labels
+   * @returns {Promise} - Resolves when the toast is removed, or with the acknowledgement when the
+   *   modal is acknowledged
+   */
+  Notifications.show = function(notification) {
+    var defaults = Util.extend(Notifications.prototype.defaults, (window.Theme && Theme.notifications) || {});
+    notification = Util.extend({
+      id: null,
+      title: null,
+      content: '',
+      type: 'tip',
+      display: Display.TOAST,
+      timeout: defaults.timeout,
+      dismissible: true,
+      version: null,
+      regionLabel: defaults.regionLabel,
+      dismissLabel: defaults.dismissLabel,
+      acknowledgeLabel: defaults.acknowledgeLabel
+    }, notification || {});
+
+    // Labels from the theme settings are HTML-escaped
+    ['regionLabel', 'dismissLabel', 'acknowledgeLabel'].forEach(function(key) {
+      notification[key] = Util.decodeHTML(notification[key]);
+    });
+
+    if (notification.display !== Display.MODAL) {
+      return showToast(notification);
+    }
+
+    if (notification.id !== null && Notifications.isAcknowledged(notification.id, notification.version)) {
+      return Promise.resolve(getAcknowledgements().get({})[notification.id]);
+    }
+
+    return new Promise(function(resolve) {
+      modalQueue.push({ notification: notification, resolve: resolve });
+      showNextModal();
+    });
+  };
+
+  /**
+   * Returns true if a notification has been acknowledged.
+   *
+   * Acknowledgements no longer apply once the notification has a different version.
+   *
+   * @param id
+   * @param version
+   * @returns {boolean}
+   */
+  Notifications.isAcknowledged = function(id, version) {
+    var acknowledgement = getAcknowledgements().get({})[id];
+    return !!acknowledgement && (acknowledgement.version === null || String(acknowledgement.version) === String(version));
+  };
+
+  /**
+   * Records the time at which a notification was acknowledged.
+   *
+   * @param id
+   * @param version
+   * @returns {{id: *, version: (string|null), acknowledgedAt: number}}
+   */
+  Notifications.acknowledge = function(id, version) {
+    var acknowledgement = {
+      id: id,
+      version: version !== null && version !== undefined ? String(version) : null,
+      acknowledgedAt: new Date().getTime()
+    };
+
+    if (id !== null && id !== undefined) {
+      var storage = getAcknowledgements();
+      var acknowledgements = storage.get({});
+      acknowledgements[id] = acknowledgement;
+      storage.set(acknowledgements);
+    }
+
+    return acknowledgement;
+  };
+
+  /**
+   * Returns true if a notification has been dismissed.
+   *
+   * Dismissals expire after their expiry date, and versioned dismissals no longer apply once the
+   * notification has a different version.
+   *
+   * @param id
+   * @param version
+   * @returns {boolean}
+   */
+  Notifications.isDismissed = function(id, version) {
+    var now = new Date().getTime();
+    return [true, false].some(function(session) {
+      var dismissal = getDismissals(session).get({})[id];
+      return !!dismissal &&
+        (!dismissal.expiresAt || dismissal.expiresAt > now) &&
+        (dismissal.version === null || String(dismissal.version) === String(version));
+    });
+  };
+
+  /**
+   * Records that a notification was dismissed, and removes any dismissals which have expired.
+   *
+   * @param id
+   * @param scope - `session`, `persistent` or `version`
+   * @param version - The version of the notification that was dismissed
+   * @param expiry - The number of days after which the dismissal expires [optional]
+   */
+  Notifications.setDismissed = function(id, scope, version, expiry) {
+    var now = new Date().getTime();
+    var storage = getDismissals(scope === DismissScope.SESSION);
+    var dismissals = storage.get({});
+
+    Object.keys(dismissals).forEach(function(key) {
+      if (dismissals[key].expiresAt && dismissals[key].expiresAt <= now) {
+        delete dismissals[key];
+      }
+    });
+
+    dismissals[id] = {
+      version: scope === DismissScope.VERSION && version !== null && version !== undefined ? String(version) : null,
+      dismissedAt: now,
+      expiresAt: scope !== DismissScope.SESSION && expiry ? now + expiry * DAY : null
+    };
+    storage.set(dismissals);
+  };
+
+  /**
+   * Compatibility with the previous name of the extension, `Notification`.
+   *
+   * Given an element, `new Notification(el)` creates an instance of the extension, and otherwise
+   * creates a browser notification.  The static methods of both (e.g. `Notification.show` and
+   * `Notification.requestPermission`) are available.
+   *
+   * @deprecated Use `Notifications` instead.
+   */
+  var BrowserNotification = window.Notification;
+  var LegacyNotification = function(el, options) {
+    if (Util.isElement(el) || typeof BrowserNotification !== 'function') {
+      return new Notifications(el, options);
+    }
+    return new BrowserNotification(el, options);
+  };
+
+  if (typeof BrowserNotification === 'function') {
+    LegacyNotification.prototype = BrowserNotification.prototype;
+    ['permission', 'maxActions'].forEach(function(name) {
+      Object.defineProperty(LegacyNotification, name, {
+        get: function() {
+          return BrowserNotification[name];
+        }
+      });
+    });
+    if (typeof BrowserNotification.requestPermission === 'function') {
+      LegacyNotification.requestPermission = BrowserNotification.requestPermission.bind(BrowserNotification);
+    }
+  }
+
+  ['show', 'isAcknowledged', 'acknowledge', 'isDismissed', 'setDismissed'].forEach(function(name) {
+    LegacyNotification[name] = Notifications[name];
+  });
+
+  window.Notification = LegacyNotification;
+
+  migrateDismissals();
+
   window.addEventListener('load', function() {
     each('[data-element="notification"]', function(el) {
-      new Notification(el);
+      new Notifications(el, window.Theme && Theme.notifications);
     });
   });
 })();
\ No newline at end of file
@@ -1 +1 @@
-(function(){"use strict";var a={RENDER:"notification:render"};window.Notification=Util.createPlugin({defaults:{id:null,content:"",type:"error",labels:"",dismissible:!1,template:null,templateData:{}},optionTypes:{id:"(string|null)",content:"string",type:"string",labels:"string",dismissible:"boolean",template:"(string|null)",templateData:"object"},initialize:function(a){if(!a.labels&&!a.content)return void console.error("You must provide content or one or more article labels");if(-1===["error","warning","success","tip"].indexOf(a.type)&&(console.error("An invalid notification type was provided"),this.options.type=a.type="error"),!a.dismissible||a.labels||a.id||(console.error("Dismissible notifications must be given a valid ID"),this.options.dismissible=a.dismissible=!1),a.labels)this.getArticles(a.labels).then(function(b){return b.results.map(function(b){return!(a.dismissible&&"true"===window.sessionStorage.getItem(b.id+"_dismissed"))&&{id:b.id,title:b.title,body:b.body,body_plain:b.body.replace(/(<([^>]+)>)/gi,""),type:a.type,url:b.html_url}}).filter(function(a){return a})}).then(this.render.bind(this));else{var b=[],c=a.content.replace(/(<([^>]+)>)/gi,"");if(a.dismissible&&a.id&&"true"===window.sessionStorage.getItem(a.id+"_dismissed"))return;b.push({id:a.id,title:null,body:a.content,body_plain:c,type:a.type,url:null}),this.render(b)}},getArticles:function(a){return fetch("/api/v2/help_center/articles/search.json?label_names="+a).then(function(a){return a.json()})},render:function(b){var c,d=Util.getTemplateString(this.options.template);this.notification=b,d||(d="<% if (notifications.length) { %><% notifications.forEach(function(notification, index) { %><% if (notification.type === \"error\") { %><div class=\"relative p-4 mb-4 text-white bg-red-500 transition opacity-100\"<% if (dismissible && notification.id) { %> data-notification-id=\"<%= notification.id %>\"<%} %>><div class=\"flex align-items-start\"><svg class=\"svg-icon fill-current bottom-0 font-size-3xl mr-3\" viewBox=\"0 0 24 24\" xmlns=\"http://www.w3.org/2000/svg\"><g stroke=\"none\" stroke-width=\"1\" fill-rule=\"evenodd\"><rect opacity=\"0\" x=\"0\" y=\"0\" width=\"24\" height=\"24\"></rect><circle opacity=\"0.3\" cx=\"12\" cy=\"12\" r=\"10\"></circle><rect x=\"11\" y=\"7\" width=\"2\" height=\"8\" rx=\"1\"></rect><rect x=\"11\" y=\"16\" width=\"2\" height=\"2\" rx=\"1\"></rect></g></svg><p class=\"m-1 font-medium mr-auto\"><%= notification.body_plain %></p><% if (dismissible && notification.id) { %><button class=\"not-a-button js-close\"><svg class=\"svg-icon font-size-2xl fill-current cursor-pointer\" xmlns=\"http://www.w3.org/2000/svg\" xmlns:xlink=\"http://www.w3.org/1999/xlink\" viewBox=\"0 0 32 32\"><path d=\"M17.414,16l9.293-9.293c0.391-0.391,0.391-1.023,0-1.414s-1.023-0.391-1.414,0L16,14.586L6.707,5.293  c-0.391-0.391-1.023-0.391-1.414,0s-0.391,1.023,0,1.414L14.586,16l-9.293,9.293c-0.391,0.391-0.391,1.023,0,1.414  C5.488,26.902,5.744,27,6,27s0.512-0.098,0.707-0.293L16,17.414l9.293,9.293C25.488,26.902,25.744,27,26,27s0.512-0.098,0.707-0.293  c0.391-0.391,0.391-1.023,0-1.414L17.414,16z\"/></svg></button><% } %></div></div><% } %><% if (notification.type === \"warning\") { %><div class=\"relative p-4 mb-4 text-white bg-orange-500 transition opacity-100\"<% if (dismissible && notification.id) { %> data-notification-id=\"<%= notification.id %>\"<%} %>><div class=\"flex align-items-start\"><svg class=\"svg-icon fill-current bottom-0 font-size-3xl mr-3\" viewBox=\"0 0 24 24\" xmlns=\"http://www.w3.org/2000/svg\" xmlns:xlink=\"http://www.w3.org/1999/xlink\"><g stroke=\"none\" stroke-width=\"1\" fill-rule=\"evenodd\"><rect opacity=\"0\" x=\"0\" y=\"0\" width=\"24\" height=\"24\"></rect><path d=\"M11.1669899,4.49941818 L2.82535718,19.5143571 C2.557144,19.9971408 2.7310878,20.6059441 3.21387153,20.8741573 C3.36242953,20.9566895 3.52957021,21 3.69951446,21 L21.2169432,21 C21.7692279,21 22.2169432,20.5522847 22.2169432,20 C22.2169432,19.8159952 22.1661743,19.6355579 22.070225,19.47855 L12.894429,4.4636111 C12.6064401,3.99235656 11.9909517,3.84379039 11.5196972,4.13177928 C11.3723594,4.22181902 11.2508468,4.34847583 11.1669899,4.49941818 Z\" opacity=\"0.3\"></path><rect x=\"11\" y=\"9\" width=\"2\" height=\"7\" rx=\"1\"></rect><rect x=\"11\" y=\"17\" width=\"2\" height=\"2\" rx=\"1\"></rect></g></svg><p class=\"m-1 font-medium mr-auto\"><%= notification.body_plain %></p><% if (dismissible && notification.id) { %><button class=\"not-a-button js-close\"><svg class=\"svg-icon font-size-2xl fill-current cursor-pointer\" xmlns=\"http://www.w3.org/2000/svg\" xmlns:xlink=\"http://www.w3.org/1999/xlink\" viewBox=\"0 0 32 32\"><path d=\"M17.414,16l9.293-9.293c0.391-0.391,0.391-1.023,0-1.414s-1.023-0.391-1.414,0L16,14.586L6.707,5.293  c-0.391-0.391-1.023-0.391-1.414,0s-0.391,1.023,0,1.414L14.586,16l-9.293,9.293c-0.391,0.391-0.391,1.023,0,1.414  C5.488,26.902,5.744,27,6,27s0.512-0.098,0.707-0.293L16,17.414l9.293,9.293C25.488,26.902,25.744,27,26,27s0.512-0.098,0.707-0.293  c0.391-0.391,0.391-1.023,0-1.414L17.414,16z\"/></svg></button><% } %></div></div><% } %><% if (notification.type === \"success\") { %><div class=\"relative p-4 mb-4 text-white bg-green-500 transition opacity-100\"<% if (dismissible && notification.id) { %> data-notification-id=\"<%= notification.id %>\"<%} %>><div class=\"flex align-items-start\"><svg class=\"svg-icon fill-current bottom-0 font-size-3xl mr-3\" viewBox=\"0 0 24 24\" xmlns=\"http://www.w3.org/2000/svg\" xmlns:xlink=\"http://www.w3.org/1999/xlink\"><g stroke=\"none\" stroke-width=\"1\" fill-rule=\"evenodd\"><rect opacity=\"0\" x=\"0\" y=\"0\" width=\"24\" height=\"24\"></rect><circle opacity=\"0.3\" cx=\"12\" cy=\"12\" r=\"10\"></circle><path d=\"M16.7689447,7.81768175 C17.1457787,7.41393107 17.7785676,7.39211077 18.1823183,7.76894473 C18.5860689,8.1457787 18.6078892,8.77856757 18.2310553,9.18231825 L11.2310553,16.6823183 C10.8654446,17.0740439 10.2560456,17.107974 9.84920863,16.7592566 L6.34920863,13.7592566 C5.92988278,13.3998345 5.88132125,12.7685345 6.2407434,12.3492086 C6.60016555,11.9298828 7.23146553,11.8813212 7.65079137,12.2407434 L10.4229928,14.616916 L16.7689447,7.81768175 Z\" fill-rule=\"nonzero\"></path></g></svg><p class=\"m-1 font-medium mr-auto\"><%= notification.body_plain %></p><% if (dismissible && notification.id) { %><button class=\"not-a-button js-close\"><svg class=\"svg-icon font-size-2xl fill-current cursor-pointer\" xmlns=\"http://www.w3.org/2000/svg\" xmlns:xlink=\"http://www.w3.org/1999/xlink\" viewBox=\"0 0 32 32\"><path d=\"M17.414,16l9.293-9.293c0.391-0.391,0.391-1.023,0-1.414s-1.023-0.391-1.414,0L16,14.586L6.707,5.293  c-0.391-0.391-1.023-0.391-1.414,0s-0.391,1.023,0,1.414L14.586,16l-9.293,9.293c-0.391,0.391-0.391,1.023,0,1.414  C5.488,26.902,5.744,27,6,27s0.512-0.098,0.707-0.293L16,17.414l9.293,9.293C25.488,26.902,25.744,27,26,27s0.512-0.098,0.707-0.293  c0.391-0.391,0.391-1.023,0-1.414L17.414,16z\"/></svg></button><% } %></div></div><% } %><% if (notification.type === \"tip\") { %><div class=\"relative p-4 text-white bg-primary transition opacity-100\"<% if (dismissible && notification.id) { %> data-notification-id=\"<%= notification.id %>\"<%} %>><div class=\"flex align-items-start\"><svg class=\"svg-icon fill-current bottom-0 font-size-3xl mr-3\" viewBox=\"0 0 24 24\" xmlns=\"http://www.w3.org/2000/svg\" xmlns:xlink=\"http://www.w3.org/1999/xlink\">\n<g stroke=\"none\" stroke-width=\"1\" fill-rule=\"evenodd\"><rect opacity=\"0\" x=\"0\" y=\"0\" width=\"24\" height=\"24\"></rect><circle opacity=\"0.3\" cx=\"12\" cy=\"12\" r=\"10\"></circle><path d=\"M12,16 C12.5522847,16 13,16.4477153 13,17 C13,17.5522847 12.5522847,18 12,18 C11.4477153,18 11,17.5522847 11,17 C11,16.4477153 11.4477153,16 12,16 Z M10.591,14.868 L10.591,13.209 L11.851,13.209 C13.447,13.209 14.602,11.991 14.602,10.395 C14.602,8.799 13.447,7.581 11.851,7.581 C10.234,7.581 9.121,8.799 9.121,10.395 L7.336,10.395 C7.336,7.875 9.31,5.922 11.851,5.922 C14.392,5.922 16.387,7.875 16.387,10.395 C16.387,12.915 14.392,14.868 11.851,14.868 L10.591,14.868 Z\"></path>\n</g></svg><p class=\"m-1 font-medium mr-auto\"><%= notification.body_plain %></p><% if (dismissible && notification.id) { %><button class=\"not-a-button js-close\"><svg class=\"svg-icon font-size-2xl fill-current cursor-pointer\" xmlns=\"http://www.w3.org/2000/svg\" xmlns:xlink=\"http://www.w3.org/1999/xlink\" viewBox=\"0 0 32 32\"><path d=\"M17.414,16l9.293-9.293c0.391-0.391,0.391-1.023,0-1.414s-1.023-0.391-1.414,0L16,14.586L6.707,5.293  c-0.391-0.391-1.023-0.391-1.414,0s-0.391,1.023,0,1.414L14.586,16l-9.293,9.293c-0.391,0.391-0.391,1.023,0,1.414  C5.488,26.902,5.744,27,6,27s0.512-0.098,0.707-0.293L16,17.414l9.293,9.293C25.488,26.902,25.744,27,26,27s0.512-0.098,0.707-0.293  c0.391-0.391,0.391-1.023,0-1.414L17.414,16z\"/></svg></button><% } %></div></div><% } %><% }); %><% } %>");var e=Util.template(d),f={notifications:b,dismissible:this.options.dismissible};this.options.templateData&&(f=Util.extend(f,this.options.templateData)),c=e(f).replace(/(^\s+|\s+$)/g,""),c&&(this.el.innerHTML=c),this.options.dismissible&&this.addEventListeners(),Util.triggerEvent(this.el,a.RENDER,{relatedTarget:this.el})},addEventListeners:function(){var a=this.el.querySelectorAll(".js-close"),b=this;Array.prototype.forEach.call(a,function(a){a.addEventListener("click",b.dismiss.bind(b))})},dismiss:function(a){var b=Util.closest(a.target,"[data-notification-id]");if(b){var c=b.getAttribute("data-notification-id");Util.onTransitionEnd(b,function(){b.remove(),window.sessionStorage.setItem(c+"_dismissed","true")}),b.classList.remove("opacity-100"),Util.reflow(b),b.classList.add("opacity-0")}}}),window.addEventListener("load",function(){each("[data-element=\"notification\"]",function(a){new Notification(a)})})})();
\ No newline at end of file
+(function(){"use strict";var t="notification",i={RENDER:t+":render",DISMISS:t+":dismiss",ACKNOWLEDGE:t+":acknowledge",ERROR:t+":error"},e={INLINE:"inline",TOAST:"toast",MODAL:"modal"},n={error:"bg-red-500",warning:"bg-orange-500",success:"bg-green-500",tip:"bg-primary"},o={SESSION:"session",PERSISTENT:"persistent",VERSION:"version"};function s(t){return Object.keys(e).some(function(i){return e[i]===t})}var r="starts:",a="ends:",l="priority:",c="role:",d="organization:",u="signed-in:",f="locale:",m="category:",g="section:",p="display:";function h(t){return Array.isArray(t)?t.map(String):t?String(t).split(",").map(function(t){return t.trim()}).filter(Boolean):[]}function v(t){var i=t?new Date(t).getTime():NaN;return t&&isNaN(i)&&console.error("An invalid notification date was provided: "+t),isNaN(i)?null:i}function w(i){return Util.storage("dismissed",i,t)}var b="alpine:notification:dismissed";function y(){return Util.storage("acknowledged",!1,t)}var x=null,L=null,E=[],A=0;function I(t,i){var e=document.createDocumentFragment();if(t.title){var n=document.createElement(i?"H2":"P");n.className="notification-title font-semibold m-0",n.textContent=t.title,i&&(n.id=i),e.appendChild(n)}var o=document.createElement("DIV");return o.className="notification-body",o.innerHTML=t.content,e.appendChild(o),e}function S(t){return new Promise(function(i){var e=document.createElement("DIV");e.className="notification-toast flex align-items-start p-4 text-white transition opacity-100 "+(n[t.type]||""),e.setAttribute("aria-atomic","true"),"error"===t.type&&e.setAttribute("role","alert");var o=document.createElement("DIV");o.className="notification-content mr-auto",o.appendChild(I(t)),e.appendChild(o);var s,r=t.timeout,a=null,l=null,c=!1,d=!1,u=function(n){window.clearTimeout(l),Util.onTransitionEnd(e,function(){e.remove(),i({id:t.id,isDismissed:n})}),e.classList.remove("opacity-100"),Util.reflow(e),e.classList.add("opacity-0")},f=function(){!r||c||d||(a=(new Date).getTime(),l=window.setTimeout(u.bind(null,!1),r))},m=function(){r&&null!==a&&(window.clearTimeout(l),r=Math.max(r-((new Date).getTime()-a),1),a=null)};if(t.dismissible){var g=document.createElement("BUTTON");g.className="notification-close not-a-button p-1 ml-3 cursor-pointer",g.setAttribute("aria-label",t.dismissLabel),g.innerHTML='<svg class="svg-icon fill-current" xmlns="http://www.w3.org/2000/svg" viewBox="0 0 1080 1080" aria-hidden="true" focusable="false"><polygon points="980.528,205.539 874.462,99.473 540,433.935 205.539,99.473 99.473,205.539 433.935,540 99.473,874.462 205.539,980.527 540,646.066 874.462,980.527 980.527,874.462 646.066,540 "/></svg>',g.addEventListener("click",u.bind(null,!0)),e.appendChild(g)}e.addEventListener("mouseenter",function(){c=!0,m()}),e.addEventListener("mouseleave",function(){c=!1,f()}),e.addEventListener("focusin",function(){d=!0,m()}),e.addEventListener("focusout",function(t){e.contains(t.relatedTarget)||(d=!1,f())}),(s=t.regionLabel,x||((x=document.createElement("DIV")).className="notification-toasts",x.setAttribute("role","region"),x.setAttribute("aria-live","polite"),x.setAttribute("aria-label",s),document.body.appendChild(x)),x).appendChild(e),f()})}function N(){if(!L&&E.length){var t=E.shift(),i=t.notification,e="notification-modal-"+ ++A,o=document.activeElement;(L=document.createElement("DIV")).className="notification-modal";var s=document.createElement("DIV");s.className="notification-modal-dialog p-6 text-white border-radius "+(n[i.type]||""),s.setAttribute("role","alertdialog"),s.setAttribute("aria-modal","true"),s.setAttribute("aria-describedby",e+"-body"),s.setAttribute("tabindex","-1"),i.title?s.setAttribute("aria-labelledby",e+"-title"):s.setAttribute("aria-label",i.regionLabel),s.appendChild(I(i,e+"-title")),s.querySelector(".notification-body").id=e+"-body";var r=document.createElement("BUTTON");r.className="button button-primary mt-4",r.textContent=i.acknowledgeLabel,s.appendChild(r),L.appendChild(s);var a=Array.prototype.filter.call(document.body.children,function(t){return t!==L&&!t.hasAttribute("aria-hidden")});a.forEach(function(t){t.setAttribute("aria-hidden","true")});var l=function(t){if("Tab"===t.key){var i=Array.prototype.filter.call(s.querySelectorAll('a[href], area[href], button:not([disabled]), input:not([disabled]), select:not([disabled]), textarea:not([disabled]), iframe, [contenteditable], [tabindex]:not([tabindex="-1"])'),function(t){return t.offsetWidth||t.offsetHeight||t.getClientRects().length}),e=i[0],n=i[i.length-1];s.contains(document.activeElement)?!t.shiftKey||document.activeElement!==e&&document.activeElement!==s?t.shiftKey||document.activeElement!==n||(t.preventDefault(),e.focus()):(t.preventDefault(),n.focus()):(t.preventDefault(),e.focus())}},c=function(t){s.contains(t.target)||s.focus()};r.addEventListener("click",function(){document.removeEventListener("keydown",l),document.removeEventListener("focusin",c),a.forEach(function(t){t.removeAttribute("aria-hidden")}),document.documentElement.classList.remove("notification-modal-open"),L.remove(),L=null,o&&o.focus&&o.focus(),t.resolve(Notifications.acknowledge(i.id,i.version)),N()}),document.addEventListener("keydown",l),document.addEventListener("focusin",c),document.documentElement.classList.add("notification-modal-open"),document.body.appendChild(L),r.focus()}}window.Notifications=Util.createPlugin({defaults:{id:null,content:"",type:"error",labels:"",dismissible:!1,display:e.INLINE,timeout:8e3,regionLabel:"Notifications",dismissLabel:"Dismiss",acknowledgeLabel:"Acknowledge",dismissScope:o.SESSION,dismissExpiry:null,version:null,startsAt:null,endsAt:null,priority:0,limit:null,roles:[],organizations:[],signedIn:null,locales:[],categories:[],sections:[],categoryId:null,sectionId:null,template:null,errorTemplate:"notification-error",templateData:{}},optionTypes:{id:"(string|null)",content:"string",type:"string",labels:"string",dismissible:"boolean",display:"string",timeout:"number",regionLabel:"string",dismissLabel:"string",acknowledgeLabel:"string",dismissScope:"string",dismissExpiry:"(number|null)",version:"(string|number|null)",startsAt:"(string|null)",endsAt:"(string|null)",priority:"number",limit:"(number|null)",roles:"(string|array)",organizations:"(string|array)",signedIn:"(boolean|null)",locales:"(string|array)",categories:"(string|array)",sections:"(string|array)",categoryId:"(string|number|null)",sectionId:"(string|number|null)",template:"(string|null)",errorTemplate:"(string|null)",templateData:"object"},initialize:function(t){if(t.labels||t.content)if(-1===["error","warning","success","tip"].indexOf(t.type)&&(console.error("An invalid notification type was provided"),this.options.type=t.type="error"),!t.dismissible||t.labels||t.id||(console.error("Dismissible notifications must be given a valid ID"),this.options.dismissible=t.dismissible=!1),s(t.display)||(console.error("An invalid notification display was provided"),this.options.display=t.display=e.INLINE),-1===Object.keys(o).map(function(t){return o[t]}).indexOf(t.dismissScope)&&(console.error("An invalid dismissal scope was provided"),this.options.dismissScope=t.dismissScope=o.SESSION),!t.categoryId&&Util.isCategoryPage()&&(t.categoryId=Util.getPageId()),!t.sectionId&&Util.isSectionPage()&&(t.sectionId=Util.getPageId()),this.notifications=[],this.shown=[],this.timeout=null,t.labels)this.getArticles(t.labels).then(function(i){return i.results.map(function(i){return Util.extend({id:i.id,title:i.title,body:i.body,body_plain:i.body.replace(/(<([^>]+)>)/gi,""),type:t.type,url:i.html_url,version:i.updated_at},this.getRules(i.label_names||[]))},this)}.bind(this)).then(this.filter.bind(this)).then(this.update.bind(this)).catch(this._handleError.bind(this,i.ERROR));else{var n=[],r=t.content.replace(/(<([^>]+)>)/gi,"");n.push({id:t.id,title:null,body:t.content,body_plain:r,type:t.type,url:null,display:t.display,version:null!==t.version?t.version:Util.getHashString(t.content),startsAt:v(t.startsAt),endsAt:v(t.endsAt),priority:t.priority,roles:h(t.roles),organizations:h(t.organizations),signedIn:t.signedIn,locales:h(t.locales),categories:h(t.categories),sections:h(t.sections)}),this.filter(n).then(this.update.bind(this)).catch(this._handleError.bind(this,i.ERROR))}else console.error("You must provide content or one or more article labels")},getArticles:function(t){var i="/api/v2/help_center/articles/search.json?label_names="+t;return Util.fetch(i).then(function(t){return Util.getJSON(t,"search")})},getRules:function(t){var i=function(i){return t.filter(function(t){return 0===t.toLowerCase().indexOf(i)}).map(function(t){return t.substring(i.length).trim()})},e=function(t){var e=i(t)[0];return v(e?e.toUpperCase():null)},n=i(u)[0],o=i(p)[0];return{startsAt:e(r),endsAt:e(a),priority:parseInt(i(l)[0],10)||0,roles:i(c),organizations:i(d),signedIn:n?-1!==["true","yes"].indexOf(n.toLowerCase()):null,locales:i(f),categories:i(m),sections:i(g),display:s(o)?o:this.options.display}},getUser:function(){var t=window.HelpCenter&&HelpCenter.user?HelpCenter.user:{};return{role:t.role||"anonymous",organizations:(t.organizations||[]).reduce(function(t,i){return t.concat([String(i.id),String(i.name).toLowerCase()])},[]),locale:String(t.locale||window.Theme&&Theme.locale||Util.locale).toLowerCase()}},getCategoryId:function(){var t=this.options;if(t.categoryId||!t.sectionId)return Promise.resolve(t.categoryId||null);var i="/api/v2/help_center/"+Util.locale+"/sections/"+t.sectionId+".json";return Util.request(i,["id","category_id"],{paginate:!1}).then(function(i){return t.categoryId=i.section?i.section.category_id:null,t.categoryId}).catch(function(i){return Util.log("Unable to retrieve the category of section "+t.sectionId,i),null})},filter:function(t){var i=this.options,e=this.getUser(),n=function(t,i){return!t.length||t.some(function(t){return String(t).toLowerCase()===String(i).toLowerCase()})};return((t=t.filter(function(t){return n(t.roles,e.role)&&(!t.organizations.length||t.organizations.some(function(t){return-1!==e.organizations.indexOf(String(t).toLowerCase())}))&&(null===t.signedIn||t.signedIn===("anonymous"!==e.role))&&(!t.locales.length||n(t.locales,e.locale)||n(t.locales,e.locale.split("-")[0]))&&(!t.sections.length||!!i.sectionId&&n(t.sections,i.sectionId))})).some(function(t){return t.categories.length})?this.getCategoryId():Promise.resolve(i.categoryId)).then(function(i){return t.filter(function(t){return!t.categories.length||!!i&&n(t.categories,i)})})},update:function(t){var i=(new Date).getTime(),n=this.options.limit,o=this.options.dismissible;t&&(this.notifications=t);var s=this.notifications.filter(function(t){return!(t.startsAt&&!(t.startsAt<=i)||t.endsAt&&!(t.endsAt>i)||o&&t.id&&Notifications.isDismissed(t.id,t.version)||t.display===e.MODAL&&t.id&&Notifications.isAcknowledged(t.id,t.version))}).map(function(t,i){return{notification:t,index:i}}).sort(function(t,i){return i.notification.priority-t.notification.priority||t.index-i.index}).map(function(t){return t.notification});null!==n&&n>=0&&(s=s.slice(0,n)),this.render(s.filter(function(t){return t.display===e.INLINE})),s.forEach(function(t){t.display!==e.INLINE&&-1===this.shown.indexOf(t)&&(this.shown.push(t),this.show(t))},this);var r=this.notifications.reduce(function(t,i){return t.concat([i.startsAt,i.endsAt])},[]).filter(function(t){return t&&t>i}).sort(function(t,i){return t-i})[0];window.clearTimeout(this.timeout),r&&r-i<=2147483647&&(this.timeout=window.setTimeout(this.update.bind(this,null),r-i))},show:function(t){var n=this.options,o=this;return Notifications.show({id:t.id,title:t.title,content:t.body,type:t.type,display:t.display,timeout:n.timeout,dismissible:!0,version:t.version,regionLabel:n.regionLabel,dismissLabel:n.dismissLabel,acknowledgeLabel:n.acknowledgeLabel}).then(function(s){t.display===e.MODAL?Util.triggerEvent(o.el,i.ACKNOWLEDGE,{relatedTarget:o.el,notification:t,acknowledgement:s}):s.isDismissed&&(n.dismissible&&t.id&&Notifications.setDismissed(t.id,n.dismissScope,t.version,n.dismissExpiry),Util.triggerEvent(o.el,i.DISMISS,{relatedTarget:o.el,notification:t}))})},render:function(t){var e,n=Util.getTemplateString(this.options.template);this.notification=t,n||(n='<% if (notifications.length) { %><% notifications.forEach(function(notification, index) { %><% if (notification.type === "error") { %><div class="relative p-4 mb-4 text-white bg-red-500 transition opacity-100"<% if (dismissible && notification.id) { %> data-notification-id="<%= notification.id %>"<%} %>><div class="flex align-items-start"><svg class="svg-icon fill-current bottom-0 font-size-3xl mr-3" viewBox="0 0 24 24" xmlns="http://www.w3.org/2000/svg"><g stroke="none" stroke-width="1" fill-rule="evenodd"><rect opacity="0" x="0" y="0" width="24" height="24"></rect><circle opacity="0.3" cx="12" cy="12" r="10"></circle><rect x="11" y="7" width="2" height="8" rx="1"></rect><rect x="11" y="16" width="2" height="2" rx="1"></rect></g></svg><p class="m-1 font-medium mr-auto"><%= notification.body_plain %></p><% if (dismissible && notification.id) { %><button class="not-a-button js-close" type="button" aria-label="<%- dismissLabel %>"><svg class="svg-icon font-size-2xl fill-current cursor-pointer" xmlns="http://www.w3.org/2000/svg" xmlns:xlink="http://www.w3.org/1999/xlink" viewBox="0 0 32 32"><path d="M17.414,16l9.293-9.293c0.391-0.391,0.391-1.023,0-1.414s-1.023-0.391-1.414,0L16,14.586L6.707,5.293  c-0.391-0.391-1.023-0.391-1.414,0s-0.391,1.023,0,1.414L14.586,16l-9.293,9.293c-0.391,0.391-0.391,1.023,0,1.414  C5.488,26.902,5.744,27,6,27s0.512-0.098,0.707-0.293L16,17.414l9.293,9.293C25.488,26.902,25.744,27,26,27s0.512-0.098,0.707-0.293  c0.391-0.391,0.391-1.023,0-1.414L17.414,16z"/></svg></button><% } %></div></div><% } %><% if (notification.type === "warning") { %><div class="relative p-4 mb-4 text-white bg-orange-500 transition opacity-100"<% if (dismissible && notification.id) { %> data-notification-id="<%= notification.id %>"<%} %>><div class="flex align-items-start"><svg class="svg-icon fill-current bottom-0 font-size-3xl mr-3" viewBox="0 0 24 24" xmlns="http://www.w3.org/2000/svg" xmlns:xlink="http://www.w3.org/1999/xlink"><g stroke="none" stroke-width="1" fill-rule="evenodd"><rect opacity="0" x="0" y="0" width="24" height="24"></rect><path d="M11.1669899,4.49941818 L2.82535718,19.5143571 C2.557144,19.9971408 2.7310878,20.6059441 3.21387153,20.8741573 C3.36242953,20.9566895 3.52957021,21 3.69951446,21 L21.2169432,21 C21.7692279,21 22.2169432,20.5522847 22.2169432,20 C22.2169432,19.8159952 22.1661743,19.6355579 22.070225,19.47855 L12.894429,4.4636111 C12.6064401,3.99235656 11.9909517,3.84379039 11.5196972,4.13177928 C11.3723594,4.22181902 11.2508468,4.34847583 11.1669899,4.49941818 Z" opacity="0.3"></path><rect x="11" y="9" width="2" height="7" rx="1"></rect><rect x="11" y="17" width="2" height="2" rx="1"></rect></g></svg><p class="m-1 font-medium mr-auto"><%= notification.body_plain %></p><% if (dismissible && notification.id) { %><button class="not-a-button js-close" type="button" aria-label="<%- dismissLabel %>"><svg class="svg-icon font-size-2xl fill-current cursor-pointer" xmlns="http://www.w3.org/2000/svg" xmlns:xlink="http://www.w3.org/1999/xlink" viewBox="0 0 32 32"><path d="M17.414,16l9.293-9.293c0.391-0.391,0.391-1.023,0-1.414s-1.023-0.391-1.414,0L16,14.586L6.707,5.293  c-0.391-0.391-1.023-0.391-1.414,0s-0.391,1.023,0,1.414L14.586,16l-9.293,9.293c-0.391,0.391-0.391,1.023,0,1.414  C5.488,26.902,5.744,27,6,27s0.512-0.098,0.707-0.293L16,17.414l9.293,9.293C25.488,26.902,25.744,27,26,27s0.512-0.098,0.707-0.293  c0.391-0.391,0.391-1.023,0-1.414L17.414,16z"/></svg></button><% } %></div></div><% } %><% if (notification.type === "success") { %><div class="relative p-4 mb-4 text-white bg-green-500 transition opacity-100"<% if (dismissible && notification.id) { %> data-notification-id="<%= notification.id %>"<%} %>><div class="flex align-items-start"><svg class="svg-icon fill-current bottom-0 font-size-3xl mr-3" viewBox="0 0 24 24" xmlns="http://www.w3.org/2000/svg" xmlns:xlink="http://www.w3.org/1999/xlink"><g stroke="none" stroke-width="1" fill-rule="evenodd"><rect opacity="0" x="0" y="0" width="24" height="24"></rect><circle opacity="0.3" cx="12" cy="12" r="10"></circle><path d="M16.7689447,7.81768175 C17.1457787,7.41393107 17.7785676,7.39211077 18.1823183,7.76894473 C18.5860689,8.1457787 18.6078892,8.77856757 18.2310553,9.18231825 L11.2310553,16.6823183 C10.8654446,17.0740439 10.2560456,17.107974 9.84920863,16.7592566 L6.34920863,13.7592566 C5.92988278,13.3998345 5.88132125,12.7685345 6.2407434,12.3492086 C6.60016555,11.9298828 7.23146553,11.8813212 7.65079137,12.2407434 L10.4229928,14.616916 L16.7689447,7.81768175 Z" fill-rule="nonzero"></path></g></svg><p class="m-1 font-medium mr-auto"><%= notification.body_plain %></p><% if (dismissible && notification.id) { %><button class="not-a-button js-close" type="button" aria-label="<%- dismissLabel %>"><svg class="svg-icon font-size-2xl fill-current cursor-pointer" xmlns="http://www.w3.org/2000/svg" xmlns:xlink="http://www.w3.org/1999/xlink" viewBox="0 0 32 32"><path d="M17.414,16l9.293-9.293c0.391-0.391,0.391-1.023,0-1.414s-1.023-0.391-1.414,0L16,14.586L6.707,5.293  c-0.391-0.391-1.023-0.391-1.414,0s-0.391,1.023,0,1.414L14.586,16l-9.293,9.293c-0.391,0.391-0.391,1.023,0,1.414  C5.488,26.902,5.744,27,6,27s0.512-0.098,0.707-0.293L16,17.414l9.293,9.293C25.488,26.902,25.744,27,26,27s0.512-0.098,0.707-0.293  c0.391-0.391,0.391-1.023,0-1.414L17.414,16z"/></svg></button><% } %></div></div><% } %><% if (notification.type === "tip") { %><div class="relative p-4 text-white bg-primary transition opacity-100"<% if (dismissible && notification.id) { %> data-notification-id="<%= notification.id %>"<%} %>><div class="flex align-items-start"><svg class="svg-icon fill-current bottom-0 font-size-3xl mr-3" viewBox="0 0 24 24" xmlns="http://www.w3.org/2000/svg" xmlns:xlink="http://www.w3.org/1999/xlink">\n<g stroke="none" stroke-width="1" fill-rule="evenodd"><rect opacity="0" x="0" y="0" width="24" height="24"></rect><circle opacity="0.3" cx="12" cy="12" r="10"></circle><path d="M12,16 C12.5522847,16 13,16.4477153 13,17 C13,17.5522847 12.5522847,18 12,18 C11.4477153,18 11,17.5522847 11,17 C11,16.4477153 11.4477153,16 12,16 Z M10.591,14.868 L10.591,13.209 L11.851,13.209 C13.447,13.209 14.602,11.991 14.602,10.395 C14.602,8.799 13.447,7.581 11.851,7.581 C10.234,7.581 9.121,8.799 9.121,10.395 L7.336,10.395 C7.336,7.875 9.31,5.922 11.851,5.922 C14.392,5.922 16.387,7.875 16.387,10.395 C16.387,12.915 14.392,14.868 11.851,14.868 L10.591,14.868 Z"></path>\n</g></svg><p class="m-1 font-medium mr-auto"><%= notification.body_plain %></p><% if (dismissible && notification.id) { %><button class="not-a-button js-close" type="button" aria-label="<%- dismissLabel %>"><svg class="svg-icon font-size-2xl fill-current cursor-pointer" xmlns="http://www.w3.org/2000/svg" xmlns:xlink="http://www.w3.org/1999/xlink" viewBox="0 0 32 32"><path d="M17.414,16l9.293-9.293c0.391-0.391,0.391-1.023,0-1.414s-1.023-0.391-1.414,0L16,14.586L6.707,5.293  c-0.391-0.391-1.023-0.391-1.414,0s-0.391,1.023,0,1.414L14.586,16l-9.293,9.293c-0.391,0.391-0.391,1.023,0,1.414  C5.488,26.902,5.744,27,6,27s0.512-0.098,0.707-0.293L16,17.414l9.293,9.293C25.488,26.902,25.744,27,26,27s0.512-0.098,0.707-0.293  c0.391-0.391,0.391-1.023,0-1.414L17.414,16z"/></svg></button><% } %></div></div><% } %><% }); %><% } %>');var o=Util.template(n),s={notifications:t,dismissible:this.options.dismissible,dismissLabel:Util.decodeHTML(this.options.dismissLabel)};this.options.templateData&&(s=Util.extend(s,this.options.templateData)),((e=o(s).replace(/(^\s+|\s+$)/g,""))||this.isRendered)&&(this.el.innerHTML=e,this.isRendered=!!e),this.options.dismissible&&this.addEventListeners(),Util.triggerEvent(this.el,i.RENDER,{relatedTarget:this.el})},addEventListeners:function(){var t=this.el.querySelectorAll(".js-close"),i=this;Array.prototype.forEach.call(t,function(t){t.addEventListener("click",i.dismiss.bind(i))})},dismiss:function(t){var e=Util.closest(t.target,"[data-notification-id]");if(e){var n=e.getAttribute("data-notification-id"),o=this.notifications.filter(function(t){return String(t.id)===n})[0],s=this.options,r=this;Util.onTransitionEnd(e,function(){e.remove(),Notifications.setDismissed(n,s.dismissScope,o?o.version:null,s.dismissExpiry),Util.triggerEvent(r.el,i.DISMISS,{relatedTarget:r.el,notification:o})}),e.classList.remove("opacity-100"),Util.reflow(e),e.classList.add("opacity-0")}}}),Notifications.show=function(t){var i=Util.extend(Notifications.prototype.defaults,window.Theme&&Theme.notifications||{});return t=Util.extend({id:null,title:null,content:"",type:"tip",display:e.TOAST,timeout:i.timeout,dismissible:!0,version:null,regionLabel:i.regionLabel,dismissLabel:i.dismissLabel,acknowledgeLabel:i.acknowledgeLabel},t||{}),["regionLabel","dismissLabel","acknowledgeLabel"].forEach(function(i){t[i]=Util.decodeHTML(t[i])}),t.display!==e.MODAL?S(t):null!==t.id&&Notifications.isAcknowledged(t.id,t.version)?Promise.resolve(y().get({})[t.id]):new Promise(function(i){E.push({notification:t,resolve:i}),N()})},Notifications.isAcknowledged=function(t,i){var e=y().get({})[t];return!!e&&(null===e.version||String(e.version)===String(i))},Notifications.acknowledge=function(t,i){var e={id:t,version:null!=i?String(i):null,acknowledgedAt:(new Date).getTime()};if(null!=t){var n=y(),o=n.get({});o[t]=e,n.set(o)}return e},Notifications.isDismissed=function(t,i){var e=(new Date).getTime();return[!0,!1].some(function(n){var o=w(n).get({})[t];return!!o&&(!o.expiresAt||o.expiresAt>e)&&(null===o.version||String(o.version)===String(i))})},Notifications.setDismissed=function(t,i,e,n){var s=(new Date).getTime(),r=w(i===o.SESSION),a=r.get({});Object.keys(a).forEach(function(t){a[t].expiresAt&&a[t].expiresAt<=s&&delete a[t]}),a[t]={version:i===o.VERSION&&null!=e?String(e):null,dismissedAt:s,expiresAt:i!==o.SESSION&&n?s+864e5*n:null},r.set(a)};var C=window.Notification,k=function(t,i){return Util.isElement(t)||"function"!=typeof C?new Notifications(t,i):new C(t,i)};"function"==typeof C&&(k.prototype=C.prototype,["permission","maxActions"].forEach(function(t){Object.defineProperty(k,t,{get:function(){return C[t]}})}),"function"==typeof C.requestPermission&&(k.requestPermission=C.requestPermission.bind(C))),["show","isAcknowledged","acknowledge","isDismissed","setDismissed"].forEach(function(t){k[t]=Notifications[t]}),window.Notification=k,function(){var t=[];try{for(var i=0;i<window.sessionStorage.length;i++){var e=window.sessionStorage.key(i);(e===b||/^[\w-]+_dismissed$/.test(e))&&t.push(e)}}catch(t){return}if(t.length){var n=w(!0),o=n.get({}),s=(new Date).getTime();t.forEach(function(t){var i=t===b?"alpine":t.slice(0,-10);"true"!==window.sessionStorage.getItem(t)||o[i]||(o[i]={version:null,dismissedAt:s,expiresAt:null}),window.sessionStorage.removeItem(t)}),n.set(o)}}(),window.addEventListener("load",function(){each('[data-element="notification"]',function(t){new Notifications(t,window.Theme&&Theme.notifications)})})})();
\ No newline at end of file
@@ -0,0 +1,487 @@
+(function() {
+  "use strict";
+
+  // Globals
+  var NAME = 'searchIndex';
+  var VERSION = 1;
+
+  var Event = {
+    READY: NAME + ':ready',
+    ERROR: NAME + ':error'
+  };
+
+  // Field weights
+  var Weight = {
+    TITLE: 10,
+    LABEL: 6,
+    BODY: 1
+  };
+
+  // Score multipliers for partial matches
+  var Match = {
+    EXACT: 1,
+    PREFIX: 0.8,
+    FUZZY: 0.5
+  };
+
+  // Indexes currently being loaded, keyed by storage ID
+  var loading = {};
+
+  /**
+   * Returns a lowercase string without diacritics.
+   *
+   * @param str
+   * @returns {string}
+   */
+  function normalize(str) {
+    str = String(str || '').toLowerCase();
+    return str.normalize ? str.normalize('NFD').replace(/[\u0300-\u036f]/g, '') : str;
+  }
+
+  /**
+   * Splits a string into normalized terms.
+   *
+   * @param str
+   * @returns {Array}
+   */
+  function tokenize(str) {
+    return normalize(str)
+      .split(/[\s!-\/:-@\[-`{-~\u00a0-\u00bf\u2000-\u206f\u3000-\u303f]+/)
+      .filter(function(term) {
+        return term.length > 0 && term !== '__proto__';
+      });
+  }
+
+  /**
+   * Returns the maximum number of typos tolerated for a term.
+   *
+   * @param term
+   * @returns {number}
+   */
+  function maxDistance(term) {
+    if (term.length < 4) return 0;
+    if (term.length < 8) return 1;
+    return 2;
+  }
+
+  /**
+   * Returns the edit distance between two terms (including transpositions), or `max + 1` if
+   * the distance is greater than `max`.
+   *
+   * @param a
+   * @param b
+   * @param max
+   * @returns {number}
+   */
+  function distance(a, b, max) {
+    if (Math.abs(a.length - b.length) > max) {
+      return max + 1;
+    }
+
+    var previous2 = [];
+    var previous = [];
+    var current = [];
+    var i, j;
+
+    for (j = 0; j <= b.length; j++) {
+      previous[j] = j;
+    }
+
+    for (i = 1; i <= a.length; i++) {
+      current = [i];
+      var rowMin = i;
+      for (j = 1; j <= b.length; j++) {
+        var cost = a[i - 1] === b[j - 1] ? 0 : 1;
+        current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+        if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+          current[j] = Math.min(current[j], previous2[j - 2] + 1);
+        }
+        rowMin = Math.min(rowMin, current[j]);
+      }
+      if (rowMin > max) {
+        return max + 1;
+      }
+      previous2 = previous;
+      previous = current;
+    }
+
+    return previous[b.length];
+  }
+
+  /**
+   * Client-side search index.
+   *
+   * A compact inverted index of article titles, labels and (optionally) bodies, which supports
+   * prefix and typo-tolerant matching.
+   *
+   * @param data - A serialized index [optional]
+   * @constructor
+   */
+  var SearchIndex = function(data) {
+    data = data || {};
+    this.version = VERSION;
+    this.bodies = data.bodies === true;
+    this.docs = data.docs || [];
+    this.sections = data.sections || {};
+    this.categories = data.categories || {};
+    this.terms = data.terms || {};
+    this.vocabulary = Object.keys(this.terms);
+  };
+
+  var _proto = SearchIndex.prototype;
+
+  /**
+   * Adds articles, sections and categories to the index.
+   *
+   * @param collection - The object returned by `Util.get`
+   * @returns {SearchIndex}
+   */
+  _proto.add = function(collection) {
+    var _this = this;
+
+    (collection.categories || []).forEach(function(category) {
+      _this.categories[category.id] = category.name;
+    });
+
+    (collection.sections || []).forEach(function(section) {
+      _this.sections[section.id] = [section.name, section['category_id']];
+    });
+
+    (collection.articles || []).forEach(function(article) {
+      if (article.draft === true) return;
+
+      var docIndex = _this.docs.length;
+      var weights = {};
+      var addTerms = function(text, weight) {
+        tokenize(text).forEach(function(term) {
+          weights[term] = Math.max(weights[term] || 0, weight);
+        });
+      };
+
+      _this.docs.push([article.id, article.title, article['html_url'], article['section_id'], article['label_names'] || []]);
+
+      if (_this.bodies && article.body) {
+        addTerms(article.body.replace(/(<([^>]+)>)/gi, ' '), Weight.BODY);
+      }
+      (article['label_names'] || []).forEach(function(label) {
+        addTerms(label, Weight.LABEL);
+      });
+      addTerms(article.title, Weight.TITLE);
+
+      for (var term in weights) {
+        if (weights.hasOwnProperty(term)) {
+          if (!_this.terms.hasOwnProperty(term)) {
+            _this.terms[term] = [];
+          }
+          _this.terms[term].push(docIndex, weights[term]);
+        }
+      }
+    });
+
+    this.vocabulary = Object.keys(this.terms);
+    return this;
+  };
+
+  /**
+   * Returns the matching terms (and score multipliers) for a query term.
+   *
+   * @param token
+   * @param prefix - If true, include terms starting with the token
+   * @returns {{}}
+   * @private
+   */
+  _proto._matchTerms = function(token, prefix) {
+    var matches = {};
+    var max = maxDistance(token);
+
+    if (this.terms.hasOwnProperty(token)) {
+      matches[token] = Match.EXACT;
+    }
+
+    this.vocabulary.forEach(function(term) {
+      if (term === token) return;
+      if (prefix && term.indexOf(token) === 0) {
+        matches[term] = Match.PREFIX;
+      } else if (max) {
+        var d = distance(token, term, max);
+
+        // Compare the start of the term if the token may be incomplete
+        for (var length = token.length - 1; prefix && d > max && length <= token.length + 1; length++) {
+          d = Math.min(d, distance(token, term.substring(0, length), max));
+        }
+        if (d <= max) {
+          matches[term] = Match.FUZZY / d;
+        }
+      }
+    });
+
+    return matches;
+  };
+
+  /**
+   * Returns the articles matching a query.
+   *
+   * Every query term must match an article, unless no article matches all of them.  The last term
+   * is treated as a prefix, as it may still be being typed.
+   *
+   * @param query
+   * @param options - `section`, `category` and `limit` [optional]
+   * @returns {{query: string, total: number, results: Array, facets: {sections: Array, categories: Array}}}
+   */
+  _proto.search = function(query, options) {
+    options = options || {};
+
+    var _this = this;
+    var tokens = tokenize(query);
+    var limit = options.limit || 10;
+    var response = {
+      query: query,
+      total: 0,
+      results: [],
+      facets: { sections: [], categories: [] }
+    };
+
+    if (!tokens.length) {
+      return response;
+    }
+
+    // Score each article for each query term
+    var scores = tokens.map(function(token, index) {
+      var matches = _this._matchTerms(token, index === tokens.length - 1);
+      var docs = {};
+      for (var term in matches) {
+        if (matches.hasOwnProperty(term)) {
+          var postings = _this.terms[term];
+          for (var i = 0; i < postings.length; i += 2) {
+            var score = postings[i + 1] * matches[term];
+            var doc = docs[postings[i]] || (docs[postings[i]] = { score: 0, terms: [] });
+            doc.score = Math.max(doc.score, score);
+            doc.terms.push(term);
+          }
+        }
+      }
+      return docs;
+    });
+
+    var combine = function(requireAll) {
+      var combined = {};
+      scores.forEach(function(docs) {
+        for (var docIndex in docs) {
+          if (docs.hasOwnProperty(docIndex)) {
+            var doc = combined[docIndex] || (combined[docIndex] = { score: 0, terms: [], count: 0 });
+            doc.score += docs[docIndex].score;
+            doc.terms = doc.terms.concat(docs[docIndex].terms);
+            doc.count++;
+          }
+        }
+      });
+      return Object.keys(combined)
+        .filter(function(docIndex) {
+          return !requireAll || combined[docIndex].count === scores.length;
+        })
+        .map(function(docIndex) {
+          return _this._getResult(parseInt(docIndex, 10), combined[docIndex]);
+        });
+    };
+
+    var results = combine(true);
+    if (!results.length && tokens.length > 1) {
+      results = combine(false);
+    }
+
+    // Count the results in each section and category
+    response.facets = this._getFacets(results, options);
+
+    results = results
+      .filter(function(result) {
+        return (!options.section || (result.section && result.section.id === parseInt(options.section, 10))) &&
+          (!options.category || (result.category && result.category.id === parseInt(options.category, 10)));
+      })
+      .sort(function(a, b) {
+        return b.score - a.score || a.title.localeCompare(b.title);
+      });
+
+    response.total = results.length;
+    response.results = results.slice(0, limit);
+    return response;
+  };
+
+  /**
+   * Returns the query with misspelled terms replaced by the closest article title or label terms,
+   * or null if there's nothing to correct.
+   *
+   * @param query
+   * @returns {string|null}
+   */
+  _proto.suggest = function(query) {
+    var _this = this;
+    var isCorrected = false;
+
+    // Only suggest terms which appear in a title or label
+    var countDocs = function(term) {
+      var postings = _this.terms[term];
+      var count = 0;
+      for (var i = 1; i < postings.length; i += 2) {
+        if (postings[i] >= Weight.LABEL) count++;
+      }
+      return count;
+    };
+
+    var terms = tokenize(query).map(function(token) {
+      var max = maxDistance(token);
+      if (!max || (_this.terms.hasOwnProperty(token) && countDocs(token))) {
+        return token;
+      }
+
+      var best = { term: token, distance: max + 1, count: 0 };
+      _this.vocabulary.forEach(function(term) {
+        var d = distance(token, term, max);
+        if (d > best.distance || d > max) return;
+
+        var count = countDocs(term);
+        if (count && (d < best.distance || count > best.count)) {
+          best = { term: term, distance: d, count: count };
+        }
+      });
+
+      isCorrected = isCorrected || best.term !== token;
+      return best.term;
+    });
+
+    return isCorrected ? terms.join(' ') : null;
+  };
+
+  /**
+   * Returns a search result for an indexed article.
+   *
+   * @param docIndex
+   * @param match
+   * @returns {{}}
+   * @private
+   */
+  _proto._getResult = function(docIndex, match) {
+    var doc = this.docs[docIndex];
+    var section = this.sections[doc[3]];
+    var categoryId = section ? section[1] : null;
+
+    // Highlight the words in the title that matched the query
+    var words = doc[1].split(/\s+/).filter(function(word) {
+      return tokenize(word).some(function(term) {
+        return match.terms.indexOf(term) !== -1;
+      });
+    });
+
+    return {
+      id: doc[0],
+      title: doc[1],
+      html_url: doc[2],
+      label_names: doc[4],
+      section: section ? { id: doc[3], name: section[0] } : null,
+      category: categoryId && this.categories.hasOwnProperty(categoryId) ? { id: categoryId, name: this.categories[categoryId] } : null,
+      score: match.score,
+      highlight: {
+        title: Util.highlight(doc[1], words.join(' '))
+      }
+    };
+  };
+
+  /**
+   * Returns the number of results in each section and category.
+   *
+   * @param results
+   * @param options
+   * @returns {{sections: Array, categories: Array}}
+   * @private
+   */
+  _proto._getFacets = function(results, options) {
+    var count = function(type) {
+      var facets = {};
+      results.forEach(function(result) {
+        var object = result[type];
+        if (!object) return;
+        var facet = facets[object.id] || (facets[object.id] = { id: object.id, name: object.name, count: 0 });
+        facet.count++;
+      });
+      return Object.keys(facets)
+        .map(function(id) {
+          facets[id].active = String(options[type]) === String(id);
+          return facets[id];
+        })
+        .sort(function(a, b) {
+          return b.count - a.count || a.name.localeCompare(b.name);
+        });
+    };
+
+    return {
+      sections: count('section'),
+      categories: count('category')
+    };
+  };
+
+  /**
+   * Returns a serializable copy of the index.
+   *
+   * @returns {{}}
+   */
+  _proto.toJSON = function() {
+    return {
+      version: this.version,
+      bodies: this.bodies,
+      docs: this.docs,
+      sections: this.sections,
+      categories: this.categories,
+      terms: this.terms
+    };
+  };
+
+  /**
+   * Returns the search index for the current locale.
+   *
+   * The index is built from the `Util.get` collection and persisted with `Util.storage`, so it is
+   * only rebuilt once it expires.
+   *
+   * @param options - `bodies` to also index article bodies, `ttl` in milliseconds [optional]
+   * @returns {Promise}
+   */
+  SearchIndex.load = function(options) {
+    options = Util.extend({ bodies: false, ttl: Util.cacheSettings.ttl }, options || {});
+
+    var storage = Util.storage('articles-' + Theme.locale, false, NAME);
+    var key = storage.key;
+
+    if (loading.hasOwnProperty(key)) {
+      return loading[key];
+    }
+
+    var stored = storage.get();
+    if (stored && stored.version === VERSION && stored.bodies === options.bodies && storage.isValid(options.ttl)) {
+      loading[key] = Promise.resolve(new SearchIndex(stored));
+      return loading[key];
+    }
+
+    var properties = ['id', 'name', 'title', 'html_url', 'draft', 'section_id', 'category_id', 'label_names'];
+    if (options.bodies) {
+      properties.push('body');
+    }
+
+    loading[key] = Util.get(['categories', 'sections', 'articles'], properties)
+      .then(function(collection) {
+        var index = new SearchIndex({ bodies: options.bodies }).add(collection);
+        storage.set(index.toJSON());
+        Util.triggerEvent(document, Event.READY, { index: index });
+        return index;
+      })
+      .catch(function(error) {
+        delete loading[key];
+        Util.triggerEvent(document, Event.ERROR, { error: error });
+        return Promise.reject(error);
+      });
+
+    return loading[key];
+  };
+
+  SearchIndex.tokenize = tokenize;
+  SearchIndex.distance = distance;
+
+  window.SearchIndex = SearchIndex;
+})();
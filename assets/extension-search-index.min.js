@@ -0,0 +1 @@
+(function(){"use strict";var t="searchIndex",e={READY:t+":ready",ERROR:t+":error"},r=10,n=6,i=1,s=1,o=.8,c=.5,a={};function u(t){return function(t){return(t=String(t||"").toLowerCase()).normalize?t.normalize("NFD").replace(/[\u0300-\u036f]/g,""):t}(t).split(/[\s!-\/:-@\[-`{-~\u00a0-\u00bf\u2000-\u206f\u3000-\u303f]+/).filter(function(t){return t.length>0&&"__proto__"!==t})}function l(t){return t.length<4?0:t.length<8?1:2}function h(t,e,r){if(Math.abs(t.length-e.length)>r)return r+1;var n,i,s=[],o=[],c=[];for(i=0;i<=e.length;i++)o[i]=i;for(n=1;n<=t.length;n++){c=[n];var a=n;for(i=1;i<=e.length;i++){var u=t[n-1]===e[i-1]?0:1;c[i]=Math.min(o[i]+1,c[i-1]+1,o[i-1]+u),n>1&&i>1&&t[n-1]===e[i-2]&&t[n-2]===e[i-1]&&(c[i]=Math.min(c[i],s[i-2]+1)),a=Math.min(a,c[i])}if(a>r)return r+1;s=o,o=c}return o[e.length]}var f=function(t){t=t||{},this.version=1,this.bodies=!0===t.bodies,this.docs=t.docs||[],this.sections=t.sections||{},this.categories=t.categories||{},this.terms=t.terms||{},this.vocabulary=Object.keys(this.terms)},m=f.prototype;m.add=function(t){var e=this;return(t.categories||[]).forEach(function(t){e.categories[t.id]=t.name}),(t.sections||[]).forEach(function(t){e.sections[t.id]=[t.name,t.category_id]}),(t.articles||[]).forEach(function(t){if(!0!==t.draft){var s=e.docs.length,o={},c=function(t,e){u(t).forEach(function(t){o[t]=Math.max(o[t]||0,e)})};for(var a in e.docs.push([t.id,t.title,t.html_url,t.section_id,t.label_names||[]]),e.bodies&&t.body&&c(t.body.replace(/(<([^>]+)>)/gi," "),i),(t.label_names||[]).forEach(function(t){c(t,n)}),c(t.title,r),o)o.hasOwnProperty(a)&&(e.terms.hasOwnProperty(a)||(e.terms[a]=[]),e.terms[a].push(s,o[a]))}}),this.vocabulary=Object.keys(this.terms),this},m._matchTerms=function(t,e){var r={},n=l(t);return this.terms.hasOwnProperty(t)&&(r[t]=s),this.vocabulary.forEach(function(i){if(i!==t)if(e&&0===i.indexOf(t))r[i]=o;else if(n){for(var s=h(t,i,n),a=t.length-1;e&&s>n&&a<=t.length+1;a++)s=Math.min(s,h(t,i.substring(0,a),n));s<=n&&(r[i]=c/s)}}),r},m.search=function(t,e){e=e||{};var r=this,n=u(t),i=e.limit||10,s={query:t,total:0,results:[],facets:{sections:[],categories:[]}};if(!n.length)return s;var o=n.map(function(t,e){var i=r._matchTerms(t,e===n.length-1),s={};for(var o in i)if(i.hasOwnProperty(o))for(var c=r.terms[o],a=0;a<c.length;a+=2){var u=c[a+1]*i[o],l=s[c[a]]||(s[c[a]]={score:0,terms:[]});l.score=Math.max(l.score,u),l.terms.push(o)}return s}),c=function(t){var e={};return o.forEach(function(t){for(var r in t)if(t.hasOwnProperty(r)){var n=e[r]||(e[r]={score:0,terms:[],count:0});n.score+=t[r].score,n.terms=n.terms.concat(t[r].terms),n.count++}}),Object.keys(e).filter(function(r){return!t||e[r].count===o.length}).map(function(t){return r._getResult(parseInt(t,10),e[t])})},a=c(!0);return!a.length&&n.length>1&&(a=c(!1)),s.facets=this._getFacets(a,e),a=a.filter(function(t){return(!e.section||t.section&&t.section.id===parseInt(e.section,10))&&(!e.category||t.category&&t.category.id===parseInt(e.category,10))}).sort(function(t,e){return e.score-t.score||t.title.localeCompare(e.title)}),s.total=a.length,s.results=a.slice(0,i),s},m.suggest=function(t){var e=this,r=!1,i=function(t){for(var r=e.terms[t],i=0,s=1;s<r.length;s+=2)r[s]>=n&&i++;return i},s=u(t).map(function(t){var n=l(t);if(!n||e.terms.hasOwnProperty(t)&&i(t))return t;var s={term:t,distance:n+1,count:0};return e.vocabulary.forEach(function(e){var r=h(t,e,n);if(!(r>s.distance||r>n)){var o=i(e);o&&(r<s.distance||o>s.count)&&(s={term:e,distance:r,count:o})}}),r=r||s.term!==t,s.term});return r?s.join(" "):null},m._getResult=function(t,e){var r=this.docs[t],n=this.sections[r[3]],i=n?n[1]:null,s=r[1].split(/\s+/).filter(function(t){return u(t).some(function(t){return-1!==e.terms.indexOf(t)})});return{id:r[0],title:r[1],html_url:r[2],label_names:r[4],section:n?{id:r[3],name:n[0]}:null,category:i&&this.categories.hasOwnProperty(i)?{id:i,name:this.categories[i]}:null,score:e.score,highlight:{title:Util.highlight(r[1],s.join(" "))}}},m._getFacets=function(t,e){var r=function(r){var n={};return t.forEach(function(t){var e=t[r];e&&(n[e.id]||(n[e.id]={id:e.id,name:e.name,count:0})).count++}),Object.keys(n).map(function(t){return n[t].active=String(e[r])===String(t),n[t]}).sort(function(t,e){return e.count-t.count||t.name.localeCompare(e.name)})};return{sections:r("section"),categories:r("category")}},m.toJSON=function(){return{version:this.version,bodies:this.bodies,docs:this.docs,sections:this.sections,categories:this.categories,terms:this.terms}},f.load=function(r){r=Util.extend({bodies:!1,ttl:Util.cacheSettings.ttl},r||{});var n=Util.storage("articles-"+Theme.locale,!1,t),i=n.key;if(a.hasOwnProperty(i))return a[i];var s=n.get();if(s&&1===s.version&&s.bodies===r.bodies&&n.isValid(r.ttl))return a[i]=Promise.resolve(new f(s)),a[i];var o=["id","name","title","html_url","draft","section_id","category_id","label_names"];return r.bodies&&o.push("body"),a[i]=Util.get(["categories","sections","articles"],o).then(function(t){var i=new f({bodies:r.bodies}).add(t);return n.set(i.toJSON()),Util.triggerEvent(document,e.READY,{index:i}),i}).catch(function(t){return delete a[i],Util.triggerEvent(document,e.ERROR,{error:t}),Promise.reject(t)}),a[i]},f.tokenize=u,f.distance=h,window.SearchIndex=f})();
\ No newline at end of file
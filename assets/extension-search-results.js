@@ -0,0 +1,418 @@
+(function() {
+  "use strict";
+
+  // Globals
+  var NAME = 'searchResults';
+
+  var Event = {
+    RENDER: NAME + ':render',
+    CHANGE: NAME + ':change',
+    ERROR:  NAME + ':error'
+  };
+
+  // The number of search results requested per page when retrieving labels (the REST API maximum)
+  var SEARCH_PAGE_SIZE = 100;
+
+  var Sort = {
+    RELEVANCE: 'relevance',
+    NEWEST: 'newest',
+    OLDEST: 'oldest',
+    TITLE: 'title'
+  };
+
+  /**
+   * Search results extension.
+   *
+   * Enriches the results on the search results page with their category, section and labels, and
+   * refines them by facet, date range and label.  The selected filters are reflected in the URL.
+   *
+   * Only the results on the current page are refined and counted, since the filters aren't
+   * supported by the search results page itself.
+   *
+   * @type {component}
+   */
+  window.SearchResults = Util.createPlugin({
+
+    defaults: {
+
+      // Retrieve the labels of the results from the search API to enable filtering by label
+      labels: true,
+
+      // The prefix for URL parameters (avoids conflicts with the search page's own parameters)
+      parameterPrefix: 'refine_',
+
+      // The selector for the element in which to render the filters
+      filtersTarget: '[data-search-filters]',
+
+      // The ID of the custom template to use when rendering the filters
+      template: 'search-results-filters',
+
+      // The ID of the custom template to use when the objects can't be retrieved
+      errorTemplate: 'search-results-error',
+
+      // Additional data to expose to the template
+      templateData: {}
+    },
+
+    optionTypes: {
+      labels: 'boolean',
+      parameterPrefix: 'string',
+      filtersTarget: 'string',
+      template: '(string|null)',
+      errorTemplate: '(string|null)',
+      templateData: '(string|object)'
+    },
+
+    /**
+     * Initializes the extension.
+     *
+     * @param options
+     */
+    initialize: function(options) {
+      var _this = this;
+
+      this.filtersEl = this.el.querySelector(options.filtersTarget);
+      this.results = Array.prototype.map.call(this.el.querySelectorAll('[data-search-result]'), function(el, index) {
+        var url = el.getAttribute('data-url') || '';
+        var createdAt = new Date(el.getAttribute('data-created-at'));
+        return {
+          el: el,
+          index: index,
+          id: Util.isArticlePage(url) ? Util.getPageId(url.split(/[?#]/)[0]) : null,
+          title: el.getAttribute('data-title') || '',
+          created_at: isNaN(createdAt) ? null : createdAt,
+          category: null,
+          section: null,
+          label_names: []
+        };
+      });
+
+      if (!this.results.length) {
+        return;
+      }
+
+      this.filters = this.getFilters();
+      if (this.filtersEl) {
+        this.addEventListeners();
+      }
+
+      this.getObjects(options)
+        .then(this.enrichResults.bind(this))
+        .then(function() {
+          _this.render();
+          _this.applyFilters();
+        })
+        .catch(this._handleError.bind(this, Event.ERROR));
+    },
+
+    /**
+     * Retrieves the categories and sections (and the articles in the results, if filtering by label).
+     *
+     * @returns {Promise}
+     */
+    getObjects: function(options) {
+      var objects = Util.get(['categories', 'sections'], ['id', 'name', 'html_url', 'category_id', 'parent_section_id']);
+      var articles = options.labels ? this.getArticles() : Promise.resolve([]);
+
+      return Promise.all([objects, articles]).then(function(responses) {
+        return Util.extend(responses[0], { articles: responses[1] });
+      });
+    },
+
+    /**
+     * Retrieves the articles in the results from the search API, which includes their labels.
+     *
+     * The results on the current page are among the first `page * results` matches of the query,
+     * so only the pages of search results that can contain them are requested.  If the articles
+     * can't be retrieved, the results can still be filtered by category and section.
+     *
+     * @returns {Promise}
+     */
+    getArticles: function() {
+      var query = Util.getURLParameter('query');
+      var ids = this.results
+        .filter(function(result) {
+          return result.id;
+        })
+        .map(function(result) {
+          return String(result.id);
+        });
+
+      if (!query || !ids.length) {
+        return Promise.resolve([]);
+      }
+
+      var page = parseInt(Util.getURLParameter('page'), 10) || 1;
+      var maxPages = Math.ceil(page * this.results.length / SEARCH_PAGE_SIZE);
+      var articles = [];
+
+      var search = function(cursor, remaining) {
+        var params = { query: query, cursor: cursor, perPage: SEARCH_PAGE_SIZE };
+        return Util.get('articles', ['id', 'section_id', 'label_names'], { search: params })
+          .then(function(json) {
+            json.articles.forEach(function(article) {
+              if (ids.indexOf(String(article.id)) !== -1) {
+                articles.push(article);
+              }
+            });
+
+            if (json.next && articles.length < ids.length && remaining > 1) {
+              return search(json.next, remaining - 1);
+            }
+            return articles;
+          });
+      };
+
+      return search(null, maxPages)
+        .catch(function(error) {
+          Util.log('Unable to retrieve the labels of the search results', error);
+          return articles;
+        });
+    },
+
+    /**
+     * Adds the category, section and labels to each result.
+     *
+     * The section is identified from the article (if available) or the result's breadcrumbs.
+     *
+     * @param collection
+     */
+    enrichResults: function(collection) {
+      var index = function(objects) {
+        var map = {};
+        (objects || []).forEach(function(object) {
+          map[object.id] = object;
+        });
+        return map;
+      };
+
+      var categories = index(collection.categories);
+      var sections = index(collection.sections);
+      var articles = index(collection.articles);
+
+      this.results.forEach(function(result) {
+        var article = result.id ? articles[result.id] : null;
+        var sectionId = article ? article['section_id'] : null;
+
+        if (!sectionId) {
+          Array.prototype.forEach.call(result.el.querySelectorAll('.breadcrumbs a[href]'), function(link) {
+            if (Util.isSectionPage(link.href)) {
+              sectionId = Util.getPageId(link.href.split(/[?#]/)[0]);
+            }
+          });
+        }
+
+        var section = sections[sectionId] || null;
+        var category = section ? categories[section['category_id']] || null : null;
+
+        result.section = section ? { id: section.id, name: section.name } : null;
+        result.category = category ? { id: category.id, name: category.name } : null;
+        result.label_names = article ? article['label_names'] || [] : [];
+
+        if (result.section) result.el.setAttribute('data-section-id', result.section.id);
+        if (result.category) result.el.setAttribute('data-category-id', result.category.id);
+      });
+
+      return this.results;
+    },
+
+    /**
+     * Returns the filters from the URL parameters.
+     *
+     * @returns {{categories: Array, sections: Array, labels: Array, from: string, to: string, sort: string}}
+     */
+    getFilters: function() {
+      var prefix = this.options.parameterPrefix;
+      var list = function(name) {
+        var value = Util.getURLParameter(prefix + name);
+        return value ? value.split(',').filter(function(item) { return item; }) : [];
+      };
+
+      var sort = Util.getURLParameter(prefix + 'sort');
+      return {
+        categories: list('category'),
+        sections: list('section'),
+        labels: list('label'),
+        from: Util.getURLParameter(prefix + 'from') || '',
+        to: Util.getURLParameter(prefix + 'to') || '',
+        sort: Object.keys(Sort).some(function(key) { return Sort[key] === sort; }) ? sort : Sort.RELEVANCE
+      };
+    },
+
+    /**
+     * Stores the filters in the URL parameters, so the filtered results can be bookmarked.
+     */
+    setFilters: function(filters) {
+      var prefix = this.options.parameterPrefix;
+      var url = window.location.href.split('#')[0];
+
+      this.filters = filters;
+      url = Util.setURLParameter(url, prefix + 'category', filters.categories.join(','));
+      url = Util.setURLParameter(url, prefix + 'section', filters.sections.join(','));
+      url = Util.setURLParameter(url, prefix + 'label', filters.labels.join(','));
+      url = Util.setURLParameter(url, prefix + 'from', filters.from);
+      url = Util.setURLParameter(url, prefix + 'to', filters.to);
+      url = Util.setURLParameter(url, prefix + 'sort', filters.sort === Sort.RELEVANCE ? '' : filters.sort);
+      window.history.replaceState(window.history.state, '', url + window.location.hash);
+
+      this.applyFilters();
+    },
+
+    /**
+     * Shows the results matching the filters, in the selected order.
+     */
+    applyFilters: function() {
+      var filters = this.filters;
+      var from = filters.from ? new Date(filters.from) : null;
+      var to = filters.to ? new Date(filters.to) : null;
+      if (to) to.setHours(23, 59, 59, 999);
+
+      var matches = function(values, object) {
+        return !values.length || (!!object && values.indexOf(String(object.id)) !== -1);
+      };
+
+      var visible = this.results.filter(function(result) {
+        var isVisible = matches(filters.categories, result.category) &&
+          matches(filters.sections, result.section) &&
+          filters.labels.every(function(label) { return result.label_names.indexOf(label) !== -1; }) &&
+          (!from || (result.created_at && result.created_at >= from)) &&
+          (!to || (result.created_at && result.created_at <= to));
+
+        result.el.hidden = !isVisible;
+        return isVisible;
+      });
+
+      // Reorder the results
+      var sorted = this.results.slice().sort(function(a, b) {
+        switch (filters.sort) {
+          case Sort.NEWEST:
+            return (b.created_at || 0) - (a.created_at || 0);
+          case Sort.OLDEST:
+            return (a.created_at || 0) - (b.created_at || 0);
+          case Sort.TITLE:
+            return a.title.localeCompare(b.title);
+          default:
+            return a.index - b.index;
+        }
+      });
+      sorted.forEach(function(result) {
+        result.el.parentNode.appendChild(result.el);
+      });
+
+      var status = this.el.querySelector('[data-search-status]');
+      if (status) {
+        status.textContent = visible.length === this.results.length ? '' : (status.getAttribute('data-format') || '{visible} / {total}')
+          .replace('{visible}', visible.length)
+          .replace('{total}', this.results.length);
+      }
+
+      Util.triggerEvent(this.el, Event.CHANGE, {
+        relatedTarget: this.el,
+        filters: filters,
+        results: visible
+      });
+    },
+
+    /**
+     * Returns the number of results for each category, section or label.
+     *
+     * @param type
+     * @param selected
+     * @returns {Array}
+     */
+    getFacets: function(type, selected) {
+      var facets = {};
+      this.results.forEach(function(result) {
+        var values = type === 'label_names' ? result.label_names.map(function(label) {
+          return { id: label, name: label };
+        }) : result[type] ? [result[type]] : [];
+
+        values.forEach(function(value) {
+          var facet = facets[value.id] || (facets[value.id] = { id: value.id, name: value.name, count: 0 });
+          facet.count++;
+        });
+      });
+
+      return Object.keys(facets)
+        .map(function(id) {
+          facets[id].selected = selected.indexOf(String(id)) !== -1;
+          return facets[id];
+        })
+        .sort(function(a, b) {
+          return b.count - a.count || String(a.name).localeCompare(b.name);
+        });
+    },
+
+    /**
+     * Renders the filters.
+     */
+    render: function() {
+      var options = this.options;
+      if (!this.filtersEl) return;
+
+      var data = {
+        categories: this.getFacets('category', this.filters.categories),
+        sections: this.getFacets('section', this.filters.sections),
+        labels: this.getFacets('label_names', this.filters.labels),
+        from: this.filters.from,
+        to: this.filters.to,
+        sort: this.filters.sort,
+        sortOptions: Object.keys(Sort).map(function(key) { return Sort[key]; }),
+        results: this.results
+      };
+
+      if (options.templateData) {
+        data = Util.extend(data, options.templateData);
+      }
+
+      Util.renderTemplate(this.filtersEl, options.template, data, { replaceContent: true });
+
+      Util.triggerEvent(this.el, Event.RENDER, {
+        relatedTarget: this.el,
+        data: data,
+        options: options
+      });
+    },
+
+    /**
+     * Updates the filters when the form controls change.
+     */
+    addEventListeners: function() {
+      var _this = this;
+
+      var getValues = function(name) {
+        return Array.prototype.map.call(_this.filtersEl.querySelectorAll('[name="' + name + '"]:checked'), function(input) {
+          return input.value;
+        });
+      };
+
+      var getValue = function(name) {
+        var input = _this.filtersEl.querySelector('[name="' + name + '"]');
+        return input ? input.value : '';
+      };
+
+      this.filtersEl.addEventListener('change', function() {
+        _this.setFilters({
+          categories: getValues('category'),
+          sections: getValues('section'),
+          labels: getValues('label'),
+          from: getValue('from'),
+          to: getValue('to'),
+          sort: getValue('sort') || Sort.RELEVANCE
+        });
+      });
+
+      this.filtersEl.addEventListener('click', function(e) {
+        if (!Util.closest(e.target, '[data-search-reset]')) return;
+        _this.setFilters({ categories: [], sections: [], labels: [], from: '', to: '', sort: Sort.RELEVANCE });
+        _this.render();
+      });
+    }
+  });
+
+  ready(function() {
+    each('[data-element="search-results"]', function(el) {
+      new SearchResults(el);
+    });
+  });
+})();
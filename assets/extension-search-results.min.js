@@ -0,0 +1 @@
+(function(){"use strict";var t="searchResults",e={RENDER:t+":render",CHANGE:t+":change",ERROR:t+":error"},r={RELEVANCE:"relevance",NEWEST:"newest",OLDEST:"oldest",TITLE:"title"};window.SearchResults=Util.createPlugin({defaults:{labels:!0,parameterPrefix:"refine_",filtersTarget:"[data-search-filters]",template:"search-results-filters",errorTemplate:"search-results-error",templateData:{}},optionTypes:{labels:"boolean",parameterPrefix:"string",filtersTarget:"string",template:"(string|null)",errorTemplate:"(string|null)",templateData:"(string|object)"},initialize:function(t){var r=this;this.filtersEl=this.el.querySelector(t.filtersTarget),this.results=Array.prototype.map.call(this.el.querySelectorAll("[data-search-result]"),function(t,e){var r=t.getAttribute("data-url")||"",i=new Date(t.getAttribute("data-created-at"));return{el:t,index:e,id:Util.isArticlePage(r)?Util.getPageId(r.split(/[?#]/)[0]):null,title:t.getAttribute("data-title")||"",created_at:isNaN(i)?null:i,category:null,section:null,label_names:[]}}),this.results.length&&(this.filters=this.getFilters(),this.filtersEl&&this.addEventListeners(),this.getObjects(t).then(this.enrichResults.bind(this)).then(function(){r.render(),r.applyFilters()}).catch(this._handleError.bind(this,e.ERROR)))},getObjects:function(t){var e=Util.get(["categories","sections"],["id","name","html_url","category_id","parent_section_id"]),r=t.labels?this.getArticles():Promise.resolve([]);return Promise.all([e,r]).then(function(t){return Util.extend(t[0],{articles:t[1]})})},getArticles:function(){var t=Util.getURLParameter("query"),e=this.results.filter(function(t){return t.id}).map(function(t){return String(t.id)});if(!t||!e.length)return Promise.resolve([]);var r=parseInt(Util.getURLParameter("page"),10)||1,i=Math.ceil(r*this.results.length/100),s=[],a=function(r,i){var l={query:t,cursor:r,perPage:100};return Util.get("articles",["id","section_id","label_names"],{search:l}).then(function(t){return t.articles.forEach(function(t){-1!==e.indexOf(String(t.id))&&s.push(t)}),t.next&&s.length<e.length&&i>1?a(t.next,i-1):s})};return a(null,i).catch(function(t){return Util.log("Unable to retrieve the labels of the search results",t),s})},enrichResults:function(t){var e=function(t){var e={};return(t||[]).forEach(function(t){e[t.id]=t}),e},r=e(t.categories),i=e(t.sections),s=e(t.articles);return this.results.forEach(function(t){var e=t.id?s[t.id]:null,a=e?e.section_id:null;a||Array.prototype.forEach.call(t.el.querySelectorAll(".breadcrumbs a[href]"),function(t){Util.isSectionPage(t.href)&&(a=Util.getPageId(t.href.split(/[?#]/)[0]))});var l=i[a]||null,n=l&&r[l.category_id]||null;t.section=l?{id:l.id,name:l.name}:null,t.category=n?{id:n.id,name:n.name}:null,t.label_names=e&&e.label_names||[],t.section&&t.el.setAttribute("data-section-id",t.section.id),t.category&&t.el.setAttribute("data-category-id",t.category.id)}),this.results},getFilters:function(){var t=this.options.parameterPrefix,e=function(e){var r=Util.getURLParameter(t+e);return r?r.split(",").filter(function(t){return t}):[]},i=Util.getURLParameter(t+"sort");return{categories:e("category"),sections:e("section"),labels:e("label"),from:Util.getURLParameter(t+"from")||"",to:Util.getURLParameter(t+"to")||"",sort:Object.keys(r).some(function(t){return r[t]===i})?i:r.RELEVANCE}},setFilters:function(t){var e=this.options.parameterPrefix,i=window.location.href.split("#")[0];this.filters=t,i=Util.setURLParameter(i,e+"category",t.categories.join(",")),i=Util.setURLParameter(i,e+"section",t.sections.join(",")),i=Util.setURLParameter(i,e+"label",t.labels.join(",")),i=Util.setURLParameter(i,e+"from",t.from),i=Util.setURLParameter(i,e+"to",t.to),i=Util.setURLParameter(i,e+"sort",t.sort===r.RELEVANCE?"":t.sort),window.history.replaceState(window.history.state,"",i+window.location.hash),this.applyFilters()},applyFilters:function(){var t=this.filters,i=t.from?new Date(t.from):null,s=t.to?new Date(t.to):null;s&&s.setHours(23,59,59,999);var a=function(t,e){return!t.length||!!e&&-1!==t.indexOf(String(e.id))},l=this.results.filter(function(e){var r=a(t.categories,e.category)&&a(t.sections,e.section)&&t.labels.every(function(t){return-1!==e.label_names.indexOf(t)})&&(!i||e.created_at&&e.created_at>=i)&&(!s||e.created_at&&e.created_at<=s);return e.el.hidden=!r,r});this.results.slice().sort(function(e,i){switch(t.sort){case r.NEWEST:return(i.created_at||0)-(e.created_at||0);case r.OLDEST:return(e.created_at||0)-(i.created_at||0);case r.TITLE:return e.title.localeCompare(i.title);default:return e.index-i.index}}).forEach(function(t){t.el.parentNode.appendChild(t.el)});var n=this.el.querySelector("[data-search-status]");n&&(n.textContent=l.length===this.results.length?"":(n.getAttribute("data-format")||"{visible} / {total}").replace("{visible}",l.length).replace("{total}",this.results.length)),Util.triggerEvent(this.el,e.CHANGE,{relatedTarget:this.el,filters:t,results:l})},getFacets:function(t,e){var r={};return this.results.forEach(function(e){("label_names"===t?e.label_names.map(function(t){return{id:t,name:t}}):e[t]?[e[t]]:[]).forEach(function(t){(r[t.id]||(r[t.id]={id:t.id,name:t.name,count:0})).count++})}),Object.keys(r).map(function(t){return r[t].selected=-1!==e.indexOf(String(t)),r[t]}).sort(function(t,e){return e.count-t.count||String(t.name).localeCompare(e.name)})},render:function(){var t=this.options;if(this.filtersEl){var i={categories:this.getFacets("category",this.filters.categories),sections:this.getFacets("section",this.filters.sections),labels:this.getFacets("label_names",this.filters.labels),from:this.filters.from,to:this.filters.to,sort:this.filters.sort,sortOptions:Object.keys(r).map(function(t){return r[t]}),results:this.results};t.templateData&&(i=Util.extend(i,t.templateData)),Util.renderTemplate(this.filtersEl,t.template,i,{replaceContent:!0}),Util.triggerEvent(this.el,e.RENDER,{relatedTarget:this.el,data:i,options:t})}},addEventListeners:function(){var t=this,e=function(e){return Array.prototype.map.call(t.filtersEl.querySelectorAll('[name="'+e+'"]:checked'),function(t){return t.value})},i=function(e){var r=t.filtersEl.querySelector('[name="'+e+'"]');return r?r.value:""};this.filtersEl.addEventListener("change",function(){t.setFilters({categories:e("category"),sections:e("section"),labels:e("label"),from:i("from"),to:i("to"),sort:i("sort")||r.RELEVANCE})}),this.filtersEl.addEventListener("click",function(e){Util.closest(e.target,"[data-search-reset]")&&(t.setFilters({categories:[],sections:[],labels:[],from:"",to:"",sort:r.RELEVANCE}),t.render())})}}),ready(function(){each('[data-element="search-results"]',function(t){new SearchResults(t)})})})();
\ No newline at end of file
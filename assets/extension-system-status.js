@@ -1,4 +1,3 @@
-
 (function() {
 
   "use strict";
@@ -6,27 +5,524 @@
   var NAME = 'systemStatus';
 
   var Event = {
-    RENDER: NAME + ':render'
+    RENDER: NAME + ':render',
+    CHANGE: NAME + ':change',
+    ERROR:  NAME + ':error'
+  };
+
+  // The normalized status indicators, in order of severity
+  var Indicator = {
+    NONE:        'none',
+    MAINTENANCE: 'maintenance',
+    MINOR:       'minor',
+    MAJOR:       'major',
+    CRITICAL:    'critical',
+    UNKNOWN:     'unknown'
+  };
+
+  var SEVERITY = [Indicator.UNKNOWN, Indicator.NONE, Indicator.MAINTENANCE, Indicator.MINOR, Indicator.MAJOR, Indicator.CRITICAL];
+
+  // The default description of each indicator, used when a provider doesn't describe its status
+  var Description = {
+    none:        'All Systems Operational',
+    maintenance: 'Under Maintenance',
+    minor:       'Minor Service Outage',
+    major:       'Partial System Outage',
+    critical:    'Major Service Outage',
+    unknown:     'Status Unknown'
+  };
+
+  // The notification type used when the status changes to each indicator
+  var NotificationType = {
+    none:        'success',
+    maintenance: 'tip',
+    minor:       'warning',
+    major:       'warning',
+    critical:    'error',
+    unknown:     'tip'
+  };
+
+  // The Statuspage component statuses
+  var StatuspageStatus = {
+    operational:          Indicator.NONE,
+    under_maintenance:    Indicator.MAINTENANCE,
+    degraded_performance: Indicator.MINOR,
+    partial_outage:       Indicator.MAJOR,
+    major_outage:         Indicator.CRITICAL
+  };
+
+  /**
+   * Returns a URL without a trailing slash.
+   *
+   * @param url
+   * @returns {string}
+   */
+  function trimURL(url) {
+    return String(url || '').replace(/\/+$/, '');
+  }
+
+  /**
+   * Returns a URL if it uses the HTTP or HTTPS protocol, or null otherwise.
+   *
+   * @param url
+   * @returns {string|null}
+   */
+  function getSafeURL(url) {
+    return typeof url === 'string' && /^https?:\/\//i.test(url.trim()) ? url.trim() : null;
+  }
+
+  /**
+   * Returns the value at a dot-separated path (e.g. `status.indicator`) of an object.
+   *
+   * @param obj
+   * @param path
+   * @returns {*}
+   */
+  function getValue(obj, path) {
+    if (!path) return undefined;
+    return String(path).split('.').reduce(function(value, key) {
+      return value !== null && value !== undefined ? value[key] : undefined;
+    }, obj);
+  }
+
+  /**
+   * Returns a status object.
+   *
+   * @param indicator
+   * @param description
+   * @param url
+   * @returns {{indicator: string, description: string, url: (string|null)}}
+   */
+  function createStatus(indicator, description, url) {
+    indicator = SEVERITY.indexOf(indicator) === -1 ? Indicator.UNKNOWN : indicator;
+    return {
+      indicator: indicator,
+      description: description || Description[indicator],
+      url: url || null
+    };
+  }
+
+  /**
+   * Returns the most severe of a list of indicators.
+   *
+   * @param indicators
+   * @returns {string}
+   */
+  function getMostSevere(indicators) {
+    return indicators.reduce(function(result, indicator) {
+      return SEVERITY.indexOf(indicator) > SEVERITY.indexOf(result) ? indicator : result;
+    }, Indicator.UNKNOWN);
+  }
+
+  /**
+   * The Atlassian Statuspage response format, shared by hosted and custom domain pages.
+   *
+   * @param json
+   * @param options
+   * @param url
+   * @returns {{}}
+   */
+  function parseStatuspage(json, options, url) {
+    var status = json.status || {};
+    return createStatus(status.indicator, status.description, json.page && json.page.url ? json.page.url : url);
+  }
+
+  /**
+   * Returns a human-readable status (e.g. `Degraded Performance` for `degraded_performance`).
+   *
+   * @param status
+   * @returns {string}
+   */
+  function humanize(status) {
+    return String(status || '').toLowerCase().replace(/[_-]+/g, ' ').replace(/\b\w/g, function(char) {
+      return char.toUpperCase();
+    });
+  }
+
+  /**
+   * The Atlassian Statuspage summary format, shared by hosted and custom domain pages.
+   *
+   * Component groups are excluded, and their names are given to the components they contain.
+   *
+   * @param json
+   * @param options
+   * @param url
+   * @returns {{}}
+   */
+  function parseStatuspageSummary(json, options, url) {
+    var status = parseStatuspage(json, options, url);
+    var groups = {};
+
+    (json.components || []).forEach(function(component) {
+      if (component.group) groups[component.id] = component.name;
+    });
+
+    var getUpdate = function(incident) {
+      var update = (incident['incident_updates'] || [])[0];
+      return update ? { body: update.body, status: humanize(update.status), createdAt: update['display_at'] || update['created_at'] } : null;
+    };
+
+    status.components = (json.components || [])
+      .filter(function(component) {
+        return !component.group && !(component['only_show_if_degraded'] && component.status === 'operational');
+      })
+      .map(function(component) {
+        return {
+          id: component.id,
+          name: component.name,
+          group: groups[component['group_id']] || null,
+          indicator: StatuspageStatus[component.status] || Indicator.UNKNOWN,
+          status: humanize(component.status)
+        };
+      });
+
+    status.incidents = (json.incidents || []).map(function(incident) {
+      return {
+        id: incident.id,
+        name: incident.name,
+        indicator: incident.impact === 'none' ? Indicator.MINOR : createStatus(incident.impact).indicator,
+        status: humanize(incident.status),
+        url: incident.shortlink || null,
+        updatedAt: incident['updated_at'],
+        update: getUpdate(incident)
+      };
+    });
+
+    status.maintenances = (json['scheduled_maintenances'] || []).map(function(maintenance) {
+      return {
+        id: maintenance.id,
+        name: maintenance.name,
+        status: humanize(maintenance.status),
+        url: maintenance.shortlink || null,
+        scheduledFor: maintenance['scheduled_for'],
+        scheduledUntil: maintenance['scheduled_until'],
+        update: getUpdate(maintenance)
+      };
+    });
+
+    return status;
+  }
+
+  /**
+   * Status providers.
+   *
+   * Each provider returns the URL to request (`getURL`) and converts the JSON response into a
+   * status with a normalized `indicator` (`none`, `maintenance`, `minor`, `major`, `critical` or
+   * `unknown`), a `description` and the `url` of the status page (`parse`).  Since `parse` is a
+   * pure function, providers are tested against sample responses in `tests/system-status` (run
+   * `node tests/system-status.test.js`).
+   *
+   * Providers may also return the URL of a summary (`getSummaryURL`) and convert it into a status
+   * with lists of `components`, active `incidents` and upcoming `maintenances` (`parseSummary`).
+   */
+  var providers = {
+
+    // Statuspage pages hosted at `<subdomain>.statuspage.io`
+    'statuspage.io': {
+      required: ['subdomain'],
+      getURL: function(options) {
+        return 'https://' + options.subdomain + '.statuspage.io/api/v2/status.json';
+      },
+      parse: function(json, options) {
+        return parseStatuspage(json, options, 'https://' + options.subdomain + '.statuspage.io');
+      },
+      getSummaryURL: function(options) {
+        return 'https://' + options.subdomain + '.statuspage.io/api/v2/summary.json';
+      },
+      parseSummary: function(json, options) {
+        return parseStatuspageSummary(json, options, 'https://' + options.subdomain + '.statuspage.io');
+      }
+    },
+
+    // Statuspage pages hosted at a custom domain (e.g. `https://status.example.com`)
+    'atlassian': {
+      required: ['url'],
+      getURL: function(options) {
+        return trimURL(options.url) + '/api/v2/status.json';
+      },
+      parse: function(json, options) {
+        return parseStatuspage(json, options, trimURL(options.url));
+      },
+      getSummaryURL: function(options) {
+        return trimURL(options.url) + '/api/v2/summary.json';
+      },
+      parseSummary: function(json, options) {
+        return parseStatuspageSummary(json, options, trimURL(options.url));
+      }
+    },
+
+    // Status.io pages, identified by their page ID
+    'status.io': {
+      required: ['pageId'],
+      codes: {
+        100: Indicator.NONE,
+        200: Indicator.MAINTENANCE,
+        300: Indicator.MINOR,
+        400: Indicator.MAJOR,
+        500: Indicator.CRITICAL,
+        600: Indicator.CRITICAL
+      },
+      getURL: function(options) {
+        return 'https://api.status.io/1.0/status/' + options.pageId;
+      },
+      parse: function(json, options) {
+        var status = getValue(json, 'result.status_overall') || {};
+        return createStatus(this.codes[status['status_code']], status.status, options.url ? trimURL(options.url) : null);
+      },
+      getSummaryURL: function(options) {
+        return this.getURL(options);
+      },
+      parseSummary: function(json, options) {
+        var codes = this.codes;
+        var result = json.result || {};
+        var status = this.parse(json, options);
+
+        // Components are divided into containers (e.g. regions)
+        status.components = (result.status || []).reduce(function(components, component) {
+          return components.concat((component.containers || []).map(function(container) {
+            return {
+              id: component.id + ':' + container.id,
+              name: container.name,
+              group: component.name,
+              indicator: codes[container['status_code']] || Indicator.UNKNOWN,
+              status: container.status
+            };
+          }));
+        }, []);
+
+        status.incidents = (result.incidents || []).map(function(incident) {
+          return {
+            id: incident['_id'],
+            name: incident.name,
+            indicator: Indicator.MAJOR,
+            status: null,
+            url: status.url,
+            updatedAt: incident['datetime_open'] || null,
+            update: null
+          };
+        });
+
+        status.maintenances = [].concat(getValue(result, 'maintenance.active') || [], getValue(result, 'maintenance.upcoming') || [])
+          .map(function(maintenance) {
+            return {
+              id: maintenance['_id'],
+              name: maintenance.name,
+              status: null,
+              url: status.url,
+              scheduledFor: maintenance['datetime_planned_start'] || null,
+              scheduledUntil: maintenance['datetime_planned_end'] || null,
+              update: null
+            };
+          });
+
+        return status;
+      }
+    },
+
+    // Cachet installations, whose status is the most severe status of their components
+    'cachet': {
+      required: ['url'],
+      codes: {
+        1: Indicator.NONE,
+        2: Indicator.MINOR,
+        3: Indicator.MAJOR,
+        4: Indicator.CRITICAL
+      },
+      getURL: function(options) {
+        return trimURL(options.url) + '/api/v1/components?per_page=100';
+      },
+      parse: function(json, options) {
+        var codes = this.codes;
+        var components = json.data || [];
+        var indicator = components.length ? getMostSevere(components.map(function(component) {
+          return codes[component.status] || Indicator.UNKNOWN;
+        })) : Indicator.UNKNOWN;
+        return createStatus(indicator, null, trimURL(options.url));
+      },
+      getSummaryURL: function(options) {
+        return this.getURL(options);
+      },
+      parseSummary: function(json, options) {
+        var codes = this.codes;
+        var status = this.parse(json, options);
+        status.components = (json.data || []).map(function(component) {
+          return {
+            id: component.id,
+            name: component.name,
+            group: null,
+            indicator: codes[component.status] || Indicator.UNKNOWN,
+            status: component['status_name'] || null
+          };
+        });
+        status.incidents = [];
+        status.maintenances = [];
+        return status;
+      }
+    },
+
+    // Instatus pages, hosted at `<subdomain>.instatus.com` or a custom domain
+    'instatus': {
+      required: [],
+      impacts: {
+        DEGRADEDPERFORMANCE: Indicator.MINOR,
+        PARTIALOUTAGE: Indicator.MAJOR,
+        MAJOROUTAGE: Indicator.CRITICAL
+      },
+      getPageURL: function(options) {
+        return options.url ? trimURL(options.url) : 'https://' + options.subdomain + '.instatus.com';
+      },
+      getURL: function(options) {
+        if (!options.url && !options.subdomain) {
+          throw new Error('A subdomain or URL must be specified');
+        }
+        return this.getPageURL(options) + '/summary.json';
+      },
+      parse: function(json, options) {
+        var impacts = this.impacts;
+        var page = json.page || {};
+        var indicator = Indicator.UNKNOWN;
+
+        if (page.status === 'UP') {
+          indicator = Indicator.NONE;
+        } else if (page.status === 'UNDERMAINTENANCE') {
+          indicator = Indicator.MAINTENANCE;
+        } else if (page.status === 'HASISSUES') {
+          indicator = getMostSevere([Indicator.MINOR].concat((json.activeIncidents || []).map(function(incident) {
+            return impacts[incident.impact] || Indicator.MINOR;
+          })));
+        }
+        return createStatus(indicator, null, page.url || this.getPageURL(options));
+      },
+      getSummaryURL: function(options) {
+        return this.getURL(options);
+      },
+      parseSummary: function(json, options) {
+        var impacts = this.impacts;
+        var status = this.parse(json, options);
+        status.components = [];
+        status.incidents = (json.activeIncidents || []).map(function(incident) {
+          return {
+            id: incident.id,
+            name: incident.name,
+            indicator: impacts[incident.impact] || Indicator.MINOR,
+            status: humanize(incident.status),
+            url: incident.url || status.url,
+            updatedAt: incident.updatedAt || incident.started || null,
+            update: null
+          };
+        });
+        status.maintenances = (json.activeMaintenances || []).map(function(maintenance) {
+          return {
+            id: maintenance.id,
+            name: maintenance.name,
+            status: humanize(maintenance.status),
+            url: maintenance.url || status.url,
+            scheduledFor: maintenance.start || null,
+            scheduledUntil: maintenance.start && maintenance.duration ? new Date(new Date(maintenance.start).getTime() + maintenance.duration * 60000).toISOString() : null,
+            update: null
+          };
+        });
+        return status;
+      }
+    },
+
+    // Any JSON endpoint, whose fields are identified by the `mapping` option
+    'json': {
+      required: ['url'],
+      getURL: function(options) {
+        return options.url;
+      },
+      parse: function(json, options) {
+        var mapping = Util.extend({ indicator: 'status.indicator', description: 'status.description', url: null, indicators: {} }, options.mapping || {});
+        var value = getValue(json, mapping.indicator);
+        var indicator = mapping.indicators.hasOwnProperty(value) ? mapping.indicators[value] : value;
+        return createStatus(indicator, getValue(json, mapping.description), getValue(json, mapping.url) || options.pageUrl);
+      },
+      getSummaryURL: function(options) {
+        return options.url;
+      },
+
+      // The lists must already be in the normalized format
+      parseSummary: function(json, options) {
+        var mapping = Util.extend({ components: 'components', incidents: 'incidents', maintenances: 'maintenances' }, options.mapping || {});
+        var status = this.parse(json, options);
+        status.components = getValue(json, mapping.components) || [];
+        status.incidents = getValue(json, mapping.incidents) || [];
+        status.maintenances = getValue(json, mapping.maintenances) || [];
+        return status;
+      }
+    }
   };
 
   /**
    * System Status extension.
    *
+   * Shows the overall status reported by a status provider (`statuspage.io`, `atlassian`,
+   * `status.io`, `cachet`, `instatus` or `json`).  Other providers can be added with
+   * `SystemStatus.registerProvider`.
+   *
    * @type {component}
    */
   window.SystemStatus = Util.createPlugin({
 
     defaults: {
-      subdomain: 'zenplates',
+
+      // The status provider
       service: 'statuspage.io',
+
+      // The subdomain of pages hosted by the provider (`statuspage.io` and `instatus`)
+      subdomain: null,
+
+      // The URL of the status page or API (`atlassian`, `cachet`, `instatus` and `json`)
+      url: null,
+
+      // The ID of the status page (`status.io`)
+      pageId: null,
+
+      // The paths of the indicator, description and status page URL in the response, and a map of
+      // response values to indicators (`json`), e.g. `{"indicator": "state", "indicators": {"ok": "none"}}`
+      mapping: {},
+
+      // The URL of the status page, if it differs from the one reported by the provider
+      pageUrl: null,
+
+      // The descriptions of each indicator, replacing those reported by the provider (e.g. to
+      // translate them), e.g. `{"none": "Tous les systèmes sont opérationnels"}`
+      descriptions: {},
+
+      // Show the status of each component, active incidents and scheduled maintenance (using the
+      // `system-status` template, unless another is specified)
+      detailed: false,
+
+      // The interval in milliseconds at which the status is updated while the page is visible
+      // (never if 0), e.g. 60000 for the detailed status
+      interval: 0,
+
+      // Show a notification when the status changes (requires the Notifications extension)
+      notify: true,
+
+      // The title of the notification shown when the status changes
+      notificationTitle: 'System status',
+
       template: null,
+      errorTemplate: 'system-status-error',
       templateData: {}
     },
 
     optionTypes: {
-      subdomain: 'string',
       service: 'string',
+      subdomain: '(string|null)',
+      url: '(string|null)',
+      pageId: '(string|null)',
+      mapping: '(string|object)',
+      pageUrl: '(string|null)',
+      descriptions: '(string|object)',
+      detailed: 'boolean',
+      interval: 'number',
+      notify: 'boolean',
+      notificationTitle: 'string',
       template: '(string|null)',
+      errorTemplate: '(string|null)',
       templateData: 'object'
     },
 
@@ -35,28 +531,202 @@
      * @param options
      */
     initialize: function(options) {
-      if (!options.subdomain) {
-        console.error('No subdomain specified');
+      var provider = providers[options.service];
+      if (!provider) {
+        console.error('Invalid service specified');
         return;
       }
 
-      if (options.service === 'statuspage.io') {
-        this.getStatuspage(options).then(this.render.bind(this));
-      } else {
-        console.error('Invalid service specified');
+      var invalid = ['mapping', 'descriptions'].filter(function(name) {
+        if (typeof options[name] !== 'string') return false;
+        try {
+          this.options[name] = options[name] = JSON.parse(options[name]);
+          return false;
+        } catch (e) {
+          console.error('Option value (' + name + ') is not a valid JSON string.');
+          return true;
+        }
+      }, this);
+      if (invalid.length) {
+        return;
+      }
+
+      var missing = provider.required.filter(function(name) {
+        return !options[name];
+      });
+      if (missing.length) {
+        console.error('The ' + options.service + ' service requires the ' + missing.join(', ') + ' option');
+        return;
+      }
+
+      // The last status retrieved, and the indicators last seen in this session by status URL
+      this.status = null;
+      this.storage = Util.storage('indicators', true, NAME);
+      this.timeout = null;
+      this.updatedAt = 0;
+
+      this.update();
+      if (options.interval > 0) {
+        this.addEventListeners();
+      }
+    },
+
+    /**
+     * Adds the required event listeners.
+     *
+     * Updates are paused while the page is hidden, and resume when it's shown.
+     */
+    addEventListeners: function() {
+      var _this = this;
+      document.addEventListener('visibilitychange', function() {
+        window.clearTimeout(_this.timeout);
+        if (document.visibilityState === 'hidden') return;
+
+        var elapsed = new Date().getTime() - _this.updatedAt;
+        if (elapsed >= _this.options.interval) {
+          _this.update();
+        } else {
+          _this.timeout = window.setTimeout(_this.update.bind(_this), _this.options.interval - elapsed);
+        }
+      });
+    },
+
+    /**
+     * Retrieves and renders the status, then schedules the next update.
+     *
+     * Once a status has been shown, failed updates are logged and the last status is kept.
+     *
+     * @returns {Promise}
+     */
+    update: function() {
+      var _this = this;
+      var options = this.options;
+
+      window.clearTimeout(this.timeout);
+      this.updatedAt = new Date().getTime();
+
+      return this.getStatus()
+        .then(function(status) {
+          _this.setStatus(status);
+          _this.render(status);
+        })
+        .catch(function(error) {
+          if (_this.status) {
+            Util.log('Unable to update the system status', error);
+          } else {
+            _this._handleError(Event.ERROR, error);
+          }
+        })
+        .then(function() {
+          if (options.interval > 0 && document.visibilityState !== 'hidden') {
+            _this.timeout = window.setTimeout(_this.update.bind(_this), options.interval);
+          }
+        });
+    },
+
+    /**
+     * Records the current status, and notifies the visitor if its indicator has changed since it
+     * was last seen in this session.
+     *
+     * @param status
+     */
+    setStatus: function(status) {
+      var options = this.options;
+      var key = options.service + ':' + providers[options.service].getURL(options);
+      var indicators = this.storage.get({});
+      var previous = this.status ? this.status.indicator : indicators[key];
+
+      this.status = status;
+      indicators[key] = status.indicator;
+      this.storage.set(indicators);
+
+      if (!previous || previous === status.indicator) {
+        return;
+      }
+
+      Util.triggerEvent(this.el, Event.CHANGE, {
+        relatedTarget: this.el,
+        status: status,
+        previousIndicator: previous
+      });
+
+      if (options.notify) {
+        this.notify(status);
       }
     },
 
+    /**
+     * Shows a notification with the current status.
+     *
+     * @param status
+     */
+    notify: function(status) {
+      if (!window.Notifications || typeof Notifications.show !== 'function') {
+        return;
+      }
+
+      var url = getSafeURL(status.url);
+      var link = document.createElement('A');
+      link.textContent = status.description;
+      if (url) {
+        link.href = url;
+        link.target = '_blank';
+      }
+
+      // The title may be HTML-escaped (e.g. when set from the theme settings)
+      Notifications.show({
+        title: Util.decodeHTML(this.options.notificationTitle),
+        content: url ? link.outerHTML : link.innerHTML,
+        type: NotificationType[status.indicator] || 'tip',
+        display: 'toast'
+      });
+    },
+
+    /**
+     * Returns the status reported by the provider.
+     *
+     * In detailed mode, the provider's summary is used if it has one, and the status includes
+     * lists of `components`, `incidents` and `maintenances`.
+     *
+     * @returns {Promise<{indicator: string, description: string, url: (string|null)}>}
+     */
+    getStatus: function() {
+      var options = this.options;
+      var provider = providers[options.service];
+      var hasSummary = options.detailed && typeof provider.getSummaryURL === 'function';
+
+      return Promise.resolve()
+        .then(function() {
+          return Util.fetch(hasSummary ? provider.getSummaryURL(options) : provider.getURL(options));
+        })
+        .then(function(response) {
+          return Util.getJSON(response, 'status');
+        })
+        .then(function(json) {
+          var status = hasSummary ? provider.parseSummary(json, options) : provider.parse(json, options);
+          if (options.detailed) {
+            status = Util.extend({ components: [], incidents: [], maintenances: [] }, status);
+          }
+          if (options.pageUrl) {
+            status.url = options.pageUrl;
+          }
+          if (options.descriptions && options.descriptions[status.indicator]) {
+            status.description = options.descriptions[status.indicator];
+          }
+          return status;
+        });
+    },
+
     /**
      * Returns status information from statuspage.io.
      * @param options
      * @returns {Promise<string | number>}
      */
     getStatuspage: function(options) {
-      var url = 'https://' + options.subdomain + '.statuspage.io/api/v2/status.json';
-      return fetch(url)
+      var url = providers['statuspage.io'].getURL(options);
+      return Util.fetch(url)
         .then(function(response) {
-          return response.json()
+          return Util.getJSON(response, 'status');
         })
         .then(function(json) {
           return json.status;
@@ -64,33 +734,44 @@
     },
 
     /**
-     * Renders the HTML for the status indicator.
+     * Renders the HTML for the status indicator, or the detailed status.
      */
     render: function(status) {
-      var templateString = Util.getTemplateString(this.options.template);
+      var templateString = Util.getTemplateString(this.options.template || (this.options.detailed ? 'system-status' : null));
       var html;
 
       if (!templateString) {
-        if (this.options.service === 'statuspage.io') {
-          templateString = '' +
-            '<% if (indicator) { %>' +
-              '<a class="nav-link inline-flex align-items-center" href="https://<%= subdomain %>.statuspage.io" target="_blank">' +
-                '<% if (indicator === "critical") { %><span class="w-3 h-3 bg-red-500 circle"></span><% } %>' +
-                '<% if (indicator === "major") { %><span class="w-3 h-3 bg-orange-500 circle"></span><% } %>' +
-                '<% if (indicator === "minor") { %><span class="w-3 h-3 bg-orange-500 circle"></span><% } %>' +
-                '<% if (indicator === "none") { %><span class="w-3 h-3 bg-green-500 circle"></span><% } %>' +
-                '<% if (["critical", "major", "minor", "none"].indexOf(indicator) === -1) { %><span class="w-3 h-3 bg-gray-500 circle"></span><% } %>' +
-                '<span class="ml-3"><%= description %></span>' +
-              '</div>' +
-            '<% } %>';
-        }
+        templateString = '' +
+          '<% if (indicator) { %>' +
+            '<<%= url ? "a" : "span" %> class="nav-link inline-flex align-items-center"<% if (url) { %> href="<%- url %>" target="_blank"<% } %>>' +
+              '<% if (indicator === "critical") { %><span class="w-3 h-3 bg-red-500 circle"></span><% } %>' +
+              '<% if (indicator === "major") { %><span class="w-3 h-3 bg-orange-500 circle"></span><% } %>' +
+              '<% if (indicator === "minor") { %><span class="w-3 h-3 bg-orange-500 circle"></span><% } %>' +
+              '<% if (indicator === "maintenance") { %><span class="w-3 h-3 bg-primary circle"></span><% } %>' +
+              '<% if (indicator === "none") { %><span class="w-3 h-3 bg-green-500 circle"></span><% } %>' +
+              '<% if (["critical", "major", "minor", "maintenance", "none"].indexOf(indicator) === -1) { %><span class="w-3 h-3 bg-gray-500 circle"></span><% } %>' +
+              '<span class="ml-3"><%- description %></span>' +
+            '</<%= url ? "a" : "span" %>>' +
+          '<% } %>';
       }
 
       var compiled = Util.template(templateString);
       var data = {
+        service: this.options.service,
         subdomain: this.options.subdomain,
         indicator: status.indicator,
-        description: status.description
+        description: status.description,
+        url: getSafeURL(status.url),
+        detailed: this.options.detailed,
+        components: status.components || [],
+        incidents: status.incidents || [],
+        maintenances: status.maintenances || [],
+        isSafeURL: function(url) {
+          return getSafeURL(url) !== null;
+        },
+        formatDate: function(date) {
+          return date ? new Date(date).toLocaleString(document.documentElement.lang || undefined) : '';
+        }
       };
 
       if (this.options.templateData) {
@@ -103,14 +784,39 @@
       }
 
       Util.triggerEvent(this.el, Event.RENDER, {
-        relatedTarget: this.el
+        relatedTarget: this.el,
+        status: status
       });
     }
   });
 
+  /**
+   * The status providers, by service name.
+   *
+   * @type {{}}
+   */
+  SystemStatus.providers = providers;
+
+  /**
+   * Adds a status provider.
+   *
+   * @example
+   * SystemStatus.registerProvider('example', {
+   *   required: ['url'],
+   *   getURL: function(options) { return options.url + '/health.json'; },
+   *   parse: function(json, options) { return { indicator: json.ok ? 'none' : 'major', description: json.message, url: options.url }; }
+   * });
+   *
+   * @param name
+   * @param provider - An object with the `required` options, and `getURL` and `parse` methods
+   */
+  SystemStatus.registerProvider = function(name, provider) {
+    providers[name] = Util.extend({ required: [] }, provider);
+  };
+
   window.addEventListener('load', function() {
     each('[data-element="system-status"]', function(el) {
-      new SystemStatus(el);
+      new SystemStatus(el, Theme.systemStatus);
     });
   });
-})();
\ No newline at end of file
+})();
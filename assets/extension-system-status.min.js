@@ -1 +1 @@
-(function(){"use strict";var a={RENDER:"systemStatus:render"};window.SystemStatus=Util.createPlugin({defaults:{subdomain:"zenplates",service:"statuspage.io",template:null,templateData:{}},optionTypes:{subdomain:"string",service:"string",template:"(string|null)",templateData:"object"},initialize:function(a){return a.subdomain?void("statuspage.io"===a.service?this.getStatuspage(a).then(this.render.bind(this)):console.error("Invalid service specified")):void console.error("No subdomain specified")},getStatuspage:function(a){var b="https://"+a.subdomain+".statuspage.io/api/v2/status.json";return fetch(b).then(function(a){return a.json()}).then(function(a){return a.status})},render:function(b){var c,d=Util.getTemplateString(this.options.template);d||"statuspage.io"!==this.options.service||(d="<% if (indicator) { %><a class=\"nav-link inline-flex align-items-center\" href=\"https://<%= subdomain %>.statuspage.io\" target=\"_blank\"><% if (indicator === \"critical\") { %><span class=\"w-3 h-3 bg-red-500 circle\"></span><% } %><% if (indicator === \"major\") { %><span class=\"w-3 h-3 bg-orange-500 circle\"></span><% } %><% if (indicator === \"minor\") { %><span class=\"w-3 h-3 bg-orange-500 circle\"></span><% } %><% if (indicator === \"none\") { %><span class=\"w-3 h-3 bg-green-500 circle\"></span><% } %><% if ([\"critical\", \"major\", \"minor\", \"none\"].indexOf(indicator) === -1) { %><span class=\"w-3 h-3 bg-gray-500 circle\"></span><% } %><span class=\"ml-3\"><%= description %></span></div><% } %>");var e=Util.template(d),f={subdomain:this.options.subdomain,indicator:b.indicator,description:b.description};this.options.templateData&&(f=Util.extend(f,this.options.templateData)),c=e(f).replace(/(^\s+|\s+$)/g,""),c&&(this.el.innerHTML=c),Util.triggerEvent(this.el,a.RENDER,{relatedTarget:this.el})}}),window.addEventListener("load",function(){each("[data-element=\"system-status\"]",function(a){new SystemStatus(a)})})})();
\ No newline at end of file
+(function(){"use strict";var t="systemStatus",n={RENDER:t+":render",CHANGE:t+":change",ERROR:t+":error"},e={NONE:"none",MAINTENANCE:"maintenance",MINOR:"minor",MAJOR:"major",CRITICAL:"critical",UNKNOWN:"unknown"},i=[e.UNKNOWN,e.NONE,e.MAINTENANCE,e.MINOR,e.MAJOR,e.CRITICAL],a={none:"All Systems Operational",maintenance:"Under Maintenance",minor:"Minor Service Outage",major:"Partial System Outage",critical:"Major Service Outage",unknown:"Status Unknown"},r={none:"success",maintenance:"tip",minor:"warning",major:"warning",critical:"error",unknown:"tip"},s={operational:e.NONE,under_maintenance:e.MAINTENANCE,degraded_performance:e.MINOR,partial_outage:e.MAJOR,major_outage:e.CRITICAL};function u(t){return String(t||"").replace(/\/+$/,"")}function o(t){return"string"==typeof t&&/^https?:\/\//i.test(t.trim())?t.trim():null}function c(t,n){if(n)return String(n).split(".").reduce(function(t,n){return null!=t?t[n]:void 0},t)}function l(t,n,r){return{indicator:t=-1===i.indexOf(t)?e.UNKNOWN:t,description:n||a[t],url:r||null}}function d(t){return t.reduce(function(t,n){return i.indexOf(n)>i.indexOf(t)?n:t},e.UNKNOWN)}function p(t,n,e){var i=t.status||{};return l(i.indicator,i.description,t.page&&t.page.url?t.page.url:e)}function m(t){return String(t||"").toLowerCase().replace(/[_-]+/g," ").replace(/\b\w/g,function(t){return t.toUpperCase()})}function g(t,n,i){var a=p(t,0,i),r={};(t.components||[]).forEach(function(t){t.group&&(r[t.id]=t.name)});var u=function(t){var n=(t.incident_updates||[])[0];return n?{body:n.body,status:m(n.status),createdAt:n.display_at||n.created_at}:null};return a.components=(t.components||[]).filter(function(t){return!(t.group||t.only_show_if_degraded&&"operational"===t.status)}).map(function(t){return{id:t.id,name:t.name,group:r[t.group_id]||null,indicator:s[t.status]||e.UNKNOWN,status:m(t.status)}}),a.incidents=(t.incidents||[]).map(function(t){return{id:t.id,name:t.name,indicator:"none"===t.impact?e.MINOR:l(t.impact).indicator,status:m(t.status),url:t.shortlink||null,updatedAt:t.updated_at,update:u(t)}}),a.maintenances=(t.scheduled_maintenances||[]).map(function(t){return{id:t.id,name:t.name,status:m(t.status),url:t.shortlink||null,scheduledFor:t.scheduled_for,scheduledUntil:t.scheduled_until,update:u(t)}}),a}var f={"statuspage.io":{required:["subdomain"],getURL:function(t){return"https://"+t.subdomain+".statuspage.io/api/v2/status.json"},parse:function(t,n){return p(t,0,"https://"+n.subdomain+".statuspage.io")},getSummaryURL:function(t){return"https://"+t.subdomain+".statuspage.io/api/v2/summary.json"},parseSummary:function(t,n){return g(t,0,"https://"+n.subdomain+".statuspage.io")}},atlassian:{required:["url"],getURL:function(t){return u(t.url)+"/api/v2/status.json"},parse:function(t,n){return p(t,0,u(n.url))},getSummaryURL:function(t){return u(t.url)+"/api/v2/summary.json"},parseSummary:function(t,n){return g(t,0,u(n.url))}},"status.io":{required:["pageId"],codes:{100:e.NONE,200:e.MAINTENANCE,300:e.MINOR,400:e.MAJOR,500:e.CRITICAL,600:e.CRITICAL},getURL:function(t){return"https://api.status.io/1.0/status/"+t.pageId},parse:function(t,n){var e=c(t,"result.status_overall")||{};return l(this.codes[e.status_code],e.status,n.url?u(n.url):null)},getSummaryURL:function(t){return this.getURL(t)},parseSummary:function(t,n){var i=this.codes,a=t.result||{},r=this.parse(t,n);return r.components=(a.status||[]).reduce(function(t,n){return t.concat((n.containers||[]).map(function(t){return{id:n.id+":"+t.id,name:t.name,group:n.name,indicator:i[t.status_code]||e.UNKNOWN,status:t.status}}))},[]),r.incidents=(a.incidents||[]).map(function(t){return{id:t._id,name:t.name,indicator:e.MAJOR,status:null,url:r.url,updatedAt:t.datetime_open||null,update:null}}),r.maintenances=[].concat(c(a,"maintenance.active")||[],c(a,"maintenance.upcoming")||[]).map(function(t){return{id:t._id,name:t.name,status:null,url:r.url,scheduledFor:t.datetime_planned_start||null,scheduledUntil:t.datetime_planned_end||null,update:null}}),r}},cachet:{required:["url"],codes:{1:e.NONE,2:e.MINOR,3:e.MAJOR,4:e.CRITICAL},getURL:function(t){return u(t.url)+"/api/v1/components?per_page=100"},parse:function(t,n){var i=this.codes,a=t.data||[];return l(a.length?d(a.map(function(t){return i[t.status]||e.UNKNOWN})):e.UNKNOWN,null,u(n.url))},getSummaryURL:function(t){return this.getURL(t)},parseSummary:function(t,n){var i=this.codes,a=this.parse(t,n);return a.components=(t.data||[]).map(function(t){return{id:t.id,name:t.name,group:null,indicator:i[t.status]||e.UNKNOWN,status:t.status_name||null}}),a.incidents=[],a.maintenances=[],a}},instatus:{required:[],impacts:{DEGRADEDPERFORMANCE:e.MINOR,PARTIALOUTAGE:e.MAJOR,MAJOROUTAGE:e.CRITICAL},getPageURL:function(t){return t.url?u(t.url):"https://"+t.subdomain+".instatus.com"},getURL:function(t){if(!t.url&&!t.subdomain)throw new Error("A subdomain or URL must be specified");return this.getPageURL(t)+"/summary.json"},parse:function(t,n){var i=this.impacts,a=t.page||{},r=e.UNKNOWN;return"UP"===a.status?r=e.NONE:"UNDERMAINTENANCE"===a.status?r=e.MAINTENANCE:"HASISSUES"===a.status&&(r=d([e.MINOR].concat((t.activeIncidents||[]).map(function(t){return i[t.impact]||e.MINOR})))),l(r,null,a.url||this.getPageURL(n))},getSummaryURL:function(t){return this.getURL(t)},parseSummary:function(t,n){var i=this.impacts,a=this.parse(t,n);return a.components=[],a.incidents=(t.activeIncidents||[]).map(function(t){return{id:t.id,name:t.name,indicator:i[t.impact]||e.MINOR,status:m(t.status),url:t.url||a.url,updatedAt:t.updatedAt||t.started||null,update:null}}),a.maintenances=(t.activeMaintenances||[]).map(function(t){return{id:t.id,name:t.name,status:m(t.status),url:t.url||a.url,scheduledFor:t.start||null,scheduledUntil:t.start&&t.duration?new Date(new Date(t.start).getTime()+6e4*t.duration).toISOString():null,update:null}}),a}},json:{required:["url"],getURL:function(t){return t.url},parse:function(t,n){var e=Util.extend({indicator:"status.indicator",description:"status.description",url:null,indicators:{}},n.mapping||{}),i=c(t,e.indicator);return l(e.indicators.hasOwnProperty(i)?e.indicators[i]:i,c(t,e.description),c(t,e.url)||n.pageUrl)},getSummaryURL:function(t){return t.url},parseSummary:function(t,n){var e=Util.extend({components:"components",incidents:"incidents",maintenances:"maintenances"},n.mapping||{}),i=this.parse(t,n);return i.components=c(t,e.components)||[],i.incidents=c(t,e.incidents)||[],i.maintenances=c(t,e.maintenances)||[],i}}};window.SystemStatus=Util.createPlugin({defaults:{service:"statuspage.io",subdomain:null,url:null,pageId:null,mapping:{},pageUrl:null,descriptions:{},detailed:!1,interval:0,notify:!0,notificationTitle:"System status",template:null,errorTemplate:"system-status-error",templateData:{}},optionTypes:{service:"string",subdomain:"(string|null)",url:"(string|null)",pageId:"(string|null)",mapping:"(string|object)",pageUrl:"(string|null)",descriptions:"(string|object)",detailed:"boolean",interval:"number",notify:"boolean",notificationTitle:"string",template:"(string|null)",errorTemplate:"(string|null)",templateData:"object"},initialize:function(n){var e=f[n.service];if(e){if(!["mapping","descriptions"].filter(function(t){if("string"!=typeof n[t])return!1;try{return this.options[t]=n[t]=JSON.parse(n[t]),!1}catch(n){return console.error("Option value ("+t+") is not a valid JSON string."),!0}},this).length){var i=e.required.filter(function(t){return!n[t]});i.length?console.error("The "+n.service+" service requires the "+i.join(", ")+" option"):(this.status=null,this.storage=Util.storage("indicators",!0,t),this.timeout=null,this.updatedAt=0,this.update(),n.interval>0&&this.addEventListeners())}}else console.error("Invalid service specified")},addEventListeners:function(){var t=this;document.addEventListener("visibilitychange",function(){if(window.clearTimeout(t.timeout),"hidden"!==document.visibilityState){var n=(new Date).getTime()-t.updatedAt;n>=t.options.interval?t.update():t.timeout=window.setTimeout(t.update.bind(t),t.options.interval-n)}})},update:function(){var t=this,e=this.options;return window.clearTimeout(this.timeout),this.updatedAt=(new Date).getTime(),this.getStatus().then(function(n){t.setStatus(n),t.render(n)}).catch(function(e){t.status?Util.log("Unable to update the system status",e):t._handleError(n.ERROR,e)}).then(function(){e.interval>0&&"hidden"!==document.visibilityState&&(t.timeout=window.setTimeout(t.update.bind(t),e.interval))})},setStatus:function(t){var e=this.options,i=e.service+":"+f[e.service].getURL(e),a=this.storage.get({}),r=this.status?this.status.indicator:a[i];this.status=t,a[i]=t.indicator,this.storage.set(a),r&&r!==t.indicator&&(Util.triggerEvent(this.el,n.CHANGE,{relatedTarget:this.el,status:t,previousIndicator:r}),e.notify&&this.notify(t))},notify:function(t){if(window.Notifications&&"function"==typeof Notifications.show){var n=o(t.url),e=document.createElement("A");e.textContent=t.description,n&&(e.href=n,e.target="_blank"),Notifications.show({title:Util.decodeHTML(this.options.notificationTitle),content:n?e.outerHTML:e.innerHTML,type:r[t.indicator]||"tip",display:"toast"})}},getStatus:function(){var t=this.options,n=f[t.service],e=t.detailed&&"function"==typeof n.getSummaryURL;return Promise.resolve().then(function(){return Util.fetch(e?n.getSummaryURL(t):n.getURL(t))}).then(function(t){return Util.getJSON(t,"status")}).then(function(i){var a=e?n.parseSummary(i,t):n.parse(i,t);return t.detailed&&(a=Util.extend({components:[],incidents:[],maintenances:[]},a)),t.pageUrl&&(a.url=t.pageUrl),t.descriptions&&t.descriptions[a.indicator]&&(a.description=t.descriptions[a.indicator]),a})},getStatuspage:function(t){var n=f["statuspage.io"].getURL(t);return Util.fetch(n).then(function(t){return Util.getJSON(t,"status")}).then(function(t){return t.status})},render:function(t){var e,i=Util.getTemplateString(this.options.template||(this.options.detailed?"system-status":null));i||(i='<% if (indicator) { %><<%= url ? "a" : "span" %> class="nav-link inline-flex align-items-center"<% if (url) { %> href="<%- url %>" target="_blank"<% } %>><% if (indicator === "critical") { %><span class="w-3 h-3 bg-red-500 circle"></span><% } %><% if (indicator === "major") { %><span class="w-3 h-3 bg-orange-500 circle"></span><% } %><% if (indicator === "minor") { %><span class="w-3 h-3 bg-orange-500 circle"></span><% } %><% if (indicator === "maintenance") { %><span class="w-3 h-3 bg-primary circle"></span><% } %><% if (indicator === "none") { %><span class="w-3 h-3 bg-green-500 circle"></span><% } %><% if (["critical", "major", "minor", "maintenance", "none"].indexOf(indicator) === -1) { %><span class="w-3 h-3 bg-gray-500 circle"></span><% } %><span class="ml-3"><%- description %></span></<%= url ? "a" : "span" %>><% } %>');var a=Util.template(i),r={service:this.options.service,subdomain:this.options.subdomain,indicator:t.indicator,description:t.description,url:o(t.url),detailed:this.options.detailed,components:t.components||[],incidents:t.incidents||[],maintenances:t.maintenances||[],isSafeURL:function(t){return null!==o(t)},formatDate:function(t){return t?new Date(t).toLocaleString(document.documentElement.lang||void 0):""}};this.options.templateData&&(r=Util.extend(r,this.options.templateData)),(e=a(r).replace(/(^\s+|\s+$)/g,""))&&(this.el.innerHTML=e),Util.triggerEvent(this.el,n.RENDER,{relatedTarget:this.el,status:t})}}),SystemStatus.providers=f,SystemStatus.registerProvider=function(t,n){f[t]=Util.extend({required:[]},n)},window.addEventListener("load",function(){each('[data-element="system-status"]',function(t){new SystemStatus(t,Theme.systemStatus)})})})();
\ No newline at end of file
@@ -21,6 +21,7 @@
 
   var Selector = {
     DATA_TOGGLE:  '[data-toggle="collapse"]',
+    DATA_TOGGLE_ALL: '[data-toggle="collapse-all"]'
   };
 
   /**
@@ -264,6 +265,102 @@
     }
   });
 
+  /**
+   * Returns the instance for an element, without toggling it if it's created.
+   *
+   * @param el
+   * @returns {Collapse}
+   */
+  var getInstance = function(el) {
+    var instance = dataStorage.get(el, NAME);
+    if (!instance) {
+      instance = new Collapse(el, { toggle: false });
+      dataStorage.put(el, NAME, instance);
+    }
+    return instance;
+  };
+
+  /**
+   * Shows all collapsible elements in a container.
+   *
+   * Elements in an accordion (with a parent) are excluded, since only one can be shown.
+   *
+   * @param container
+   */
+  Collapse.showAll = function(container) {
+    Array.prototype.forEach.call(container.querySelectorAll('.' + ClassName.COLLAPSE + ':not([data-parent])'), function(el) {
+      getInstance(el).show();
+    });
+  };
+
+  /**
+   * Hides all collapsible elements in a container.
+   *
+   * @param container
+   */
+  Collapse.hideAll = function(container) {
+    Array.prototype.forEach.call(container.querySelectorAll('.' + ClassName.COLLAPSE + ', .' + ClassName.COLLAPSING), function(el) {
+      getInstance(el).hide();
+    });
+  };
+
+  /**
+   * Shows the collapsible elements containing an element, and scrolls it into view.
+   *
+   * @param el
+   * @param offset
+   */
+  Collapse.reveal = function(el, offset) {
+    var hidden = [];
+    var parent = el;
+    while (parent && parent !== document.body) {
+      if (parent.classList.contains(ClassName.COLLAPSE) && !parent.classList.contains(ClassName.SHOW)) {
+        hidden.unshift(parent);
+      }
+      parent = parent.parentElement;
+    }
+
+    // Scroll to the trigger of a collapsible element, since the element is hidden until shown
+    var target = el;
+    if (el.classList.contains(ClassName.COLLAPSE) && el.id) {
+      target = document.querySelector(Selector.DATA_TOGGLE + '[href="#' + el.id + '"],' + Selector.DATA_TOGGLE + '[data-target="#' + el.id + '"]') || el;
+    }
+
+    if (!hidden.length) {
+      Util.scrollIntoView(target, offset);
+      return;
+    }
+
+    hidden[hidden.length - 1].addEventListener(Event.SHOWN, function onShown() {
+      this.removeEventListener(Event.SHOWN, onShown);
+      Util.scrollIntoView(target, offset);
+    });
+
+    hidden.forEach(function(el) {
+      getInstance(el).show();
+    });
+  };
+
+  // Expand or collapse all elements in a container
+  document.addEventListener('click', function(e) {
+    var trigger = Util.closest(e.target, Selector.DATA_TOGGLE_ALL);
+    if (!trigger) {
+      return;
+    }
+
+    e.preventDefault();
+    var container = document.querySelector(Util.getSelectorFromElement(trigger));
+    if (!container) {
+      return;
+    }
+
+    if (trigger.getAttribute('data-action') === 'hide') {
+      Collapse.hideAll(container);
+    } else {
+      Collapse.showAll(container);
+    }
+  }, false);
+
   document.addEventListener('click', function(e) {
     var trigger = e.target;
     if (!trigger.matches(Selector.DATA_TOGGLE)) {
@@ -502,9 +599,34 @@
   var NAME = 'tableOfContents';
 
   var Event = {
-    RENDER: NAME + ':render'
+    READY:  NAME + ':ready',
+    RENDER: NAME + ':render',
+    COPY:   NAME + ':copy'
+  };
+
+  // Matches the IDs previously generated from the position of the heading (e.g. `heading-3`)
+  var LEGACY_ID_REGEX = /^heading-(\d+)$/;
+
+  // Characters which aren't decomposed into a base letter and diacritics
+  var Transliterations = {
+    '*': {
+      'æ': 'ae', 'œ': 'oe', 'ø': 'o', 'ß': 'ss', 'đ': 'd', 'ð': 'd', 'ł': 'l', 'þ': 'th', 'ı': 'i',
+      'а': 'a', 'б': 'b', 'в': 'v', 'г': 'g', 'д': 'd', 'е': 'e', 'ё': 'e', 'ж': 'zh', 'з': 'z',
+      'и': 'i', 'й': 'y', 'к': 'k', 'л': 'l', 'м': 'm', 'н': 'n', 'о': 'o', 'п': 'p', 'р': 'r',
+      'с': 's', 'т': 't', 'у': 'u', 'ф': 'f', 'х': 'kh', 'ц': 'ts', 'ч': 'ch', 'ш': 'sh',
+      'щ': 'shch', 'ъ': '', 'ы': 'y', 'ь': '', 'э': 'e', 'ю': 'yu', 'я': 'ya'
+    },
+    'de': { 'ä': 'ae', 'ö': 'oe', 'ü': 'ue' },
+    'da': { 'å': 'aa', 'ø': 'oe' },
+    'nb': { 'å': 'aa', 'ø': 'oe' },
+    'no': { 'å': 'aa', 'ø': 'oe' },
+    'uk': { 'г': 'h', 'ґ': 'g', 'и': 'y', 'і': 'i', 'ї': 'yi', 'є': 'ye' },
+    'bg': { 'щ': 'sht', 'ъ': 'a' }
   };
 
+  // The live region announcing whether a link was copied
+  var statusElement = null;
+
   /**
    * Table of Contents.
    *
@@ -518,6 +640,33 @@
       anchorLinks: true,
       generateIds: true,
 
+      // Generate IDs from the heading text (e.g. `getting-started`) instead of its position
+      slugIds: true,
+
+      // The headings whose position identified them before slug IDs (e.g. `heading-3`), so links
+      // to these IDs still resolve whatever the selector and depth
+      legacySelector: '.content h2',
+
+      // Add a button copying the link to each heading next to its anchor link
+      copyLinks: true,
+
+      // The label of the copy link buttons, and the messages announced once a link is copied
+      copyLinkLabel: 'Copy link to this section',
+      copySuccessMessage: 'Link copied to clipboard',
+      copyErrorMessage: 'Unable to copy the link',
+
+      // The number of heading levels to include, starting from the highest level found
+      maxDepth: null,
+
+      // Number the items (e.g. 1, 1.1, 1.2)
+      numbered: false,
+
+      // Collapse the children of items until the item (or one of its children) is active
+      collapsible: false,
+
+      // Hide the table of contents if there are fewer headings
+      minItems: 0,
+
       // The ID of the custom template to use when generating HTML
       template: null,
 
@@ -530,10 +679,30 @@
       selector: 'string',
       anchorLinks: 'boolean',
       generateIds: 'boolean',
+      slugIds: 'boolean',
+      legacySelector: '(string|null)',
+      copyLinks: 'boolean',
+      copyLinkLabel: 'string',
+      copySuccessMessage: 'string',
+      copyErrorMessage: 'string',
+      maxDepth: '(number|null)',
+      numbered: 'boolean',
+      collapsible: 'boolean',
+      minItems: 'number',
       template: '(string|null)',
       templateData: '(string|object)'
     },
 
+    /**
+     * Returns the level of a heading (1 - 6).
+     * @param heading
+     * @returns {number}
+     * @private
+     */
+    _getLevel: function(heading) {
+      return parseInt(heading.tagName.substring(1), 10);
+    },
+
     /**
      * Adds an anchor link to the heading.
      * @param heading
@@ -548,6 +717,168 @@
       }
     },
 
+    /**
+     * Adds a button copying the link to the heading.
+     * @param heading
+     * @private
+     */
+    _maybeAddCopyButton: function(heading) {
+      if (this.options.anchorLinks === true && this.options.copyLinks === true && heading.getElementsByClassName('link-anchor-copy').length === 0) {
+        var button = document.createElement('BUTTON');
+        button.type = 'button';
+        button.className = 'link-anchor-copy not-a-button';
+        button.title = this.options.copyLinkLabel;
+        button.setAttribute('aria-label', this.options.copyLinkLabel);
+        button.setAttribute('data-heading-id', heading.id);
+        button.innerHTML = '<svg viewBox="0 0 12 12" width="12" height="12" aria-hidden="true" focusable="false"><g fill="none" stroke="currentColor"><rect x="3.5" y="3.5" width="8" height="8" rx="1"/><path d="M8.5 1.5v-1h-8v8h1"/></g></svg>';
+        button.addEventListener('click', this.copyLink.bind(this, heading.id));
+        heading.appendChild(button);
+      }
+    },
+
+    /**
+     * Returns the text of a heading, excluding anchor links.
+     * @param heading
+     * @returns {string}
+     * @private
+     */
+    _getText: function(heading) {
+      return Array.prototype.slice.call(heading.childNodes)
+        .map(function(child) { return child.textContent.trim(); })
+        .filter(function(text) { return text && text !== '#'; })
+        .join(' ');
+    },
+
+    /**
+     * Converts text to a URL-friendly ID, transliterating the characters of the help center's locale.
+     *
+     * Characters without a Latin equivalent (e.g. CJK) are kept.
+     *
+     * @param text
+     * @returns {string}
+     */
+    slugify: function(text) {
+      var language = (Util.locale || '').split('-')[0];
+      var map = Util.extend(Transliterations['*'], Transliterations[language] || {});
+
+      var slug = text.toLowerCase()
+        .replace(/[^\u0000-\u007f]/g, function(char) {
+          return map.hasOwnProperty(char) ? map[char] : char;
+        })
+        .normalize('NFKD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .replace(/[^\p{L}\p{N}]+/gu, '-')
+        .replace(/^-+|-+$/g, '');
+
+      return slug || 'heading';
+    },
+
+    /**
+     * Returns an ID which isn't used by another element, suffixing a number if required.
+     * @param id
+     * @returns {string}
+     * @private
+     */
+    _getUniqueId: function(id) {
+      var uniqueId = id;
+      var count = 1;
+
+      // IDs matching the legacy format would be resolved to another heading
+      while (document.getElementById(uniqueId) || LEGACY_ID_REGEX.test(uniqueId)) {
+        uniqueId = id + '-' + ++count;
+      }
+      return uniqueId;
+    },
+
+    /**
+     * Scrolls to the heading a legacy ID (e.g. `heading-3`) refers to, and updates the URL.
+     *
+     * @param hash
+     */
+    resolveLegacyId: function(hash) {
+      var legacyId = (hash || '').replace(/^#/, '').split('?')[0];
+      var id = this.legacyIds[legacyId];
+      if (!id || document.getElementById(legacyId)) {
+        return;
+      }
+
+      var target = document.getElementById(id);
+      window.history.replaceState(window.history.state, '', window.location.href.split('#')[0] + '#' + id);
+
+      if (Util.getURLParameter('smooth-scroll', window.location) === 'true') {
+        Util.scrollIntoView(target, Util.getURLParameter('offset', window.location));
+      } else {
+        target.scrollIntoView();
+      }
+    },
+
+    /**
+     * Copies the URL of a heading to the clipboard and announces the result.
+     *
+     * The URL scrolls smoothly to the heading when opened.
+     *
+     * @param id
+     * @returns {Promise}
+     */
+    copyLink: function(id) {
+      var options = this.options;
+      var url = Util.setURLParameter(window.location.href.split('#')[0], 'smooth-scroll', 'true') + '#' + id;
+
+      var copy = navigator.clipboard && window.isSecureContext ? navigator.clipboard.writeText(url) : new Promise(function(resolve, reject) {
+        var textarea = document.createElement('textarea');
+        textarea.value = url;
+        textarea.setAttribute('readonly', '');
+        textarea.className = 'sr-only';
+        document.body.appendChild(textarea);
+        textarea.select();
+        var isCopied = document.execCommand('copy');
+        document.body.removeChild(textarea);
+        return isCopied ? resolve() : reject(new Error('The copy command is not supported'));
+      });
+
+      return copy
+        .then(function() {
+          this._announce(options.copySuccessMessage);
+          Util.triggerEvent(this.el, Event.COPY, {
+            relatedTarget: this.el,
+            id: id,
+            url: url
+          });
+        }.bind(this))
+        .catch(function(error) {
+          Util.log('Unable to copy ' + url, error);
+          this._announce(options.copyErrorMessage);
+        }.bind(this));
+    },
+
+    /**
+     * Announces a message to screen reader users (and sighted users, as a brief tooltip).
+     * @param message
+     * @private
+     */
+    _announce: function(message) {
+      if (!statusElement) {
+        statusElement = document.createElement('DIV');
+        statusElement.className = 'link-anchor-status';
+        statusElement.setAttribute('role', 'status');
+        statusElement.setAttribute('aria-live', 'polite');
+        document.body.appendChild(statusElement);
+      }
+
+      // Clear the message first, so repeated messages are announced
+      statusElement.textContent = '';
+      statusElement.classList.remove(Util.classNames.VISIBLE);
+      window.setTimeout(function() {
+        statusElement.textContent = message;
+        statusElement.classList.add(Util.classNames.VISIBLE);
+      }, 100);
+
+      window.clearTimeout(this.statusTimeout);
+      this.statusTimeout = window.setTimeout(function() {
+        statusElement.classList.remove(Util.classNames.VISIBLE);
+      }, 3000);
+    },
+
     /**
      * Structures headings into a hierarchical collection.
      * @param headings
@@ -555,15 +886,13 @@
      * @private
      */
     _structureItems: function(headings) {
+      var _this = this;
       var data = [];
       var lastObj = undefined;
 
       headings.forEach(function(heading, index) {
         var level = heading.outerHTML.match(/<h([\d]).*>/)[1];
-        var name = Array.prototype.slice.call(heading.childNodes)
-          .map(function(child) { return child.textContent.trim(); })
-          .filter(function(text) { return text && text !== '#'; })
-          .join(' ');
+        var name = _this._getText(heading);
 
         var obj = { level, name, html_url: '#' + heading.id, parent: null, children: [] };
 
@@ -608,6 +937,20 @@
       return data;
     },
 
+    /**
+     * Adds the section number (e.g. 1.2) to each item.
+     * @param items
+     * @param prefix
+     * @private
+     */
+    _numberItems: function(items, prefix) {
+      var _this = this;
+      items.forEach(function(item, index) {
+        item.number = (prefix ? prefix + '.' : '') + (index + 1);
+        _this._numberItems(item.children, item.number);
+      });
+    },
+
     /**
      * Initializes the plugin instance.
      *
@@ -628,23 +971,118 @@
       var validTags = ['h1', 'h2', 'h3', 'h4', 'h5', 'h6'];
       var _this = this;
 
+      headings = headings.filter(function(heading) {
+        return validTags.indexOf(heading.tagName.toLowerCase()) !== -1;
+      });
+
+      // Exclude the headings below the maximum depth
+      if (options.maxDepth) {
+        var minLevel = Math.min.apply(Math, headings.map(this._getLevel));
+        headings = headings.filter(function(heading) {
+          return _this._getLevel(heading) - minLevel < options.maxDepth;
+        });
+      }
+
       headings = headings.filter(function(heading, index) {
 
         // Only include <h1> - <h6> headings
         if (validTags.indexOf(heading.tagName.toLowerCase()) !== -1) {
 
           // Maybe generate an ID
-          if (options.generateIds === true && !heading.id) heading.id = 'heading-' + ++index;
+          if (options.generateIds === true && !heading.id) {
+            heading.id = options.slugIds ? _this._getUniqueId(_this.slugify(_this._getText(heading))) : 'heading-' + ++index;
+          }
 
-          // Maybe add an anchor link
+          // Maybe add an anchor link and copy link button
           _this._maybeAddAnchorLink(heading);
+          _this._maybeAddCopyButton(heading);
 
           return heading.id
         }
         return false
       });
 
-      this.render(this._structureItems(headings));
+      // The legacy IDs generated from the position of each heading, mapped to the current IDs
+      this.legacyIds = {};
+      if (options.generateIds === true && options.legacySelector) {
+        Array.prototype.forEach.call(parentElement.querySelectorAll(options.legacySelector), function(heading, index) {
+          var legacyId = 'heading-' + ++index;
+          if (!heading.id) heading.id = options.slugIds ? _this._getUniqueId(_this.slugify(_this._getText(heading))) : legacyId;
+          if (heading.id !== legacyId) _this.legacyIds[legacyId] = heading.id;
+        });
+      }
+
+      var items = this._structureItems(headings);
+      this._numberItems(items);
+      this.items = items;
+
+      this.render(headings.length < options.minItems ? [] : items);
+
+      // Resolve links to the legacy IDs
+      this.resolveLegacyId(window.location.hash);
+      window.addEventListener('hashchange', function() {
+        _this.resolveLegacyId(window.location.hash);
+      });
+
+      if (options.collapsible) {
+        this._addCollapseEventListeners();
+        this.setActive(window.location.hash.substring(1));
+      }
+
+      Util.triggerEvent(this.el, Event.READY, {
+        relatedTarget: this.el,
+        items: items
+      });
+    },
+
+    /**
+     * Expands the ancestors of the item linking to a heading, and collapses the others.
+     *
+     * @param id - The ID of the active heading
+     */
+    setActive: function(id) {
+      var active = null;
+      Array.prototype.forEach.call(this.el.querySelectorAll('a[href^="#"]'), function(link) {
+        if (id && link.getAttribute('href') === '#' + id) {
+          active = link;
+        }
+      });
+
+      Array.prototype.forEach.call(this.el.querySelectorAll('li'), function(item) {
+        var lists = Array.prototype.filter.call(item.children, function(child) {
+          return child.tagName === 'OL' || child.tagName === 'UL';
+        });
+        var isExpanded = !!active && item.contains(active);
+        lists.forEach(function(list) {
+          list.hidden = !isExpanded;
+        });
+      });
+    },
+
+    /**
+     * Expands the items as they become active.
+     * @private
+     */
+    _addCollapseEventListeners: function() {
+      var _this = this;
+
+      var getId = function(link) {
+        var href = link ? link.getAttribute('href') || '' : '';
+        return href.charAt(0) === '#' ? decodeURIComponent(href.substring(1)) : null;
+      };
+
+      this.el.addEventListener('click', function(e) {
+        var link = Util.closest(e.target, 'a[href^="#"]');
+        if (link) _this.setActive(getId(link));
+      });
+
+      this.el.addEventListener('scrollspy:active', function(e) {
+        _this.setActive(getId(e.detail.relatedTargets));
+      });
+
+      window.addEventListener('hashchange', function() {
+        _this.setActive(window.location.hash.substring(1));
+      });
     },
 
     /**
@@ -676,7 +1114,7 @@
      */
     render: function(items) {
       var options = this.options;
-      var data = { items: items };
+      var data = { items: items, numbered: options.numbered };
       if (options.templateData) {
         data = Util.extend(data, options.templateData);
       }
@@ -707,12 +1145,43 @@
   };
 
   var Event = {
-    RENDER: NAME + ':render'
+    RENDER: NAME + ':render',
+    CHANGE: NAME + ':change'
+  };
+
+  // The tab sets on the page
+  var instances = [];
+
+  /**
+   * Converts a tab title to a key (e.g. `macos`).
+   *
+   * @param title
+   * @returns {string}
+   */
+  var getKey = function(title) {
+    return title.trim().toLowerCase().replace(/[^\p{L}\p{N}]+/gu, '-').replace(/^-+|-+$/g, '');
+  };
+
+  /**
+   * Returns the decoded URL hash, or the raw hash if it isn't a valid encoded string.
+   *
+   * @returns {string}
+   */
+  var getHash = function() {
+    var hash = window.location.hash.substring(1);
+    try {
+      return decodeURIComponent(hash);
+    } catch (e) {
+      return hash;
+    }
   };
 
   /**
    * Tabs.
    *
+   * Tabs can be linked to with the URL hash (e.g. `#tab-windows`).  Tab sets with the same group
+   * (e.g. `data-group="os"`) show the same tab, and remember the selected tab.
+   *
    * @type {component}
    */
   window.Tabs = Util.createPlugin({
@@ -720,6 +1189,16 @@
     defaults: {
       initial: 0,
       activeClass: 'text-primary',
+
+      // The key of the tab sets which show the same tab
+      group: null,
+
+      // Remember the selected tab of the group
+      persist: true,
+
+      // The prefix of the URL hash linking to a tab
+      hashPrefix: 'tab-',
+
       template: 'tabs',
       templateData: {}
     },
@@ -727,6 +1206,9 @@
     optionTypes: {
       initial: 'number',
       activeClass: 'string',
+      group: '(string|null)',
+      persist: 'boolean',
+      hashPrefix: 'string',
       template: '(string|null)',
       templateData: 'object'
     },
@@ -737,7 +1219,106 @@
     initialize: function(options) {
       if (this.el.children.length) {
         this.render(options);
+        this.addEventListeners();
+        instances.push(this);
+      }
+    },
+
+    /**
+     * Returns the storage for the selected tab of each group.
+     *
+     * @returns {Storage}
+     */
+    getStorage: function() {
+      return Util.storage('groups', false, NAME);
+    },
+
+    /**
+     * Returns the index of the tab to show initially.
+     *
+     * The tab linked to in the URL hash is shown first, then the last tab selected in the group.
+     *
+     * @param keys
+     * @returns {number}
+     * @private
+     */
+    _getInitialIndex: function(keys) {
+      var options = this.options;
+      var hash = getHash();
+
+      if (hash.indexOf(options.hashPrefix) === 0 && keys.indexOf(hash.substring(options.hashPrefix.length)) !== -1) {
+        this.isLinked = true;
+        return keys.indexOf(hash.substring(options.hashPrefix.length));
       }
+
+      if (options.group && options.persist) {
+        var index = keys.indexOf(this.getStorage().get({})[options.group]);
+        if (index !== -1) {
+          return index;
+        }
+      }
+      return options.initial;
+    },
+
+    /**
+     * Shows the tab with a key.
+     *
+     * @param key
+     * @returns {boolean} - True if the tab set contains the tab
+     */
+    select: function(key) {
+      var link = Array.prototype.filter.call(this.el.querySelectorAll('[data-toggle="tab"][data-key]'), function(link) {
+        return link.getAttribute('data-key') === key;
+      })[0];
+      if (!link) {
+        return false;
+      }
+
+      var tab = dataStorage.get(link, 'tab');
+      if (!tab) {
+        tab = new Tab(link);
+        dataStorage.put(link, 'tab', tab);
+      }
+      tab.show();
+      return true;
+    },
+
+    /**
+     * Updates the URL hash, the stored tab and the tab sets in the same group when a tab is shown.
+     */
+    addEventListeners: function() {
+      var _this = this;
+      var options = this.options;
+
+      this.el.addEventListener('tab:shown', function(e) {
+        var key = e.target.getAttribute('data-key');
+        if (!key || _this.isSyncing) return;
+
+        window.history.replaceState(window.history.state, '', window.location.href.split('#')[0] + '#' + options.hashPrefix + key);
+
+        if (options.group) {
+          if (options.persist) {
+            var storage = _this.getStorage();
+            var groups = storage.get({});
+            groups[options.group] = key;
+            storage.set(groups);
+          }
+
+          instances.forEach(function(instance) {
+            if (instance !== _this && instance.options.group === options.group) {
+              instance.isSyncing = true;
+              instance.select(key);
+              instance.isSyncing = false;
+            }
+          });
+        }
+
+        Util.triggerEvent(_this.el, Event.CHANGE, {
+          relatedTarget: _this.el,
+          key: key,
+          group: options.group
+        });
+      });
     },
 
     /**
@@ -764,7 +1345,7 @@
               '<ul class="nav nav-tabs overflow-hidden sm:overflow-visible" id="<%= id %>">' +
                 '<% children.forEach(function(child, index) { %>' +
                   '<li class="nav-item bg-white sm:bg-transparent">' +
-                    '<a class="nav-link text-inherit font-medium hover:text-primary<% if (initial === index ) { %> ' + activeClass + '<% } %>" role="tab" ' + dataAttributes + ' aria-expanded="<%= initial === index %>" href="#<%= id %>-<%= index %>">' +
+                    '<a class="nav-link text-inherit font-medium hover:text-primary<% if (initial === index ) { %> ' + activeClass + '<% } %>" role="tab" ' + dataAttributes + ' aria-expanded="<%= initial === index %>" href="#<%= id %>-<%= index %>" data-key="<%= child.key %>">' +
                       '<%= child.title %>' +
                     '</a>' +
                   '</li>' +
@@ -794,15 +1375,20 @@
         }
         return {
           innerHTML: child.innerHTML,
-          title: title
+          title: title,
+          key: child.getAttribute('data-key') || getKey(title)
         };
       });
 
+      var initial = this._getInitialIndex(children.map(function(child) {
+        return child.key;
+      }));
+
       var data = {
         id: this.id,
         children: children,
         items: children,
-        initial: options.initial,
+        initial: initial,
         dataAttributes: dataAttributes,
         activeClass: activeClass,
         options: options
@@ -829,6 +1415,11 @@
 
       this.el.remove();
       this.el = el;
+
+      // Scroll to the first tab set linked to
+      if (this.isLinked && !instances.some(function(instance) { return instance.isLinked; })) {
+        Util.scrollIntoView(el);
+      }
     }
   });
 
@@ -837,6 +1428,19 @@
       new Tabs(el);
     });
   });
+
+  // Show the tab linked to
+  window.addEventListener('hashchange', function() {
+    var hash = getHash();
+    var linked = instances.filter(function(instance) {
+      var prefix = instance.options.hashPrefix;
+      return hash.indexOf(prefix) === 0 && instance.select(hash.substring(prefix.length));
+    });
+
+    if (linked.length) {
+      Util.scrollIntoView(linked[0].el);
+    }
+  });
 })();
 
 /* toggles.js */
@@ -849,9 +1453,48 @@
     RENDER: NAME + ':render'
   };
 
+  /**
+   * Returns the ID of a toggle, based on its title (e.g. `toggle-how-do-i-sign-in`).
+   *
+   * @param title
+   * @param ids - The IDs of the other toggles being rendered
+   * @returns {string}
+   */
+  var getId = function(title, ids) {
+    var id = 'toggle-' + (title.trim().toLowerCase().replace(/[^\p{L}\p{N}]+/gu, '-').replace(/^-+|-+$/g, '') || 'item');
+    var uniqueId = id;
+    var count = 1;
+    while (document.getElementById(uniqueId) || ids.indexOf(uniqueId) !== -1) {
+      uniqueId = id + '-' + ++count;
+    }
+    ids.push(uniqueId);
+    return uniqueId;
+  };
+
+  // The IDs previously generated from the position of each toggle (e.g. `zp-3-0`), mapped to the current IDs
+  var legacyIds = {};
+
+  /**
+   * Returns the search terms if the visitor arrived from the search results page.
+   *
+   * @returns {string}
+   */
+  var getSearchQuery = function() {
+    var referrer = document.referrer;
+    if (!referrer || referrer.indexOf(window.location.origin) !== 0 || !/\/search(\?|$)/.test(referrer.split('#')[0])) {
+      return '';
+    }
+    return Util.getURLParameter('query', referrer).trim();
+  };
+
   /**
    * Toggles.
    *
+   * Toggles can be linked to with their ID (e.g. `#toggle-how-do-i-sign-in`), or the `id` of their
+   * content element.  Links to the IDs previously generated from their position (`<id>-<index>`)
+   * are resolved to the current IDs.  When arriving from search, the first toggle matching the
+   * query is opened.
+   *
    * @type {component}
    */
   window.Toggles = Util.createPlugin({
@@ -864,6 +1507,11 @@
       // True if the toggles should behave as an accordion
       accordion: false,
 
+      // Show buttons to expand and collapse all toggles (unless in accordion mode)
+      controls: false,
+      expandAllLabel: 'Expand all',
+      collapseAllLabel: 'Collapse all',
+
       activeClass: 'text-primary',
 
       // The ID of the custom template to use when generating HTML
@@ -877,6 +1525,9 @@
       initial: 'number',
       activeClass: 'string',
       accordion: 'boolean',
+      controls: 'boolean',
+      expandAllLabel: 'string',
+      collapseAllLabel: 'string',
       template: '(string|null)',
       templateData: 'object'
     },
@@ -905,14 +1556,21 @@
       if (!templateString) {
         templateString = '' +
           '<% if (children.length) { %>' +
-            '<ul class="list-unstyled list-bordered my-6 border border-radius" id="<%= id %>">' +
+            '<% if (controls) { %>' +
+              '<div id="<%= id %>">' +
+                '<div class="flex justify-content-end font-size-md mt-6 -mb-4">' +
+                  '<button class="not-a-button text-primary cursor-pointer mr-4" type="button" data-toggle="collapse-all" data-action="show" data-target="#<%= id %>"><%= expandAllLabel %></button>' +
+                  '<button class="not-a-button text-primary cursor-pointer" type="button" data-toggle="collapse-all" data-action="hide" data-target="#<%= id %>"><%= collapseAllLabel %></button>' +
+                '</div>' +
+            '<% } %>' +
+            '<ul class="list-unstyled list-bordered my-6 border border-radius"<% if (!controls) { %> id="<%= id %>"<% } %>>' +
               '<% children.forEach(function(child, index) { %>' +
                 '<% var isActive = (initial === index); %>' +
                 '<li class="px-5 py-1">' +
-                  '<a class="toggle-title font-semibold text-inherit hover:text-primary<% if (isActive && activeClass) { %> activeClass<% } %>" ' + dataAttributes + ' aria-expanded="<%= isActive %>" href="#<%= id %>-<%= index %>">' +
+                  '<a class="toggle-title font-semibold text-inherit hover:text-primary<% if (isActive && activeClass) { %> <%= activeClass %><% } %>" ' + dataAttributes + ' aria-expanded="<%= isActive %>" aria-controls="<%= child.id %>" href="#<%= child.id %>">' +
                     '<%= child.title %>' +
                   '</a>' +
-                  '<div class="collapse<% if (isActive) { %> is-visible<% } %>" id="<%= id %>-<%= index %>" <% if (parent) { %>data-parent="<%= parent %>"<% } %>>' +
+                  '<div class="collapse<% if (isActive) { %> is-visible<% } %>" id="<%= child.id %>" <% if (parent) { %>data-parent="<%= parent %>"<% } %>>' +
                     '<div class="py-4">' +
                       '<%= child.innerHTML %>' +
                     '</div>' +
@@ -920,10 +1578,14 @@
                 '</li>' +
               '<% }); %>' +
             '</ul>' +
+            '<% if (controls) { %>' +
+              '</div>' +
+            '<% } %>' +
           '<% } %>';
       }
 
       var compiled = Util.template(templateString);
+      var ids = [];
       var children = [].slice.call(this.el.children).map(function(child, i) {
         var title = 'Toggle ' + i;
         if (child.hasAttribute('data-title')) {
@@ -936,16 +1598,33 @@
         }
         return {
           innerHTML: child.innerHTML,
-          title: title
+          title: title,
+          id: child.id || getId(title, ids)
         };
       });
 
+      // The rendered element keeps the ID of the original element
+      var id = this.el.id || this.id;
+
+      // Toggles were identified by the ID of the plugin (or element) and their index
+      [this.id, this.el.id].forEach(function(prefix) {
+        if (!prefix) return;
+        children.forEach(function(child, index) {
+          if (child.id !== prefix + '-' + index) {
+            legacyIds[prefix + '-' + index] = child.id;
+          }
+        });
+      });
+
       var data = {
-        id: this.id,
+        id: id,
         children: children,
         items: children,
         accordion: options.accordion,
-        parent: options.accordion ? '#' + this.id : null,
+        parent: options.accordion ? '#' + id : null,
+        controls: options.controls && !options.accordion,
+        expandAllLabel: options.expandAllLabel,
+        collapseAllLabel: options.collapseAllLabel,
         initial: options.initial,
         dataAttributes: dataAttributes,
         activeClass: options.activeClass
@@ -975,11 +1654,65 @@
     }
   });
 
+  /**
+   * Opens the toggle containing the element linked to, or else the first toggle matching the
+   * search query.
+   *
+   * @param matchQuery - Open the toggle matching the search query if no element is linked to
+   */
+  var revealTarget = function(matchQuery) {
+    var hash = window.location.hash.substring(1).split('?')[0];
+    try {
+      hash = decodeURIComponent(hash);
+    } catch (e) {
+      // Use the hash as-is if it isn't a valid encoded string
+    }
+    var target = hash ? document.getElementById(hash) : null;
+    var offset = Util.getURLParameter('offset', window.location);
+
+    // Update links to the legacy IDs
+    if (!target && legacyIds.hasOwnProperty(hash)) {
+      target = document.getElementById(legacyIds[hash]);
+      if (target) {
+        window.history.replaceState(window.history.state, '', window.location.href.split('#')[0] + '#' + target.id);
+      }
+    }
+
+    if (target && Util.closest(target, '.collapse')) {
+      Collapse.reveal(target, offset);
+      return;
+    }
+
+    var query = matchQuery === true ? getSearchQuery().toLowerCase() : '';
+    if (!query || target) {
+      return;
+    }
+
+    // Match the whole query first, then the individual words
+    var terms = [query].concat(query.split(/\s+/).filter(function(word) {
+      return word.length > 2 && word !== query;
+    }));
+
+    var toggles = Array.prototype.slice.call(document.querySelectorAll('.toggle-title + .collapse'));
+    terms.some(function(term) {
+      var match = toggles.filter(function(el) {
+        return (el.previousElementSibling.textContent + ' ' + el.textContent).toLowerCase().indexOf(term) !== -1;
+      })[0];
+      if (match) {
+        Collapse.reveal(match, offset);
+      }
+      return !!match;
+    });
+  };
+
   window.addEventListener('load', function() {
     each('[data-element="toggles"], .js-toggles', function(el) {
-      new Toggles(el);
+      new Toggles(el, Theme.toggles);
     });
+    revealTarget(true);
   });
+
+  window.addEventListener('hashchange', revealTarget);
 })();
 
 /* carousels.js */
@@ -1721,8 +2454,8 @@
             return el === sibling;
           });
           if (link.length) {
-            link.classList.add.apply(
-              link.classList,
+            link[0].classList.add.apply(
+              link[0].classList,
               activeClassNames.split(' ')
             );
           }
@@ -1737,4 +2470,410 @@
       new Scrollspy(el);
     });
   });
-})();
\ No newline at end of file
+})();
+/* tree-view.js */
+(function() {
+  "use strict";
+
+  var NAME = 'treeView';
+
+  var Event = {
+    UPDATE: NAME + ':update'
+  };
+
+  // Key map
+  var ENTER = 13;
+  var SPACE = 32;
+  var END = 35;
+  var HOME = 36;
+  var LEFT = 37;
+  var UP = 38;
+  var RIGHT = 39;
+  var DOWN = 40;
+
+  // The time in ms after which type-ahead characters are cleared
+  var TYPE_AHEAD_TIMEOUT = 500;
+
+  /**
+   * Tree view.
+   *
+   * Adds the WAI-ARIA treeview roles, states and keyboard interaction to a nested list of links.
+   * Items are expanded and collapsed using their `data-toggle="collapse"` element, if any.
+   *
+   * @see https://www.w3.org/WAI/ARIA/apg/patterns/treeview/
+   * @type {component}
+   */
+  window.TreeView = Util.createPlugin({
+
+    defaults: {
+
+      // The selector for the root list (defaults to the first `[data-tree]` or `ul` element)
+      root: null,
+
+      // The selector for tree items
+      items: 'li'
+    },
+
+    optionTypes: {
+      root: '(string|null)',
+      items: 'string'
+    },
+
+    /**
+     * Initializes the plugin.
+     */
+    initialize: function(options) {
+      this._typeAhead = '';
+      this._typeAheadTimeout = null;
+      this._activeKey = null;
+      this._hasFocus = false;
+
+      this.el.addEventListener('keydown', this._onKeydown.bind(this));
+      this.el.addEventListener('focusin', this._onFocus.bind(this));
+      this.el.addEventListener('focusout', this._onBlur.bind(this));
+      this.el.addEventListener('click', function() {
+        setTimeout(this.update.bind(this));
+      }.bind(this));
+      this.el.addEventListener('collapse:shown', this.update.bind(this));
+      this.el.addEventListener('collapse:hidden', this.update.bind(this));
+
+      this.update();
+    },
+
+    /**
+     * Updates the roles and states of the tree items (e.g. after the tree has been re-rendered).
+     */
+    update: function() {
+      var _this = this;
+      var options = this.options;
+
+      this.root = (options.root && this.el.querySelector(options.root)) ||
+        this.el.querySelector('[data-tree]') ||
+        this.el.querySelector('ul') ||
+        this.el;
+      this.root.setAttribute('role', 'tree');
+
+      this.items = [].slice.call(this.root.querySelectorAll(options.items));
+      if (!this.items.length) return;
+
+      this.items.forEach(function(item) {
+        var siblings = _this._getChildren(_this._getParent(item));
+
+        item.setAttribute('role', 'treeitem');
+        item.setAttribute('aria-level', _this._getLevel(item));
+        item.setAttribute('aria-setsize', siblings.length);
+        item.setAttribute('aria-posinset', siblings.indexOf(item) + 1);
+
+        if (_this._isExpandable(item)) {
+          item.setAttribute('aria-expanded', _this._isExpanded(item));
+        } else {
+          item.removeAttribute('aria-expanded');
+        }
+
+        // Only the tree items are in the tab sequence
+        [].slice.call(item.querySelectorAll('a[href], button')).forEach(function(el) {
+          el.setAttribute('tabindex', '-1');
+        });
+
+        [].slice.call(item.querySelectorAll('ul, ol')).forEach(function(list) {
+          if (_this._getItem(list) === item) list.setAttribute('role', 'group');
+        });
+      });
+
+      // Restore focus to the item that was focused before the tree was re-rendered
+      var current = this._activeKey ? this._findItem(this._activeKey) : null;
+      this._setTabIndex(current || this._getCurrentItem());
+      if (current && this._hasFocus && !this.el.contains(document.activeElement)) {
+        current.focus();
+      }
+
+      Util.triggerEvent(this.el, Event.UPDATE, {
+        relatedTarget: this.root
+      });
+    },
+
+    /**
+     * Moves focus to a tree item.
+     *
+     * @param item
+     */
+    focus: function(item) {
+      if (!item) return;
+      this._setTabIndex(item);
+      item.focus();
+    },
+
+    /**
+     * Expands or collapses a tree item.
+     *
+     * @param item
+     * @param isExpanded
+     */
+    setExpanded: function(item, isExpanded) {
+      if (!this._isExpandable(item) || this._isExpanded(item) === isExpanded) return;
+
+      var toggle = this._getToggle(item);
+      if (toggle) {
+        toggle.click();
+      }
+    },
+
+    /**
+     * Handles keyboard navigation.
+     *
+     * @param e
+     * @private
+     */
+    _onKeydown: function(e) {
+      var item = Util.closest(e.target, '[role="treeitem"]');
+      if (!item || item !== e.target || e.altKey || e.ctrlKey || e.metaKey) return;
+
+      var visible = this._getVisibleItems();
+      var index = visible.indexOf(item);
+
+      switch (e.keyCode) {
+        case DOWN:
+          this.focus(visible[index + 1]);
+          break;
+        case UP:
+          this.focus(visible[index - 1]);
+          break;
+        case HOME:
+          this.focus(visible[0]);
+          break;
+        case END:
+          this.focus(visible[visible.length - 1]);
+          break;
+        case RIGHT:
+          if (!this._isExpandable(item)) return;
+          if (this._isExpanded(item)) {
+            this.focus(this._getChildren(item).filter(this._isVisible)[0]);
+          } else {
+            this.setExpanded(item, true);
+          }
+          break;
+        case LEFT:
+          if (this._isExpandable(item) && this._isExpanded(item)) {
+            this.setExpanded(item, false);
+          } else {
+            this.focus(this._getParent(item));
+          }
+          break;
+        case ENTER:
+        case SPACE:
+          var link = this._getLink(item);
+          if (link && link !== item) {
+            link.click();
+          } else if (e.keyCode === SPACE) {
+            this.setExpanded(item, !this._isExpanded(item));
+          } else {
+            return;
+          }
+          break;
+        default:
+          if (e.key && e.key.length === 1 && e.key !== ' ') {
+            this._onTypeAhead(e.key, visible, index);
+            break;
+          }
+          return;
+      }
+
+      e.preventDefault();
+    },
+
+    /**
+     * Moves focus to the next item with a label starting with the typed characters.
+     *
+     * @param character
+     * @param visible
+     * @param index
+     * @private
+     */
+    _onTypeAhead: function(character, visible, index) {
+      var _this = this;
+
+      clearTimeout(this._typeAheadTimeout);
+      this._typeAheadTimeout = setTimeout(function() {
+        _this._typeAhead = '';
+      }, TYPE_AHEAD_TIMEOUT);
+
+      // Search from the current item when adding to the string, otherwise from the next item
+      this._typeAhead += character.toLowerCase();
+      var start = this._typeAhead.length > 1 ? index : index + 1;
+      var ordered = visible.slice(start).concat(visible.slice(0, start));
+
+      this.focus(ordered.filter(function(item) {
+        return _this._getLabel(item).toLowerCase().indexOf(_this._typeAhead) === 0;
+      })[0]);
+    },
+
+    /**
+     * Makes the focused item the tree's tab stop.
+     *
+     * @param e
+     * @private
+     */
+    _onFocus: function(e) {
+      this._hasFocus = true;
+      if (e.target.getAttribute('role') === 'treeitem') {
+        this._activeKey = this._getKey(e.target);
+        this._setTabIndex(e.target);
+      }
+    },
+
+    /**
+     * Keeps track of whether focus has left the tree (rather than been removed by re-rendering).
+     *
+     * @param e
+     * @private
+     */
+    _onBlur: function(e) {
+      var target = e.target;
+      setTimeout(function() {
+        if (document.body.contains(target) && !this.el.contains(document.activeElement)) {
+          this._hasFocus = false;
+        }
+      }.bind(this));
+    },
+
+    /**
+     * Sets a roving tab index, so that only one item is in the tab sequence.
+     *
+     * @param activeItem
+     * @private
+     */
+    _setTabIndex: function(activeItem) {
+      (this.items || []).forEach(function(item) {
+        item.setAttribute('tabindex', item === activeItem ? '0' : '-1');
+      });
+    },
+
+    /**
+     * Returns the item linking to the current page, the first item or the first visible item.
+     *
+     * @returns {*}
+     * @private
+     */
+    _getCurrentItem: function() {
+      var _this = this;
+      var current = this.items.filter(function(item) {
+        var link = _this._getLink(item);
+        return link && link.pathname === window.location.pathname;
+      })[0];
+
+      if (current) {
+        var parent = this._getParent(current);
+        while (parent && !this._isVisible(current)) {
+          current = parent;
+          parent = this._getParent(current);
+        }
+        return current;
+      }
+      return this._getVisibleItems()[0] || this.items[0];
+    },
+
+    /**
+     * Returns the items which aren't within a collapsed item.
+     *
+     * @returns {Array}
+     * @private
+     */
+    _getVisibleItems: function() {
+      return this.items.filter(this._isVisible);
+    },
+
+    _isVisible: function(item) {
+      return item.getClientRects().length > 0;
+    },
+
+    /**
+     * Returns the closest item containing an element.
+     *
+     * @param el
+     * @returns {*}
+     * @private
+     */
+    _getItem: function(el) {
+      var item = el.parentNode ? Util.closest(el.parentNode, this.options.items) : null;
+      return item && this.root.contains(item) && item !== this.root ? item : null;
+    },
+
+    _getParent: function(item) {
+      return item ? this._getItem(item) : null;
+    },
+
+    _getChildren: function(parent) {
+      var _this = this;
+      return this.items.filter(function(item) {
+        return _this._getParent(item) === parent;
+      });
+    },
+
+    _getLevel: function(item) {
+      var level = 1;
+      while ((item = this._getParent(item))) {
+        level++;
+      }
+      return level;
+    },
+
+    /**
+     * Returns the element within an item (but not its child items) matching a selector.
+     *
+     * @param item
+     * @param selector
+     * @returns {*}
+     * @private
+     */
+    _getOwnElement: function(item, selector) {
+      var _this = this;
+      if (item.matches(selector)) return item;
+      return [].slice.call(item.querySelectorAll(selector)).filter(function(el) {
+        return _this._getItem(el) === item;
+      })[0] || null;
+    },
+
+    _getLink: function(item) {
+      return this._getOwnElement(item, 'a[href]');
+    },
+
+    _getToggle: function(item) {
+      return this._getOwnElement(item, '[data-toggle="collapse"]');
+    },
+
+    _getLabel: function(item) {
+      var link = this._getLink(item);
+      return (link || item).textContent.trim();
+    },
+
+    _getKey: function(item) {
+      var link = this._getLink(item);
+      return link ? link.getAttribute('href') : this._getLabel(item);
+    },
+
+    _findItem: function(key) {
+      var _this = this;
+      return this.items.filter(function(item) {
+        return _this._getKey(item) === key;
+      })[0] || null;
+    },
+
+    _isExpandable: function(item) {
+      return !!this._getToggle(item) || this._getChildren(item).length > 0;
+    },
+
+    _isExpanded: function(item) {
+      var toggle = this._getToggle(item);
+      if (toggle && toggle.hasAttribute('aria-expanded')) {
+        return toggle.getAttribute('aria-expanded') === 'true';
+      }
+      return this._getChildren(item).some(this._isVisible);
+    }
+  });
+
+  window.addEventListener('load', function() {
+    each('[data-element="tree-view"]', function(el) {
+      new TreeView(el);
+    });
+  });
+})();
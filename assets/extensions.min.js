@@ -1 +1 @@
-(function(){"use strict";var a={ACTIVE:"is-active",SHOW:"is-visible",COLLAPSE:"collapse",COLLAPSING:"collapsing",COLLAPSED:"is-hidden"},b={SHOW:"collapse:show",SHOWN:"collapse:shown",HIDE:"collapse:hide",HIDDEN:"collapse:hidden"},c={DATA_TOGGLE:"[data-toggle=\"collapse\"]"};window.Collapse=Util.createPlugin({defaults:{parent:!1,toggle:!0},optionTypes:{parent:"(string|element|boolean)",toggle:"boolean"},initialize:function(a){this._isTransitioning=!1,this._parent=a.parent?this._getParent():null,this._triggerArray=[].slice.call(document.querySelectorAll(c.DATA_TOGGLE+"[href=\"#"+this.el.id+"\"],"+c.DATA_TOGGLE+"[data-target=\"#"+this.el.id+"\"]"));for(var b=this,d=[].slice.call(document.querySelectorAll(c.DATA_TOGGLE)),e=0,f=d.length;e<f;e++){var g=Util.getSelectorFromElement(d[e]),h=[].slice.call(document.querySelectorAll(g)).filter(function(a){return a===b.el});null!==g&&0<h.length&&(this._selector=g)}a.parent||this._addAriaAndCollapsedClass(this.el,this._triggerArray),a.toggle&&this.toggle()},_getTargetFromElement:function(a){var b=Util.getSelectorFromElement(a);return b?document.querySelector(b):null},_getParent:function(){var a;if(a=Util.isElement(this.options.parent)?this.options.parent:document.querySelector(this.options.parent),a)for(var b=c.DATA_TOGGLE+"[data-parent=\""+this.options.parent+"\"]",d=[].slice.call(a.querySelectorAll(b)),e=0;e<d.length;e++)this._addAriaAndCollapsedClass(this._getTargetFromElement(d[e]),[d[e]]);return a},_addAriaAndCollapsedClass:function(b,c){var d=b.classList.contains(a.SHOW);c.length&&c.forEach(function(b){b.classList.toggle(a.ACTIVE,d),b.classList.toggle(a.COLLAPSED,!d),b.setAttribute("aria-expanded",d)})},_setTransitioning:function(a){this._isTransitioning=a},toggle:function(){this.el.classList.contains(a.SHOW)?this.hide():this.show()},show:function(){if(!(this._isTransitioning||this.el.classList.contains(a.SHOW))){var c,d=this.options;this._parent&&(c=[].slice.call(this._parent.querySelectorAll("."+a.SHOW+", ."+a.COLLAPSING)).filter(function(b){return"string"==typeof d.parent?b.getAttribute("data-parent")===d.parent:b.classList.contains(a.COLLAPSE)}),0===c.length&&(c=null));var e=Util.triggerEvent(this.el,b.SHOW,{relatedTargets:this._triggerArray});if(!(e&&e.defaultPrevented)){c&&c.forEach(function(a){var b=dataStorage.get(a,"collapse");b?b.hide():dataStorage.put(a,"collapse",new Collapse(a))}),this.el.classList.remove(a.COLLAPSE),this.el.classList.add(a.COLLAPSING),this.el.style.height="0px",this._triggerArray.length&&this._triggerArray.forEach(function(b){b.classList.add(a.ACTIVE);var c=b.getAttribute("data-active-class");c&&b.classList.add.apply(b.classList,c.split(" ")),b.classList.remove(a.COLLAPSED),b.setAttribute("aria-expanded","true")}),this._setTransitioning(!0);var f=function(){this.el.classList.remove(a.COLLAPSING),this.el.classList.add(a.COLLAPSE),this.el.classList.add(a.SHOW),this.el.style.height="",this._setTransitioning(!1),Util.triggerEvent(this.el,b.SHOWN,{relatedTargets:this._triggerArray})}.bind(this);Util.onTransitionEnd(this.el,f),this.el.style.height=this.el.scrollHeight+"px"}}},hide:function(){if(!this._isTransitioning&&this.el.classList.contains(a.SHOW)){var c=Util.triggerEvent(this.el,b.HIDE,{relatedTargets:this._triggerArray});if(!(c&&c.defaultPrevented)){if(this.el.style.height=this.el.getBoundingClientRect().height+"px",this.el.classList.add(a.COLLAPSING),this.el.classList.remove(a.COLLAPSE),this.el.classList.remove(a.SHOW),0<this._triggerArray.length)for(var d=0;d<this._triggerArray.length;d++){var e=this._triggerArray[d],f=Util.getSelectorFromElement(e);null!==f&&[].slice.call(document.querySelectorAll(f)).forEach(function(b){if(!b.classList.contains(a.SHOW)){e.classList.add(a.COLLAPSED),e.classList.remove(a.ACTIVE);var c=e.getAttribute("data-active-class");c&&e.classList.remove.apply(e.classList,c.split(" ")),e.setAttribute("aria-expanded","false")}})}this._setTransitioning(!0);var g=function(){this._setTransitioning(!1),this.el.classList.remove(a.COLLAPSING),this.el.classList.add(a.COLLAPSE),Util.triggerEvent(this.el,b.HIDDEN,{relatedTargets:this._triggerArray})}.bind(this);Util.onTransitionEnd(this.el,g),this.el.style.height=""}}}}),document.addEventListener("click",function(a){var b=a.target;if(b.matches(c.DATA_TOGGLE)||(b=Util.closest(b,c.DATA_TOGGLE),!!b)){"A"===b.tagName&&a.preventDefault();var d=Util.getSelectorFromElement(b);[].slice.call(document.querySelectorAll(d)).forEach(function(a){var b=dataStorage.get(a,"collapse");b?b.toggle():dataStorage.put(a,"collapse",new Collapse(a))})}},!1)})(),function(){"use strict";var a={HIDE:"tab:hide",HIDDEN:"tab:hidden",SHOW:"tab:show",SHOWN:"tab:shown"},b={ACTIVE:"is-active",DISABLED:"is-disabled",SHOWN:"is-shown"},c={NAV:".nav",ACTIVE:"."+b.ACTIVE,DATA_TOGGLE:"[data-toggle=\"tab\"]"};window.Tab=Util.createPlugin({initialize:function(){},show:function(){if(!(this.el.parentNode&&this.el.parentNode.nodeType===Node.ELEMENT_NODE&&this.el.classList.contains(b.ACTIVE)||this.el.classList.contains(b.DISABLED))){var d,e,f=Util.closest(this.el,c.NAV)||this.el.parentNode,g=Util.getSelectorFromElement(this.el);if(f&&(d=f.querySelector(c.ACTIVE)),d){var h=Util.getSelectorFromElement(d),i=document.querySelector(h);if(i&&Util.getTransitionDuration(i)&&!i.classList.contains(b.SHOWN))return;var j=Util.triggerEvent(d,a.HIDE,{relatedTarget:this.el})}var k=Util.triggerEvent(this.el,a.SHOW,{relatedTarget:d});if(!(k.defaultPrevented||j&&j.defaultPrevented)){this._activate(this.el,f);var l=function(){d&&Util.triggerEvent(d,a.HIDDEN,{relatedTarget:this.el}),Util.triggerEvent(this.el,a.SHOWN,{relatedTarget:d})}.bind(this);g&&(e=document.querySelector(g)),e?this._activate(e,e.parentNode,l):l()}}},_activate:function(a,d,e){var f=d===a.parentNode?Array.prototype.filter.call(d.children,function(a){return a.matches(c.ACTIVE)})[0]||null:d.querySelector(c.ACTIVE);var g=function(){return this._transitionComplete(a,f,e)}.bind(this);f?(Util.onTransitionEnd(f,g),f.classList.remove(b.SHOWN)):g()},_transitionComplete:function(a,c,d){var e;c&&(c.classList.remove(b.ACTIVE),e=c.getAttribute("data-active-class"),e&&c.classList.remove.apply(c.classList,e.split(" ")),"tab"===c.getAttribute("role")&&c.setAttribute("aria-selected",!1)),a.classList.add(b.ACTIVE),e=a.getAttribute("data-active-class"),e&&a.classList.add.apply(a.classList,e.split(" ")),"tab"===a.getAttribute("role")&&a.setAttribute("aria-selected",!0),Util.reflow(a),a.classList.add(b.SHOWN),d&&d()}}),document.addEventListener("click",function(a){var b=a.target;if(b.matches(c.DATA_TOGGLE)||(b=Util.closest(b,c.DATA_TOGGLE),!!b)){"A"===b.tagName&&a.preventDefault();var d=dataStorage.get(b,"tab");d||(d=new Tab(b),dataStorage.put(b,"tab",d)),d.show()}},!1)}(),function(){"use strict";var a={RENDER:"tableOfContents:render"};window.TableOfContents=Util.createPlugin({defaults:{parentElement:null,selector:".content h2",anchorLinks:!0,generateIds:!0,template:null,templateData:{}},optionTypes:{parentElement:"(window|element|string|null)",selector:"string",anchorLinks:"boolean",generateIds:"boolean",template:"(string|null)",templateData:"(string|object)"},_maybeAddAnchorLink:function(b){if(!0===this.options.anchorLinks&&0===b.getElementsByClassName("link-anchor").length){var c=document.createElement("A");c.className="link-anchor",c.href="#"+b.id,b.appendChild(c)}},_structureItems:function(a){var b=[],c=void 0;return a.forEach(function(a,d){var e=a.outerHTML.match(/<h([\d]).*>/)[1],f=Array.prototype.slice.call(a.childNodes).map(function(a){return a.textContent.trim()}).filter(function(a){return a&&"#"!==a}).join(" "),g={level:e,name:f,html_url:"#"+a.id,parent:null,children:[]};if(0===d)b.push(g),c=g;else if(g.level===c.level)g.parent=c.parent,g.parent?g.parent.children.push(g):b.push(g),c=g;else if(g.level>c.level)g.parent=c,g.parent.children.push(g),c=g;else for(;;){if(c.level<g.level){c.children.push(g),c=g;break}if(c=c.parent,null===c){b.push(g),c=g;break}}}),b},initialize:function(a){var b=a.selector;if("string"!=typeof b)throw new TypeError("Selectors must be a string");var c=this._getParentElement(),d=Array.prototype.slice.call(c.querySelectorAll(this.options.selector));if(d){var e=["h1","h2","h3","h4","h5","h6"],f=this;d=d.filter(function(b,c){return-1!==e.indexOf(b.tagName.toLowerCase())&&(!0!==a.generateIds||b.id||(b.id="heading-"+ ++c),f._maybeAddAnchorLink(b),b.id)}),this.render(this._structureItems(d))}},_getParentElement:function(){var a=this.options.parentElement;return a?Util.isElement(a)?a:"string"==typeof a?document.querySelector(a)||document:document:document},render:function(b){var c=this.options,d={items:b};c.templateData&&(d=Util.extend(d,c.templateData)),Util.renderTemplate(this.el,c.template,d,{replaceContent:!0}),Util.triggerEvent(this.el,a.RENDER,{relatedTarget:this.el})}}),window.addEventListener("load",function(){each("[data-element=\"table-of-contents\"]",function(a){new TableOfContents(a)})})}(),function(){"use strict";var a={ACTIVE:"is-active"},b={RENDER:"tabs:render"};window.Tabs=Util.createPlugin({defaults:{initial:0,activeClass:"text-primary",template:"tabs",templateData:{}},optionTypes:{initial:"number",activeClass:"string",template:"(string|null)",templateData:"object"},initialize:function(a){this.el.children.length&&this.render(a)},render:function(c){var d,e=Util.getTemplateString(this.options.template),f=a.ACTIVE;c.activeClass&&(f+=" "+c.activeClass);var g="data-toggle=\"tab\"";c.activeClass&&(g+=" data-active-class=\""+c.activeClass+"\""),e||(e="<% if (children.length) { %><div class=\"my-6\"><ul class=\"nav nav-tabs overflow-hidden sm:overflow-visible\" id=\"<%= id %>\"><% children.forEach(function(child, index) { %><li class=\"nav-item bg-white sm:bg-transparent\"><a class=\"nav-link text-inherit font-medium hover:text-primary<% if (initial === index ) { %> "+f+"<% } %>\" role=\"tab\" "+g+" aria-expanded=\"<%= initial === index %>\" href=\"#<%= id %>-<%= index %>\"><%= child.title %></a></li><% }); %></ul><div class=\"tabs\"><% children.forEach(function(child, index) { %><div class=\"tab list-unstyled p-5 mb-4 bg-white border border-radius-bottom<% if (initial === index ) { %> "+a.ACTIVE+"<% } %>\" id=\"<%= id %>-<%= index %>\" role=\"tab-panel\"><%= child.innerHTML %></div><% }); %></div></div><% } %>");var h=Util.template(e),i=[].slice.call(this.el.children).map(function(a,b){var c="Tab "+b;if(a.hasAttribute("data-title"))c=a.getAttribute("data-title");else{var d=a.querySelector(".tab-heading");d&&(c=d.textContent)}return{innerHTML:a.innerHTML,title:c}}),j={id:this.id,children:i,items:i,initial:c.initial,dataAttributes:g,activeClass:f,options:c};c.templateData&&(j=Util.extend(j,c.templateData)),d=h(j).replace(/(^\s+|\s+$)/g,""),d&&this.el.insertAdjacentHTML("afterend",d);var k=this.el.nextElementSibling;this.el.classList.forEach(function(a){k.classList.add(a)}),this.el.id&&(k.id=this.el.id),Util.triggerEvent(this.el,b.RENDER,{relatedTarget:k}),this.el.remove(),this.el=k}}),window.addEventListener("load",function(){each("[data-element=\"tabs\"], .js-tabs",function(a){new Tabs(a)})})}(),function(){"use strict";var a={RENDER:"toggles:render"};window.Toggles=Util.createPlugin({defaults:{initial:-1,accordion:!1,activeClass:"text-primary",template:"toggles",templateData:{}},optionTypes:{initial:"number",activeClass:"string",accordion:"boolean",template:"(string|null)",templateData:"object"},initialize:function(a){this.el.children.length&&this.render(a)},render:function(b){var c,d=Util.getTemplateString(this.options.template),e="data-toggle=\"collapse\"";b.activeClass&&(e+=" data-active-class=\""+b.activeClass+"\""),d||(d="<% if (children.length) { %><ul class=\"list-unstyled list-bordered my-6 border border-radius\" id=\"<%= id %>\"><% children.forEach(function(child, index) { %><% var isActive = (initial === index); %><li class=\"px-5 py-1\"><a class=\"toggle-title font-semibold text-inherit hover:text-primary<% if (isActive && activeClass) { %> activeClass<% } %>\" "+e+" aria-expanded=\"<%= isActive %>\" href=\"#<%= id %>-<%= index %>\"><%= child.title %></a><div class=\"collapse<% if (isActive) { %> is-visible<% } %>\" id=\"<%= id %>-<%= index %>\" <% if (parent) { %>data-parent=\"<%= parent %>\"<% } %>><div class=\"py-4\"><%= child.innerHTML %></div></div></li><% }); %></ul><% } %>");var f=Util.template(d),g=[].slice.call(this.el.children).map(function(a,b){var c="Toggle "+b;if(a.hasAttribute("data-title"))c=a.getAttribute("data-title");else{var d=a.querySelector(".toggle-heading");d&&(c=d.textContent)}return{innerHTML:a.innerHTML,title:c}}),h={id:this.id,children:g,items:g,accordion:b.accordion,parent:b.accordion?"#"+this.id:null,initial:b.initial,dataAttributes:e,activeClass:b.activeClass};this.options.templateData&&(h=Util.extend(h,this.options.templateData)),c=f(h).replace(/(^\s+|\s+$)/g,""),c&&this.el.insertAdjacentHTML("afterend",c);var i=this.el.nextElementSibling;this.el.classList.forEach(function(a){i.classList.add(a)}),this.el.id&&(i.id=this.el.id),Util.triggerEvent(this.el,a.RENDER,{relatedTarget:i}),this.el.remove(),this.el=i}}),window.addEventListener("load",function(){each("[data-element=\"toggles\"], .js-toggles",function(a){new Toggles(a)})})}(),function(){"use strict";var a={RENDER:"carousel:render",INIT:"carousel:initialize",NEXT:"carousel:next",PREVIOUS:"carousel:previous"};window.Carousel=Util.createPlugin({defaults:{initial:0,children:".list-unstyled > li",previousButton:".js-previous",nextButton:".js-next",nextTitle:"Next",previousTitle:"Previous",scrollToTop:!1,template:"carousel",templateData:{}},optionTypes:{initial:"number",children:"string",previousButton:"string",nextButton:"string",nextTitle:"string",previousTitle:"string",scrollToTop:"boolean",template:"(string|null)",templateData:"object"},initialize:function(b){if(this.el.children.length){this.render(),this.children=this.el.querySelectorAll(b.children),this.previousButton=this.el.querySelector(b.previousButton),this.nextButton=this.el.querySelector(b.nextButton);var c=b.initial;this._activate(0<=c&&c<this.children.length?c:0),this._addEventListeners(),Util.triggerEvent(this.el,a.INIT,{relatedTarget:this.el})}},render:function(){var b,c=Util.getTemplateString(this.options.template);c||(c="<% if (children.length) { %><div class=\"p-6 mb-4 border border-radius bg-white\"><ul class=\"list-unstyled\"><% children.forEach(function(child, index) { %><li><%= child.innerHTML %></li><% }); %></ul><div class=\"mt-6\"><button class=\"button button-link js-previous\"><svg class=\"svg-icon fill-current mr-1\" viewBox=\"0 0 423 323\" xmlns=\"http://www.w3.org/2000/svg\" xmlns:xlink=\"http://www.w3.org/1999/xlink\"><path d=\"M423,162 C423,174 413,184 401,184 L76,184 L177,286 C186,294 186,308 177,317 C173,321 167,323 161,323 C156,323 150,321 146,317 L7,178 C-2,169 -2,155 7,146 L146,7 C155,-2 169,-2 177,7 C186,16 186,30 177,39 L76,140 L401,140 C413,140 423,150 423,162 Z\"></path></svg><% if (previousTitle) { %><%= previousTitle %><% } %></button><button class=\"button button-primary js-next\"><% if (nextTitle) { %><%= nextTitle %><% } %><svg class=\"svg-icon fill-current ml-1\" viewBox=\"0 0 423 323\" xmlns=\"http://www.w3.org/2000/svg\" xmlns:xlink=\"http://www.w3.org/1999/xlink\"><path d=\"M416,178 L277,317 C273,321 267,323 262,323 C256,323 251,321 246,317 C237,308 237,294 246,285 L347,184 L22,184 C10,184 0,174 0,162 C0,150 10,140 22,140 L347,140 L246,38 C237,30 237,16 246,7 C254,-2 268,-2 277,7 L416,146 C425,155 425,169 416,178 Z\"></path></svg></button></div></div><% } %>");var d=Util.template(c),e=[].slice.call(this.el.children).map(function(a){return{innerHTML:a.innerHTML,title:a.getAttribute("data-title")||null}}),f={id:this.id,items:e,children:e,nextTitle:this.options.nextTitle,previousTitle:this.options.previousTitle,initial:this.options.initial};this.options.templateData&&(f=Util.extend(f,this.options.templateData)),b=d(f).replace(/(^\s+|\s+$)/g,""),b&&this.el.insertAdjacentHTML("afterend",b);var g=this.el.nextElementSibling;this.el.classList.forEach(function(a){g.classList.add(a)}),this.el.id&&(g.id=this.el.id),this.el.remove(),this.el=g,Util.triggerEvent(this.el,a.RENDER,{relatedTarget:this.el})},previous:function(){this.previousButton.classList.contains(Util.classNames.DISABLED)||0===this.active||(this._activate(this.active-1),this._maybeScroll(this.el.parentNode),Util.triggerEvent(this.el,a.PREVIOUS,{relatedTarget:this.children[this.active]}))},next:function(){this.nextButton.classList.contains(Util.classNames.DISABLED)||this.active===this.children.length-1||(this._activate(this.active+1),this._maybeScroll(this.el.parentNode),Util.triggerEvent(this.el,a.NEXT,{relatedTarget:this.children[this.active]}))},_addEventListeners:function(){this.previousButton.addEventListener("click",this._onClick.bind(this)),this.previousButton.addEventListener("keypress",this._onClick.bind(this)),this.nextButton.addEventListener("click",this._onClick.bind(this)),this.nextButton.addEventListener("keypress",this._onClick.bind(this))},_activate:function(a){var b=a===this.children.length-1,c=Util.classNames.VISIBLE,d=Util.classNames.DISABLED;Array.prototype.forEach.call(this.children,function(b,d){d===a?(b.style.display="block",b.classList.add(c)):(b.style.display="none",b.classList.remove(c))}),0===a?(this.previousButton.classList.add(d),this.previousButton.setAttribute("disabled","true")):(this.previousButton.classList.remove(d),this.previousButton.removeAttribute("disabled")),b?(this.nextButton.classList.add(d),this.nextButton.setAttribute("disabled","true")):(this.nextButton.classList.remove(d),this.nextButton.removeAttribute("disabled")),this.active=a},_onClick:function(a){"keypress"===a.type&&13!==a.which||(this[a.currentTarget===this.previousButton?"previous":"next"].call(this),a.preventDefault())},_maybeScroll:function(a){if(this.options.scrollToTop){var b=a.getBoundingClientRect();(0>b.top||b.bottom>(window.innerHeight||document.documentElement.clientHeight))&&a.scrollIntoView({block:"start",inline:"nearest",behavior:"smooth"})}}}),window.addEventListener("load",function(){each("[data-element=\"carousel\"], .js-carousel",function(a){new Carousel(a)})})}(),function(){"use strict";var a={INITIALIZE:"sticky:initialize",STUCK:"sticky:stuck",UNSTUCK:"sticky:unstuck",HIDDEN:"sticky:hidden",SHOWN:"sticky:shown"};window.Sticky=Util.createPlugin({defaults:{scrollElement:window,offset:0,tolerance:8,hide:!1,classNames:{sticky:"sticky-top",unstuck:"is-unstuck",stuck:"is-stuck",hidden:Util.classNames.HIDDEN}},optionTypes:{scrollElement:"(window|element|string)",offset:"number",tolerance:"number",hide:"boolean",classNames:"(object|string)"},initialize:function(b){if(this._supportsSticky()){"string"==typeof this.options.classNames&&(this.options.classNames=this._parseJSON(this.options.classNames));var c=this._getClassName("sticky");c&&this.el.classList.add.apply(this.el.classList,c.split(" ")),this.scrollElement=("string"==typeof b.scrollElement?document.querySelector(b.scrollElement):b.scrollElement)||window,this.lastScrollTop=this.scrollElement===window?window.scrollY||window.pageYOffset:this.scrollElement.scrollTop,this.scrolling=!1,this._addEventListeners(),this._onScroll(),Util.triggerEvent(this.el,a.INITIALIZE)}},_parseJSON:function(a){var b;try{return JSON.parse(a)}catch(c){return a.indexOf("'")?(a=a.replace(/\'/g,"\""),b=this._parseJSON(a)):console.error("Sticky: classNames option value is not valid."),b}},_supportsSticky:function(){for(var a=["","-o-","-webkit-","-moz-","-ms-"],b=document.head.style,c=0;c<a.length;c+=1)b.position=a[c]+"sticky";var d=!!b.position;return b.position="",d},_addEventListeners:function(){this.scrollElement.addEventListener("scroll",this._onScroll.bind(this))},_getTopPosition:function(a){return a.getBoundingClientRect().top+(this.scrollElement.pageYOffset||document.documentElement.scrollTop)},_onScroll:function(){this.scrolling||(requestAnimationFrame(this._updateClassNames.bind(this)),this.scrolling=!0)},_updateClassNames:function(){var b=this.scrollElement===window?window.scrollY||window.pageYOffset:this.scrollElement.scrollTop,c=this._getTopPosition(this.el.parentElement),d=b>c+this.options.offset;if("undefined"!=typeof this.isStuck&&this.isStuck===d)return void(this.scrolling=!1);this.isStuck=d;var e=this._getClassName("stuck"),f=this._getClassName("unstuck");if(d?(f&&this.el.classList.remove.apply(this.el.classList,f.split(" ")),e&&this.el.classList.add.apply(this.el.classList,e.split(" "))):(e&&this.el.classList.remove.apply(this.el.classList,e.split(" ")),f&&this.el.classList.add.apply(this.el.classList,f.split(" "))),Util.triggerEvent(this.el,d?a.STUCK:a.UNSTUCK),!0===this.options.hide){var g=this._getClassName("hidden");b>this.lastScrollTop+this.options.tolerance?(g&&this.el.classList.add.apply(this.el.classList,g.split(" ")),Util.triggerEvent(this.el,a.HIDDEN)):(b<this.lastScrollTop||0>=b)&&(g&&this.el.classList.remove.apply(this.el.classList,g.split(" ")),Util.triggerEvent(this.el,a.SHOWN))}this.lastScrollTop=b,this.scrolling=!1}}),window.addEventListener("load",function(){each("[data-element=\"sticky\"]",function(a){new Sticky(a)})})}(),function(){"use strict";var a={ACTIVE:"scrollspy:active"};window.Scrollspy=Util.createPlugin({defaults:{offset:0,scrollElement:null,activeClass:Util.classNames.ACTIVE},optionTypes:{offset:"(string|number)",scrollElement:"(string|element|null)",activeClass:"string"},initialize:function(){var a=this.el.querySelectorAll("a[href^='#']");if(!a.length)return void Util.log("The scrollspy element does not contain any links to anchor elements.");"string"==typeof this.options.offset&&(this.options.offset=parseInt(this.options.offset,10));var b=this._getScrollElement();this._scrollElement="BODY"===b.tagName?window:b,this._links=Array.prototype.slice.call(a),this._targets=this._getTargets(),this._activeTarget=null,this._addEventListeners(),this._onScroll()},_getScrollElement:function(){var a=this.options.scrollElement;return a?Util.isElement(a)?a:"string"==typeof a?document.querySelector(a)||window:window:window},_getTargets:function(){var a=this._scrollElement===window?document:this._scrollElement;return this._links.map(function(b){return a.querySelector(b.getAttribute("href").trim())}).filter(function(a){return a}).sort(function(c,a){return c.getBoundingClientRect().top-a.getBoundingClientRect().top})},_addEventListeners:function(){var a=this;this._scrollElement.addEventListener("scroll",this._onScroll.bind(this)),this._links.forEach(function(b){b.addEventListener("click",a._onClick.bind(a))})},_onClick:function(a){var b=a.target.href.substring(a.target.href.indexOf("#")+1),c=document.getElementById(b);c&&Util.scrollIntoView(c,this.options.offset,this._scrollElement),a.preventDefault()},_getScrollTop:function(){return this._scrollElement===window?this._scrollElement.pageYOffset:this._scrollElement.scrollTop},_getScrollHeight:function(){return this._scrollElement.scrollHeight||Math.max(document.body.scrollHeight,document.documentElement.scrollHeight)},_getOffsetHeight:function(){return this._scrollElement===window?window.innerHeight:this._scrollElement.getBoundingClientRect().height},_onScroll:function(){var b=this._getScrollTop()+this.options.offset,c=this._getScrollHeight(),d=this.options.offset+c-this._getOffsetHeight(),e=null;if(b>=d)e=this._targets[this._targets.length-1];else for(var f,g=this._scrollElement===window?0:this._scrollElement.getBoundingClientRect().top,h=0;h<this._targets.length;h++){if(f=this._targets[h],0<f.getBoundingClientRect().top-g-(this.options.offset+1)){null===e&&(e=f);break}e=f}if(this._activeTarget!==e){this._activeTarget=e;var j=this.options.activeClass;this._links.forEach(function(a){a.classList.remove.apply(a.classList,j.split(" "))});var k=this._links.filter(function(a){return e&&a.getAttribute("href")==="#"+e.id})[0]||null;if(null!==k){k.classList.add.apply(k.classList,j.split(" ")),Util.triggerEvent(this.el,a.ACTIVE,{relatedTargets:k});for(var l,m=k.parentElement;m!==this.el;){if(l=m.previousElementSibling,-1<["UL","OL","NAV"].indexOf(m.tagName)&&l&&"A"===l.tagName){var n=this._links.filter(function(a){return a===l});n.length&&n.classList.add.apply(n.classList,j.split(" "))}m=m.parentElement}}}}}),window.addEventListener("load",function(){each("[data-spy=\"scroll\"]",function(a){new Scrollspy(a)})})}();
\ No newline at end of file
+(function(){"use strict";var t="collapse",e="is-active",i="is-visible",s="collapse",n="collapsing",l="is-hidden",a={SHOW:t+":show",SHOWN:t+":shown",HIDE:t+":hide",HIDDEN:t+":hidden"},r='[data-toggle="collapse"]',o='[data-toggle="collapse-all"]';window.Collapse=Util.createPlugin({defaults:{parent:!1,toggle:!0},optionTypes:{parent:"(string|element|boolean)",toggle:"boolean"},initialize:function(t){this._isTransitioning=!1,this._parent=t.parent?this._getParent():null,this._triggerArray=[].slice.call(document.querySelectorAll(r+'[href="#'+this.el.id+'"],'+r+'[data-target="#'+this.el.id+'"]'));for(var e=this,i=[].slice.call(document.querySelectorAll(r)),s=0,n=i.length;s<n;s++){var l=Util.getSelectorFromElement(i[s]),a=[].slice.call(document.querySelectorAll(l)).filter(function(t){return t===e.el});null!==l&&a.length>0&&(this._selector=l)}t.parent||this._addAriaAndCollapsedClass(this.el,this._triggerArray),t.toggle&&this.toggle()},_getTargetFromElement:function(t){var e=Util.getSelectorFromElement(t);return e?document.querySelector(e):null},_getParent:function(){var t;if(t=Util.isElement(this.options.parent)?this.options.parent:document.querySelector(this.options.parent))for(var e=r+'[data-parent="'+this.options.parent+'"]',i=[].slice.call(t.querySelectorAll(e)),s=0;s<i.length;s++)this._addAriaAndCollapsedClass(this._getTargetFromElement(i[s]),[i[s]]);return t},_addAriaAndCollapsedClass:function(t,s){var n=t.classList.contains(i);s.length&&s.forEach(function(t){t.classList.toggle(e,n),t.classList.toggle(l,!n),t.setAttribute("aria-expanded",n)})},_setTransitioning:function(t){this._isTransitioning=t},toggle:function(){this.el.classList.contains(i)?this.hide():this.show()},show:function(){if(!this._isTransitioning&&!this.el.classList.contains(i)){var r,o=this.options;this._parent&&0===(r=[].slice.call(this._parent.querySelectorAll("."+i+", ."+n)).filter(function(t){return"string"==typeof o.parent?t.getAttribute("data-parent")===o.parent:t.classList.contains(s)})).length&&(r=null);var c=Util.triggerEvent(this.el,a.SHOW,{relatedTargets:this._triggerArray});if(!c||!c.defaultPrevented){r&&r.forEach(function(e){var i=dataStorage.get(e,t);i?i.hide():dataStorage.put(e,t,new Collapse(e))}),this.el.classList.remove(s),this.el.classList.add(n),this.el.style.height="0px",this._triggerArray.length&&this._triggerArray.forEach(function(t){t.classList.add(e);var i=t.getAttribute("data-active-class");i&&t.classList.add.apply(t.classList,i.split(" ")),t.classList.remove(l),t.setAttribute("aria-expanded","true")}),this._setTransitioning(!0);var h=function(){this.el.classList.remove(n),this.el.classList.add(s),this.el.classList.add(i),this.el.style.height="",this._setTransitioning(!1),Util.triggerEvent(this.el,a.SHOWN,{relatedTargets:this._triggerArray})}.bind(this);Util.onTransitionEnd(this.el,h),this.el.style.height=this.el.scrollHeight+"px"}}},hide:function(){if(!this._isTransitioning&&this.el.classList.contains(i)){var t=Util.triggerEvent(this.el,a.HIDE,{relatedTargets:this._triggerArray});if(!t||!t.defaultPrevented){if(this.el.style.height=this.el.getBoundingClientRect().height+"px",this.el.classList.add(n),this.el.classList.remove(s),this.el.classList.remove(i),this._triggerArray.length>0)for(var r=0;r<this._triggerArray.length;r++){var o=this._triggerArray[r],c=Util.getSelectorFromElement(o);null!==c&&[].slice.call(document.querySelectorAll(c)).forEach(function(t){if(!t.classList.contains(i)){o.classList.add(l),o.classList.remove(e);var s=o.getAttribute("data-active-class");s&&o.classList.remove.apply(o.classList,s.split(" ")),o.setAttribute("aria-expanded","false")}})}this._setTransitioning(!0);var h=function(){this._setTransitioning(!1),this.el.classList.remove(n),this.el.classList.add(s),Util.triggerEvent(this.el,a.HIDDEN,{relatedTargets:this._triggerArray})}.bind(this);Util.onTransitionEnd(this.el,h),this.el.style.height=""}}}});var c=function(e){var i=dataStorage.get(e,t);return i||(i=new Collapse(e,{toggle:!1}),dataStorage.put(e,t,i)),i};Collapse.showAll=function(t){Array.prototype.forEach.call(t.querySelectorAll("."+s+":not([data-parent])"),function(t){c(t).show()})},Collapse.hideAll=function(t){Array.prototype.forEach.call(t.querySelectorAll("."+s+", ."+n),function(t){c(t).hide()})},Collapse.reveal=function(t,e){for(var n=[],l=t;l&&l!==document.body;)l.classList.contains(s)&&!l.classList.contains(i)&&n.unshift(l),l=l.parentElement;var o=t;t.classList.contains(s)&&t.id&&(o=document.querySelector(r+'[href="#'+t.id+'"],'+r+'[data-target="#'+t.id+'"]')||t),n.length?(n[n.length-1].addEventListener(a.SHOWN,function t(){this.removeEventListener(a.SHOWN,t),Util.scrollIntoView(o,e)}),n.forEach(function(t){c(t).show()})):Util.scrollIntoView(o,e)},document.addEventListener("click",function(t){var e=Util.closest(t.target,o);if(e){t.preventDefault();var i=document.querySelector(Util.getSelectorFromElement(e));i&&("hide"===e.getAttribute("data-action")?Collapse.hideAll(i):Collapse.showAll(i))}},!1),document.addEventListener("click",function(e){var i=e.target;if(i.matches(r)||(i=Util.closest(i,r))){"A"===i.tagName&&e.preventDefault();var s=Util.getSelectorFromElement(i);[].slice.call(document.querySelectorAll(s)).forEach(function(e){var i=dataStorage.get(e,t);i?i.toggle():dataStorage.put(e,t,new Collapse(e))})}},!1)})(),function(){"use strict";var t="tab",e={HIDE:t+":hide",HIDDEN:t+":hidden",SHOW:t+":show",SHOWN:t+":shown"},i="is-active",s="is-disabled",n="is-shown",l={NAV:".nav",ACTIVE:"."+i,DATA_TOGGLE:'[data-toggle="tab"]'};window.Tab=Util.createPlugin({initialize:function(t){},show:function(){if(!(this.el.parentNode&&this.el.parentNode.nodeType===Node.ELEMENT_NODE&&this.el.classList.contains(i)||this.el.classList.contains(s))){var t,a,r=Util.closest(this.el,l.NAV)||this.el.parentNode,o=Util.getSelectorFromElement(this.el);if(r&&(t=r.querySelector(l.ACTIVE)),t){var c=Util.getSelectorFromElement(t),h=document.querySelector(c);if(h&&Util.getTransitionDuration(h)&&!h.classList.contains(n))return;var d=Util.triggerEvent(t,e.HIDE,{relatedTarget:this.el})}if(!(Util.triggerEvent(this.el,e.SHOW,{relatedTarget:t}).defaultPrevented||d&&d.defaultPrevented)){this._activate(this.el,r);var u=function(){t&&Util.triggerEvent(t,e.HIDDEN,{relatedTarget:this.el}),Util.triggerEvent(this.el,e.SHOWN,{relatedTarget:t})}.bind(this);o&&(a=document.querySelector(o)),a?this._activate(a,a.parentNode,u):u()}}},_activate:function(t,e,i){var s;s=e===t.parentNode?Array.prototype.filter.call(e.children,function(t){return t.matches(l.ACTIVE)})[0]||null:e.querySelector(l.ACTIVE);var a=function(){return this._transitionComplete(t,s,i)}.bind(this);s?(Util.onTransitionEnd(s,a),s.classList.remove(n)):a()},_transitionComplete:function(t,e,s){var l;e&&(e.classList.remove(i),(l=e.getAttribute("data-active-class"))&&e.classList.remove.apply(e.classList,l.split(" ")),"tab"===e.getAttribute("role")&&e.setAttribute("aria-selected",!1)),t.classList.add(i),(l=t.getAttribute("data-active-class"))&&t.classList.add.apply(t.classList,l.split(" ")),"tab"===t.getAttribute("role")&&t.setAttribute("aria-selected",!0),Util.reflow(t),t.classList.add(n),s&&s()}}),document.addEventListener("click",function(e){var i=e.target;if(i.matches(l.DATA_TOGGLE)||(i=Util.closest(i,l.DATA_TOGGLE))){"A"===i.tagName&&e.preventDefault();var s=dataStorage.get(i,t);s||(s=new Tab(i),dataStorage.put(i,t,s)),s.show()}},!1)}(),function(){"use strict";var t="tableOfContents",e={READY:t+":ready",RENDER:t+":render",COPY:t+":copy"},i=/^heading-(\d+)$/,s={"*":{"æ":"ae","œ":"oe","ø":"o","ß":"ss","đ":"d","ð":"d","ł":"l","þ":"th","ı":"i","а":"a","б":"b","в":"v","г":"g","д":"d","е":"e","ё":"e","ж":"zh","з":"z","и":"i","й":"y","к":"k","л":"l","м":"m","н":"n","о":"o","п":"p","р":"r","с":"s","т":"t","у":"u","ф":"f","х":"kh","ц":"ts","ч":"ch","ш":"sh","щ":"shch","ъ":"","ы":"y","ь":"","э":"e","ю":"yu","я":"ya"},de:{"ä":"ae","ö":"oe","ü":"ue"},da:{"å":"aa","ø":"oe"},nb:{"å":"aa","ø":"oe"},no:{"å":"aa","ø":"oe"},uk:{"г":"h","ґ":"g","и":"y","і":"i","ї":"yi","є":"ye"},bg:{"щ":"sht","ъ":"a"}},n=null;window.TableOfContents=Util.createPlugin({defaults:{parentElement:null,selector:".content h2",anchorLinks:!0,generateIds:!0,slugIds:!0,legacySelector:".content h2",copyLinks:!0,copyLinkLabel:"Copy link to this section",copySuccessMessage:"Link copied to clipboard",copyErrorMessage:"Unable to copy the link",maxDepth:null,numbered:!1,collapsible:!1,minItems:0,template:null,templateData:{}},optionTypes:{parentElement:"(window|element|string|null)",selector:"string",anchorLinks:"boolean",generateIds:"boolean",slugIds:"boolean",legacySelector:"(string|null)",copyLinks:"boolean",copyLinkLabel:"string",copySuccessMessage:"string",copyErrorMessage:"string",maxDepth:"(number|null)",numbered:"boolean",collapsible:"boolean",minItems:"number",template:"(string|null)",templateData:"(string|object)"},_getLevel:function(t){return parseInt(t.tagName.substring(1),10)},_maybeAddAnchorLink:function(t){if(!0===this.options.anchorLinks&&0===t.getElementsByClassName("link-anchor").length){var e=document.createElement("A");e.className="link-anchor",e.href="#"+t.id,t.appendChild(e)}},_maybeAddCopyButton:function(t){if(!0===this.options.anchorLinks&&!0===this.options.copyLinks&&0===t.getElementsByClassName("link-anchor-copy").length){var e=document.createElement("BUTTON");e.type="button",e.className="link-anchor-copy not-a-button",e.title=this.options.copyLinkLabel,e.setAttribute("aria-label",this.options.copyLinkLabel),e.setAttribute("data-heading-id",t.id),e.innerHTML='<svg viewBox="0 0 12 12" width="12" height="12" aria-hidden="true" focusable="false"><g fill="none" stroke="currentColor"><rect x="3.5" y="3.5" width="8" height="8" rx="1"/><path d="M8.5 1.5v-1h-8v8h1"/></g></svg>',e.addEventListener("click",this.copyLink.bind(this,t.id)),t.appendChild(e)}},_getText:function(t){return Array.prototype.slice.call(t.childNodes).map(function(t){return t.textContent.trim()}).filter(function(t){return t&&"#"!==t}).join(" ")},slugify:function(t){var e=(Util.locale||"").split("-")[0],i=Util.extend(s["*"],s[e]||{});return t.toLowerCase().replace(/[^\u0000-\u007f]/g,function(t){return i.hasOwnProperty(t)?i[t]:t}).normalize("NFKD").replace(/[\u0300-\u036f]/g,"").replace(/[^\p{L}\p{N}]+/gu,"-").replace(/^-+|-+$/g,"")||"heading"},_getUniqueId:function(t){for(var e=t,s=1;document.getElementById(e)||i.test(e);)e=t+"-"+ ++s;return e},resolveLegacyId:function(t){var e=(t||"").replace(/^#/,"").split("?")[0],i=this.legacyIds[e];if(i&&!document.getElementById(e)){var s=document.getElementById(i);window.history.replaceState(window.history.state,"",window.location.href.split("#")[0]+"#"+i),"true"===Util.getURLParameter("smooth-scroll",window.location)?Util.scrollIntoView(s,Util.getURLParameter("offset",window.location)):s.scrollIntoView()}},copyLink:function(t){var i=this.options,s=Util.setURLParameter(window.location.href.split("#")[0],"smooth-scroll","true")+"#"+t;return(navigator.clipboard&&window.isSecureContext?navigator.clipboard.writeText(s):new Promise(function(t,e){var i=document.createElement("textarea");i.value=s,i.setAttribute("readonly",""),i.className="sr-only",document.body.appendChild(i),i.select();var n=document.execCommand("copy");return document.body.removeChild(i),n?t():e(new Error("The copy command is not supported"))})).then(function(){this._announce(i.copySuccessMessage),Util.triggerEvent(this.el,e.COPY,{relatedTarget:this.el,id:t,url:s})}.bind(this)).catch(function(t){Util.log("Unable to copy "+s,t),this._announce(i.copyErrorMessage)}.bind(this))},_announce:function(t){n||((n=document.createElement("DIV")).className="link-anchor-status",n.setAttribute("role","status"),n.setAttribute("aria-live","polite"),document.body.appendChild(n)),n.textContent="",n.classList.remove(Util.classNames.VISIBLE),window.setTimeout(function(){n.textContent=t,n.classList.add(Util.classNames.VISIBLE)},100),window.clearTimeout(this.statusTimeout),this.statusTimeout=window.setTimeout(function(){n.classList.remove(Util.classNames.VISIBLE)},3e3)},_structureItems:function(t){var e=this,i=[],s=void 0;return t.forEach(function(t,n){var l={level:t.outerHTML.match(/<h([\d]).*>/)[1],name:e._getText(t),html_url:"#"+t.id,parent:null,children:[]};if(0===n)i.push(l),s=l;else if(l.level===s.level)l.parent=s.parent,l.parent?l.parent.children.push(l):i.push(l),s=l;else if(l.level>s.level)l.parent=s,l.parent.children.push(l),s=l;else for(;;){if(s.level<l.level){s.children.push(l),s=l;break}if(null===(s=s.parent)){i.push(l),s=l;break}}}),i},_numberItems:function(t,e){var i=this;t.forEach(function(t,s){t.number=(e?e+".":"")+(s+1),i._numberItems(t.children,t.number)})},initialize:function(t){if("string"!=typeof t.selector)throw new TypeError("Selectors must be a string");var i=this._getParentElement(),s=Array.prototype.slice.call(i.querySelectorAll(this.options.selector));if(s){var n=["h1","h2","h3","h4","h5","h6"],l=this;if(s=s.filter(function(t){return-1!==n.indexOf(t.tagName.toLowerCase())}),t.maxDepth){var a=Math.min.apply(Math,s.map(this._getLevel));s=s.filter(function(e){return l._getLevel(e)-a<t.maxDepth})}s=s.filter(function(e,i){return-1!==n.indexOf(e.tagName.toLowerCase())&&(!0!==t.generateIds||e.id||(e.id=t.slugIds?l._getUniqueId(l.slugify(l._getText(e))):"heading-"+ ++i),l._maybeAddAnchorLink(e),l._maybeAddCopyButton(e),e.id)}),this.legacyIds={},!0===t.generateIds&&t.legacySelector&&Array.prototype.forEach.call(i.querySelectorAll(t.legacySelector),function(e,i){var s="heading-"+ ++i;e.id||(e.id=t.slugIds?l._getUniqueId(l.slugify(l._getText(e))):s),e.id!==s&&(l.legacyIds[s]=e.id)});var r=this._structureItems(s);this._numberItems(r),this.items=r,this.render(s.length<t.minItems?[]:r),this.resolveLegacyId(window.location.hash),window.addEventListener("hashchange",function(){l.resolveLegacyId(window.location.hash)}),t.collapsible&&(this._addCollapseEventListeners(),this.setActive(window.location.hash.substring(1))),Util.triggerEvent(this.el,e.READY,{relatedTarget:this.el,items:r})}},setActive:function(t){var e=null;Array.prototype.forEach.call(this.el.querySelectorAll('a[href^="#"]'),function(i){t&&i.getAttribute("href")==="#"+t&&(e=i)}),Array.prototype.forEach.call(this.el.querySelectorAll("li"),function(t){var i=Array.prototype.filter.call(t.children,function(t){return"OL"===t.tagName||"UL"===t.tagName}),s=!!e&&t.contains(e);i.forEach(function(t){t.hidden=!s})})},_addCollapseEventListeners:function(){var t=this,e=function(t){var e=t&&t.getAttribute("href")||"";return"#"===e.charAt(0)?decodeURIComponent(e.substring(1)):null};this.el.addEventListener("click",function(i){var s=Util.closest(i.target,'a[href^="#"]');s&&t.setActive(e(s))}),this.el.addEventListener("scrollspy:active",function(i){t.setActive(e(i.detail.relatedTargets))}),window.addEventListener("hashchange",function(){t.setActive(window.location.hash.substring(1))})},_getParentElement:function(){var t=this.options.parentElement;return t?Util.isElement(t)?t:"string"==typeof t&&document.querySelector(t)||document:document},render:function(t){var i=this.options,s={items:t,numbered:i.numbered};i.templateData&&(s=Util.extend(s,i.templateData)),Util.renderTemplate(this.el,i.template,s,{replaceContent:!0}),Util.triggerEvent(this.el,e.RENDER,{relatedTarget:this.el})}}),window.addEventListener("load",function(){each('[data-element="table-of-contents"]',function(t){new TableOfContents(t)})})}(),function(){"use strict";var t="tabs",e="is-active",i={RENDER:t+":render",CHANGE:t+":change"},s=[],n=function(t){return t.trim().toLowerCase().replace(/[^\p{L}\p{N}]+/gu,"-").replace(/^-+|-+$/g,"")},l=function(){var t=window.location.hash.substring(1);try{return decodeURIComponent(t)}catch(e){return t}};window.Tabs=Util.createPlugin({defaults:{initial:0,activeClass:"text-primary",group:null,persist:!0,hashPrefix:"tab-",template:"tabs",templateData:{}},optionTypes:{initial:"number",activeClass:"string",group:"(string|null)",persist:"boolean",hashPrefix:"string",template:"(string|null)",templateData:"object"},initialize:function(t){this.el.children.length&&(this.render(t),this.addEventListeners(),s.push(this))},getStorage:function(){return Util.storage("groups",!1,t)},_getInitialIndex:function(t){var e=this.options,i=l();if(0===i.indexOf(e.hashPrefix)&&-1!==t.indexOf(i.substring(e.hashPrefix.length)))return this.isLinked=!0,t.indexOf(i.substring(e.hashPrefix.length));if(e.group&&e.persist){var s=t.indexOf(this.getStorage().get({})[e.group]);if(-1!==s)return s}return e.initial},select:function(t){var e=Array.prototype.filter.call(this.el.querySelectorAll('[data-toggle="tab"][data-key]'),function(e){return e.getAttribute("data-key")===t})[0];if(!e)return!1;var i=dataStorage.get(e,"tab");return i||(i=new Tab(e),dataStorage.put(e,"tab",i)),i.show(),!0},addEventListeners:function(){var t=this,e=this.options;this.el.addEventListener("tab:shown",function(n){var l=n.target.getAttribute("data-key");if(l&&!t.isSyncing){if(window.history.replaceState(window.history.state,"",window.location.href.split("#")[0]+"#"+e.hashPrefix+l),e.group){if(e.persist){var a=t.getStorage(),r=a.get({});r[e.group]=l,a.set(r)}s.forEach(function(i){i!==t&&i.options.group===e.group&&(i.isSyncing=!0,i.select(l),i.isSyncing=!1)})}Util.triggerEvent(t.el,i.CHANGE,{relatedTarget:t.el,key:l,group:e.group})}})},render:function(t){var l,a=Util.getTemplateString(this.options.template),r=e;t.activeClass&&(r+=" "+t.activeClass);var o='data-toggle="tab"';t.activeClass&&(o+=' data-active-class="'+t.activeClass+'"'),a||(a='<% if (children.length) { %><div class="my-6"><ul class="nav nav-tabs overflow-hidden sm:overflow-visible" id="<%= id %>"><% children.forEach(function(child, index) { %><li class="nav-item bg-white sm:bg-transparent"><a class="nav-link text-inherit font-medium hover:text-primary<% if (initial === index ) { %> '+r+'<% } %>" role="tab" '+o+' aria-expanded="<%= initial === index %>" href="#<%= id %>-<%= index %>" data-key="<%= child.key %>"><%= child.title %></a></li><% }); %></ul><div class="tabs"><% children.forEach(function(child, index) { %><div class="tab list-unstyled p-5 mb-4 bg-white border border-radius-bottom<% if (initial === index ) { %> '+e+'<% } %>" id="<%= id %>-<%= index %>" role="tab-panel"><%= child.innerHTML %></div><% }); %></div></div><% } %>');var c=Util.template(a),h=[].slice.call(this.el.children).map(function(t,e){var i="Tab "+e;if(t.hasAttribute("data-title"))i=t.getAttribute("data-title");else{var s=t.querySelector(".tab-heading");s&&(i=s.textContent)}return{innerHTML:t.innerHTML,title:i,key:t.getAttribute("data-key")||n(i)}}),d=this._getInitialIndex(h.map(function(t){return t.key})),u={id:this.id,children:h,items:h,initial:d,dataAttributes:o,activeClass:r,options:t};t.templateData&&(u=Util.extend(u,t.templateData)),(l=c(u).replace(/(^\s+|\s+$)/g,""))&&this.el.insertAdjacentHTML("afterend",l);var g=this.el.nextElementSibling;this.el.classList.forEach(function(t){g.classList.add(t)}),this.el.id&&(g.id=this.el.id),Util.triggerEvent(this.el,i.RENDER,{relatedTarget:g}),this.el.remove(),this.el=g,this.isLinked&&!s.some(function(t){return t.isLinked})&&Util.scrollIntoView(g)}}),window.addEventListener("load",function(){each('[data-element="tabs"], .js-tabs',function(t){new Tabs(t)})}),window.addEventListener("hashchange",function(){var t=l(),e=s.filter(function(e){var i=e.options.hashPrefix;return 0===t.indexOf(i)&&e.select(t.substring(i.length))});e.length&&Util.scrollIntoView(e[0].el)})}(),function(){"use strict";var t={RENDER:"toggles:render"},e=function(t,e){for(var i="toggle-"+(t.trim().toLowerCase().replace(/[^\p{L}\p{N}]+/gu,"-").replace(/^-+|-+$/g,"")||"item"),s=i,n=1;document.getElementById(s)||-1!==e.indexOf(s);)s=i+"-"+ ++n;return e.push(s),s},i={};window.Toggles=Util.createPlugin({defaults:{initial:-1,accordion:!1,controls:!1,expandAllLabel:"Expand all",collapseAllLabel:"Collapse all",activeClass:"text-primary",template:"toggles",templateData:{}},optionTypes:{initial:"number",activeClass:"string",accordion:"boolean",controls:"boolean",expandAllLabel:"string",collapseAllLabel:"string",template:"(string|null)",templateData:"object"},initialize:function(t){this.el.children.length&&this.render(t)},render:function(s){var n,l=Util.getTemplateString(this.options.template),a='data-toggle="collapse"';s.activeClass&&(a+=' data-active-class="'+s.activeClass+'"'),l||(l='<% if (children.length) { %><% if (controls) { %><div id="<%= id %>"><div class="flex justify-content-end font-size-md mt-6 -mb-4"><button class="not-a-button text-primary cursor-pointer mr-4" type="button" data-toggle="collapse-all" data-action="show" data-target="#<%= id %>"><%= expandAllLabel %></button><button class="not-a-button text-primary cursor-pointer" type="button" data-toggle="collapse-all" data-action="hide" data-target="#<%= id %>"><%= collapseAllLabel %></button></div><% } %><ul class="list-unstyled list-bordered my-6 border border-radius"<% if (!controls) { %> id="<%= id %>"<% } %>><% children.forEach(function(child, index) { %><% var isActive = (initial === index); %><li class="px-5 py-1"><a class="toggle-title font-semibold text-inherit hover:text-primary<% if (isActive && activeClass) { %> <%= activeClass %><% } %>" '+a+' aria-expanded="<%= isActive %>" aria-controls="<%= child.id %>" href="#<%= child.id %>"><%= child.title %></a><div class="collapse<% if (isActive) { %> is-visible<% } %>" id="<%= child.id %>" <% if (parent) { %>data-parent="<%= parent %>"<% } %>><div class="py-4"><%= child.innerHTML %></div></div></li><% }); %></ul><% if (controls) { %></div><% } %><% } %>');var r=Util.template(l),o=[],c=[].slice.call(this.el.children).map(function(t,i){var s="Toggle "+i;if(t.hasAttribute("data-title"))s=t.getAttribute("data-title");else{var n=t.querySelector(".toggle-heading");n&&(s=n.textContent)}return{innerHTML:t.innerHTML,title:s,id:t.id||e(s,o)}}),h=this.el.id||this.id;[this.id,this.el.id].forEach(function(t){t&&c.forEach(function(e,s){e.id!==t+"-"+s&&(i[t+"-"+s]=e.id)})});var d={id:h,children:c,items:c,accordion:s.accordion,parent:s.accordion?"#"+h:null,controls:s.controls&&!s.accordion,expandAllLabel:s.expandAllLabel,collapseAllLabel:s.collapseAllLabel,initial:s.initial,dataAttributes:a,activeClass:s.activeClass};this.options.templateData&&(d=Util.extend(d,this.options.templateData)),(n=r(d).replace(/(^\s+|\s+$)/g,""))&&this.el.insertAdjacentHTML("afterend",n);var u=this.el.nextElementSibling;this.el.classList.forEach(function(t){u.classList.add(t)}),this.el.id&&(u.id=this.el.id),Util.triggerEvent(this.el,t.RENDER,{relatedTarget:u}),this.el.remove(),this.el=u}});var s=function(t){var e=window.location.hash.substring(1).split("?")[0];try{e=decodeURIComponent(e)}catch(t){}var s=e?document.getElementById(e):null,n=Util.getURLParameter("offset",window.location);if(!s&&i.hasOwnProperty(e)&&(s=document.getElementById(i[e]))&&window.history.replaceState(window.history.state,"",window.location.href.split("#")[0]+"#"+s.id),s&&Util.closest(s,".collapse"))Collapse.reveal(s,n);else{var l,a=!0===t?(l=document.referrer,l&&0===l.indexOf(window.location.origin)&&/\/search(\?|$)/.test(l.split("#")[0])?Util.getURLParameter("query",l).trim():"").toLowerCase():"";if(a&&!s){var r=[a].concat(a.split(/\s+/).filter(function(t){return t.length>2&&t!==a})),o=Array.prototype.slice.call(document.querySelectorAll(".toggle-title + .collapse"));r.some(function(t){var e=o.filter(function(e){return-1!==(e.previousElementSibling.textContent+" "+e.textContent).toLowerCase().indexOf(t)})[0];return e&&Collapse.reveal(e,n),!!e})}}};window.addEventListener("load",function(){each('[data-element="toggles"], .js-toggles',function(t){new Toggles(t,Theme.toggles)}),s(!0)}),window.addEventListener("hashchange",s)}(),function(){"use strict";var t="carousel",e={RENDER:t+":render",INIT:t+":initialize",NEXT:t+":next",PREVIOUS:t+":previous"};window.Carousel=Util.createPlugin({defaults:{initial:0,children:".list-unstyled > li",previousButton:".js-previous",nextButton:".js-next",nextTitle:"Next",previousTitle:"Previous",scrollToTop:!1,template:"carousel",templateData:{}},optionTypes:{initial:"number",children:"string",previousButton:"string",nextButton:"string",nextTitle:"string",previousTitle:"string",scrollToTop:"boolean",template:"(string|null)",templateData:"object"},initialize:function(t){if(this.el.children.length){this.render(),this.children=this.el.querySelectorAll(t.children),this.previousButton=this.el.querySelector(t.previousButton),this.nextButton=this.el.querySelector(t.nextButton);var i=t.initial;this._activate(i>=0&&i<this.children.length?i:0),this._addEventListeners(),Util.triggerEvent(this.el,e.INIT,{relatedTarget:this.el})}},render:function(){var t,i=Util.getTemplateString(this.options.template);i||(i='<% if (children.length) { %><div class="p-6 mb-4 border border-radius bg-white"><ul class="list-unstyled"><% children.forEach(function(child, index) { %><li><%= child.innerHTML %></li><% }); %></ul><div class="mt-6"><button class="button button-link js-previous"><svg class="svg-icon fill-current mr-1" viewBox="0 0 423 323" xmlns="http://www.w3.org/2000/svg" xmlns:xlink="http://www.w3.org/1999/xlink"><path d="M423,162 C423,174 413,184 401,184 L76,184 L177,286 C186,294 186,308 177,317 C173,321 167,323 161,323 C156,323 150,321 146,317 L7,178 C-2,169 -2,155 7,146 L146,7 C155,-2 169,-2 177,7 C186,16 186,30 177,39 L76,140 L401,140 C413,140 423,150 423,162 Z"></path></svg><% if (previousTitle) { %><%= previousTitle %><% } %></button><button class="button button-primary js-next"><% if (nextTitle) { %><%= nextTitle %><% } %><svg class="svg-icon fill-current ml-1" viewBox="0 0 423 323" xmlns="http://www.w3.org/2000/svg" xmlns:xlink="http://www.w3.org/1999/xlink"><path d="M416,178 L277,317 C273,321 267,323 262,323 C256,323 251,321 246,317 C237,308 237,294 246,285 L347,184 L22,184 C10,184 0,174 0,162 C0,150 10,140 22,140 L347,140 L246,38 C237,30 237,16 246,7 C254,-2 268,-2 277,7 L416,146 C425,155 425,169 416,178 Z"></path></svg></button></div></div><% } %>');var s=Util.template(i),n=[].slice.call(this.el.children).map(function(t,e){return{innerHTML:t.innerHTML,title:t.getAttribute("data-title")||null}}),l={id:this.id,items:n,children:n,nextTitle:this.options.nextTitle,previousTitle:this.options.previousTitle,initial:this.options.initial};this.options.templateData&&(l=Util.extend(l,this.options.templateData)),(t=s(l).replace(/(^\s+|\s+$)/g,""))&&this.el.insertAdjacentHTML("afterend",t);var a=this.el.nextElementSibling;this.el.classList.forEach(function(t){a.classList.add(t)}),this.el.id&&(a.id=this.el.id),this.el.remove(),this.el=a,Util.triggerEvent(this.el,e.RENDER,{relatedTarget:this.el})},previous:function(){this.previousButton.classList.contains(Util.classNames.DISABLED)||0===this.active||(this._activate(this.active-1),this._maybeScroll(this.el.parentNode),Util.triggerEvent(this.el,e.PREVIOUS,{relatedTarget:this.children[this.active]}))},next:function(){this.nextButton.classList.contains(Util.classNames.DISABLED)||this.active===this.children.length-1||(this._activate(this.active+1),this._maybeScroll(this.el.parentNode),Util.triggerEvent(this.el,e.NEXT,{relatedTarget:this.children[this.active]}))},_addEventListeners:function(){this.previousButton.addEventListener("click",this._onClick.bind(this)),this.previousButton.addEventListener("keypress",this._onClick.bind(this)),this.nextButton.addEventListener("click",this._onClick.bind(this)),this.nextButton.addEventListener("keypress",this._onClick.bind(this))},_activate:function(t){var e=0===t,i=t===this.children.length-1,s=Util.classNames.VISIBLE,n=Util.classNames.DISABLED;Array.prototype.forEach.call(this.children,function(e,i){i===t?(e.style.display="block",e.classList.add(s)):(e.style.display="none",e.classList.remove(s))}),e?(this.previousButton.classList.add(n),this.previousButton.setAttribute("disabled","true")):(this.previousButton.classList.remove(n),this.previousButton.removeAttribute("disabled")),i?(this.nextButton.classList.add(n),this.nextButton.setAttribute("disabled","true")):(this.nextButton.classList.remove(n),this.nextButton.removeAttribute("disabled")),this.active=t},_onClick:function(t){"keypress"===t.type&&13!==t.which||(this[t.currentTarget===this.previousButton?"previous":"next"].call(this),t.preventDefault())},_maybeScroll:function(t){if(this.options.scrollToTop){var e=t.getBoundingClientRect();(e.top<0||e.bottom>(window.innerHeight||document.documentElement.clientHeight))&&t.scrollIntoView({block:"start",inline:"nearest",behavior:"smooth"})}}}),window.addEventListener("load",function(){each('[data-element="carousel"], .js-carousel',function(t){new Carousel(t)})})}(),function(){"use strict";var t="sticky",e={INITIALIZE:t+":initialize",STUCK:t+":stuck",UNSTUCK:t+":unstuck",HIDDEN:t+":hidden",SHOWN:t+":shown"};window.Sticky=Util.createPlugin({defaults:{scrollElement:window,offset:0,tolerance:8,hide:!1,classNames:{sticky:"sticky-top",unstuck:"is-unstuck",stuck:"is-stuck",hidden:Util.classNames.HIDDEN}},optionTypes:{scrollElement:"(window|element|string)",offset:"number",tolerance:"number",hide:"boolean",classNames:"(object|string)"},initialize:function(t){if(this._supportsSticky()){"string"==typeof this.options.classNames&&(this.options.classNames=this._parseJSON(this.options.classNames));var i=this._getClassName("sticky");i&&this.el.classList.add.apply(this.el.classList,i.split(" ")),this.scrollElement=("string"==typeof t.scrollElement?document.querySelector(t.scrollElement):t.scrollElement)||window,this.lastScrollTop=this.scrollElement===window?window.scrollY||window.pageYOffset:this.scrollElement.scrollTop,this.scrolling=!1,this._addEventListeners(),this._onScroll(),Util.triggerEvent(this.el,e.INITIALIZE)}},_parseJSON:function(t){var e=void 0;try{return JSON.parse(t)}catch(i){return t.indexOf("'")?(t=t.replace(/\'/g,'"'),e=this._parseJSON(t)):console.error("Sticky: classNames option value is not valid."),e}},_supportsSticky:function(){for(var t=["","-o-","-webkit-","-moz-","-ms-"],e=document.head.style,i=0;i<t.length;i+=1)e.position=t[i]+"sticky";var s=!!e.position;return e.position="",s},_addEventListeners:function(){this.scrollElement.addEventListener("scroll",this._onScroll.bind(this))},_getTopPosition:function(t){return t.getBoundingClientRect().top+(this.scrollElement.pageYOffset||document.documentElement.scrollTop)},_onScroll:function(){this.scrolling||(requestAnimationFrame(this._updateClassNames.bind(this)),this.scrolling=!0)},_updateClassNames:function(){var t=this.scrollElement===window?window.scrollY||window.pageYOffset:this.scrollElement.scrollTop,i=t>this._getTopPosition(this.el.parentElement)+this.options.offset;if(void 0===this.isStuck||this.isStuck!==i){this.isStuck=i;var s=this._getClassName("stuck"),n=this._getClassName("unstuck");if(i?(n&&this.el.classList.remove.apply(this.el.classList,n.split(" ")),s&&this.el.classList.add.apply(this.el.classList,s.split(" "))):(s&&this.el.classList.remove.apply(this.el.classList,s.split(" ")),n&&this.el.classList.add.apply(this.el.classList,n.split(" "))),Util.triggerEvent(this.el,i?e.STUCK:e.UNSTUCK),!0===this.options.hide){var l=this._getClassName("hidden");t>this.lastScrollTop+this.options.tolerance?(l&&this.el.classList.add.apply(this.el.classList,l.split(" ")),Util.triggerEvent(this.el,e.HIDDEN)):(t<this.lastScrollTop||t<=0)&&(l&&this.el.classList.remove.apply(this.el.classList,l.split(" ")),Util.triggerEvent(this.el,e.SHOWN))}this.lastScrollTop=t,this.scrolling=!1}else this.scrolling=!1}}),window.addEventListener("load",function(){each('[data-element="sticky"]',function(t){new Sticky(t)})})}(),function(){"use strict";var t={ACTIVE:"scrollspy:active"};window.Scrollspy=Util.createPlugin({defaults:{offset:0,scrollElement:null,activeClass:Util.classNames.ACTIVE},optionTypes:{offset:"(string|number)",scrollElement:"(string|element|null)",activeClass:"string"},initialize:function(){var t=this.el.querySelectorAll("a[href^='#']");if(t.length){"string"==typeof this.options.offset&&(this.options.offset=parseInt(this.options.offset,10));var e=this._getScrollElement();this._scrollElement="BODY"===e.tagName?window:e,this._links=Array.prototype.slice.call(t),this._targets=this._getTargets(),this._activeTarget=null,this._addEventListeners(),this._onScroll()}else Util.log("The scrollspy element does not contain any links to anchor elements.")},_getScrollElement:function(){var t=this.options.scrollElement;return t?Util.isElement(t)?t:"string"==typeof t&&document.querySelector(t)||window:window},_getTargets:function(){var t=this._scrollElement===window?document:this._scrollElement;return this._links.map(function(e){return t.querySelector(e.getAttribute("href").trim())}).filter(function(t){return t}).sort(function(t,e){return t.getBoundingClientRect().top-e.getBoundingClientRect().top})},_addEventListeners:function(){var t=this;this._scrollElement.addEventListener("scroll",this._onScroll.bind(this)),this._links.forEach(function(e){e.addEventListener("click",t._onClick.bind(t))})},_onClick:function(t){var e=t.target.href.substring(t.target.href.indexOf("#")+1),i=document.getElementById(e);i&&Util.scrollIntoView(i,this.options.offset,this._scrollElement),t.preventDefault()},_getScrollTop:function(){return this._scrollElement===window?this._scrollElement.pageYOffset:this._scrollElement.scrollTop},_getScrollHeight:function(){return this._scrollElement.scrollHeight||Math.max(document.body.scrollHeight,document.documentElement.scrollHeight)},_getOffsetHeight:function(){return this._scrollElement===window?window.innerHeight:this._scrollElement.getBoundingClientRect().height},_onScroll:function(){var e=this._getScrollTop()+this.options.offset,i=this._getScrollHeight(),s=this.options.offset+i-this._getOffsetHeight(),n=null;if(e>=s)n=this._targets[this._targets.length-1];else for(var l=this._scrollElement===window?0:this._scrollElement.getBoundingClientRect().top,a=0;a<this._targets.length;a++){var r=this._targets[a];if(r.getBoundingClientRect().top-l-(this.options.offset+1)>0){null===n&&(n=r);break}n=r}if(this._activeTarget!==n){this._activeTarget=n;var o=this.options.activeClass;this._links.forEach(function(t){t.classList.remove.apply(t.classList,o.split(" "))});var c=this._links.filter(function(t){return n&&t.getAttribute("href")==="#"+n.id})[0]||null;if(null!==c){c.classList.add.apply(c.classList,o.split(" ")),Util.triggerEvent(this.el,t.ACTIVE,{relatedTargets:c});for(var h=c.parentElement;h!==this.el;){var d=h.previousElementSibling;if(["UL","OL","NAV"].indexOf(h.tagName)>-1&&d&&"A"===d.tagName){var u=this._links.filter(function(t){return t===d});u.length&&u[0].classList.add.apply(u[0].classList,o.split(" "))}h=h.parentElement}}}}}),window.addEventListener("load",function(){each('[data-spy="scroll"]',function(t){new Scrollspy(t)})})}(),function(){"use strict";var t={UPDATE:"treeView:update"};window.TreeView=Util.createPlugin({defaults:{root:null,items:"li"},optionTypes:{root:"(string|null)",items:"string"},initialize:function(t){this._typeAhead="",this._typeAheadTimeout=null,this._activeKey=null,this._hasFocus=!1,this.el.addEventListener("keydown",this._onKeydown.bind(this)),this.el.addEventListener("focusin",this._onFocus.bind(this)),this.el.addEventListener("focusout",this._onBlur.bind(this)),this.el.addEventListener("click",function(){setTimeout(this.update.bind(this))}.bind(this)),this.el.addEventListener("collapse:shown",this.update.bind(this)),this.el.addEventListener("collapse:hidden",this.update.bind(this)),this.update()},update:function(){var e=this,i=this.options;if(this.root=i.root&&this.el.querySelector(i.root)||this.el.querySelector("[data-tree]")||this.el.querySelector("ul")||this.el,this.root.setAttribute("role","tree"),this.items=[].slice.call(this.root.querySelectorAll(i.items)),this.items.length){this.items.forEach(function(t){var i=e._getChildren(e._getParent(t));t.setAttribute("role","treeitem"),t.setAttribute("aria-level",e._getLevel(t)),t.setAttribute("aria-setsize",i.length),t.setAttribute("aria-posinset",i.indexOf(t)+1),e._isExpandable(t)?t.setAttribute("aria-expanded",e._isExpanded(t)):t.removeAttribute("aria-expanded"),[].slice.call(t.querySelectorAll("a[href], button")).forEach(function(t){t.setAttribute("tabindex","-1")}),[].slice.call(t.querySelectorAll("ul, ol")).forEach(function(i){e._getItem(i)===t&&i.setAttribute("role","group")})});var s=this._activeKey?this._findItem(this._activeKey):null;this._setTabIndex(s||this._getCurrentItem()),s&&this._hasFocus&&!this.el.contains(document.activeElement)&&s.focus(),Util.triggerEvent(this.el,t.UPDATE,{relatedTarget:this.root})}},focus:function(t){t&&(this._setTabIndex(t),t.focus())},setExpanded:function(t,e){if(this._isExpandable(t)&&this._isExpanded(t)!==e){var i=this._getToggle(t);i&&i.click()}},_onKeydown:function(t){var e=Util.closest(t.target,'[role="treeitem"]');if(e&&e===t.target&&!t.altKey&&!t.ctrlKey&&!t.metaKey){var i=this._getVisibleItems(),s=i.indexOf(e);switch(t.keyCode){case 40:this.focus(i[s+1]);break;case 38:this.focus(i[s-1]);break;case 36:this.focus(i[0]);break;case 35:this.focus(i[i.length-1]);break;case 39:if(!this._isExpandable(e))return;this._isExpanded(e)?this.focus(this._getChildren(e).filter(this._isVisible)[0]):this.setExpanded(e,!0);break;case 37:this._isExpandable(e)&&this._isExpanded(e)?this.setExpanded(e,!1):this.focus(this._getParent(e));break;case 13:case 32:var n=this._getLink(e);if(n&&n!==e)n.click();else{if(32!==t.keyCode)return;this.setExpanded(e,!this._isExpanded(e))}break;default:if(t.key&&1===t.key.length&&" "!==t.key){this._onTypeAhead(t.key,i,s);break}return}t.preventDefault()}},_onTypeAhead:function(t,e,i){var s=this;clearTimeout(this._typeAheadTimeout),this._typeAheadTimeout=setTimeout(function(){s._typeAhead=""},500),this._typeAhead+=t.toLowerCase();var n=this._typeAhead.length>1?i:i+1,l=e.slice(n).concat(e.slice(0,n));this.focus(l.filter(function(t){return 0===s._getLabel(t).toLowerCase().indexOf(s._typeAhead)})[0])},_onFocus:function(t){this._hasFocus=!0,"treeitem"===t.target.getAttribute("role")&&(this._activeKey=this._getKey(t.target),this._setTabIndex(t.target))},_onBlur:function(t){var e=t.target;setTimeout(function(){document.body.contains(e)&&!this.el.contains(document.activeElement)&&(this._hasFocus=!1)}.bind(this))},_setTabIndex:function(t){(this.items||[]).forEach(function(e){e.setAttribute("tabindex",e===t?"0":"-1")})},_getCurrentItem:function(){var t=this,e=this.items.filter(function(e){var i=t._getLink(e);return i&&i.pathname===window.location.pathname})[0];if(e){for(var i=this._getParent(e);i&&!this._isVisible(e);)e=i,i=this._getParent(e);return e}return this._getVisibleItems()[0]||this.items[0]},_getVisibleItems:function(){return this.items.filter(this._isVisible)},_isVisible:function(t){return t.getClientRects().length>0},_getItem:function(t){var e=t.parentNode?Util.closest(t.parentNode,this.options.items):null;return e&&this.root.contains(e)&&e!==this.root?e:null},_getParent:function(t){return t?this._getItem(t):null},_getChildren:function(t){var e=this;return this.items.filter(function(i){return e._getParent(i)===t})},_getLevel:function(t){for(var e=1;t=this._getParent(t);)e++;return e},_getOwnElement:function(t,e){var i=this;return t.matches(e)?t:[].slice.call(t.querySelectorAll(e)).filter(function(e){return i._getItem(e)===t})[0]||null},_getLink:function(t){return this._getOwnElement(t,"a[href]")},_getToggle:function(t){return this._getOwnElement(t,'[data-toggle="collapse"]')},_getLabel:function(t){return(this._getLink(t)||t).textContent.trim()},_getKey:function(t){var e=this._getLink(t);return e?e.getAttribute("href"):this._getLabel(t)},_findItem:function(t){var e=this;return this.items.filter(function(i){return e._getKey(i)===t})[0]||null},_isExpandable:function(t){return!!this._getToggle(t)||this._getChildren(t).length>0},_isExpanded:function(t){var e=this._getToggle(t);return e&&e.hasAttribute("aria-expanded")?"true"===e.getAttribute("aria-expanded"):this._getChildren(t).some(this._isVisible)}}),window.addEventListener("load",function(){each('[data-element="tree-view"]',function(t){new TreeView(t)})})}();
\ No newline at end of file
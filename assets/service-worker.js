@@ -0,0 +1,206 @@
+/**
+ * Offline service worker.
+ *
+ * Precaches the theme assets posted by `script.js`, the article pages saved by the user and the
+ * REST API responses requested by `Util.request`, so this content remains available when the
+ * network is unavailable.
+ *
+ * Service workers can only control pages on their own origin, so this file must be served from the
+ * help center's host (see `Theme.offline.url`).  Theme assets are served from Zendesk's CDN and
+ * Guide can't serve other files from the help center, so offline mode requires a host-mapped help
+ * center behind a proxy or CDN you control (e.g. a Cloudflare Worker or CloudFront behavior).
+ * Configure it to respond to a path such as `/hc/service-worker.js` with this file and a
+ * `Content-Type: application/javascript` header, and enter that path in the Service worker URL
+ * setting.  Other paths are forwarded to Zendesk unchanged.
+ */
+(function() {
+
+  "use strict";
+
+  var VERSION = 'v1';
+  var PREFIX = 'zp-';
+
+  var CacheName = {
+    ASSETS: PREFIX + 'assets-' + VERSION,
+    PAGES:  PREFIX + 'pages-' + VERSION,
+    API:    PREFIX + 'api-' + VERSION
+  };
+
+  // The maximum number of article pages or API responses to keep
+  var MAX_ENTRIES = 100;
+
+  /**
+   * Returns true if the URL is an article page.
+   *
+   * @param url
+   * @returns {boolean}
+   */
+  function isArticlePage(url) {
+    return /\/hc\/([a-z-]+\/)?articles\//i.test(url.pathname);
+  }
+
+  /**
+   * Returns true if the URL is a Help Center REST API endpoint.
+   *
+   * @param url
+   * @returns {boolean}
+   */
+  function isAPIRequest(url) {
+    return /^\/api\/v2\/(help_center|community)\//.test(url.pathname);
+  }
+
+  /**
+   * Removes the oldest entries from a cache once it exceeds the maximum number of entries.
+   *
+   * @param cacheName
+   * @returns {Promise}
+   */
+  function trimCache(cacheName) {
+    return caches.open(cacheName).then(function(cache) {
+      return cache.keys().then(function(requests) {
+        return Promise.all(requests.slice(0, Math.max(0, requests.length - MAX_ENTRIES)).map(function(request) {
+          return cache.delete(request);
+        }));
+      });
+    });
+  }
+
+  /**
+   * Fetches a request from the network and stores a copy of the response, falling back to the
+   * stored copy if the network is unavailable.
+   *
+   * If `savedOnly` is true, the copy is only refreshed when the cache already holds one.
+   *
+   * @param request
+   * @param cacheName
+   * @param savedOnly
+   * @returns {Promise}
+   */
+  function networkFirst(request, cacheName, savedOnly) {
+    var options = { cacheName: cacheName, ignoreSearch: !!savedOnly };
+
+    return fetch(request)
+      .then(function(response) {
+        if (response.ok) {
+          var copy = response.clone();
+          caches.open(cacheName)
+            .then(function(cache) {
+              if (!savedOnly) {
+                return cache.put(request, copy).then(function() {
+                  return trimCache(cacheName);
+                });
+              }
+              return cache.match(request, options).then(function(saved) {
+                return saved && cache.put(saved.url || request, copy);
+              });
+            });
+        }
+        return response;
+      })
+      .catch(function(error) {
+        return caches.match(request, options).then(function(response) {
+          return response || Promise.reject(error);
+        });
+      });
+  }
+
+  /**
+   * Returns the stored copy of a request, if there is one, or fetches it from the network.
+   *
+   * @param request
+   * @param cacheName
+   * @returns {Promise}
+   */
+  function cacheFirst(request, cacheName) {
+    return caches.match(request, { cacheName: cacheName }).then(function(response) {
+      return response || fetch(request);
+    });
+  }
+
+  /**
+   * Stores the given theme assets.
+   *
+   * Theme assets are usually served from a CDN, so opaque responses are stored as-is.
+   *
+   * @param urls
+   * @returns {Promise}
+   */
+  function precache(urls) {
+    return caches.open(CacheName.ASSETS).then(function(cache) {
+      return Promise.all(urls.map(function(url) {
+        return cache.match(url).then(function(response) {
+          if (response) return;
+          return fetch(new Request(url, { mode: 'no-cors' }))
+            .then(function(response) {
+              return cache.put(url, response);
+            })
+            .catch(function() {});
+        });
+      }));
+    });
+  }
+
+  self.addEventListener('install', function() {
+    self.skipWaiting();
+  });
+
+  self.addEventListener('activate', function(e) {
+
+    // Remove caches created by previous versions
+    var cacheNames = Object.keys(CacheName).map(function(key) {
+      return CacheName[key];
+    });
+    e.waitUntil(
+      caches.keys()
+        .then(function(keys) {
+          return Promise.all(keys
+            .filter(function(key) {
+              return key.indexOf(PREFIX) === 0 && cacheNames.indexOf(key) === -1;
+            })
+            .map(function(key) {
+              return caches.delete(key);
+            }));
+        })
+        .then(function() {
+          return self.clients.claim();
+        })
+    );
+  });
+
+  self.addEventListener('message', function(e) {
+    var data = e.data || {};
+
+    switch (data.type) {
+      case 'precache':
+        e.waitUntil(precache(data.urls || []));
+        break;
+
+      case 'save':
+        e.waitUntil(caches.open(CacheName.PAGES).then(function(cache) {
+          return cache.add(data.url);
+        }));
+        break;
+
+      case 'remove':
+        e.waitUntil(caches.open(CacheName.PAGES).then(function(cache) {
+          return cache.delete(data.url, { ignoreSearch: true });
+        }));
+        break;
+    }
+  });
+
+  self.addEventListener('fetch', function(e) {
+    var request = e.request;
+    if (request.method !== 'GET') return;
+
+    var url = new URL(request.url);
+
+    if (request.mode === 'navigate' && isArticlePage(url)) {
+      e.respondWith(networkFirst(request, CacheName.PAGES, true));
+    } else if (url.origin === self.location.origin && isAPIRequest(url)) {
+      e.respondWith(networkFirst(request, CacheName.API));
+    } else if (request.destination === 'script' || request.destination === 'style' || request.destination === 'image') {
+      e.respondWith(cacheFirst(request, CacheName.ASSETS));
+    }
+  });
+})();
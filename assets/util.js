@@ -42,6 +42,133 @@ var Util = (function() {
 
   var MINUTE = 1000 * 60;
   var HOUR = MINUTE * 60;
+
+  // Requests waiting for a connection, the number of active requests and the time until which requests are paused
+  var queue = [];
+  var activeRequests = 0;
+  var pausedUntil = 0;
+  var resumeTimeout = null;
+
+  // Pending REST API requests, keyed by URL and properties
+  var pendingRequests = {};
+
+  /**
+   * Starts queued requests while connections are available.
+   */
+  var processQueue = function() {
+    var delay = pausedUntil - new Date().getTime();
+    if (delay > 0) {
+      if (!resumeTimeout) {
+        resumeTimeout = setTimeout(function() {
+          resumeTimeout = null;
+          processQueue();
+        }, delay);
+      }
+      return;
+    }
+
+    while (queue.length && activeRequests < API.requestSettings.concurrency) {
+      queue.shift()();
+    }
+  };
+
+  /**
+   * Queues a function that returns a Promise, limiting the number of functions in progress.
+   *
+   * @param callback
+   * @returns {Promise}
+   */
+  var schedule = function(callback) {
+    return new Promise(function(resolve, reject) {
+      queue.push(function() {
+        var complete = function() {
+          activeRequests--;
+          processQueue();
+        };
+        activeRequests++;
+        callback().then(resolve, reject).then(complete, complete);
+      });
+      processQueue();
+    });
+  };
+
+  /**
+   * Returns the number of milliseconds to wait before retrying a rate limited request.
+   *
+   * @param response
+   * @param attempt
+   * @returns {number}
+   */
+  var getRetryDelay = function(response, attempt) {
+    var retryAfter = response.headers.get('Retry-After');
+    if (retryAfter) {
+      var seconds = parseInt(retryAfter, 10);
+      if (!isNaN(seconds)) {
+        return seconds * 1000;
+      }
+      var date = new Date(retryAfter).getTime();
+      if (!isNaN(date)) {
+        return Math.max(0, date - new Date().getTime());
+      }
+    }
+    return API.requestSettings.retryDelay * Math.pow(2, attempt);
+  };
+
+  /**
+   * Create the request error constructor.
+   *
+   * @param {string} message - The error message
+   * @param {object} details - The `status`, `url`, `endpoint` and `retryable` properties of the error [optional]
+   * @constructor
+   */
+  var RequestError = function(message, details) {
+    details = details || {};
+    this.name = 'RequestError';
+    this.message = message;
+    this.status = details.status || 0;
+    this.url = details.url || null;
+    this.endpoint = details.endpoint || API.getEndpointId(this.url);
+    this.retryable = details.hasOwnProperty('retryable') ? details.retryable : RequestError.isRetryable(this.status);
+    this.stack = (new Error(message)).stack;
+  };
+
+  RequestError.prototype = Object.create(Error.prototype);
+  RequestError.prototype.constructor = RequestError;
+
+  /**
+   * Returns true if a request that failed with the given status can be retried.
+   *
+   * A status of 0 indicates a network error.
+   *
+   * @param status
+   * @returns {boolean}
+   */
+  RequestError.isRetryable = function(status) {
+    return status === 0 || status === 408 || status === 429 || status >= 500;
+  };
+
+  /**
+   * Escapes HTML special characters in a string.
+   *
+   * @param str
+   * @returns {string}
+   */
+  var escapeHTML = function(str) {
+    return String(str).replace(/[&<>"']/g, function(match) {
+      return { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#x27;' }[match];
+    });
+  };
+
+  /**
+   * Returns a deep copy of a JSON response.
+   *
+   * @param json
+   * @returns {*}
+   */
+  var clone = function(json) {
+    return JSON.parse(JSON.stringify(json));
+  };
+
   var API = {
 
     locale: Theme.locale,
@@ -81,6 +208,57 @@ var Util = (function() {
       }
     },
 
+    searchEndpoints: {
+      'articles': {
+        'product': 'help_center',
+        'endpoint': 'articles/search.json',
+        'filters': { 'query': 'query', 'labels': 'label_names', 'category': 'category', 'section': 'section', 'locale': 'locale' },
+        'properties': ["id", "title", "html_url", "snippet", "section_id", "label_names", "locale", "created_at", "updated_at"]
+      },
+      'posts': {
+        'product': 'community',
+        'endpoint': 'posts/search.json',
+        'filters': { 'query': 'query', 'topic': 'topic' },
+        'properties': ["id", "title", "html_url", "snippet", "topic_id", "created_at", "updated_at"]
+      }
+    },
+
+    /**
+     * REST API response cache settings.
+     *
+     * The `backend` can be `session`, `local`, `indexeddb` or `memory`.  Time-to-live values are in milliseconds
+     * and can be set per endpoint (e.g. `{ articles: 15 * 60 * 1000 }`).  When `staleWhileRevalidate` is enabled,
+     * expired responses are returned immediately and refreshed in the background.
+     *
+     * Settings can be overridden by defining `Theme.cache` before this script is loaded.
+     */
+    cacheSettings: Object.assign({
+      backend: 'session',
+      ttl: HOUR,
+      endpoints: {},
+      staleWhileRevalidate: false
+    }, Theme.cache || {}),
+
+    /**
+     * The error type used when a REST API request fails.
+     */
+    RequestError: RequestError,
+
+    /**
+     * REST API request settings.
+     *
+     * At most `concurrency` requests are made at the same time.  Rate limited (429) requests are
+     * retried up to `retries` times, waiting for the duration given by the `Retry-After` header or
+     * an exponential backoff starting at `retryDelay` milliseconds.
+     *
+     * Settings can be overridden by defining `Theme.requests` before this script is loaded.
+     */
+    requestSettings: Object.assign({
+      concurrency: 4,
+      retries: 3,
+      retryDelay: 1000
+    }, Theme.requests || {}),
+
     /**
      * Prints to the browser console if debugging is enabled.
      */
@@ -613,13 +791,21 @@ var Util = (function() {
      * Returns objects from the Zendesk REST API.
      *
      * Supported object types are `categories`, `sections`, `articles`,
-     * `topics` and `posts`.
+     * `topics` and `posts`.  Request options are passed to `Util.request`;
+     * if an `onUpdate` callback is provided it receives the combined response
+     * whenever a stale cached response is revalidated.
+     *
+     * If `options.search` is provided, a single page of search results for the
+     * first object type is returned instead (see `Util.search`).
      *
      * @param objects
      * @param properties
+     * @param options
      * @returns {Promise}
      */
-    get: function(objects, properties) {
+    get: function(objects, properties, options) {
+      options = options || {};
+
       if (typeof objects === 'string') {
         objects = [objects];
       }
@@ -630,6 +816,10 @@ var Util = (function() {
         });
       }
 
+      if (options.search) {
+        return API.search(objects[0], options.search, properties, options);
+      }
+
       var supportedEndpoints = Object.keys(API.endpoints);
       var supportedObjects = objects.filter(function(obj) {
         return supportedEndpoints.indexOf(obj) !== -1;
@@ -673,16 +863,19 @@ var Util = (function() {
         });
       }
 
-      return Promise.all(requests.map(function(obj) {
-        return API.request(obj.url, obj.properties);
-      })).then(function(responses) {
+      /**
+       * Combines responses into a single response containing the required object types.
+       *
+       * @param responses
+       * @returns {*}
+       */
+      var combine = function(responses) {
 
         // Return the response, if there's only one
         if (responses.length === 1) {
           return responses[0];
         }
 
-        // Combine responses into a single response containing the required object types
         var result = {};
         responses.forEach(function(response) {
           for (var objectType in response) {
@@ -692,9 +885,162 @@ var Util = (function() {
           }
         });
         return result;
+      };
+
+      var responses = [];
+      var onUpdate = typeof options.onUpdate === 'function' ? options.onUpdate : null;
+
+      return Promise.all(requests.map(function(obj, index) {
+        return API.request(obj.url, obj.properties, Util.extend(options, {
+          onUpdate: onUpdate && function(json) {
+            responses[index] = json;
+            if (responses.filter(Boolean).length === requests.length) {
+              onUpdate(combine(responses));
+            }
+          }
+        }));
+      })).then(function(results) {
+
+        // Keep any responses that were revalidated before all requests completed
+        results.forEach(function(json, index) {
+          if (!responses[index]) responses[index] = json;
+        });
+        return combine(responses);
+      });
+    },
+
+    /**
+     * Returns a page of search results from the Zendesk REST API.
+     *
+     * Supported object types are `articles` (filtered by `query`, `labels`, `category`, `section`
+     * and `locale`) and `posts` (filtered by `query` and `topic`).  Filters can be strings,
+     * numbers or arrays.  The response includes the matching objects, the total `count` and a
+     * `next` cursor which can be passed back as `params.cursor` to fetch the following page.
+     *
+     * Each result has a `highlight` property containing the title with matching query terms
+     * wrapped in `<mark>` elements, and the snippet returned by the REST API.
+     *
+     * @param objectType
+     * @param params
+     * @param properties
+     * @param options
+     * @returns {Promise}
+     */
+    search: function(objectType, params, properties, options) {
+      params = params || {};
+      options = options || {};
+
+      var definition = API.searchEndpoints[objectType];
+      if (!definition) {
+        return Promise.reject(new Error('Search is not supported for the object type ' + objectType));
+      }
+
+      var url = params.cursor;
+      if (!url) {
+        url = '/api/v2/' + definition.product + '/' + definition.endpoint;
+        if (objectType === 'articles' && !params.locale) {
+          params = Util.extend(params, { locale: API.locale });
+        }
+
+        var hasFilter = false;
+        for (var filter in definition.filters) {
+          if (definition.filters.hasOwnProperty(filter)) {
+            var value = Array.isArray(params[filter]) ? params[filter].join(',') : params[filter];
+            if (value !== undefined && value !== null && value !== '') {
+              url = API.setURLParameter(url, definition.filters[filter], value);
+              if (filter !== 'locale') hasFilter = true;
+            }
+          }
+        }
+
+        if (!hasFilter) {
+          return Promise.reject(new Error('A search query or filter must be provided'));
+        }
+      }
+
+      if (!API.getURLParameter('per_page', url)) {
+        url = API.setURLParameter(url, 'per_page', params.perPage || 25);
+      }
+
+      properties = properties || definition.properties;
+
+      return API.request(url, [], Util.extend(options, {
+        paginate: false,
+        ttl: typeof options.ttl === 'number' ? options.ttl : (API.cacheSettings.endpoints.search || 5 * MINUTE)
+      })).then(function(json) {
+        var response = {
+          count: json.count || 0,
+          next: json.next_page || null,
+          query: params.query || ''
+        };
+
+        response[objectType] = (json.results || []).map(function(result) {
+          var obj = API.pick(result, properties);
+          obj.highlight = {
+            title: API.highlight(result.title || result.name || '', params.query),
+            snippet: result.snippet || ''
+          };
+          return obj;
+        });
+        return response;
       });
     },
 
+    /**
+     * Returns HTML-escaped text with the terms of a search query wrapped in `<mark>` elements.
+     *
+     * @param text
+     * @param query
+     * @returns {string}
+     */
+    highlight: function(text, query) {
+      var terms = (query || '')
+        .split(/\s+/)
+        .filter(function(term) { return term.length > 1; })
+        .map(function(term) { return term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'); });
+
+      if (!terms.length) {
+        return escapeHTML(text || '');
+      }
+
+      // Matches are found in the raw text, so only the resulting segments are escaped
+      return String(text || '')
+        .split(new RegExp('(' + terms.join('|') + ')', 'gi'))
+        .map(function(segment, index) {
+          return index % 2 ? '<mark>' + escapeHTML(segment) + '</mark>' : escapeHTML(segment);
+        })
+        .join('');
+    },
+
+    /**
+     * Returns the endpoint ID (e.g. `articles`) associated with a REST API URL.
+     *
+     * @param url
+     * @returns {string|null}
+     */
+    getEndpointId: function(url) {
+      var match = (url || '').split('?')[0].match(/\/([a-z_]+)\.json$/i);
+      if (match && API.endpoints.hasOwnProperty(match[1])) {
+        return match[1];
+      }
+      return null;
+    },
+
+    /**
+     * Returns the cache time-to-live in milliseconds for a REST API URL.
+     *
+     * @param url
+     * @returns {number}
+     */
+    getCacheTTL: function(url) {
+      var settings = API.cacheSettings;
+      var endpointId = API.getEndpointId(url);
+      if (endpointId && settings.endpoints && typeof settings.endpoints[endpointId] === 'number') {
+        return settings.endpoints[endpointId];
+      }
+      return settings.ttl;
+    },
+
     /**
      * Filters supported object types by the specified set of properties.
      *
@@ -758,110 +1104,316 @@ var Util = (function() {
       return str;
     },
 
+    /**
+     * Fetches a URL using the shared request queue.
+     *
+     * Rate limited requests are retried, and all queued requests are paused until the
+     * `Retry-After` period has passed.  Network errors are rejected with a `RequestError`.
+     *
+     * @param url
+     * @param attempt
+     * @returns {Promise<Response>}
+     */
+    fetch: function(url, attempt) {
+      attempt = attempt || 0;
+      return schedule(function() {
+        return fetch(url).catch(function(error) {
+          return Promise.reject(new RequestError(error.message || 'Network error', { url: url }));
+        });
+      }).then(function(response) {
+        if (response.status === 429 && attempt < API.requestSettings.retries) {
+          var delay = getRetryDelay(response, attempt);
+          Util.log('Request to ' + url + ' was rate limited, retrying in ' + delay + 'ms');
+          pausedUntil = Math.max(pausedUntil, new Date().getTime() + delay);
+          return API.fetch(url, attempt + 1);
+        }
+        return response;
+      });
+    },
+
+    /**
+     * Returns the JSON body of a response.
+     *
+     * Rejects with a `RequestError` if the request was unsuccessful or the response is not JSON.
+     *
+     * @param response
+     * @param endpoint - The endpoint ID, if it can't be identified from the response URL [optional]
+     * @returns {Promise}
+     */
+    getJSON: function(response, endpoint) {
+      var details = { status: response.status, url: response.url, endpoint: endpoint };
+
+      if (!response.ok) {
+        return Promise.reject(new RequestError(response.statusText || 'Request failed with status ' + response.status, details));
+      }
+
+      var contentType = response.headers.get('Content-Type') || '';
+      if (contentType.indexOf('application/json') === -1) {
+        details.retryable = false;
+        return Promise.reject(new RequestError('Response does not have a content type of JSON', details));
+      }
+
+      return response.json().catch(function() {
+        details.retryable = false;
+        return Promise.reject(new RequestError('Response is not valid JSON', details));
+      });
+    },
+
     /**
      * Returns a JSON response from the Zendesk REST API.
      *
      * If the response has multiple pages, all pages are returned.  Responses are filtered
-     * by the specified set of properties and cached using sessionStorage.
+     * by the specified set of properties and cached using the configured cache backend.
+     *
+     * Supported options are `backend`, `ttl` and `staleWhileRevalidate` (which default to the
+     * values in `Util.cacheSettings`), `onUpdate`, a callback that receives the refreshed
+     * response after a stale response has been revalidated, and `force`, which bypasses the cache.
+     * If `paginate` is false, only the requested page of results is returned.
+     *
+     * Both offset (`page_count` and `next_page`) and cursor (`meta.has_more` and `links.next`)
+     * pagination are supported.  Set `cursor` to true to request cursor pagination, which is
+     * required for collections of more than 10,000 objects.  If `limit` is provided, pages are
+     * only fetched until that number of objects has been returned.
+     *
+     * Identical requests (with respect to URL and properties) that are in progress at the same
+     * time share a single network request.
      *
      * @param url
      * @param properties
+     * @param options
      * @returns {*}
      */
-    request: function(url, properties) {
+    request: function(url, properties, options) {
       properties = properties || [];
+      options = options || {};
 
-      var perPage = Util.getURLParameter('per_page', url);
-      if (!perPage) {
+      // Request cursor pagination, if required, or the maximum number of objects per page
+      var usesCursor = options.cursor === true || /[?&]page(\[|%5B)size(\]|%5D)=/i.test(url);
+      if (usesCursor) {
+        if (!/[?&]page(\[|%5B)size(\]|%5D)=/i.test(url)) {
+          url = API.setURLParameter(url, 'page[size]', 100);
+        }
+      } else if (!Util.getURLParameter('per_page', url)) {
         url = API.setURLParameter(url, 'per_page', 100);
       }
 
+      var settings = API.cacheSettings;
+      var backend = options.backend || settings.backend;
+      var ttl = typeof options.ttl === 'number' ? options.ttl : API.getCacheTTL(url);
+      var staleWhileRevalidate = options.hasOwnProperty('staleWhileRevalidate') ? options.staleWhileRevalidate : settings.staleWhileRevalidate;
+
+      var supportedObjects = Object.keys(API.endpoints);
+      var endpointId = API.getEndpointId(url);
+      var limit = parseInt(options.limit, 10) || 0;
+
+      /**
+       * Returns the number of objects of the requested type in a response.
+       *
+       * @param json
+       * @returns {number}
+       */
+      var countObjects = function(json) {
+        var objectType = endpointId && Array.isArray(json[endpointId]) ? endpointId : supportedObjects.filter(function(objectType) {
+          return Array.isArray(json[objectType]);
+        })[0];
+        return objectType ? json[objectType].length : 0;
+      };
+
+      /**
+       * Adds the objects from additional pages of results to the response.
+       *
+       * @param json
+       * @param pages
+       * @returns {*}
+       */
+      var combinePages = function(json, pages) {
+
+        // Add supported objects from each page of results to the response
+        pages.forEach(function(page) {
+          for (var objectType in page) {
+            if (page.hasOwnProperty(objectType) && Array.isArray(page[objectType]) && supportedObjects.indexOf(objectType) !== -1) {
+              json[objectType] = (json[objectType] || []).concat(page[objectType]);
+            }
+          }
+        });
+
+        for (var objectType in json) {
+          if (json.hasOwnProperty(objectType) && Array.isArray(json[objectType])) {
+
+            // Ensure objects are unique with respect to ID
+            json[objectType] = API.unique(json[objectType], 'id');
+
+            // Sort objects based on position
+            if (properties.indexOf('position') > -1) {
+              json[objectType].sort(API.comparePosition);
+            }
+
+            // Only return the number of objects required
+            if (limit && objectType === endpointId) {
+              json[objectType] = json[objectType].slice(0, limit);
+            }
+          } else {
+            delete json[objectType];
+          }
+        }
+        return json;
+      };
+
+      /**
+       * Follows the `links.next` URL of cursor-paginated responses.
+       *
+       * Pages are fetched sequentially, as each cursor is only known once the previous page has been
+       * returned, until there are no more pages or enough objects have been returned.
+       *
+       * @param json
+       * @param pageOptions
+       * @returns {Promise}
+       */
+      var fetchRemainingCursorPages = function(json, pageOptions) {
+        var pages = [];
+        var count = countObjects(json);
+
+        var fetchNext = function(page) {
+          if (!page.meta || page.meta['has_more'] !== true || !page.links || !page.links.next || (limit && count >= limit)) {
+            return Promise.resolve(combinePages(json, pages));
+          }
+          return API.request(page.links.next, properties, Util.extend(pageOptions, { paginate: false }))
+            .then(function(nextPage) {
+              pages.push(nextPage);
+              count += countObjects(nextPage);
+              return fetchNext(nextPage);
+            });
+        };
+
+        return fetchNext(json);
+      };
+
       /**
        * Fetch the remaining pages of results, if required.
        *
        * @param json
        * @param properties
+       * @param pageOptions
        * @returns {Promise}
        */
-      var maybeFetchRemaining = function(json, properties) {
+      var maybeFetchRemaining = function(json, properties, pageOptions) {
 
-        // If there's a single page of results, return the page
-        if (json['page_count'] && (json['page_count'] === 1 || json['page'] > 1)) {
+        // If only a single page is required, return the page
+        if (options.paginate === false) {
+          return json;
+        }
+
+        // Cursor pagination
+        if (json.meta && json.meta.hasOwnProperty('has_more')) {
+          return fetchRemainingCursorPages(json, pageOptions);
+        }
+
+        // If this is one of the remaining pages of results, return the page
+        if (json['page'] > 1) {
           return json;
         }
 
-        // If there's multiple pages of results, fetch the remaining pages
+        // If there's a single page of results, return the page
+        if (json['page_count'] === 1) {
+          return limit ? combinePages(json, []) : json;
+        }
+
+        // If there's multiple pages of results, fetch the remaining pages (or those required to reach the limit)
+        var pageCount = json['page_count'];
+        if (limit) {
+          var perPage = parseInt(API.getURLParameter('per_page', url), 10) || 100;
+          pageCount = Math.min(pageCount, Math.ceil(limit / perPage));
+        }
+
         var pages = [];
-        for (var i = 2; i <= json['page_count']; i++) {
+        for (var i = 2; i <= pageCount; i++) {
           pages.push(API.setURLParameter(json['next_page'], 'page', i));
         }
 
-        var supportedObjects = Object.keys(API.endpoints);
-
         return Promise
           .all(pages.map(function(page) {
-            return API.request(page, properties);
+            return API.request(page, properties, pageOptions);
           }))
           .then(function(pages) {
+            return combinePages(json, pages);
+          });
+      };
 
-            // Add supported objects from each page of results to the response
-            pages.forEach(function(page) {
-              for (var objectType in page) {
-                if (page.hasOwnProperty(objectType) && Array.isArray(page[objectType]) && supportedObjects.indexOf(objectType) !== -1) {
-                  json[objectType] = json[objectType].concat(page[objectType]);
-                }
-              }
-            });
+      // Generate a cache key from the URL
+      var cacheKey = API.getHashString(url + properties.join('-'));
+      var cache = Util.cache(backend);
 
-            for (var objectType in json) {
-              if (json.hasOwnProperty(objectType) && Array.isArray(json[objectType])) {
+      /**
+       * Fetches the page from the REST API and stores the filtered response.
+       *
+       * @returns {Promise}
+       */
+      var fetchPage = function() {
+        if (pendingRequests.hasOwnProperty(cacheKey)) {
+          Util.log('Reusing pending request for ' + url);
+          return pendingRequests[cacheKey].then(clone);
+        }
 
-                // Ensure objects are unique with respect to ID
-                json[objectType] = API.unique(json[objectType], 'id');
+        pendingRequests[cacheKey] = API.fetch(url)
+          .then(function(response) {
+            return API.getJSON(response, API.getEndpointId(url));
+          })
+          .then(function(json) {
+            json = API.filterObjectProperties(json, properties);
 
-                // Sort objects based on position
-                if (properties.indexOf('position') > -1) {
-                  json[objectType].sort(API.comparePosition);
-                }
-              } else {
-                delete json[objectType];
-              }
-            }
+            // Store the filtered JSON response
+            return cache.set(cacheKey, json).then(function() {
+              return json;
+            });
+          })
+          .then(function(json) {
+            delete pendingRequests[cacheKey];
             return json;
+          }, function(error) {
+            delete pendingRequests[cacheKey];
+            return Promise.reject(error);
           });
+
+        return pendingRequests[cacheKey].then(clone);
       };
 
-      // Generate a cache key from the URL
-      var cacheKey = API.getHashString(url + properties.join('-'));
-      var storage = Util.storage(cacheKey, true);
+      var pageOptions = { backend: backend, ttl: ttl, staleWhileRevalidate: false };
 
-      // A valid stored JSON response exists
-      if (storage.isValid(HOUR)) {
-        return new Promise(function(resolve) {
-          resolve(maybeFetchRemaining(storage.get(), properties));
+      if (options.force === true) {
+        return fetchPage().then(function(json) {
+          return maybeFetchRemaining(json, properties, Util.extend(pageOptions, { force: true }));
         });
       }
 
-      return fetch(url)
-        .then(function(response) {
-          if (response.status !== 200) {
-            return Promise.reject(new Error(response.statusText));
-          }
+      return cache.get(cacheKey).then(function(entry) {
 
-          // Check whether the content type of the response is
-          var contentType = response.headers.get('Content-Type');
-          if (contentType.indexOf("application/json") === -1) {
-            return Promise.reject("Response does not have a content type of JSON");
-          }
-          return response.json();
-        })
-        .then(function(json) {
-          json = API.filterObjectProperties(json, properties);
+        // A valid stored JSON response exists
+        if (entry && (options.stale === true || cache.isValid(entry, ttl))) {
+          return maybeFetchRemaining(entry.data, properties, Util.extend(pageOptions, { stale: options.stale === true }));
+        }
 
-          // Store the filtered JSON response
-          storage.set(json);
-          return maybeFetchRemaining(json, properties);
+        // Return the stale response and refresh all pages in the background
+        if (entry && staleWhileRevalidate) {
+          Util.log('Revalidating cached response for ' + url);
+          fetchPage()
+            .then(function(json) {
+              return maybeFetchRemaining(json, properties, Util.extend(pageOptions, { force: true }));
+            })
+            .then(function(json) {
+              if (typeof options.onUpdate === 'function') {
+                options.onUpdate(json);
+              }
+            })
+            .catch(function(error) {
+              Util.log('Unable to revalidate cached response for ' + url, error);
+            });
+          return maybeFetchRemaining(entry.data, properties, Util.extend(pageOptions, { stale: true }));
+        }
+
+        return fetchPage().then(function(json) {
+          return maybeFetchRemaining(json, properties, pageOptions);
         });
+      });
     },
 
     /**
@@ -1202,7 +1754,40 @@ var Util = (function() {
   _proto.initialize = function() {};
 
   /**
-   * Returns the class name with a given identifier.
+   * Handles an error raised while fetching or rendering the plugin.
+   *
+   * Triggers the error event and, unless the event is cancelled, renders the plugin's error
+   * template (`options.errorTemplate`) if it exists.
+   *
+   * @param eventName
+   * @param error
+   * @private
+   */
+  _proto._handleError = function(eventName, error) {
+    Util.log(error);
+
+    var event = Util.triggerEvent(this.el, eventName, {
+      relatedTarget: this.el,
+      error: error
+    });
+
+    var templateId = this.options.errorTemplate;
+    if ((event && event.defaultPrevented) || !templateId || !Util.getTemplateString(templateId)) {
+      return;
+    }
+
+    Util.renderTemplate(this.el, templateId, {
+      error: error,
+      message: error && error.message,
+      status: error && error.status,
+      url: error && error.url,
+      endpoint: error && error.endpoint,
+      retryable: !!(error && error.retryable)
+    }, { replaceContent: true });
+  };
+
+  /**
+   * Returns the class name with a given identifier.
    *
    * @param identifier
    * @returns {*}
@@ -1523,18 +2108,237 @@ var Util = (function() {
  */
 (function(Util) {
 
+  // The prefix of all keys owned by the storage API
+  var PREFIX = 'zp:';
+
+  // The namespace used when none is provided
+  var DEFAULT_NAMESPACE = 'theme';
+
+  // The key of the record used to track when each owned key was last accessed
+  var INDEX_KEY = PREFIX + '__index';
+
+  // The prefix of compressed values and the length above which values are compressed
+  var COMPRESSED = '\u0001lz:';
+  var COMPRESS_THRESHOLD = 10240;
+
+  // Compressed code points are offset to avoid control characters and capped below the surrogate range
+  var CODE_OFFSET = 32;
+  var CODE_RESET = 0xD800 - CODE_OFFSET - 1;
+
+  /**
+   * Compresses a string using LZW.
+   *
+   * The string is UTF-8 encoded first so that every input character fits in the initial dictionary.
+   *
+   * @param str
+   * @returns {string}
+   */
+  var compress = function(str) {
+    var input = unescape(encodeURIComponent(str));
+    var dictionary = {};
+    var size = 256;
+    var output = [];
+    var w = '';
+
+    var code = function(value) {
+      return value.length === 1 ? value.charCodeAt(0) : dictionary[value];
+    };
+
+    for (var i = 0; i < input.length; i++) {
+      var c = input.charAt(i);
+      var wc = w + c;
+      if (w === '' || dictionary.hasOwnProperty(wc)) {
+        w = wc;
+      } else {
+        output.push(code(w));
+        if (size < CODE_RESET) {
+          dictionary[wc] = size++;
+        } else {
+          output.push(CODE_RESET);
+          dictionary = {};
+          size = 256;
+        }
+        w = c;
+      }
+    }
+
+    if (w !== '') {
+      output.push(code(w));
+    }
+
+    return output.map(function(value) {
+      return String.fromCharCode(value + CODE_OFFSET);
+    }).join('');
+  };
+
+  /**
+   * Decompresses a string compressed with `compress`.
+   *
+   * @param str
+   * @returns {string}
+   */
+  var decompress = function(str) {
+    var dictionary = [];
+    var output = [];
+    var w = null;
+
+    var reset = function() {
+      dictionary = [];
+      for (var i = 0; i < 256; i++) {
+        dictionary.push(String.fromCharCode(i));
+      }
+      w = null;
+    };
+
+    reset();
+    for (var i = 0; i < str.length; i++) {
+      var value = str.charCodeAt(i) - CODE_OFFSET;
+      if (value === CODE_RESET) {
+        reset();
+        continue;
+      }
+
+      var entry;
+      if (value < dictionary.length) {
+        entry = dictionary[value];
+      } else if (w !== null && value === dictionary.length) {
+        entry = w + w.charAt(0);
+      } else {
+        throw new Error('Invalid compressed data');
+      }
+
+      output.push(entry);
+      if (w !== null) {
+        dictionary.push(w + entry.charAt(0));
+      }
+      w = entry;
+    }
+
+    return decodeURIComponent(escape(output.join('')));
+  };
+
+  /**
+   * Returns true if the error was thrown because the storage quota was exceeded.
+   *
+   * @param error
+   * @returns {boolean}
+   */
+  var isQuotaExceeded = function(error) {
+    return error instanceof DOMException && (
+      error.code === 22 ||
+      error.code === 1014 ||
+      error.name === 'QuotaExceededError' ||
+      error.name === 'NS_ERROR_DOM_QUOTA_REACHED'
+    );
+  };
+
+  /**
+   * Returns the storage area, or null if it isn't available (e.g. when disabled by the browser).
+   *
+   * @param session
+   * @returns {Storage|null}
+   */
+  var getStorageArea = function(session) {
+    try {
+      return session ? window.sessionStorage : window.localStorage;
+    } catch (e) {
+      return null;
+    }
+  };
+
+  /**
+   * Returns the keys owned by the storage API in a storage area.
+   *
+   * @param storage
+   * @param namespace - Only return keys in this namespace [optional]
+   * @returns {string[]}
+   */
+  var getOwnedKeys = function(storage, namespace) {
+    var prefix = PREFIX + (namespace ? namespace + ':' : '');
+    var keys = [];
+    for (var i = 0; i < storage.length; i++) {
+      var key = storage.key(i);
+      if (key && key !== INDEX_KEY && key.indexOf(prefix) === 0) {
+        keys.push(key);
+      }
+    }
+    return keys;
+  };
+
+  /**
+   * Returns the record of when each owned key was last accessed.
+   *
+   * @param storage
+   * @returns {{}}
+   */
+  var getIndex = function(storage) {
+    try {
+      return JSON.parse(storage.getItem(INDEX_KEY)) || {};
+    } catch (e) {
+      return {};
+    }
+  };
+
+  /**
+   * Updates the record of when owned keys were last accessed.
+   *
+   * @param storage
+   * @param callback - Receives the index to modify
+   */
+  var updateIndex = function(storage, callback) {
+    var index = getIndex(storage);
+    callback(index);
+    try {
+      storage.setItem(INDEX_KEY, JSON.stringify(index));
+    } catch (e) {
+      Util.log('Unable to update the storage index', e);
+    }
+  };
+
+  /**
+   * Removes the least recently used owned key, other than the one specified.
+   *
+   * @param storage
+   * @param exclude
+   * @returns {boolean} - True if a key was removed
+   */
+  var evictLeastRecentlyUsed = function(storage, exclude) {
+    var index = getIndex(storage);
+    var keys = getOwnedKeys(storage).filter(function(key) {
+      return key !== exclude;
+    });
+
+    if (!keys.length) {
+      return false;
+    }
+
+    keys.sort(function(a, b) {
+      return (index[a] || 0) - (index[b] || 0);
+    });
+
+    Util.log('Evicting ' + keys[0] + ' from storage');
+    storage.removeItem(keys[0]);
+    updateIndex(storage, function(index) {
+      delete index[keys[0]];
+    });
+    return true;
+  };
+
   /**
    * Create the storage constructor.
    *
    * @param {string} id - The storage ID
    * @param {boolean} session - If true, use sessionStorage instead of localStorage
+   * @param {string} namespace - The namespace the storage ID belongs to [optional]
    */
-  var Storage = function(id, session) {
+  var Storage = function(id, session, namespace) {
     if (!id) {
       throw Error('Please provide an ID for your storage');
     }
     this.id = id;
-    this.storage = session ? sessionStorage : localStorage;
+    this.namespace = namespace || DEFAULT_NAMESPACE;
+    this.key = PREFIX + this.namespace + ':' + id;
+    this.storage = getStorageArea(session);
   };
 
   var _proto = Storage.prototype;
@@ -1542,13 +2346,43 @@ var Util = (function() {
   /**
    * Saves data to storage with a timestamp.
    *
+   * Large values are compressed.  If the storage quota is exceeded, the least recently used
+   * keys owned by the storage API are evicted until the data fits.
+   *
    * @param {object|array|string|number} data - The data to save
+   * @returns {boolean} - True if the data was saved
    */
   _proto.set = function(data) {
-    this.storage.setItem(this.id, JSON.stringify({
+    if (!this.storage) {
+      return false;
+    }
+
+    var value = JSON.stringify({
       timestamp: new Date().getTime(),
       data: data
-    }));
+    });
+
+    if (value.length > COMPRESS_THRESHOLD) {
+      var compressed = COMPRESSED + compress(value);
+      if (compressed.length < value.length) {
+        value = compressed;
+      }
+    }
+
+    while (true) {
+      try {
+        this.storage.setItem(this.key, value);
+        break;
+      } catch (e) {
+        if (!isQuotaExceeded(e) || !evictLeastRecentlyUsed(this.storage, this.key)) {
+          Util.log('Unable to save ' + this.key + ' to storage', e);
+          return false;
+        }
+      }
+    }
+
+    this._touch();
+    return true;
   };
 
   /**
@@ -1559,11 +2393,21 @@ var Util = (function() {
    * @returns {string}
    */
   _proto.get = function(fallback, full) {
-    var data = this.storage.getItem(this.id);
-    data = data ? JSON.parse(data) : null;
+    var data = this.storage ? this.storage.getItem(this.key) : null;
+    try {
+      if (data && data.indexOf(COMPRESSED) === 0) {
+        data = decompress(data.substring(COMPRESSED.length));
+      }
+      data = data ? JSON.parse(data) : null;
+    } catch (e) {
+      Util.log('Unable to read ' + this.key + ' from storage', e);
+      this.remove();
+      data = null;
+    }
     if (!data || DEBUG === true) {
       return fallback ? fallback : data;
     }
+    this._touch();
     return full ? data : data.data;
   };
 
@@ -1586,7 +2430,26 @@ var Util = (function() {
    * Removes an item from storage.
    */
   _proto.remove = function() {
-    this.storage.removeItem(this.id);
+    if (!this.storage) {
+      return;
+    }
+    var key = this.key;
+    this.storage.removeItem(key);
+    updateIndex(this.storage, function(index) {
+      delete index[key];
+    });
+  };
+
+  /**
+   * Records that the item was accessed.
+   *
+   * @private
+   */
+  _proto._touch = function() {
+    var key = this.key;
+    updateIndex(this.storage, function(index) {
+      index[key] = new Date().getTime();
+    });
   };
 
   /**
@@ -1594,10 +2457,311 @@ var Util = (function() {
    *
    * @param id
    * @param session
+   * @param namespace
    * @returns {Storage}
    */
-  Util.storage = function(id, session) {
-    return new Storage(id, session);
+  Util.storage = function(id, session, namespace) {
+    return new Storage(id, session, namespace);
+  };
+
+  /**
+   * Removes all stored items in a namespace from both localStorage and sessionStorage.
+   *
+   * If no namespace is provided, all items owned by the storage API are removed.
+   *
+   * @param {string} namespace - The namespace to clear [optional]
+   */
+  Util.storage.clear = function(namespace) {
+    [true, false].forEach(function(session) {
+      var storage = getStorageArea(session);
+      if (!storage) return;
+
+      var keys = getOwnedKeys(storage, namespace);
+      keys.forEach(function(key) {
+        storage.removeItem(key);
+      });
+
+      if (namespace) {
+        updateIndex(storage, function(index) {
+          keys.forEach(function(key) {
+            delete index[key];
+          });
+        });
+      } else {
+        storage.removeItem(INDEX_KEY);
+      }
+    });
+  };
+
+  /**
+   * Returns the approximate number of bytes used by the storage API in each storage area, by namespace.
+   *
+   * @returns {{local: {total: number, namespaces: {}}, session: {total: number, namespaces: {}}}}
+   */
+  Util.storage.usage = function() {
+    var usage = {};
+    [['session', true], ['local', false]].forEach(function(area) {
+      var storage = getStorageArea(area[1]);
+      var result = { total: 0, namespaces: {} };
+
+      if (storage) {
+        getOwnedKeys(storage).forEach(function(key) {
+          var namespace = key.substring(PREFIX.length).split(':')[0];
+
+          // Strings are stored as UTF-16
+          var bytes = (key.length + (storage.getItem(key) || '').length) * 2;
+          result.namespaces[namespace] = (result.namespaces[namespace] || 0) + bytes;
+          result.total += bytes;
+        });
+      }
+      usage[area[0]] = result;
+    });
+    return usage;
   };
 
-})(Util || {});
\ No newline at end of file
+  /**
+   * Moves the responses cached before keys were namespaced into the `cache` namespace.
+   *
+   * They were stored in sessionStorage under a numeric hash of the URL, so they would otherwise stay
+   * in the quota without ever being read, tracked or evicted.
+   */
+  var migrateLegacyKeys = function() {
+    var storage = getStorageArea(true);
+    if (!storage) return;
+
+    var keys = [];
+    for (var i = 0; i < storage.length; i++) {
+      var key = storage.key(i);
+      if (key && /^-?\d+$/.test(key)) {
+        keys.push(key);
+      }
+    }
+
+    keys.forEach(function(key) {
+      var value = storage.getItem(key);
+      var entry;
+      try {
+        entry = JSON.parse(value);
+      } catch (e) {
+        return;
+      }
+
+      // Leave keys that weren't written by the storage API alone
+      if (!entry || typeof entry !== 'object' || !entry.hasOwnProperty('timestamp') || !entry.hasOwnProperty('data')) {
+        return;
+      }
+
+      var newKey = PREFIX + 'cache:' + key;
+      storage.removeItem(key);
+      try {
+        if (storage.getItem(newKey) === null) {
+          storage.setItem(newKey, value);
+          updateIndex(storage, function(index) {
+            index[newKey] = entry.timestamp;
+          });
+        }
+      } catch (e) {
+        Util.log('Unable to migrate ' + key + ' in storage', e);
+      }
+    });
+  };
+
+  migrateLegacyKeys();
+
+})(Util || {});
+
+/**
+ * Cache API.
+ */
+(function(Util) {
+
+  var DB_NAME = 'theme-cache';
+  var DB_STORE = 'responses';
+
+  // Entries held by the memory backend for the lifetime of the page
+  var memory = {};
+
+  // The IndexedDB database connection, once opened
+  var database = null;
+
+  /**
+   * Opens the IndexedDB database used by the `indexeddb` backend.
+   *
+   * @returns {Promise}
+   */
+  var openDatabase = function() {
+    if (!database) {
+      database = new Promise(function(resolve, reject) {
+        if (!window.indexedDB) {
+          reject(new Error('IndexedDB is not supported'));
+          return;
+        }
+        var request = window.indexedDB.open(DB_NAME, 1);
+        request.onupgradeneeded = function() {
+          request.result.createObjectStore(DB_STORE);
+        };
+        request.onsuccess = function() {
+          resolve(request.result);
+        };
+        request.onerror = function() {
+          reject(request.error);
+        };
+      });
+    }
+    return database;
+  };
+
+  /**
+   * Performs a request against the IndexedDB object store.
+   *
+   * @param mode
+   * @param callback
+   * @returns {Promise}
+   */
+  var transaction = function(mode, callback) {
+    return openDatabase().then(function(db) {
+      return new Promise(function(resolve, reject) {
+        var request = callback(db.transaction(DB_STORE, mode).objectStore(DB_STORE));
+        request.onsuccess = function() {
+          resolve(request.result);
+        };
+        request.onerror = function() {
+          reject(request.error);
+        };
+      });
+    });
+  };
+
+  /**
+   * The supported cache backends.
+   *
+   * Each backend implements `get`, `set` and `remove` methods that return a Promise.
+   */
+  var backends = {
+    session: {
+      get: function(key) { return Promise.resolve(Util.storage(key, true, 'cache').get(null, true)); },
+      set: function(key, entry) { Util.storage(key, true, 'cache').set(entry.data); return Promise.resolve(); },
+      remove: function(key) { Util.storage(key, true, 'cache').remove(); return Promise.resolve(); }
+    },
+    local: {
+      get: function(key) { return Promise.resolve(Util.storage(key, false, 'cache').get(null, true)); },
+      set: function(key, entry) { Util.storage(key, false, 'cache').set(entry.data); return Promise.resolve(); },
+      remove: function(key) { Util.storage(key, false, 'cache').remove(); return Promise.resolve(); }
+    },
+    memory: {
+      get: function(key) { return Promise.resolve(memory.hasOwnProperty(key) ? JSON.parse(memory[key]) : null); },
+      set: function(key, entry) { memory[key] = JSON.stringify(entry); return Promise.resolve(); },
+      remove: function(key) { delete memory[key]; return Promise.resolve(); }
+    },
+    indexeddb: {
+      get: function(key) {
+        return transaction('readonly', function(store) { return store.get(String(key)); })
+          .then(function(entry) { return entry || null; });
+      },
+      set: function(key, entry) {
+        return transaction('readwrite', function(store) { return store.put(entry, String(key)); });
+      },
+      remove: function(key) {
+        return transaction('readwrite', function(store) { return store.delete(String(key)); });
+      }
+    }
+  };
+
+  /**
+   * Create the cache constructor.
+   *
+   * @param {string} backend - The cache backend (`session`, `local`, `indexeddb` or `memory`)
+   */
+  var Cache = function(backend) {
+    if (!backends.hasOwnProperty(backend)) {
+      Util.log('Cache backend ' + backend + ' is not supported, using sessionStorage');
+      backend = 'session';
+    }
+    this.backend = backend;
+  };
+
+  var _proto = Cache.prototype;
+
+  /**
+   * Gets an entry (data and timestamp) from the cache.
+   *
+   * Falls back to the memory backend if the configured backend is unavailable.
+   *
+   * @param {string|number} key - The cache key
+   * @returns {Promise}
+   */
+  _proto.get = function(key) {
+    if (DEBUG === true) {
+      return Promise.resolve(null);
+    }
+    return backends[this.backend].get(key)
+      .catch(function(error) {
+        Util.log('Unable to read from the cache', error);
+        return backends.memory.get(key);
+      });
+  };
+
+  /**
+   * Saves data to the cache with a timestamp.
+   *
+   * @param {string|number} key - The cache key
+   * @param {object|array|string|number} data - The data to save
+   * @returns {Promise}
+   */
+  _proto.set = function(key, data) {
+    var entry = {
+      timestamp: new Date().getTime(),
+      data: data
+    };
+    return backends[this.backend].set(key, entry)
+      .catch(function(error) {
+        Util.log('Unable to write to the cache', error);
+        return backends.memory.set(key, entry);
+      });
+  };
+
+  /**
+   * Removes an entry from the cache.
+   *
+   * @param {string|number} key - The cache key
+   * @returns {Promise}
+   */
+  _proto.remove = function(key) {
+    return backends[this.backend].remove(key);
+  };
+
+  /**
+   * Returns true if a cache entry is still valid.
+   *
+   * @param {object} entry - The cache entry
+   * @param {number} time - The expiry time of the data in milliseconds
+   * @returns {boolean}
+   */
+  _proto.isValid = function(entry, time) {
+    if (!entry || DEBUG === true) {
+      return false;
+    }
+    return new Date().getTime() - entry.timestamp < time;
+  };
+
+  /**
+   * Returns a new Cache instance.
+   *
+   * @param backend
+   * @returns {Cache}
+   */
+  Util.cache = function(backend) {
+    return new Cache(backend || Util.cacheSettings.backend);
+  };
+
+  /**
+   * Registers a custom cache backend.
+   *
+   * @param {string} name - The backend name
+   * @param {object} backend - An object with `get`, `set` and `remove` methods that return a Promise
+   */
+  Util.registerCacheBackend = function(name, backend) {
+    backends[name] = backend;
+  };
+
+})(Util || {});
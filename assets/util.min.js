@@ -1 +1 @@
-var ready=function(a){"loading"===document.readyState?document.addEventListener("DOMContentLoaded",a):a()},each=function(a,b){Array.prototype.forEach.call(document.querySelectorAll(a),function(a,c){b(a,c)})},DEBUG=!1,ClassName={HOVER:"is-hovering",ACTIVE:"is-active",FOCUS:"is-focused",VISIBLE:"is-visible",DISABLED:"is-disabled",OPEN:"is-open",HIDDEN:"is-hidden",INVISIBLE:"invisible",EXPANDED:"is-expanded",SELECTED:"is-selected"},Util=function(){"use strict";var a={locale:Theme.locale,classNames:ClassName,endpoints:{articles:{product:"help_center/"+Theme.locale,endpoint:"articles.json",sideloads:["categories","sections","users","translations"],properties:["id","title","name","html_url","position","category_id","parent_section_id","section_id","promoted","sorting"]},sections:{product:"help_center/"+Theme.locale,endpoint:"sections.json",sideloads:["categories","translations"],properties:["id","name","html_url","position","category_id","parent_section_id","sorting"]},categories:{product:"help_center/"+Theme.locale,endpoint:"categories.json",sideloads:["translations"],properties:["id","name","html_url","position","sorting"]},posts:{product:"community",endpoint:"posts.json",sideloads:["topics","users"],properties:["id","title","html_url","position","featured","pinned","topic_id"]},topics:{product:"community",endpoint:"topics.json",sideloads:[],properties:["id","name","html_url","position"]}},log:function(){!0===DEBUG&&console.log.apply(this,arguments)},typeOf:function(a){return{}.toString.call(a).match(/\s([a-z]+)/i)[1].toLowerCase()},unique:function(a,b){var c=a.map(function(a){return a[b]});return a.filter(function(a,d){return c.indexOf(a[b])===d})},pick:function(a,b){var c={};return a?b&&b.length?(b.forEach(function(b){a.hasOwnProperty(b)&&(c[b]=a[b])}),c):a:c},closest:function(a,b){if(Element.prototype.closest)return a.closest(b);do{if(Element.prototype.matches&&a.matches(b)||Element.prototype.msMatchesSelector&&a.msMatchesSelector(b)||Element.prototype.webkitMatchesSelector&&a.webkitMatchesSelector(b))return a;a=a.parentElement||a.parentNode}while(null!==a&&1===a.nodeType);return null},debounce:function(a,b,c){var d;return function(){var e=this,f=arguments,g=c&&!d;clearTimeout(d),d=setTimeout(function(){d=null,c||a.apply(e,f)},b),g&&a.apply(e,f)}},throttle:function(a,b){var c;return function(){var d=arguments,e=this;c||(a.apply(e,d),c=!0,setTimeout(function(){return c=!1},b))}},isObject:function(a){return a&&"object"==typeof a&&!Array.isArray(a)},extend:function(b,c){var d=Object.assign({},b);return a.isObject(b)&&a.isObject(c)&&Object.keys(c).forEach(function(e){if(!a.isObject(c[e]))d[e]=c[e];else if(!(e in b)){var f={};f[e]=c[e],Object.assign(d,f)}else d[e]=a.isElement(c[e])?c[e]:a.extend(b[e],c[e])}),d},isElement:function(a){return a instanceof Element||a instanceof HTMLDocument},isHomePage:function(a){return a=a||window.location.href,/^http(s)?:\/\/[^\/?#]+(\/hc(\/[a-z-0-9_]+)?(\/)?(signin)?([?]([^?\/]+)?)?([#]([^#\/]+)?)?)?$/.test(a)},isCategoryPage:function(a){return a=a||window.location.href,/\/hc\/([a-z-]+\/)?categories\//i.test(a)},isSectionPage:function(a){return a=a||window.location.href,/\/hc\/([a-z-]+\/)?sections\//i.test(a)},isArticlePage:function(a){return a=a||window.location.href,/\/hc\/([a-z-]+\/)?articles\//i.test(a)},isSearchResultsPage:function(a){return a=a||window.location.href,/\/hc\/([a-z-0-9_]+\/)?search\?*.*/i.test(a)},isNewRequestPage:function(a){return a=a||window.location.href,/\/hc\/([a-z-0-9_]+\/)?requests\/new(\/)?([?#].*)?$/i.test(a)},isTopicListPage:function(a){return a=a||window.location.href,/\/hc\/([a-z-0-9_]+\/)?community\/topics(\/)?([?#].*)?$/i.test(a)},isPostListPage:function(a){return a=a||window.location.href,/\/hc\/([a-z-0-9_]+\/)?community\/posts(\/)?([?#].*)?$/i.test(a)},isTopicPage:function(a){return a=a||window.location.href,/\/hc\/([a-z-0-9_]+\/)?community\/topics\/[^\/?#]+(\/)?([?#].*)?$/i.test(a)},isPostPage:function(b){return b=b||window.location.href,!a.isNewPostPage(b)&&/\/hc\/([a-z-0-9_]+\/)?community\/posts\/[^\/?#]+(\/)?([?#].*)?$/i.test(b)},isNewPostPage:function(a){return a=a||window.location.href,/\/hc\/([a-z-0-9_]+\/)?community\/posts\/new(\/)?([?#].*)?$/i.test(a)},isUserProfilePage:function(a){return a=a||window.location.href,/\/hc\/([a-z-0-9_]+\/)?profiles\/[^\/?#]+(\/)?([?#].*)?$/i.test(a)},sortByDate:function(c,a){if(c.hasOwnProperty("promoted")&&a.hasOwnProperty("promoted")){if(c.promoted>a.promoted)return-1;if(a.promoted>c.promoted)return 1}return new Date(c.created_at)-new Date(a.created_at)},sortByPosition:function(c,a){if(c.hasOwnProperty("promoted")&&a.hasOwnProperty("promoted")){if(c.promoted>a.promoted)return-1;if(a.promoted>c.promoted)return 1}return c.position-a.position},sortByName:function(c,a){if(c.hasOwnProperty("promoted")&&a.hasOwnProperty("promoted")){if(c.promoted>a.promoted)return-1;if(a.promoted>c.promoted)return 1}return(c.title||c.name)<(a.title||a.name)?-1:(c.title||c.name)>(a.title||a.name)?1:0},getPageId:function(a){a=a||window.location.href;var b=a.split("/"),c=b[b.length-1];return parseInt(c,10)||null},getURLParameter:function(a,b){b=b||location.search,a=a.replace(/[\[]/,"\\[").replace(/[\]]/,"\\]");var c=new RegExp("[\\?&]"+a+"=([^&#]*)"),d=c.exec(b);return null===d?"":decodeURIComponent(d[1].replace(/\+/g," "))},setURLParameter:function(a,b,c){b=encodeURIComponent(b),c=encodeURIComponent(c);var d=a.split("?")[0],e=b+"="+c,f="?"+e,g=void 0===a.split("?")[1]?"":"?"+a.split("?")[1];if(g){var h=new RegExp("([?&])"+b+"[^&]*"),i=new RegExp("([?&])"+b+"=[^&;]+[&;]?");"undefined"==typeof c||null===c||""===c?(f=g.replace(i,"$1"),f=f.replace(/[&;]$/,"")):null===g.match(h)?""===g?f="?"+e:f=g+"&"+e:f=g.replace(h,"$1"+e)}return f="?"===f?"":f,d+f},getTransitionDuration:function(a){if(!a)return 0;var b=getComputedStyle(a),c=parseFloat(b.transitionDuration),d=parseFloat(b.transitionDelay);return c||d?1e3*(c+d):0},onTransitionEnd:function(b,c){if(b&&c&&"function"==typeof c){var d=!1,f=this;b.addEventListener("transitionend",function a(g){g.target!==b||(d=!0,b.removeEventListener("transitionend",a,!1),c.call(f,g))},!1),setTimeout(function(){d||a.triggerEvent(b,"transitionend")},a.getTransitionDuration(b))}},getHashString:function(a){var b=0;if(0===a.length)return b;for(var c,d=0;d<a.length;d++)c=a.charCodeAt(d),b=(b<<5)-b+c,b&=b;return b},intersection:function(a,b){return a.filter(function(a){return b.includes(a)})},comparePosition:function(c,a){if(c.position<a.position)return-1;return c.position>a.position?1:0},get:function(b,c){if("string"==typeof b&&(b=[b]),!Array.isArray(b)||!b.length)return new Promise(function(a,b){b(new Error("The object argument provided is invalid"))});var d=Object.keys(a.endpoints),e=b.filter(function(a){return-1!==d.indexOf(a)});if(!e.length)return new Promise(function(a,b){b(new Error("The specified object types are not supported"))});var f=[];return d.forEach(function(d){if(-1!==b.indexOf(d)){var g=a.endpoints[d],h=g.endpoint,i=a.intersection(b,g.sideloads);i.length&&(h+="?include="+i.join(","),e=e.filter(function(a){return-1===i.indexOf(a)})),f.push({id:d,url:"/api/v2/"+g.product+"/"+h,properties:c||g.properties})}}),f=f.filter(function(a){return-1!==e.indexOf(a.id)}),f.length?Promise.all(f.map(function(b){return a.request(b.url,b.properties)})).then(function(a){if(1===a.length)return a[0];var b={};return a.forEach(function(a){for(var c in a)a.hasOwnProperty(c)&&-1!==d.indexOf(c)&&(b[c]=a[c])}),b}):new Promise(function(a,b){b(new Error("No valid REST API endpoints were found"))})},filterObjectProperties:function(b,c){var d=Object.keys(a.endpoints);for(var e in b)b.hasOwnProperty(e)&&-1!==d.indexOf(e)&&Array.isArray(b[e])&&(b[e]=b[e].filter(function(a){return!(a.hasOwnProperty("draft")&&!0===a.draft)}).map(function(b){return a.pick(b,c)}),-1!==c.indexOf("position")&&1===b.page_count&&b[e].sort(a.comparePosition));return delete b.previous_page,delete b.sort_by,delete b.sort_order,b},getPreviewCookie:function(){return document.cookie.split("; ").find(function(a){return /(^hc-[a-z0-9]+-preview)/i.test(a)})},getExcerpt:function(a,b){return b&&(a=a.replace(/<[^>]+>/g,""),a.length>b)?a.substring(0,b)+"...":a},request:function(b,c){c=c||[];var d=Util.getURLParameter("per_page",b);d||(b=a.setURLParameter(b,"per_page",100));var e=function(b,c){if(b.page_count&&(1===b.page_count||1<b.page))return b;for(var d=[],e=2;e<=b.page_count;e++)d.push(a.setURLParameter(b.next_page,"page",e));var f=Object.keys(a.endpoints);return Promise.all(d.map(function(b){return a.request(b,c)})).then(function(d){for(var e in d.forEach(function(a){for(var c in a)a.hasOwnProperty(c)&&Array.isArray(a[c])&&-1!==f.indexOf(c)&&(b[c]=b[c].concat(a[c]))}),b)b.hasOwnProperty(e)&&Array.isArray(b[e])?(b[e]=a.unique(b[e],"id"),-1<c.indexOf("position")&&b[e].sort(a.comparePosition)):delete b[e];return b})},f=a.getHashString(b+c.join("-")),g=Util.storage(f,!0);return g.isValid(3600000)?new Promise(function(a){a(e(g.get(),c))}):fetch(b).then(function(a){if(200!==a.status)return Promise.reject(new Error(a.statusText));var b=a.headers.get("Content-Type");return-1===b.indexOf("application/json")?Promise.reject("Response does not have a content type of JSON"):a.json()}).then(function(b){return b=a.filterObjectProperties(b,c),g.set(b),e(b,c)})},scrollIntoView:function(a,b,c){if(b=parseInt(b,10)||0,c=c||window,!!a)if(b){var d=a.getBoundingClientRect().top,e=c===window?c.pageYOffset:c.scrollTop,f=c===window?0:c.offsetTop,g=d-b+e-f;c.scrollTo({top:g,behavior:"smooth"})}else"function"==typeof a.scrollIntoView&&a.scrollIntoView({block:"start",inline:"nearest",behavior:"smooth"})},replaceWithSVG:function(b){var c=[],d=function(a){return"IMG"===a.tagName&&a.src&&"svg"===a.src.substr(a.src.lastIndexOf(".")+1)};"string"==typeof b&&(b=document.querySelectorAll(b),!b)||(NodeList.prototype.isPrototypeOf(b)?c=Array.prototype.filter.call(b,function(a){return!!d(a)||(a.classList.remove(ClassName.INVISIBLE),!1)}):a.isElement(b)&&(d(b)?c.push(b):b.classList.remove(ClassName.INVISIBLE)),c.length&&c.forEach(function(a){fetch(a.src,{cache:"no-cache",mode:"cors",credentials:"omit"}).then(function(a){return a.blob()}).then(function(a){return a.text()}).then(function(b){var c=document.createElement("div");c.innerHTML=b.trim();var d=c.querySelector("svg");a.classList.forEach(function(a){d.classList.add(a)});for(var e,f=0;f<a.attributes.length;f++)e=a.attributes[f],d.setAttribute(e.name,e.value);d.removeAttribute("data-inline-svg"),d.classList.remove(ClassName.INVISIBLE),a.replaceWith(d)})}))},reflow:function(a){return a.offsetHeight},triggerEvent:function(a,b,c){if(b){var d=new CustomEvent(b,{bubbles:!0,cancelable:!0,detail:c||{}});return(a||window).dispatchEvent(d),d}},getSelectorFromElement:function(a){var b=a.getAttribute("data-target");if(!b||"#"===b){var c=a.getAttribute("href");b=c&&"#"!==c?c.trim():""}try{return document.querySelector(b)?b:null}catch(a){return null}}};return a}();(function(a){window.dataStorage={_storage:new WeakMap,put:function(a,b,c){this._storage.has(a)||this._storage.set(a,new Map),this._storage.get(a).set(b,c)},get:function(a,b){return this._storage.has(a)?this._storage.get(a).get(b):void 0},has:function(a,b){return this._storage.has(a)&&this._storage.get(a).has(b)},remove:function(a,b){var c=this._storage.get(a).delete(b);return 0===!this._storage.get(a).size&&this._storage.delete(a),c}};var b=0,c=function(c,d){if(!a.isElement(c))throw Error("A valid DOM element was not provided.");this.el=c,this.instanceNumber=b++,this.id="zp-"+this.instanceNumber,this.options=this._getOptions(d),this.events=a.extend(this.events,{initialize:"initialize"}),this.initialize(this.options)},d=c.prototype;d.defaults={},d.optionTypes={},d.events={},d._getOptions=function(b){b=a.extend(this.defaults,b);var c=this.el.dataset;for(var d in c)if(c.hasOwnProperty(d)&&b.hasOwnProperty(d)){var e=c[d];"true"===e&&(e=!0),"false"===e&&(e=!1),"null"===e&&(e=null),e===+e+""&&(e=+e),b[d]=e}return this._checkOptionTypes(b,this.optionTypes),b},d._checkOptionTypes=function(b,c){for(var d in c)if(Object.prototype.hasOwnProperty.call(c,d)){var e=c[d],f=b[d],g=f&&a.isElement(f)?"element":a.typeOf(f);if(!new RegExp(e).test(g))throw new Error("Option \""+d+"\" provided \""+g+"\" but expected \""+e+"\"")}},d.initialize=function(){},d._getClassName=function(b){var c;if(!this.options.hasOwnProperty("classNames")||"object"!==a.typeOf(this.options.classNames)||!this.options.classNames.hasOwnProperty(b))return c;var d=this.options.classNames;return"function"==typeof d[b]?c=d[b].apply(this,[].slice.call(arguments,1)):"string"==typeof d[b]&&(c=d[b]),c},a.createPlugin=function(a){var b=function(a,b){c.call(this,a,b)};for(var d in b.prototype=Object.create(c.prototype),a)a.hasOwnProperty(d)&&(b.prototype[d]=a[d]);return Object.defineProperty(b.prototype,"constructor",{enumerable:!1,value:b}),b}})(Util||{}),function(a){var b={evaluate:/<%([\s\S]+?)%>/g,interpolate:/<%=([\s\S]+?)%>/g,escape:/<%-([\s\S]+?)%>/g},c=/(.)^/,d={"'":"'","\\":"\\","\r":"r","\n":"n","\u2028":"u2028","\u2029":"u2029"},e=function(a){return"\\"+d[a]},f=function(a){var b=function(b){return a[b]},c="(?:"+Object.keys(a).join("|")+")",d=RegExp(c),e=RegExp(c,"g");return function(a){return a=null==a?"":""+a,d.test(a)?a.replace(e,b):a}}({"&":"&amp;","<":"&lt;",">":"&gt;",'"':"&quot;","'":"&#x27;","`":"&#x60;"});a.getTemplateString=function(a){if(!a)return"";var b=document.querySelectorAll("#tmpl-"+a);return b.length?b[b.length-1].innerHTML||"":""},a.template=function(d,f){f=f||{},f=a.extend(f,b),d=a.decodeHTML(d);var g=RegExp([(f.escape||c).source,(f.interpolate||c).source,(f.evaluate||c).source].join("|")+"|$","g"),h=0,i="__p+='";d.replace(g,function(a,b,c,f,g){return i+=d.slice(h,g).replace(/\\|'|\r|\n|\u2028|\u2029/g,e),h=g+a.length,b?i+="'+\n((__t=("+b+"))==null?'':escape(__t))+\n'":c?i+="'+\n((__t=("+c+"))==null?'':__t)+\n'":f&&(i+="';\n"+f+"\n__p+='"),a}),i+="';\n",f.variable||(i="with(obj||{}){\n"+i+"}\n"),i="var __t,__p='',__j=Array.prototype.join,print=function(){__p+=__j.call(arguments,'');};\n"+i+"return __p;\n";var j;try{j=new Function(f.variable||"obj",i)}catch(a){throw a.source=i,a}var k=function(a){return j.call(this,a)};return k},a.decodeHTML=function(a){var b=document.createElement("textarea");return b.innerHTML=a,b.value},a.renderTemplate=function(b,c,d,e){d=d||{},e=e||{},e.hasOwnProperty("replaceContent")||(e.replaceContent=!0),"string"==typeof b&&(b=document.querySelector(b)),b||console.error("A valid HTML element was not specified");var f=document.querySelectorAll("#tmpl-"+c),g=f.length?f[f.length-1]:null,h="";if(!g||!g.innerHTML){a.log("Template "+c+" does not exist");var i={topbar:"Top Bar",notification:"Notification","header-search":"Header Search","category-dropdown":"Category Dropdown","popular-keywords":"Popular Keywords","custom-blocks":"Custom Blocks","content-blocks":"Content Blocks","contact-blocks":"Contact Blocks","call-to-action":"Call to Action","table-of-contents":"Table of Contents","form-list":"Form List","form-tip":"Form Tip",articles:"Articles","promoted-articles":"Promoted Articles","sidebar-navigation":"Sidebar Navigation","back-to-top-link":"Category Dropdown"},j=i.hasOwnProperty(c)?i[c]:c;h="<div class=\"notification-notice template-notice border border-radius my-5 px-5 py-4 font-size-md\"><h4>Custom micro-template</h4><p>With the theme <a href=\"https://support.zendesk.com/hc/en-us/articles/4408842911898#topic_pzy_jb1_wmb\" target=\"_blank\">Developer license</a> you can copy-and-paste your desired <b>"+j+"</b> template from our Pattern Library into the bottom of your theme's <a href=\"https://support.zendesk.com/hc/en-us/articles/4408839332250#topic_h5c_k4w_n3\" target=\"_blank\">footer.hbs template</a> and have it appear here automatically.</p></div>"}else h=g.innerHTML;d.partial=function(a,b){var c=document.getElementById("tmpl-"+a);return c&&c.innerHTML?k(c.innerHTML,b):""};var k=function(b,c){var d=a.template(a.decodeHTML(b));return d(c).replace(/(^\s+|\s+$)/g,"")},l=k(h,d);if(l?(!0===e.replaceContent?b.innerHTML=l:b.insertAdjacentHTML("afterbegin",l),a.triggerEvent(b,"template:render",{relatedTarget:b})):!0===e.removeEmptyElement&&b.remove(),b){var m=b.querySelectorAll("img[data-inline-svg]");m.length&&a.replaceWithSVG(m),e.hasOwnProperty("removeClasses")&&Array.isArray(e.removeClasses)&&e.removeClasses.length&&e.removeClasses.forEach(function(a){b.classList.remove(a)})}}}(Util||{}),function(a){var b=function(a,b){if(!a)throw Error("Please provide an ID for your storage");this.id=a,this.storage=b?sessionStorage:localStorage},c=b.prototype;c.set=function(a){this.storage.setItem(this.id,JSON.stringify({timestamp:new Date().getTime(),data:a}))},c.get=function(a,b){var c=this.storage.getItem(this.id);return c=c?JSON.parse(c):null,c&&!0!==DEBUG?b?c:c.data:a?a:c},c.isValid=function(a){var b=this.get(null,!0);if(!b||!0===DEBUG)return!1;var c=new Date().getTime()-b.timestamp;return c<a},c.remove=function(){this.storage.removeItem(this.id)},a.storage=function(a,c){return new b(a,c)}}(Util||{});
\ No newline at end of file
+var ready=function(e){"loading"!==document.readyState?e():document.addEventListener("DOMContentLoaded",e)},each=function(e,t){Array.prototype.forEach.call(document.querySelectorAll(e),function(e,n){t(e,n)})},DEBUG=!1,ClassName={HOVER:"is-hovering",ACTIVE:"is-active",FOCUS:"is-focused",VISIBLE:"is-visible",DISABLED:"is-disabled",OPEN:"is-open",HIDDEN:"is-hidden",INVISIBLE:"invisible",EXPANDED:"is-expanded",SELECTED:"is-selected"},Util=function(){"use strict";var e=[],t=0,n=0,r=null,o={},i=function(){var o=n-(new Date).getTime();if(o>0)r||(r=setTimeout(function(){r=null,i()},o));else for(;e.length&&t<u.requestSettings.concurrency;)e.shift()()},a=function(e,t){t=t||{},this.name="RequestError",this.message=e,this.status=t.status||0,this.url=t.url||null,this.endpoint=t.endpoint||u.getEndpointId(this.url),this.retryable=t.hasOwnProperty("retryable")?t.retryable:a.isRetryable(this.status),this.stack=new Error(e).stack};a.prototype=Object.create(Error.prototype),a.prototype.constructor=a,a.isRetryable=function(e){return 0===e||408===e||429===e||e>=500};var s=function(e){return String(e).replace(/[&<>"']/g,function(e){return{"&":"&amp;","<":"&lt;",">":"&gt;",'"':"&quot;","'":"&#x27;"}[e]})},c=function(e){return JSON.parse(JSON.stringify(e))},u={locale:Theme.locale,classNames:ClassName,endpoints:{articles:{product:"help_center/"+Theme.locale,endpoint:"articles.json",sideloads:["categories","sections","users","translations"],properties:["id","title","name","html_url","position","category_id","parent_section_id","section_id","promoted","sorting"]},sections:{product:"help_center/"+Theme.locale,endpoint:"sections.json",sideloads:["categories","translations"],properties:["id","name","html_url","position","category_id","parent_section_id","sorting"]},categories:{product:"help_center/"+Theme.locale,endpoint:"categories.json",sideloads:["translations"],properties:["id","name","html_url","position","sorting"]},posts:{product:"community",endpoint:"posts.json",sideloads:["topics","users"],properties:["id","title","html_url","position","featured","pinned","topic_id"]},topics:{product:"community",endpoint:"topics.json",sideloads:[],properties:["id","name","html_url","position"]}},searchEndpoints:{articles:{product:"help_center",endpoint:"articles/search.json",filters:{query:"query",labels:"label_names",category:"category",section:"section",locale:"locale"},properties:["id","title","html_url","snippet","section_id","label_names","locale","created_at","updated_at"]},posts:{product:"community",endpoint:"posts/search.json",filters:{query:"query",topic:"topic"},properties:["id","title","html_url","snippet","topic_id","created_at","updated_at"]}},cacheSettings:Object.assign({backend:"session",ttl:36e5,endpoints:{},staleWhileRevalidate:!1},Theme.cache||{}),RequestError:a,requestSettings:Object.assign({concurrency:4,retries:3,retryDelay:1e3},Theme.requests||{}),log:function(){!0===DEBUG&&console.log.apply(this,arguments)},typeOf:function(e){return{}.toString.call(e).match(/\s([a-z]+)/i)[1].toLowerCase()},unique:function(e,t){var n=e.map(function(e){return e[t]});return e.filter(function(e,r){return n.indexOf(e[t])===r})},pick:function(e,t){var n={};return e?t&&t.length?(t.forEach(function(t){e.hasOwnProperty(t)&&(n[t]=e[t])}),n):e:n},closest:function(e,t){if(Element.prototype.closest)return e.closest(t);do{if(Element.prototype.matches&&e.matches(t)||Element.prototype.msMatchesSelector&&e.msMatchesSelector(t)||Element.prototype.webkitMatchesSelector&&e.webkitMatchesSelector(t))return e;e=e.parentElement||e.parentNode}while(null!==e&&1===e.nodeType);return null},debounce:function(e,t,n){var r;return function(){var o=this,i=arguments,a=n&&!r;clearTimeout(r),r=setTimeout(function(){r=null,n||e.apply(o,i)},t),a&&e.apply(o,i)}},throttle:function(e,t){var n;return function(){var r=arguments;n||(e.apply(this,r),n=!0,setTimeout(function(){return n=!1},t))}},isObject:function(e){return e&&"object"==typeof e&&!Array.isArray(e)},extend:function(e,t){var n=Object.assign({},e);return u.isObject(e)&&u.isObject(t)&&Object.keys(t).forEach(function(r){if(u.isObject(t[r]))if(r in e)u.isElement(t[r])?n[r]=t[r]:n[r]=u.extend(e[r],t[r]);else{var o={};o[r]=t[r],Object.assign(n,o)}else n[r]=t[r]}),n},isElement:function(e){return e instanceof Element||e instanceof HTMLDocument},isHomePage:function(e){return e=e||window.location.href,/^http(s)?:\/\/[^\/?#]+(\/hc(\/[a-z-0-9_]+)?(\/)?(signin)?([?]([^?\/]+)?)?([#]([^#\/]+)?)?)?$/.test(e)},isCategoryPage:function(e){return e=e||window.location.href,/\/hc\/([a-z-]+\/)?categories\//i.test(e)},isSectionPage:function(e){return e=e||window.location.href,/\/hc\/([a-z-]+\/)?sections\//i.test(e)},isArticlePage:function(e){return e=e||window.location.href,/\/hc\/([a-z-]+\/)?articles\//i.test(e)},isSearchResultsPage:function(e){return e=e||window.location.href,/\/hc\/([a-z-0-9_]+\/)?search\?*.*/i.test(e)},isNewRequestPage:function(e){return e=e||window.location.href,/\/hc\/([a-z-0-9_]+\/)?requests\/new(\/)?([?#].*)?$/i.test(e)},isTopicListPage:function(e){return e=e||window.location.href,/\/hc\/([a-z-0-9_]+\/)?community\/topics(\/)?([?#].*)?$/i.test(e)},isPostListPage:function(e){return e=e||window.location.href,/\/hc\/([a-z-0-9_]+\/)?community\/posts(\/)?([?#].*)?$/i.test(e)},isTopicPage:function(e){return e=e||window.location.href,/\/hc\/([a-z-0-9_]+\/)?community\/topics\/[^\/?#]+(\/)?([?#].*)?$/i.test(e)},isPostPage:function(e){return e=e||window.location.href,!u.isNewPostPage(e)&&/\/hc\/([a-z-0-9_]+\/)?community\/posts\/[^\/?#]+(\/)?([?#].*)?$/i.test(e)},isNewPostPage:function(e){return e=e||window.location.href,/\/hc\/([a-z-0-9_]+\/)?community\/posts\/new(\/)?([?#].*)?$/i.test(e)},isUserProfilePage:function(e){return e=e||window.location.href,/\/hc\/([a-z-0-9_]+\/)?profiles\/[^\/?#]+(\/)?([?#].*)?$/i.test(e)},sortByDate:function(e,t){if(e.hasOwnProperty("promoted")&&t.hasOwnProperty("promoted")){if(e.promoted>t.promoted)return-1;if(t.promoted>e.promoted)return 1}return new Date(e.created_at)-new Date(t.created_at)},sortByPosition:function(e,t){if(e.hasOwnProperty("promoted")&&t.hasOwnProperty("promoted")){if(e.promoted>t.promoted)return-1;if(t.promoted>e.promoted)return 1}return e.position-t.position},sortByName:function(e,t){if(e.hasOwnProperty("promoted")&&t.hasOwnProperty("promoted")){if(e.promoted>t.promoted)return-1;if(t.promoted>e.promoted)return 1}return(e.title||e.name)<(t.title||t.name)?-1:(e.title||e.name)>(t.title||t.name)?1:0},getPageId:function(e){var t=(e=e||window.location.href).split("/"),n=t[t.length-1];return parseInt(n,10)||null},getURLParameter:function(e,t){t=t||location.search,e=e.replace(/[\[]/,"\\[").replace(/[\]]/,"\\]");var n=new RegExp("[\\?&]"+e+"=([^&#]*)").exec(t);return null===n?"":decodeURIComponent(n[1].replace(/\+/g," "))},setURLParameter:function(e,t,n){t=encodeURIComponent(t),n=encodeURIComponent(n);var r=e.split("?")[0],o=t+"="+n,i="?"+o,a=void 0===e.split("?")[1]?"":"?"+e.split("?")[1];if(a){var s=new RegExp("([?&])"+t+"[^&]*"),c=new RegExp("([?&])"+t+"=[^&;]+[&;]?");i=null==n||""===n?(i=a.replace(c,"$1")).replace(/[&;]$/,""):null!==a.match(s)?a.replace(s,"$1"+o):""===a?"?"+o:a+"&"+o}return r+(i="?"===i?"":i)},getTransitionDuration:function(e){if(!e)return 0;var t=getComputedStyle(e),n=parseFloat(t.transitionDuration),r=parseFloat(t.transitionDelay);return n||r?1e3*(n+r):0},onTransitionEnd:function(e,t){if(e&&t&&"function"==typeof t){var n=!1,r=this;e.addEventListener("transitionend",function o(i){i.target===e&&(n=!0,e.removeEventListener("transitionend",o,!1),t.call(r,i))},!1),setTimeout(function(){n||u.triggerEvent(e,"transitionend")},u.getTransitionDuration(e))}},getHashString:function(e){var t=0;if(0===e.length)return t;for(var n=0;n<e.length;n++){t=(t<<5)-t+e.charCodeAt(n),t&=t}return t},intersection:function(e,t){return e.filter(function(e){return t.includes(e)})},comparePosition:function(e,t){return e.position<t.position?-1:e.position>t.position?1:0},get:function(e,t,n){if(n=n||{},"string"==typeof e&&(e=[e]),!Array.isArray(e)||!e.length)return new Promise(function(e,t){t(new Error("The object argument provided is invalid"))});if(n.search)return u.search(e[0],n.search,t,n);var r=Object.keys(u.endpoints),o=e.filter(function(e){return-1!==r.indexOf(e)});if(!o.length)return new Promise(function(e,t){t(new Error("The specified object types are not supported"))});var i=[];if(r.forEach(function(n){if(-1!==e.indexOf(n)){var r=u.endpoints[n],a=r.endpoint,s=u.intersection(e,r.sideloads);s.length&&(a+="?include="+s.join(","),o=o.filter(function(e){return-1===s.indexOf(e)})),i.push({id:n,url:"/api/v2/"+r.product+"/"+a,properties:t||r.properties})}}),!(i=i.filter(function(e){return-1!==o.indexOf(e.id)})).length)return new Promise(function(e,t){t(new Error("No valid REST API endpoints were found"))});var a=function(e){if(1===e.length)return e[0];var t={};return e.forEach(function(e){for(var n in e)e.hasOwnProperty(n)&&-1!==r.indexOf(n)&&(t[n]=e[n])}),t},s=[],c="function"==typeof n.onUpdate?n.onUpdate:null;return Promise.all(i.map(function(e,t){return u.request(e.url,e.properties,Util.extend(n,{onUpdate:c&&function(e){s[t]=e,s.filter(Boolean).length===i.length&&c(a(s))}}))})).then(function(e){return e.forEach(function(e,t){s[t]||(s[t]=e)}),a(s)})},search:function(e,t,n,r){t=t||{},r=r||{};var o=u.searchEndpoints[e];if(!o)return Promise.reject(new Error("Search is not supported for the object type "+e));var i=t.cursor;if(!i){i="/api/v2/"+o.product+"/"+o.endpoint,"articles"!==e||t.locale||(t=Util.extend(t,{locale:u.locale}));var a=!1;for(var s in o.filters)if(o.filters.hasOwnProperty(s)){var c=Array.isArray(t[s])?t[s].join(","):t[s];null!=c&&""!==c&&(i=u.setURLParameter(i,o.filters[s],c),"locale"!==s&&(a=!0))}if(!a)return Promise.reject(new Error("A search query or filter must be provided"))}return u.getURLParameter("per_page",i)||(i=u.setURLParameter(i,"per_page",t.perPage||25)),n=n||o.properties,u.request(i,[],Util.extend(r,{paginate:!1,ttl:"number"==typeof r.ttl?r.ttl:u.cacheSettings.endpoints.search||3e5})).then(function(r){var o={count:r.count||0,next:r.next_page||null,query:t.query||""};return o[e]=(r.results||[]).map(function(e){var r=u.pick(e,n);return r.highlight={title:u.highlight(e.title||e.name||"",t.query),snippet:e.snippet||""},r}),o})},highlight:function(e,t){var n=(t||"").split(/\s+/).filter(function(e){return e.length>1}).map(function(e){return e.replace(/[.*+?^${}()|[\]\\]/g,"\\$&")});return n.length?String(e||"").split(new RegExp("("+n.join("|")+")","gi")).map(function(e,t){return t%2?"<mark>"+s(e)+"</mark>":s(e)}).join(""):s(e||"")},getEndpointId:function(e){var t=(e||"").split("?")[0].match(/\/([a-z_]+)\.json$/i);return t&&u.endpoints.hasOwnProperty(t[1])?t[1]:null},getCacheTTL:function(e){var t=u.cacheSettings,n=u.getEndpointId(e);return n&&t.endpoints&&"number"==typeof t.endpoints[n]?t.endpoints[n]:t.ttl},filterObjectProperties:function(e,t){var n=Object.keys(u.endpoints);for(var r in e)e.hasOwnProperty(r)&&-1!==n.indexOf(r)&&Array.isArray(e[r])&&(e[r]=e[r].filter(function(e){return!(e.hasOwnProperty("draft")&&!0===e.draft)}).map(function(e){return u.pick(e,t)}),-1!==t.indexOf("position")&&1===e.page_count&&e[r].sort(u.comparePosition));return delete e.previous_page,delete e.sort_by,delete e.sort_order,e},getPreviewCookie:function(){return document.cookie.split("; ").find(function(e){return/(^hc-[a-z0-9]+-preview)/i.test(e)})},getExcerpt:function(e,t){return t&&(e=e.replace(/<[^>]+>/g,"")).length>t?e.substring(0,t)+"...":e},fetch:function(r,o){return o=o||0,(s=function(){return fetch(r).catch(function(e){return Promise.reject(new a(e.message||"Network error",{url:r}))})},new Promise(function(n,r){e.push(function(){var e=function(){t--,i()};t++,s().then(n,r).then(e,e)}),i()})).then(function(e){if(429===e.status&&o<u.requestSettings.retries){var t=function(e,t){var n=e.headers.get("Retry-After");if(n){var r=parseInt(n,10);if(!isNaN(r))return 1e3*r;var o=new Date(n).getTime();if(!isNaN(o))return Math.max(0,o-(new Date).getTime())}return u.requestSettings.retryDelay*Math.pow(2,t)}(e,o);return Util.log("Request to "+r+" was rate limited, retrying in "+t+"ms"),n=Math.max(n,(new Date).getTime()+t),u.fetch(r,o+1)}return e});var s},getJSON:function(e,t){var n={status:e.status,url:e.url,endpoint:t};return e.ok?-1===(e.headers.get("Content-Type")||"").indexOf("application/json")?(n.retryable=!1,Promise.reject(new a("Response does not have a content type of JSON",n))):e.json().catch(function(){return n.retryable=!1,Promise.reject(new a("Response is not valid JSON",n))}):Promise.reject(new a(e.statusText||"Request failed with status "+e.status,n))},request:function(e,t,n){t=t||[],!0===(n=n||{}).cursor||/[?&]page(\[|%5B)size(\]|%5D)=/i.test(e)?/[?&]page(\[|%5B)size(\]|%5D)=/i.test(e)||(e=u.setURLParameter(e,"page[size]",100)):Util.getURLParameter("per_page",e)||(e=u.setURLParameter(e,"per_page",100));var r=u.cacheSettings,i=n.backend||r.backend,a="number"==typeof n.ttl?n.ttl:u.getCacheTTL(e),s=n.hasOwnProperty("staleWhileRevalidate")?n.staleWhileRevalidate:r.staleWhileRevalidate,l=Object.keys(u.endpoints),p=u.getEndpointId(e),f=parseInt(n.limit,10)||0,h=function(e){var t=p&&Array.isArray(e[p])?p:l.filter(function(t){return Array.isArray(e[t])})[0];return t?e[t].length:0},d=function(e,n){for(var r in n.forEach(function(t){for(var n in t)t.hasOwnProperty(n)&&Array.isArray(t[n])&&-1!==l.indexOf(n)&&(e[n]=(e[n]||[]).concat(t[n]))}),e)e.hasOwnProperty(r)&&Array.isArray(e[r])?(e[r]=u.unique(e[r],"id"),t.indexOf("position")>-1&&e[r].sort(u.comparePosition),f&&r===p&&(e[r]=e[r].slice(0,f))):delete e[r];return e},m=function(e,n){var r=[],o=h(e),i=function(a){return!a.meta||!0!==a.meta.has_more||!a.links||!a.links.next||f&&o>=f?Promise.resolve(d(e,r)):u.request(a.links.next,t,Util.extend(n,{paginate:!1})).then(function(e){return r.push(e),o+=h(e),i(e)})};return i(e)},g=function(t,r,o){if(!1===n.paginate)return t;if(t.meta&&t.meta.hasOwnProperty("has_more"))return m(t,o);if(t.page>1)return t;if(1===t.page_count)return f?d(t,[]):t;var i=t.page_count;if(f){var a=parseInt(u.getURLParameter("per_page",e),10)||100;i=Math.min(i,Math.ceil(f/a))}for(var s=[],c=2;c<=i;c++)s.push(u.setURLParameter(t.next_page,"page",c));return Promise.all(s.map(function(e){return u.request(e,r,o)})).then(function(e){return d(t,e)})},v=u.getHashString(e+t.join("-")),y=Util.cache(i),w=function(){return o.hasOwnProperty(v)?(Util.log("Reusing pending request for "+e),o[v].then(c)):(o[v]=u.fetch(e).then(function(t){return u.getJSON(t,u.getEndpointId(e))}).then(function(e){return e=u.filterObjectProperties(e,t),y.set(v,e).then(function(){return e})}).then(function(e){return delete o[v],e},function(e){return delete o[v],Promise.reject(e)}),o[v].then(c))},b={backend:i,ttl:a,staleWhileRevalidate:!1};return!0===n.force?w().then(function(e){return g(e,t,Util.extend(b,{force:!0}))}):y.get(v).then(function(r){return r&&(!0===n.stale||y.isValid(r,a))?g(r.data,t,Util.extend(b,{stale:!0===n.stale})):r&&s?(Util.log("Revalidating cached response for "+e),w().then(function(e){return g(e,t,Util.extend(b,{force:!0}))}).then(function(e){"function"==typeof n.onUpdate&&n.onUpdate(e)}).catch(function(t){Util.log("Unable to revalidate cached response for "+e,t)}),g(r.data,t,Util.extend(b,{stale:!0}))):w().then(function(e){return g(e,t,b)})})},scrollIntoView:function(e,t,n){if(t=parseInt(t,10)||0,n=n||window,e)if(t){var r=e.getBoundingClientRect().top-t+(n===window?n.pageYOffset:n.scrollTop)-(n===window?0:n.offsetTop);n.scrollTo({top:r,behavior:"smooth"})}else"function"==typeof e.scrollIntoView&&e.scrollIntoView({block:"start",inline:"nearest",behavior:"smooth"})},replaceWithSVG:function(e){var t=[],n=function(e){return"IMG"===e.tagName&&e.src&&"svg"===e.src.substr(e.src.lastIndexOf(".")+1)};("string"!=typeof e||(e=document.querySelectorAll(e)))&&(NodeList.prototype.isPrototypeOf(e)?t=Array.prototype.filter.call(e,function(e){return!!n(e)||(e.classList.remove(ClassName.INVISIBLE),!1)}):u.isElement(e)&&(n(e)?t.push(e):e.classList.remove(ClassName.INVISIBLE)),t.length&&t.forEach(function(e){fetch(e.src,{cache:"no-cache",mode:"cors",credentials:"omit"}).then(function(e){return e.blob()}).then(function(e){return e.text()}).then(function(t){var n=document.createElement("div");n.innerHTML=t.trim();var r=n.querySelector("svg");e.classList.forEach(function(e){r.classList.add(e)});for(var o=0;o<e.attributes.length;o++){var i=e.attributes[o];r.setAttribute(i.name,i.value)}r.removeAttribute("data-inline-svg"),r.classList.remove(ClassName.INVISIBLE),e.replaceWith(r)})}))},reflow:function(e){return e.offsetHeight},triggerEvent:function(e,t,n){if(t){var r=new CustomEvent(t,{bubbles:!0,cancelable:!0,detail:n||{}});return(e||window).dispatchEvent(r),r}},getSelectorFromElement:function(e){var t=e.getAttribute("data-target");if(!t||"#"===t){var n=e.getAttribute("href");t=n&&"#"!==n?n.trim():""}try{return document.querySelector(t)?t:null}catch(e){return null}}};return u}();(function(e){window.dataStorage={_storage:new WeakMap,put:function(e,t,n){this._storage.has(e)||this._storage.set(e,new Map),this._storage.get(e).set(t,n)},get:function(e,t){if(this._storage.has(e))return this._storage.get(e).get(t)},has:function(e,t){return this._storage.has(e)&&this._storage.get(e).has(t)},remove:function(e,t){var n=this._storage.get(e).delete(t);return 0===!this._storage.get(e).size&&this._storage.delete(e),n}};var t=0,n=function(n,r){if(!e.isElement(n))throw Error("A valid DOM element was not provided.");this.el=n,this.instanceNumber=t++,this.id="zp-"+this.instanceNumber,this.options=this._getOptions(r),this.events=e.extend(this.events,{initialize:"initialize"}),this.initialize(this.options)},r=n.prototype;r.defaults={},r.optionTypes={},r.events={},r._getOptions=function(t){t=e.extend(this.defaults,t);var n=this.el.dataset;for(var r in n)if(n.hasOwnProperty(r)&&t.hasOwnProperty(r)){var o=n[r];"true"===o&&(o=!0),"false"===o&&(o=!1),"null"===o&&(o=null),o===+o+""&&(o=+o),t[r]=o}return this._checkOptionTypes(t,this.optionTypes),t},r._checkOptionTypes=function(t,n){for(var r in n)if(Object.prototype.hasOwnProperty.call(n,r)){var o=n[r],i=t[r],a=i&&e.isElement(i)?"element":e.typeOf(i);if(!new RegExp(o).test(a))throw new Error('Option "'+r+'" provided "'+a+'" but expected "'+o+'"')}},r.initialize=function(){},r._handleError=function(t,n){e.log(n);var r=e.triggerEvent(this.el,t,{relatedTarget:this.el,error:n}),o=this.options.errorTemplate;r&&r.defaultPrevented||!o||!e.getTemplateString(o)||e.renderTemplate(this.el,o,{error:n,message:n&&n.message,status:n&&n.status,url:n&&n.url,endpoint:n&&n.endpoint,retryable:!(!n||!n.retryable)},{replaceContent:!0})},r._getClassName=function(t){var n=void 0;if(!this.options.hasOwnProperty("classNames")||"object"!==e.typeOf(this.options.classNames)||!this.options.classNames.hasOwnProperty(t))return n;var r=this.options.classNames;return"function"==typeof r[t]?n=r[t].apply(this,[].slice.call(arguments,1)):"string"==typeof r[t]&&(n=r[t]),n},e.createPlugin=function(e){var t=function(e,t){n.call(this,e,t)};for(var r in t.prototype=Object.create(n.prototype),e)e.hasOwnProperty(r)&&(t.prototype[r]=e[r]);return Object.defineProperty(t.prototype,"constructor",{enumerable:!1,value:t}),t}})(Util||{}),function(e){var t,n,r,o,i,a={evaluate:/<%([\s\S]+?)%>/g,interpolate:/<%=([\s\S]+?)%>/g,escape:/<%-([\s\S]+?)%>/g},s=/(.)^/,c={"'":"'","\\":"\\","\r":"r","\n":"n","\u2028":"u2028","\u2029":"u2029"},u=/\\|'|\r|\n|\u2028|\u2029/g,l=function(e){return"\\"+c[e]};t={"&":"&amp;","<":"&lt;",">":"&gt;",'"':"&quot;","'":"&#x27;","`":"&#x60;"},n=function(e){return t[e]},r="(?:"+Object.keys(t).join("|")+")",o=RegExp(r),i=RegExp(r,"g");e.getTemplateString=function(e){if(!e)return"";var t=document.querySelectorAll("#tmpl-"+e);return t.length&&t[t.length-1].innerHTML||""},e.template=function(t,n){n=n||{},n=e.extend(n,a),t=e.decodeHTML(t);var r,o=RegExp([(n.escape||s).source,(n.interpolate||s).source,(n.evaluate||s).source].join("|")+"|$","g"),i=0,c="__p+='";t.replace(o,function(e,n,r,o,a){return c+=t.slice(i,a).replace(u,l),i=a+e.length,n?c+="'+\n((__t=("+n+"))==null?'':escape(__t))+\n'":r?c+="'+\n((__t=("+r+"))==null?'':__t)+\n'":o&&(c+="';\n"+o+"\n__p+='"),e}),c+="';\n",n.variable||(c="with(obj||{}){\n"+c+"}\n"),c="var __t,__p='',__j=Array.prototype.join,print=function(){__p+=__j.call(arguments,'');};\n"+c+"return __p;\n";try{r=new Function(n.variable||"obj",c)}catch(e){throw e.source=c,e}return function(e){return r.call(this,e)}},e.decodeHTML=function(e){var t=document.createElement("textarea");return t.innerHTML=e,t.value},e.renderTemplate=function(t,n,r,o){r=r||{},(o=o||{}).hasOwnProperty("replaceContent")||(o.replaceContent=!0),"string"==typeof t&&(t=document.querySelector(t)),t||console.error("A valid HTML element was not specified");var i=document.querySelectorAll("#tmpl-"+n),a=i.length?i[i.length-1]:null,s="";if(a&&a.innerHTML)s=a.innerHTML;else{e.log("Template "+n+" does not exist");var c={topbar:"Top Bar",notification:"Notification","header-search":"Header Search","category-dropdown":"Category Dropdown","popular-keywords":"Popular Keywords","custom-blocks":"Custom Blocks","content-blocks":"Content Blocks","contact-blocks":"Contact Blocks","call-to-action":"Call to Action","table-of-contents":"Table of Contents","form-list":"Form List","form-tip":"Form Tip",articles:"Articles","promoted-articles":"Promoted Articles","sidebar-navigation":"Sidebar Navigation","back-to-top-link":"Category Dropdown"};s='<div class="notification-notice template-notice border border-radius my-5 px-5 py-4 font-size-md"><h4>Custom micro-template</h4><p>With the theme <a href="https://support.zendesk.com/hc/en-us/articles/4408842911898#topic_pzy_jb1_wmb" target="_blank">Developer license</a> you can copy-and-paste your desired <b>'+(c.hasOwnProperty(n)?c[n]:n)+'</b> template from our Pattern Library into the bottom of your theme\'s <a href="https://support.zendesk.com/hc/en-us/articles/4408839332250#topic_h5c_k4w_n3" target="_blank">footer.hbs template</a> and have it appear here automatically.</p></div>'}r.partial=function(e,t){var n=document.getElementById("tmpl-"+e);return n&&n.innerHTML?u(n.innerHTML,t):""};var u=function(t,n){return e.template(e.decodeHTML(t))(n).replace(/(^\s+|\s+$)/g,"")},l=u(s,r);if(l?(!0===o.replaceContent?t.innerHTML=l:t.insertAdjacentHTML("afterbegin",l),e.triggerEvent(t,"template:render",{relatedTarget:t})):!0===o.removeEmptyElement&&t.remove(),t){var p=t.querySelectorAll("img[data-inline-svg]");p.length&&e.replaceWithSVG(p),o.hasOwnProperty("removeClasses")&&Array.isArray(o.removeClasses)&&o.removeClasses.length&&o.removeClasses.forEach(function(e){t.classList.remove(e)})}}}(Util||{}),function(e){var t="zp:",n=t+"__index",r="lz:",o=55263,i=function(e){return e instanceof DOMException&&(22===e.code||1014===e.code||"QuotaExceededError"===e.name||"NS_ERROR_DOM_QUOTA_REACHED"===e.name)},a=function(e){try{return e?window.sessionStorage:window.localStorage}catch(e){return null}},s=function(e,r){for(var o=t+(r?r+":":""),i=[],a=0;a<e.length;a++){var s=e.key(a);s&&s!==n&&0===s.indexOf(o)&&i.push(s)}return i},c=function(e){try{return JSON.parse(e.getItem(n))||{}}catch(e){return{}}},u=function(t,r){var o=c(t);r(o);try{t.setItem(n,JSON.stringify(o))}catch(t){e.log("Unable to update the storage index",t)}},l=function(t,n){var r=c(t),o=s(t).filter(function(e){return e!==n});return!!o.length&&(o.sort(function(e,t){return(r[e]||0)-(r[t]||0)}),e.log("Evicting "+o[0]+" from storage"),t.removeItem(o[0]),u(t,function(e){delete e[o[0]]}),!0)},p=function(e,n,r){if(!e)throw Error("Please provide an ID for your storage");this.id=e,this.namespace=r||"theme",this.key=t+this.namespace+":"+e,this.storage=a(n)},f=p.prototype;f.set=function(t){if(!this.storage)return!1;var n=JSON.stringify({timestamp:(new Date).getTime(),data:t});if(n.length>10240){var a=r+function(e){for(var t=unescape(encodeURIComponent(e)),n={},r=256,i=[],a="",s=function(e){return 1===e.length?e.charCodeAt(0):n[e]},c=0;c<t.length;c++){var u=t.charAt(c),l=a+u;""===a||n.hasOwnProperty(l)?a=l:(i.push(s(a)),r<o?n[l]=r++:(i.push(o),n={},r=256),a=u)}return""!==a&&i.push(s(a)),i.map(function(e){return String.fromCharCode(e+32)}).join("")}(n);a.length<n.length&&(n=a)}for(;;)try{this.storage.setItem(this.key,n);break}catch(t){if(!i(t)||!l(this.storage,this.key))return e.log("Unable to save "+this.key+" to storage",t),!1}return this._touch(),!0},f.get=function(t,n){var i=this.storage?this.storage.getItem(this.key):null;try{i&&0===i.indexOf(r)&&(i=function(e){var t=[],n=[],r=null,i=function(){t=[];for(var e=0;e<256;e++)t.push(String.fromCharCode(e));r=null};i();for(var a=0;a<e.length;a++){var s=e.charCodeAt(a)-32;if(s!==o){var c;if(s<t.length)c=t[s];else{if(null===r||s!==t.length)throw new Error("Invalid compressed data");c=r+r.charAt(0)}n.push(c),null!==r&&t.push(r+c.charAt(0)),r=c}else i()}return decodeURIComponent(escape(n.join("")))}(i.substring(4))),i=i?JSON.parse(i):null}catch(t){e.log("Unable to read "+this.key+" from storage",t),this.remove(),i=null}return i&&!0!==DEBUG?(this._touch(),n?i:i.data):t||i},f.isValid=function(e){var t=this.get(null,!0);return!(!t||!0===DEBUG)&&(new Date).getTime()-t.timestamp<e},f.remove=function(){if(this.storage){var e=this.key;this.storage.removeItem(e),u(this.storage,function(t){delete t[e]})}},f._touch=function(){var e=this.key;u(this.storage,function(t){t[e]=(new Date).getTime()})},e.storage=function(e,t,n){return new p(e,t,n)},e.storage.clear=function(e){[!0,!1].forEach(function(t){var r=a(t);if(r){var o=s(r,e);o.forEach(function(e){r.removeItem(e)}),e?u(r,function(e){o.forEach(function(t){delete e[t]})}):r.removeItem(n)}})},e.storage.usage=function(){var e={};return[["session",!0],["local",!1]].forEach(function(t){var n=a(t[1]),r={total:0,namespaces:{}};n&&s(n).forEach(function(e){var t=e.substring(3).split(":")[0],o=2*(e.length+(n.getItem(e)||"").length);r.namespaces[t]=(r.namespaces[t]||0)+o,r.total+=o}),e[t[0]]=r}),e};(function(){var n=a(!0);if(n){for(var r=[],o=0;o<n.length;o++){var i=n.key(o);i&&/^-?\d+$/.test(i)&&r.push(i)}r.forEach(function(r){var o,i=n.getItem(r);try{o=JSON.parse(i)}catch(e){return}if(o&&"object"==typeof o&&o.hasOwnProperty("timestamp")&&o.hasOwnProperty("data")){var a=t+"cache:"+r;n.removeItem(r);try{null===n.getItem(a)&&(n.setItem(a,i),u(n,function(e){e[a]=o.timestamp}))}catch(t){e.log("Unable to migrate "+r+" in storage",t)}}})}})()}(Util||{}),function(e){var t="responses",n={},r=null,o=function(e,n){return(r||(r=new Promise(function(e,n){if(window.indexedDB){var r=window.indexedDB.open("theme-cache",1);r.onupgradeneeded=function(){r.result.createObjectStore(t)},r.onsuccess=function(){e(r.result)},r.onerror=function(){n(r.error)}}else n(new Error("IndexedDB is not supported"))})),r).then(function(r){return new Promise(function(o,i){var a=n(r.transaction(t,e).objectStore(t));a.onsuccess=function(){o(a.result)},a.onerror=function(){i(a.error)}})})},i={session:{get:function(t){return Promise.resolve(e.storage(t,!0,"cache").get(null,!0))},set:function(t,n){return e.storage(t,!0,"cache").set(n.data),Promise.resolve()},remove:function(t){return e.storage(t,!0,"cache").remove(),Promise.resolve()}},local:{get:function(t){return Promise.resolve(e.storage(t,!1,"cache").get(null,!0))},set:function(t,n){return e.storage(t,!1,"cache").set(n.data),Promise.resolve()},remove:function(t){return e.storage(t,!1,"cache").remove(),Promise.resolve()}},memory:{get:function(e){return Promise.resolve(n.hasOwnProperty(e)?JSON.parse(n[e]):null)},set:function(e,t){return n[e]=JSON.stringify(t),Promise.resolve()},remove:function(e){return delete n[e],Promise.resolve()}},indexeddb:{get:function(e){return o("readonly",function(t){return t.get(String(e))}).then(function(e){return e||null})},set:function(e,t){return o("readwrite",function(n){return n.put(t,String(e))})},remove:function(e){return o("readwrite",function(t){return t.delete(String(e))})}}},a=function(t){i.hasOwnProperty(t)||(e.log("Cache backend "+t+" is not supported, using sessionStorage"),t="session"),this.backend=t},s=a.prototype;s.get=function(t){return!0===DEBUG?Promise.resolve(null):i[this.backend].get(t).catch(function(n){return e.log("Unable to read from the cache",n),i.memory.get(t)})},s.set=function(t,n){var r={timestamp:(new Date).getTime(),data:n};return i[this.backend].set(t,r).catch(function(n){return e.log("Unable to write to the cache",n),i.memory.set(t,r)})},s.remove=function(e){return i[this.backend].remove(e)},s.isValid=function(e,t){return!(!e||!0===DEBUG)&&(new Date).getTime()-e.timestamp<t},e.cache=function(t){return new a(t||e.cacheSettings.backend)},e.registerCacheBackend=function(e,t){i[e]=t}}(Util||{});
\ No newline at end of file
@@ -11,6 +11,9 @@
   var DOWN = 40;
   var TAB = 9;
 
+  // The number of search fields using the client-side search index
+  var searchIndexCount = 0;
+
   document.addEventListener('alpine:init', function() {
 
     // Simple toggle functionality
@@ -42,6 +45,7 @@
         sectionId: null,
         categoryId: null,
         category: null,
+        isError: false,
 
         init: function() {
           var pageId = Util.getPageId();
@@ -50,7 +54,14 @@
 
           if (!this.categoryId && !this.sectionId) return;
 
-          Util.get(['categories', 'sections'], ['id', 'category_id', 'html_url', 'name', 'description', 'position']).then(this.getActiveCategory.bind(this));
+          Util.get(['categories', 'sections'], ['id', 'category_id', 'html_url', 'name', 'description', 'position'])
+            .then(this.getActiveCategory.bind(this))
+            .catch(this.onError.bind(this));
+        },
+
+        onError: function(error) {
+          this.isError = true;
+          Util.triggerEvent(this.$el, 'category:error', { error: error });
         },
 
         getActiveCategory: function(collection) {
@@ -213,18 +224,29 @@
 
   /**
    * Notification widget.
+   *
+   * Dismissals are recorded by the Notifications extension, under the ID `alpine`.  The version of the
+   * notification is a hash of its content, so it reappears after the content is edited if the
+   * `version` scope is used.
+   *
+   * @param options - The dismissal `scope` (`session`, `persistent` or `version`) and `expiry` in days
    */
-  window.Widgets.notification = function() {
+  window.Widgets.notification = function(options) {
+    options = Object.assign({ scope: 'session', expiry: null }, options || {});
+
     return {
-      key: 'alpine:notification:dismissed',
+      id: 'alpine',
+      version: null,
       isDismissed: null,
 
       /**
-       * Fetches a page of categories.
-       * @returns {Promise}
+       * Determines whether the notification has been dismissed.
        */
       getNotification: function() {
-        this.isDismissed = window.sessionStorage.getItem(this.key) === 'true';
+        var template = this.$el.querySelector('template');
+
+        this.version = String(Util.getHashString(template ? template.innerHTML : ''));
+        this.isDismissed = Notifications.isDismissed(this.id, this.version);
       },
 
       /**
@@ -232,7 +254,7 @@
        */
       dismiss: function() {
         this.isDismissed = true;
-        window.sessionStorage.setItem(this.key, 'true');
+        Notifications.setDismissed(this.id, options.scope, this.version, options.expiry);
       }
     }
   };
@@ -313,6 +335,11 @@
         }
 
         this.addEventListeners();
+
+        // Display results from the client-side search index
+        if (window.SearchIndex && Theme.searchIndex && this.searchField) {
+          this.initSearchIndex();
+        }
       },
 
       addEventListeners: function() {
@@ -320,6 +347,106 @@
         window.addEventListener('resize', Util.debounce(this.close.bind(this), 500));
       },
 
+      initSearchIndex: function() {
+        this.listboxId = 'search-index-' + (++searchIndexCount);
+        this.searchResults = null;
+        this.activeIndex = -1;
+        this.filters = {};
+
+        this.resultsEl = document.createElement('div');
+        this.resultsEl.className = 'search-index';
+        this.searchField.parentNode.insertBefore(this.resultsEl, this.searchField.nextSibling);
+
+        this.searchField.setAttribute('role', 'combobox');
+        this.searchField.setAttribute('autocomplete', 'off');
+        this.searchField.setAttribute('aria-autocomplete', 'list');
+        this.searchField.setAttribute('aria-controls', this.listboxId);
+        this.searchField.setAttribute('aria-expanded', 'false');
+
+        this.searchField.addEventListener('input', Util.debounce(this.updateSearchResults.bind(this), 150));
+        this.searchField.addEventListener('keydown', this.searchKeyHandler.bind(this));
+        this.resultsEl.addEventListener('click', this.searchResultsClickHandler.bind(this));
+        document.addEventListener('click', function(e) {
+          if (!this.$root.contains(e.target)) this.clearSearchResults();
+        }.bind(this));
+      },
+
+      updateSearchResults: function() {
+        var query = this.searchField.value.trim();
+        if (!query) {
+          this.clearSearchResults();
+          return;
+        }
+
+        return SearchIndex.load(Theme.searchIndex)
+          .then(function(index) {
+            this.searchResults = index.search(query, Util.extend(this.filters, { limit: Theme.searchIndex.limit }));
+            this.activeIndex = -1;
+            this.renderSearchResults();
+          }.bind(this))
+          .catch(function(error) {
+            Util.log('Unable to load the search index', error);
+          });
+      },
+
+      renderSearchResults: function() {
+        var isExpanded = !!this.searchResults;
+        Util.renderTemplate(this.resultsEl, 'search-index-results', Util.extend(this.searchResults || {}, {
+          id: this.listboxId,
+          isExpanded: isExpanded,
+          activeIndex: this.activeIndex,
+          searchURL: '/hc/' + Theme.locale + '/search?query=' + encodeURIComponent(this.searchField.value.trim())
+        }));
+        this.searchField.setAttribute('aria-expanded', String(isExpanded));
+        this.searchField.setAttribute('aria-activedescendant', this.activeIndex > -1 ? this.listboxId + '-' + this.activeIndex : '');
+      },
+
+      clearSearchResults: function() {
+        if (!this.searchResults) return;
+        this.searchResults = null;
+        this.activeIndex = -1;
+        this.renderSearchResults();
+      },
+
+      searchKeyHandler: function(e) {
+        var results = this.searchResults ? this.searchResults.results : [];
+
+        switch (e.keyCode) {
+          case DOWN:
+          case UP:
+            if (!results.length) return;
+            e.preventDefault();
+            if (e.keyCode === DOWN) {
+              this.activeIndex = this.activeIndex >= results.length - 1 ? 0 : this.activeIndex + 1;
+            } else {
+              this.activeIndex = this.activeIndex <= 0 ? results.length - 1 : this.activeIndex - 1;
+            }
+            this.renderSearchResults();
+            break;
+          case ENTER:
+            if (this.activeIndex > -1 && results[this.activeIndex]) {
+              e.preventDefault();
+              window.location.href = results[this.activeIndex].html_url;
+            }
+            break;
+          case ESCAPE:
+            this.clearSearchResults();
+            break;
+        }
+      },
+
+      searchResultsClickHandler: function(e) {
+        var facet = Util.closest(e.target, '[data-facet]');
+        if (!facet) return;
+
+        // Toggle the section or category filter
+        var type = facet.getAttribute('data-facet');
+        var id = facet.getAttribute('data-facet-id');
+        this.filters[type] = this.filters[type] === id ? null : id;
+        this.searchField.focus();
+        this.updateSearchResults();
+      },
+
       onChange: function(isOpen) {
         if (isOpen) {
           this.showSearch();
@@ -419,6 +546,7 @@
     return {
       categories: [],
       isLoading: true,
+      error: null,
 
       /**
        * Fetches a page of categories.
@@ -426,7 +554,18 @@
        */
       getCategories: function() {
         return Util.get('categories')
-          .then(this.addCategories.bind(this));
+          .then(this.addCategories.bind(this))
+          .catch(this.onError.bind(this));
+      },
+
+      /**
+       * Stores the error if the categories can't be retrieved.
+       * @param error
+       */
+      onError: function(error) {
+        this.error = error;
+        this.isLoading = false;
+        Util.triggerEvent(this.$el, 'categories:error', { error: error });
       },
 
       /**
@@ -440,6 +579,192 @@
     }
   };
 
+  /**
+   * Saved for offline widget.
+   */
+  window.Widgets.offlineArticles = function() {
+    return {
+      articles: [],
+      isLoading: true,
+
+      /**
+       * Returns the articles saved for offline use that are available in the cache.
+       * @returns {Promise}
+       */
+      getArticles: function() {
+        var saved = Util.storage('articles', false, 'offline').get({});
+        var articles = Object.keys(saved)
+          .map(function(id) {
+            return saved[id];
+          })
+          .sort(function(a, b) {
+            return b.saved_at - a.saved_at;
+          });
+
+        if (!window.caches) {
+          this.isLoading = false;
+          return Promise.resolve([]);
+        }
+
+        return Promise
+          .all(articles.map(function(article) {
+            return caches.match(article.html_url, { ignoreSearch: true }).then(function(response) {
+              return response ? article : null;
+            });
+          }))
+          .then(function(articles) {
+            this.articles = articles.filter(function(article) {
+              return article;
+            });
+            this.isLoading = false;
+            return this.articles;
+          }.bind(this));
+      },
+
+      /**
+       * Removes an article from the offline cache.
+       * @param article
+       */
+      remove: function(article) {
+        var saved = Util.storage('articles', false, 'offline');
+        var articles = saved.get({});
+        delete articles[article.id];
+        saved.set(articles);
+
+        if (navigator.serviceWorker && navigator.serviceWorker.controller) {
+          navigator.serviceWorker.controller.postMessage({ type: 'remove', url: article.html_url });
+        }
+
+        this.articles = this.articles.filter(function(item) {
+          return item.id !== article.id;
+        });
+      }
+    }
+  };
+
+  /**
+   * Save for offline widget.
+   *
+   * Saves the current article for offline use. Only available once the offline service worker
+   * controls the page.
+   */
+  window.Widgets.offlineArticle = function() {
+    return {
+      isAvailable: false,
+      isSaved: false,
+
+      init: function() {
+        var saved = Util.storage('articles', false, 'offline').get({});
+        this.isAvailable = !!(navigator.serviceWorker && navigator.serviceWorker.controller);
+        this.isSaved = saved.hasOwnProperty(Util.getPageId(window.location.pathname));
+      },
+
+      /**
+       * Saves or removes the current article.
+       */
+      toggle: function() {
+        var saved = Util.storage('articles', false, 'offline');
+        var articles = saved.get({});
+        var id = Util.getPageId(window.location.pathname);
+        var title = document.querySelector('[itemprop="name"]');
+        var url = window.location.origin + window.location.pathname;
+
+        if (this.isSaved) {
+          delete articles[id];
+        } else {
+          articles[id] = {
+            id: id,
+            title: title ? title.getAttribute('title') || title.textContent.trim() : document.title,
+            html_url: url,
+            saved_at: new Date().getTime()
+          };
+        }
+        saved.set(articles);
+
+        navigator.serviceWorker.controller.postMessage({ type: this.isSaved ? 'remove' : 'save', url: url });
+        this.isSaved = !this.isSaved;
+      }
+    }
+  };
+
+  /**
+   * Learning paths widget.
+   *
+   * Lists the learning paths in progress (recorded by the ArticleNavigation extension), with a
+   * link to resume each one at its first incomplete article.
+   */
+  window.Widgets.learningPaths = function() {
+    return {
+      paths: [],
+
+      init: function() {
+        if (!window.ArticleNavigation) return;
+        var saved = ArticleNavigation.getProgressStorage().get({});
+
+        this.paths = Object.keys(saved)
+          .map(function(id) {
+            var path = saved[id];
+            var index = path.articles.map(function(article) {
+              return path.completed.indexOf(article.id) === -1;
+            }).indexOf(true);
+
+            return {
+              id: id,
+              title: path.title,
+              step: index + 1,
+              total: path.articles.length,
+              progress: Math.round(path.completed.length / path.articles.length * 100),
+              article: path.articles[index],
+              updatedAt: path.updatedAt
+            };
+          })
+          .filter(function(path) {
+            return path.article && path.progress > 0;
+          })
+          .sort(function(a, b) {
+            return b.updatedAt - a.updatedAt;
+          });
+      }
+    }
+  };
+
+  /**
+   * Continue reading widget.
+   *
+   * Lists the articles partially read (recorded by the ArticleProgress extension), with a link to
+   * the furthest heading reached.
+   */
+  window.Widgets.continueReading = function(limit) {
+    return {
+      articles: [],
+
+      init: function() {
+        var saved = Util.storage('articles', false, 'articleProgress').get({});
+
+        this.articles = Object.keys(saved)
+          .map(function(id) {
+            return saved[id];
+          })
+          .filter(function(article) {
+            return !article.isRead && article.progress > 0;
+          })
+          .sort(function(a, b) {
+            return b.updatedAt - a.updatedAt;
+          })
+          .slice(0, limit || 3);
+      },
+
+      /**
+       * Returns the URL of the furthest heading reached in an article.
+       * @param article
+       * @returns {string}
+       */
+      getResumeURL: function(article) {
+        return article.html_url + (article.heading ? '#' + article.heading : '');
+      }
+    }
+  };
+
   /**
    * Parallax image widget.
    */
@@ -496,4 +821,61 @@
     }
   };
 
+  /**
+   * Zero search results widget.
+   */
+  window.Widgets.searchRecovery = function() {
+    return {
+      query: '',
+      suggestion: null,
+      categories: [],
+      isLoading: true,
+
+      /**
+       * Suggests a spelling correction and related categories for a query without results.
+       * @returns {Promise}
+       */
+      init: function() {
+        this.query = (Util.getURLParameter('query') || '').trim();
+
+        if (!this.query || !window.SearchIndex) {
+          this.isLoading = false;
+          return Promise.resolve();
+        }
+
+        return SearchIndex.load(Theme.searchIndex)
+          .then(function(index) {
+            this.suggestion = index.suggest(this.query);
+            this.categories = index.search(this.suggestion || this.query).facets.categories
+              .slice(0, 5)
+              .map(function(category) {
+                return Util.extend(category, { html_url: '/hc/' + Theme.locale + '/categories/' + category.id });
+              });
+            this.isLoading = false;
+          }.bind(this))
+          .catch(function(error) {
+            this.isLoading = false;
+            Util.log('Unable to load the search index', error);
+          }.bind(this));
+      },
+
+      /**
+       * Returns the URL to search for the suggested query.
+       * @returns {string}
+       */
+      getSuggestionURL: function() {
+        return Util.setURLParameter(Util.setURLParameter(window.location.href, 'page', ''), 'query', this.suggestion);
+      },
+
+      /**
+       * Returns the URL of the request form, with the query as the subject.
+       * @param url
+       * @returns {string}
+       */
+      getRequestURL: function(url) {
+        return this.query ? Util.setURLParameter(url, 'tf_subject', this.query) : url;
+      }
+    }
+  };
+
 })();
\ No newline at end of file
@@ -1,211 +1 @@
-(function () {
-    "use strict";
-    window.Widgets = window.Widgets || {};
-    var a = 27, b = 38, c = 40;
-    document.addEventListener("alpine:init", function () {
-        Alpine.data("toggle", function (a) {
-            return Object.assign({
-                isOpen: !1, toggle: function () {
-                    this.isOpen ? this.close() : this.open()
-                }, open: function () {
-                    this.isOpen = !0
-                }, close: function () {
-                    this.isOpen = !1
-                }
-            }, a)
-        }), Alpine.data("category", function (a) {
-            return Object.assign({
-                sectionId: null, categoryId: null, category: null, init: function () {
-                    var a = Util.getPageId();
-                    !this.categoryId && Util.isCategoryPage() && (this.categoryId = a), !this.sectionId && Util.isSectionPage() && (this.sectionId = a);
-                    (this.categoryId || this.sectionId) && Util.get(["categories", "sections"], ["id", "category_id", "html_url", "name", "description", "position"]).then(this.getActiveCategory.bind(this))
-                }, getActiveCategory: function (a) {
-                    if (this.categoryId) {
-                        var b = this.categoryId;
-                        this.category = a.categories.filter(function (a) {
-                            return a.id === b
-                        })[0] || null
-                    } else if (this.sectionId) {
-                        var c = this.sectionId, d = a.sections.filter(function (a) {
-                            return a.id === c
-                        })[0] || null;
-                        this.category = a.categories.filter(function (a) {
-                            return a.id === d.category_id
-                        })[0] || null
-                    }
-                }
-            }, a)
-        })
-    }), window.Widgets.dropdown = function () {
-        return {
-            isExpanded: !1, get focusableElements() {
-                return [...this.$refs.menu.querySelectorAll("a[href], button, input, textarea, select, details,[tabindex]:not([tabindex=\"-1\"])")].filter(a => !a.hasAttribute("disabled") && !a.getAttribute("aria-hidden"))
-            }, init: function () {
-                this.$refs.toggle.addEventListener("click", this.clickHandler.bind(this)), this.$refs.toggle.addEventListener("keydown", this.toggleKeyHandler.bind(this)), this.$refs.menu.addEventListener("keydown", this.menuKeyHandler.bind(this)), this.$refs.menu.classList.add("invisible")
-            }, open: function () {
-                this.isExpanded = !0, this.$nextTick(this.handleOverflow.bind(this))
-            }, close: function () {
-                this.isExpanded = !1, this.$refs.menu.classList.add("invisible"), this.$refs.menu.style.left = this.$refs.menu.style.top = this.$refs.menu.style.bottom = null
-            }, handleOverflow: function () {
-                var a = new IntersectionObserver(b => {
-                    for (var c of b) {
-                        var d = c.boundingClientRect;
-                        0 > d.x && (this.$refs.menu.style.left = Math.abs(rect.left) + "px"), d.x + d.width >= window.innerWidth && (this.$refs.menu.style.left = -(d.x + d.width - window.innerWidth) + "px"), d.top + d.height >= window.innerHeight && (this.$refs.menu.style.top = "auto", this.$refs.menu.style.bottom = "auto"), this.$refs.menu.classList.remove("invisible")
-                    }
-                    a.disconnect()
-                });
-                a.observe(this.$refs.menu)
-            }, focusNextMenuItem: function (a) {
-                if (this.focusableElements.length) {
-                    var b = this.focusableElements.indexOf(a),
-                        c = b === this.focusableElements.length - 1 || 0 > b ? 0 : b + 1;
-                    this.focusableElements[c].focus()
-                }
-            }, focusPreviousMenuItem: function (a) {
-                if (this.focusableElements.length) {
-                    var b = this.focusableElements.indexOf(a), c = 0 >= b ? this.focusableElements.length - 1 : b - 1;
-                    this.focusableElements[c].focus()
-                }
-            }, clickHandler: function () {
-                this.isExpanded ? this.close() : this.open()
-            }, toggleKeyHandler: function (d) {
-                switch (d.keyCode) {
-                    case 13:
-                    case 32:
-                    case c:
-                        d.preventDefault(), this.isExpanded || this.open(), this.focusNextMenuItem();
-                        break;
-                    case b:
-                        d.preventDefault(), this.isExpanded || this.open(), this.focusPreviousMenuItem();
-                        break;
-                    case a:
-                        this.close(), this.$refs.toggle && this.$refs.toggle.focus();
-                }
-            }, menuKeyHandler: function (d) {
-                var e = this.focusableElements[0], f = this.focusableElements[this.focusableElements.length - 1],
-                    g = d.target;
-                switch (d.keyCode) {
-                    case a:
-                        this.close(), this.$refs.toggle && this.$refs.toggle.focus();
-                        break;
-                    case c:
-                        d.preventDefault(), this.focusNextMenuItem(g);
-                        break;
-                    case b:
-                        d.preventDefault(), this.focusPreviousMenuItem(g);
-                        break;
-                    case 9:
-                        d.shiftKey ? g === e ? this.close() : (d.preventDefault(), this.focusPreviousMenuItem(g)) : g === f ? this.close() : (d.preventDefault(), this.focusNextMenuItem(g));
-                }
-            }
-        }
-    }, window.Widgets.notification = function () {
-        return {
-            key: "alpine:notification:dismissed", isDismissed: null, getNotification: function () {
-                this.isDismissed = "true" === window.sessionStorage.getItem(this.key)
-            }, dismiss: function () {
-                this.isDismissed = !0, window.sessionStorage.setItem(this.key, "true")
-            }
-        }
-    }, window.Widgets.header = function (a) {
-        return Object.assign({
-            isFixed: !1, isSticky: !1, isStuck: null, isUnstuck: null, hasHeroElement: function () {
-                var a = document.querySelector("main[role=\"main\"]");
-                return a.firstElementChild && a.firstElementChild.classList.contains("hero")
-            }, applyStickyHeader: function () {
-                new Sticky(this.$el, {classNames: {sticky: "sticky-top transition"}}), this.$el.addEventListener("sticky:stuck", this.onStuck.bind(this)), this.$el.addEventListener("sticky:unstuck", this.onUnstuck.bind(this))
-            }, onStuck: function () {
-                this.isStuck = !0, this.isUnstuck = !1
-            }, onUnstuck: function () {
-                this.isStuck = !1, this.isUnstuck = !0
-            }, applyFixedHeader: function () {
-                this.$el.classList.add("absolute-top")
-            }, init: function () {
-                var a = this.$el;
-                this.isSticky && this.applyStickyHeader(), this.isFixed && this.hasHeroElement() ? this.applyFixedHeader() : (this.isFixed = !1, a.classList.remove("fixed-header")), a.classList.add("transition-none"), a.classList.add("visible"), a.classList.remove("transition-none")
-            }
-        }, a)
-    }, window.Widgets.search = function () {
-        return {
-            isOpen: !1, init: function () {
-                var a = Array.prototype.slice.call(this.$root.querySelectorAll("[type=\"search\"]"));
-                this.searchField = a.length ? a[a.length - 1] : null;
-                var b = Util.getURLParameter("query");
-                b && this.searchField && !this.searchField.value && (this.searchField.value = b), this.addEventListeners()
-            }, addEventListeners: function () {
-                this.$watch("isOpen", this.onChange.bind(this)), window.addEventListener("resize", Util.debounce(this.close.bind(this), 500))
-            }, onChange: function (a) {
-                a ? this.showSearch() : this.hideSearch()
-            }, toggle: function () {
-                this.isOpen ? this.close() : this.open()
-            }, open: function () {
-                this.isOpen = !0
-            }, showSearch: function () {
-                if (this.searchField) {
-                    var a = Util.closest(this.searchField, ".search");
-                    a && (a.style.display = "block"), this.searchField.focus()
-                }
-            }, close: function () {
-                this.isOpen = !1
-            }, hideSearch: function () {
-                if (this.searchField) {
-                    var a = Util.closest(this.searchField, ".search");
-                    a && (this.$refs.dropdown ? Util.onTransitionEnd(this.$refs.dropdown, function () {
-                        a.style.display = "none"
-                    }) : a.style.display = "none")
-                }
-                this.$root.contains(document.activeElement) && this.$refs.toggle && this.$refs.toggle.focus()
-            }
-        }
-    }, window.Widgets.mobileMenu = function () {
-        return {
-            isOpen: !1, init: function () {
-                window.addEventListener("resize", Util.debounce(this.close.bind(this), 500)), document.addEventListener("keydown", this.toggleKeyHandler.bind(this))
-            }, toggleKeyHandler: function (b) {
-                switch (b.keyCode) {
-                    case a:
-                        this.close();
-                }
-            }, toggle: function () {
-                this.isOpen ? this.close() : this.open()
-            }, open: function () {
-                this.isOpen = !0
-            }, close: function () {
-                this.isOpen = !1
-            }
-        }
-    }, window.Widgets.categories = function () {
-        return {
-            categories: [], isLoading: !0, getCategories: function () {
-                return Util.get("categories").then(this.addCategories.bind(this))
-            }, addCategories: function (a) {
-                this.categories = a.categories, this.isLoading = !1
-            }
-        }
-    }, window.Widgets.parallaxImage = function () {
-        return {
-            init: function () {
-                this.prefersReducedMotion() || this.addEventListeners()
-            }, prefersReducedMotion: function () {
-                var a = window.matchMedia("(prefers-reduced-motion: reduce)");
-                return a.matches
-            }, addEventListeners: function () {
-                window.addEventListener("scroll", this.onScroll.bind(this))
-            }, onScroll: function () {
-                var a = window.scrollY;
-                this.$el.style["-moz-transform"] = `translate3d(0px,${a / -3}px, 0px)`, this.$el.style["-webkit-transform"] = `translate3d(0px,${a / -3}px, 0px)`, this.$el.style.transform = `translate3d(0px,${a / -3}px, 0px)`
-            }
-        }
-    }, window.Widgets.popularKeywords = function () {
-        return {
-            keywords: [], parseKeywords: function (a) {
-                var b = location.protocol + "//" + location.hostname + "/hc/" + Theme.locale + "/search?query=";
-                this.keywords = a.split(",").map(function (a) {
-                    return a = a.trim(), a ? {title: a, html_url: b + a} : a
-                }).filter(function (a) {
-                    return a
-                })
-            }
-        }
-    }
-})();
\ No newline at end of file
+(function(){"use strict";window.Widgets=window.Widgets||{};var e=0;document.addEventListener("alpine:init",function(){Alpine.data("toggle",function(e){return Object.assign({isOpen:!1,toggle:function(){this.isOpen?this.close():this.open()},open:function(){this.isOpen=!0},close:function(){this.isOpen=!1}},e)}),Alpine.data("category",function(e){return Object.assign({sectionId:null,categoryId:null,category:null,isError:!1,init:function(){var e=Util.getPageId();!this.categoryId&&Util.isCategoryPage()&&(this.categoryId=e),!this.sectionId&&Util.isSectionPage()&&(this.sectionId=e),(this.categoryId||this.sectionId)&&Util.get(["categories","sections"],["id","category_id","html_url","name","description","position"]).then(this.getActiveCategory.bind(this)).catch(this.onError.bind(this))},onError:function(e){this.isError=!0,Util.triggerEvent(this.$el,"category:error",{error:e})},getActiveCategory:function(e){if(this.categoryId){var t=this.categoryId;this.category=e.categories.filter(function(e){return e.id===t})[0]||null}else if(this.sectionId){var i=this.sectionId,s=e.sections.filter(function(e){return e.id===i})[0]||null;this.category=e.categories.filter(function(e){return e.id===s.category_id})[0]||null}}},e)})}),window.Widgets.dropdown=function(){return{isExpanded:!1,get focusableElements(){return[...this.$refs.menu.querySelectorAll('a[href], button, input, textarea, select, details,[tabindex]:not([tabindex="-1"])')].filter(e=>!e.hasAttribute("disabled")&&!e.getAttribute("aria-hidden"))},init:function(){this.$refs.toggle.addEventListener("click",this.clickHandler.bind(this)),this.$refs.toggle.addEventListener("keydown",this.toggleKeyHandler.bind(this)),this.$refs.menu.addEventListener("keydown",this.menuKeyHandler.bind(this)),this.$refs.menu.classList.add("invisible")},open:function(){this.isExpanded=!0,this.$nextTick(this.handleOverflow.bind(this))},close:function(){this.isExpanded=!1,this.$refs.menu.classList.add("invisible"),this.$refs.menu.style.left=this.$refs.menu.style.top=this.$refs.menu.style.bottom=null},handleOverflow:function(){var e=new IntersectionObserver(t=>{for(var i of t){var s=i.boundingClientRect;s.x<0&&(this.$refs.menu.style.left=Math.abs(rect.left)+"px"),s.x+s.width>=window.innerWidth&&(this.$refs.menu.style.left=-(s.x+s.width-window.innerWidth)+"px"),s.top,s.height,window.innerHeight,this.$refs.menu.classList.remove("invisible")}e.disconnect()});e.observe(this.$refs.menu)},focusNextMenuItem:function(e){if(this.focusableElements.length){var t=this.focusableElements.indexOf(e),i=t===this.focusableElements.length-1||t<0?0:t+1;this.focusableElements[i].focus()}},focusPreviousMenuItem:function(e){if(this.focusableElements.length){var t=this.focusableElements.indexOf(e),i=t<=0?this.focusableElements.length-1:t-1;this.focusableElements[i].focus()}},clickHandler:function(e){this.isExpanded?this.close():this.open()},toggleKeyHandler:function(e){switch(e.keyCode){case 13:case 32:case 40:e.preventDefault(),this.isExpanded||this.open(),this.focusNextMenuItem();break;case 38:e.preventDefault(),this.isExpanded||this.open(),this.focusPreviousMenuItem();break;case 27:this.close(),this.$refs.toggle&&this.$refs.toggle.focus()}},menuKeyHandler:function(e){var t=this.focusableElements[0],i=this.focusableElements[this.focusableElements.length-1],s=e.target;switch(e.keyCode){case 27:this.close(),this.$refs.toggle&&this.$refs.toggle.focus();break;case 40:e.preventDefault(),this.focusNextMenuItem(s);break;case 38:e.preventDefault(),this.focusPreviousMenuItem(s);break;case 9:e.shiftKey?s===t?this.close():(e.preventDefault(),this.focusPreviousMenuItem(s)):s===i?this.close():(e.preventDefault(),this.focusNextMenuItem(s))}}}},window.Widgets.notification=function(e){return e=Object.assign({scope:"session",expiry:null},e||{}),{id:"alpine",version:null,isDismissed:null,getNotification:function(){var e=this.$el.querySelector("template");this.version=String(Util.getHashString(e?e.innerHTML:"")),this.isDismissed=Notifications.isDismissed(this.id,this.version)},dismiss:function(){this.isDismissed=!0,Notifications.setDismissed(this.id,e.scope,this.version,e.expiry)}}},window.Widgets.header=function(e){return Object.assign({isFixed:!1,isSticky:!1,isStuck:null,isUnstuck:null,hasHeroElement:function(){var e=document.querySelector('main[role="main"]');return e.firstElementChild&&e.firstElementChild.classList.contains("hero")},applyStickyHeader:function(){new Sticky(this.$el,{classNames:{sticky:"sticky-top transition"}}),this.$el.addEventListener("sticky:stuck",this.onStuck.bind(this)),this.$el.addEventListener("sticky:unstuck",this.onUnstuck.bind(this))},onStuck:function(){this.isStuck=!0,this.isUnstuck=!1},onUnstuck:function(){this.isStuck=!1,this.isUnstuck=!0},applyFixedHeader:function(){this.$el.classList.add("absolute-top")},init:function(){var e=this.$el;this.isSticky&&this.applyStickyHeader(),this.isFixed&&this.hasHeroElement()?this.applyFixedHeader():(this.isFixed=!1,e.classList.remove("fixed-header")),e.classList.add("transition-none"),e.classList.add("visible"),e.classList.remove("transition-none")}},e)},window.Widgets.search=function(){return{isOpen:!1,init:function(){var e=Array.prototype.slice.call(this.$root.querySelectorAll('[type="search"]'));this.searchField=e.length?e[e.length-1]:null;var t=Util.getURLParameter("query");t&&this.searchField&&!this.searchField.value&&(this.searchField.value=t),this.addEventListeners(),window.SearchIndex&&Theme.searchIndex&&this.searchField&&this.initSearchIndex()},addEventListeners:function(){this.$watch("isOpen",this.onChange.bind(this)),window.addEventListener("resize",Util.debounce(this.close.bind(this),500))},initSearchIndex:function(){this.listboxId="search-index-"+ ++e,this.searchResults=null,this.activeIndex=-1,this.filters={},this.resultsEl=document.createElement("div"),this.resultsEl.className="search-index",this.searchField.parentNode.insertBefore(this.resultsEl,this.searchField.nextSibling),this.searchField.setAttribute("role","combobox"),this.searchField.setAttribute("autocomplete","off"),this.searchField.setAttribute("aria-autocomplete","list"),this.searchField.setAttribute("aria-controls",this.listboxId),this.searchField.setAttribute("aria-expanded","false"),this.searchField.addEventListener("input",Util.debounce(this.updateSearchResults.bind(this),150)),this.searchField.addEventListener("keydown",this.searchKeyHandler.bind(this)),this.resultsEl.addEventListener("click",this.searchResultsClickHandler.bind(this)),document.addEventListener("click",function(e){this.$root.contains(e.target)||this.clearSearchResults()}.bind(this))},updateSearchResults:function(){var e=this.searchField.value.trim();if(e)return SearchIndex.load(Theme.searchIndex).then(function(t){this.searchResults=t.search(e,Util.extend(this.filters,{limit:Theme.searchIndex.limit})),this.activeIndex=-1,this.renderSearchResults()}.bind(this)).catch(function(e){Util.log("Unable to load the search index",e)});this.clearSearchResults()},renderSearchResults:function(){var e=!!this.searchResults;Util.renderTemplate(this.resultsEl,"search-index-results",Util.extend(this.searchResults||{},{id:this.listboxId,isExpanded:e,activeIndex:this.activeIndex,searchURL:"/hc/"+Theme.locale+"/search?query="+encodeURIComponent(this.searchField.value.trim())})),this.searchField.setAttribute("aria-expanded",String(e)),this.searchField.setAttribute("aria-activedescendant",this.activeIndex>-1?this.listboxId+"-"+this.activeIndex:"")},clearSearchResults:function(){this.searchResults&&(this.searchResults=null,this.activeIndex=-1,this.renderSearchResults())},searchKeyHandler:function(e){var t=this.searchResults?this.searchResults.results:[];switch(e.keyCode){case 40:case 38:if(!t.length)return;e.preventDefault(),40===e.keyCode?this.activeIndex=this.activeIndex>=t.length-1?0:this.activeIndex+1:this.activeIndex=this.activeIndex<=0?t.length-1:this.activeIndex-1,this.renderSearchResults();break;case 13:this.activeIndex>-1&&t[this.activeIndex]&&(e.preventDefault(),window.location.href=t[this.activeIndex].html_url);break;case 27:this.clearSearchResults()}},searchResultsClickHandler:function(e){var t=Util.closest(e.target,"[data-facet]");if(t){var i=t.getAttribute("data-facet"),s=t.getAttribute("data-facet-id");this.filters[i]=this.filters[i]===s?null:s,this.searchField.focus(),this.updateSearchResults()}},onChange:function(e){e?this.showSearch():this.hideSearch()},toggle:function(){this.isOpen?this.close():this.open()},open:function(){this.isOpen=!0},showSearch:function(){if(this.searchField){var e=Util.closest(this.searchField,".search");e&&(e.style.display="block"),this.searchField.focus()}},close:function(){this.isOpen=!1},hideSearch:function(){if(this.searchField){var e=Util.closest(this.searchField,".search");e&&(this.$refs.dropdown?Util.onTransitionEnd(this.$refs.dropdown,function(){e.style.display="none"}):e.style.display="none")}this.$root.contains(document.activeElement)&&this.$refs.toggle&&this.$refs.toggle.focus()}}},window.Widgets.mobileMenu=function(){return{isOpen:!1,init:function(){window.addEventListener("resize",Util.debounce(this.close.bind(this),500)),document.addEventListener("keydown",this.toggleKeyHandler.bind(this))},toggleKeyHandler:function(e){if(27===e.keyCode)this.close()},toggle:function(){this.isOpen?this.close():this.open()},open:function(){this.isOpen=!0},close:function(){this.isOpen=!1}}},window.Widgets.categories=function(){return{categories:[],isLoading:!0,error:null,getCategories:function(){return Util.get("categories").then(this.addCategories.bind(this)).catch(this.onError.bind(this))},onError:function(e){this.error=e,this.isLoading=!1,Util.triggerEvent(this.$el,"categories:error",{error:e})},addCategories:function(e){this.categories=e.categories,this.isLoading=!1}}},window.Widgets.offlineArticles=function(){return{articles:[],isLoading:!0,getArticles:function(){var e=Util.storage("articles",!1,"offline").get({}),t=Object.keys(e).map(function(t){return e[t]}).sort(function(e,t){return t.saved_at-e.saved_at});return window.caches?Promise.all(t.map(function(e){return caches.match(e.html_url,{ignoreSearch:!0}).then(function(t){return t?e:null})})).then(function(e){return this.articles=e.filter(function(e){return e}),this.isLoading=!1,this.articles}.bind(this)):(this.isLoading=!1,Promise.resolve([]))},remove:function(e){var t=Util.storage("articles",!1,"offline"),i=t.get({});delete i[e.id],t.set(i),navigator.serviceWorker&&navigator.serviceWorker.controller&&navigator.serviceWorker.controller.postMessage({type:"remove",url:e.html_url}),this.articles=this.articles.filter(function(t){return t.id!==e.id})}}},window.Widgets.offlineArticle=function(){return{isAvailable:!1,isSaved:!1,init:function(){var e=Util.storage("articles",!1,"offline").get({});this.isAvailable=!(!navigator.serviceWorker||!navigator.serviceWorker.controller),this.isSaved=e.hasOwnProperty(Util.getPageId(window.location.pathname))},toggle:function(){var e=Util.storage("articles",!1,"offline"),t=e.get({}),i=Util.getPageId(window.location.pathname),s=document.querySelector('[itemprop="name"]'),n=window.location.origin+window.location.pathname;this.isSaved?delete t[i]:t[i]={id:i,title:s?s.getAttribute("title")||s.textContent.trim():document.title,html_url:n,saved_at:(new Date).getTime()},e.set(t),navigator.serviceWorker.controller.postMessage({type:this.isSaved?"remove":"save",url:n}),this.isSaved=!this.isSaved}}},window.Widgets.learningPaths=function(){return{paths:[],init:function(){if(window.ArticleNavigation){var e=ArticleNavigation.getProgressStorage().get({});this.paths=Object.keys(e).map(function(t){var i=e[t],s=i.articles.map(function(e){return-1===i.completed.indexOf(e.id)}).indexOf(!0);return{id:t,title:i.title,step:s+1,total:i.articles.length,progress:Math.round(i.completed.length/i.articles.length*100),article:i.articles[s],updatedAt:i.updatedAt}}).filter(function(e){return e.article&&e.progress>0}).sort(function(e,t){return t.updatedAt-e.updatedAt})}}}},window.Widgets.continueReading=function(e){return{articles:[],init:function(){var t=Util.storage("articles",!1,"articleProgress").get({});this.articles=Object.keys(t).map(function(e){return t[e]}).filter(function(e){return!e.isRead&&e.progress>0}).sort(function(e,t){return t.updatedAt-e.updatedAt}).slice(0,e||3)},getResumeURL:function(e){return e.html_url+(e.heading?"#"+e.heading:"")}}},window.Widgets.parallaxImage=function(){return{init:function(){this.prefersReducedMotion()||this.addEventListeners()},prefersReducedMotion:function(){return window.matchMedia("(prefers-reduced-motion: reduce)").matches},addEventListeners:function(){window.addEventListener("scroll",this.onScroll.bind(this))},onScroll:function(){var e=window.scrollY;this.$el.style["-moz-transform"]=`translate3d(0px,${e/-3}px, 0px)`,this.$el.style["-webkit-transform"]=`translate3d(0px,${e/-3}px, 0px)`,this.$el.style.transform=`translate3d(0px,${e/-3}px, 0px)`}}},window.Widgets.popularKeywords=function(){return{keywords:[],parseKeywords:function(e){var t=location.protocol+"//"+location.hostname+"/hc/"+Theme.locale+"/search?query=";this.keywords=e.split(",").map(function(e){return(e=e.trim())?{title:e,html_url:t+e}:e}).filter(function(e){return e})}}},window.Widgets.searchRecovery=function(){return{query:"",suggestion:null,categories:[],isLoading:!0,init:function(){return this.query=(Util.getURLParameter("query")||"").trim(),this.query&&window.SearchIndex?SearchIndex.load(Theme.searchIndex).then(function(e){this.suggestion=e.suggest(this.query),this.categories=e.search(this.suggestion||this.query).facets.categories.slice(0,5).map(function(e){return Util.extend(e,{html_url:"/hc/"+Theme.locale+"/categories/"+e.id})}),this.isLoading=!1}.bind(this)).catch(function(e){this.isLoading=!1,Util.log("Unable to load the search index",e)}.bind(this)):(this.isLoading=!1,Promise.resolve())},getSuggestionURL:function(){return Util.setURLParameter(Util.setURLParameter(window.location.href,"page",""),"query",this.suggestion)},getRequestURL:function(e){return this.query?Util.setURLParameter(e,"tf_subject",this.query):e}}}})();
\ No newline at end of file
@@ -56,6 +56,11 @@
     function CollapsibleNav(el) {
       this.el = el;
       el.addEventListener('click', this.onClick.bind(this));
+
+      // Opt in to keyboard navigation as a tree view
+      if (el.getAttribute('data-tree-view') === 'true' && window.TreeView) {
+        this.treeView = new TreeView(el, { items: '.nav-link' });
+      }
     }
 
     CollapsibleNav.prototype = {
@@ -95,6 +100,63 @@
 
     window.CollapsibleNav = CollapsibleNav;
 
+    /**
+     * Offline mode.
+     *
+     * Registers the service worker, posts it the theme assets to precache and displays the offline
+     * notification (rendered by the `Notifications` extension) while offline. Articles are only
+     * stored when the user saves them (see `Widgets.offlineArticle`).
+     *
+     * Browsers only register service workers served from the page's origin, so registration is
+     * skipped unless `Theme.offline.url` points to a copy of the worker on the help center host
+     * (see `service-worker.js`).
+     */
+    if (Theme.offline && 'serviceWorker' in navigator) {
+      var workerURL = Theme.offline.url ? new URL(Theme.offline.url, window.location.href) : null;
+
+      if (workerURL && workerURL.origin === window.location.origin) {
+        navigator.serviceWorker
+          .register(workerURL.href, { scope: Theme.offline.scope || '/hc/' })
+          .then(function() {
+            return navigator.serviceWorker.ready;
+          })
+          .then(function(registration) {
+
+            // Theme assets are served from the same host as the util script
+            var util = document.querySelector('script[src*="util"]');
+            var origins = [window.location.origin, util ? new URL(util.src, window.location.href).origin : null];
+            var urls = []
+              .concat(Array.prototype.map.call(document.querySelectorAll('script[src], link[rel="stylesheet"], img[src$=".svg"]'), function(el) {
+                return el.src || el.href;
+              }))
+              .concat(Object.keys(Theme.assets).map(function(key) {
+                return new URL(Theme.assets[key], window.location.href).href;
+              }))
+              .filter(function(url, index, urls) {
+                return origins.indexOf(new URL(url).origin) !== -1 && urls.indexOf(url) === index;
+              });
+            registration.active && registration.active.postMessage({ type: 'precache', urls: urls });
+          })
+          .catch(function(error) {
+            Util.log('Unable to register the service worker', error);
+          });
+
+        // Display a notification while offline
+        var offlineEl = document.querySelector('#offline-notification > [data-element="notification"]');
+        var updateOfflineNotification = function() {
+          if (offlineEl) {
+            offlineEl.hidden = navigator.onLine;
+          }
+        };
+
+        window.addEventListener('online', updateOfflineNotification);
+        window.addEventListener('offline', updateOfflineNotification);
+        updateOfflineNotification();
+      } else {
+        Util.log('Offline mode requires a service worker URL on ' + window.location.origin);
+      }
+    }
+
 
     $('.recent-activity-header').html('Recent Updates');
 
@@ -0,0 +1,60 @@
+/**
+ * Checks the System Status providers against the responses in `tests/system-status`.
+ *
+ * Each fixture has the `provider` name, its `options`, a `response` from the provider's API and the
+ * status `expected` from `SystemStatus.providers[provider].parse(response, options)`.
+ *
+ * Usage: node tests/system-status.test.js
+ */
+var assert = require('assert');
+var fs = require('fs');
+var path = require('path');
+var vm = require('vm');
+
+var FIXTURES = path.join(__dirname, 'system-status');
+
+// The extension only needs the plugin factory and `Util.extend` to define its providers
+var context = {
+  console: console,
+  addEventListener: function() {},
+  Util: {
+    createPlugin: function(plugin) {
+      var Plugin = function() {};
+      Plugin.prototype = plugin;
+      return Plugin;
+    },
+    extend: function(target, source) {
+      return Object.assign({}, target, source);
+    }
+  }
+};
+context.window = context;
+vm.createContext(context);
+vm.runInContext(fs.readFileSync(path.join(__dirname, '../assets/extension-system-status.js'), 'utf8'), context);
+
+var providers = context.SystemStatus.providers;
+var failures = 0;
+
+fs.readdirSync(FIXTURES)
+  .filter(function(file) {
+    return /\.json$/.test(file);
+  })
+  .forEach(function(file) {
+    var fixture = JSON.parse(fs.readFileSync(path.join(FIXTURES, file), 'utf8'));
+    var provider = providers[fixture.provider];
+
+    try {
+      assert.ok(provider, 'Unknown provider ' + fixture.provider);
+
+      // Compare plain copies, since the status is created in another context
+      var status = JSON.parse(JSON.stringify(provider.parse(fixture.response, fixture.options)));
+      assert.deepStrictEqual(status, fixture.expected);
+      console.log('ok - ' + file);
+    } catch (error) {
+      failures++;
+      console.log('not ok - ' + file);
+      console.log(error.message.replace(/^/gm, '  '));
+    }
+  });
+
+process.exitCode = failures ? 1 : 0;